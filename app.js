@@ -14,12 +14,26 @@ const adminRouter = require("./routes/admin");
 const chatRouter = require("./routes/chat");
 const postsRouter = require("./routes/posts");
 const notificationsRouter = require("./routes/notifications");
+const webhooksRouter = require("./routes/webhooks");
+const tipsRouter = require("./routes/tips");
+const invoicesRouter = require("./routes/invoices");
+const paymentsRouter = require("./routes/payments");
+const giftsRouter = require("./routes/gifts");
+const bundlesRouter = require("./routes/bundles");
 const SocketService = require("./services/socketService");
+const { startJobs } = require("./jobs");
 
 dotenv.config();
 const app = express();
 const server = http.createServer(app);
 
+// Behind a reverse proxy req.ip has to come from X-Forwarded-For, otherwise
+// every client shares the proxy's rate limits (e.g. TRUST_PROXY=1)
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Socket.IO setup with CORS
 const io = socketIo(server, {
   cors: {
@@ -36,6 +50,9 @@ app.use(cors());
 app.use(logger("dev"));
 app.use(compression());
 
+// Webhooks must be mounted before the JSON parser to keep the raw body
+app.use("/api/webhooks", webhooksRouter);
+
 // Regular JSON parsing for other routes
 app.use(express.json({ limit: "50mb" }));
 app.use(express.urlencoded({ extended: true, limit: "50mb" }));
@@ -47,6 +64,11 @@ app.use("/api/admin", adminRouter);
 app.use("/api/chat", chatRouter);
 app.use("/api/posts", postsRouter);
 app.use("/api/notifications", notificationsRouter);
+app.use("/api/tips", tipsRouter);
+app.use("/api/invoices", invoicesRouter);
+app.use("/api/payments", paymentsRouter);
+app.use("/api/gifts", giftsRouter);
+app.use("/api/bundles", bundlesRouter);
 
 app.use(
   express.static(path.join(__dirname, "public", "build"), {
@@ -214,7 +236,11 @@ server.listen(port, () => {
   console.log(`Socket.IO server is ready`);
 });
 
+// Subscription expiry, renewals and reminders
+const jobScheduler = startJobs();
+
 // Make socket service available globally if needed
 app.set("socketService", socketService);
+app.set("jobScheduler", jobScheduler);
 
-module.exports = { app, server, io, socketService };
+module.exports = { app, server, io, socketService, jobScheduler };
@@ -1,5 +1,26 @@
 const User = require("../models/user_model");
+const Admin = require("../models/admins_model");
+const Payout = require("../models/payout_model");
+const Subscription = require("../models/subscription_model");
+const Payment = require("../models/payment_model");
+const PayoutService = require("../services/payoutService");
+const SubscriptionService = require("../services/subscriptionService");
+const LedgerService = require("../services/ledgerService");
+const PaymentService = require("../services/paymentService");
+const SessionService = require("../services/sessionService");
+const AuditService = require("../services/auditService");
+const DashboardService = require("../services/dashboardService");
+const AuditLog = require("../models/audit_log_model");
+const {
+  decryptAccountDetails,
+  maskAccountDetails,
+} = require("../utils/payoutMethods");
 const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+const { formatMoney } = require("../utils/currency");
+const { getPermissions, hasPermission } = require("../utils/adminPermissions");
+const { toCsvRow } = require("../utils/csv");
+const { resolveRange } = require("../utils/timeBuckets");
 
 const getUsers = async (req, res, next) => {
   try {
@@ -141,6 +162,11 @@ const updateUserStatus = async (req, res, next) => {
       return next(createError(404, "User not found"));
     }
 
+    const before = {
+      isActive: user.isActive,
+      statusUpdateReason: user.statusUpdateReason,
+    };
+
     user.isActive = isActive;
     if (reason) {
       user.statusUpdateReason = reason;
@@ -150,6 +176,22 @@ const updateUserStatus = async (req, res, next) => {
 
     await user.save();
 
+    AuditService.setContext(req, {
+      action: "user.status_update",
+      before,
+      after: {
+        isActive: user.isActive,
+        statusUpdateReason: user.statusUpdateReason,
+      },
+    });
+
+    // Deactivated users are signed out everywhere
+    if (!user.isActive) {
+      await SessionService.revokeAllSessions(user._id, {
+        reason: "deactivated",
+      });
+    }
+
     res.json({
       success: true,
       message: `User ${isActive ? "activated" : "deactivated"} successfully`,
@@ -161,97 +203,795 @@ const updateUserStatus = async (req, res, next) => {
   }
 };
 
+// Platform metrics for a date range, with one point per day, week or month
 const getDashboardOverview = async (req, res, next) => {
   try {
-    const now = new Date();
-    const startOfToday = new Date(
-      now.getFullYear(),
-      now.getMonth(),
-      now.getDate()
-    );
-    const startOfWeek = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-
-    // Get overview statistics
-    const [
-      totalUsers,
-      totalOrders,
-      todayOrders,
-      weeklyOrders,
-      monthlyRevenue,
-      pendingOrders,
-      recentOrders,
-    ] = await Promise.all([
-      // Total users
-      User.countDocuments(),
-
-      // Total orders
-      Order.countDocuments(),
-
-      // Today's orders
-      Order.countDocuments({
-        createdAt: { $gte: startOfToday },
-      }),
-
-      // Weekly orders
-      Order.countDocuments({
-        createdAt: { $gte: startOfWeek },
-      }),
-
-      // Monthly revenue
-      Order.aggregate([
-        {
-          $match: {
-            createdAt: { $gte: startOfMonth },
-            paymentStatus: "succeeded",
-          },
-        },
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const range = resolveRange({
+      from: req.query.from ? new Date(req.query.from) : null,
+      to: req.query.to ? new Date(req.query.to) : null,
+      interval: req.query.interval,
+    });
+    if (range.error) {
+      return next(createError(400, range.error));
+    }
+
+    const overview = await DashboardService.getOverview(range);
+
+    res.json({
+      success: true,
+      data: {
+        ...overview,
+        lastUpdated: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error("Get dashboard overview error:", error);
+    next(error);
+  }
+};
+
+// List payout requests (defaults to the pending queue, oldest first)
+const getPayouts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { status = "requested", page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const query = { status };
+
+    const [payouts, total, queue] = await Promise.all([
+      Payout.find(query)
+        .select("-history")
+        .populate("creator", "username firstName lastName email profileImage")
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Payout.countDocuments(query),
+      Payout.aggregate([
+        { $match: { isOpen: true } },
         {
           $group: {
-            _id: null,
-            revenue: { $sum: "$totalAmount" },
+            _id: { status: "$status", currency: "$currency" },
+            count: { $sum: 1 },
+            amount: { $sum: "$amount" },
           },
         },
       ]),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payouts,
+        // Open payouts per status, with amounts per currency
+        queue: queue.reduce((summary, item) => {
+          const { status: itemStatus, currency } = item._id;
+          if (!summary[itemStatus]) {
+            summary[itemStatus] = { count: 0, amounts: {} };
+          }
+          summary[itemStatus].count += item.count;
+          summary[itemStatus].amounts[currency] = item.amount;
+          return summary;
+        }, {}),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalPayouts: total,
+          hasNextPage: pageNum * limitNum < total,
+          hasPrevPage: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get payouts error:", error);
+    next(error);
+  }
+};
 
-      // Pending orders
-      Order.countDocuments({ status: "pending" }),
+// Get a payout with the destination details needed to send it
+const getPayoutDetails = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
 
-      // Recent orders
-      Order.find()
-        .populate("user", "username email")
-        .sort({ createdAt: -1 })
-        .limit(10),
+    const payout = await Payout.findById(req.params.payoutId).populate(
+      "creator",
+      "username firstName lastName email payoutMethods"
+    );
+    if (!payout) {
+      return next(createError(404, "Payout not found"));
+    }
+
+    const payoutMethod = payout.creator
+      ? payout.creator.payoutMethods.id(payout.payoutMethod.methodId)
+      : null;
+
+    const payoutData = payout.toObject();
+    if (payoutData.creator) {
+      delete payoutData.creator.payoutMethods;
+    }
+
+    // Full bank details are only revealed to admins who send payouts, once
+    // the payout is approved for sending
+    let destination = null;
+    if (payoutMethod) {
+      const accountDetails = payoutMethod.toObject().accountDetails || {};
+      const reveal =
+        payout.status === "approved" &&
+        hasPermission(req.user.adminRole, "payouts:manage");
+      destination = {
+        type: payoutMethod.type,
+        masked: !reveal,
+        accountDetails: reveal
+          ? decryptAccountDetails(accountDetails)
+          : maskAccountDetails(payoutMethod.type, accountDetails),
+      };
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payout: payoutData,
+        destination,
+      },
+    });
+  } catch (error) {
+    console.error("Get payout details error:", error);
+    next(error);
+  }
+};
+
+// Load a payout and check it can move to the given status
+const loadPayoutForTransition = async (req, status) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createError(400, errors.array()[0].msg);
+  }
+
+  const payout = await Payout.findById(req.params.payoutId);
+  if (!payout) {
+    throw createError(404, "Payout not found");
+  }
+
+  if (!payout.canTransitionTo(status)) {
+    throw createError(
+      409,
+      `Payout is ${payout.status} and cannot be marked ${status}`
+    );
+  }
+
+  return payout;
+};
+
+// Convert concurrent-update errors into a conflict response
+const payoutConflict = (error) =>
+  error.name === "VersionError"
+    ? createError(409, "Payout was updated by another admin, please reload")
+    : error;
+
+// Approve a payout request
+const approvePayout = async (req, res, next) => {
+  try {
+    const payout = await loadPayoutForTransition(req, "approved");
+    const before = { status: payout.status };
+
+    await PayoutService.approvePayout(payout, req.user._id, req.body.note);
+
+    AuditService.setContext(req, {
+      action: "payout.approve",
+      before,
+      after: { status: payout.status },
+      metadata: { note: req.body.note },
+    });
+
+    res.json({
+      success: true,
+      message: "Payout approved",
+      data: { payout },
+    });
+  } catch (error) {
+    console.error("Approve payout error:", error);
+    next(payoutConflict(error));
+  }
+};
+
+// Mark an approved payout as paid
+const markPayoutPaid = async (req, res, next) => {
+  try {
+    const payout = await loadPayoutForTransition(req, "paid");
+    const { externalReference, note } = req.body;
+    const before = { status: payout.status };
+
+    await PayoutService.markPaid(payout, req.user._id, externalReference, note);
+
+    AuditService.setContext(req, {
+      action: "payout.mark_paid",
+      before,
+      after: { status: payout.status },
+      metadata: { externalReference, note },
+    });
+
+    res.json({
+      success: true,
+      message: "Payout marked as paid",
+      data: { payout },
+    });
+  } catch (error) {
+    console.error("Mark payout paid error:", error);
+    next(payoutConflict(error));
+  }
+};
+
+// Reject or fail a payout, returning the amount to the creator
+const markPayoutFailed = async (req, res, next) => {
+  try {
+    const payout = await loadPayoutForTransition(req, "failed");
+    const before = { status: payout.status };
+
+    await PayoutService.markFailed(payout, req.user._id, req.body.reason);
+
+    AuditService.setContext(req, {
+      action: "payout.mark_failed",
+      before,
+      after: { status: payout.status },
+      metadata: { reason: req.body.reason },
+    });
+
+    res.json({
+      success: true,
+      message: "Payout marked as failed",
+      data: { payout },
+    });
+  } catch (error) {
+    console.error("Mark payout failed error:", error);
+    next(payoutConflict(error));
+  }
+};
+
+// Refund a subscription (full or prorated) and end the subscriber's access
+const refundSubscription = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { type = "full", reason } = req.body;
+
+    const subscription = await Subscription.findById(req.params.subscriptionId);
+    if (!subscription) {
+      return next(createError(404, "Subscription not found"));
+    }
+
+    const before = { status: subscription.status };
+
+    let result;
+    try {
+      result = await SubscriptionService.refundSubscription(subscription, {
+        type,
+        reason,
+        initiatedBy: req.user._id,
+        initiatedByModel: "Admin",
+      });
+    } catch (stripeError) {
+      console.error("Stripe refund error:", stripeError);
+      return next(createError(502, "Failed to refund the payment"));
+    }
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    AuditService.setContext(req, {
+      action: "subscription.refund",
+      before,
+      after: { status: subscription.status },
+      metadata: {
+        type,
+        reason,
+        amount: result.refund.amount,
+        currency: subscription.currency,
+      },
+    });
+
+    res.json({
+      success: true,
+      message: `Refunded ${formatMoney(
+        result.refund.amount,
+        subscription.currency
+      )}`,
+      data: { refund: result.refund, subscription },
+    });
+  } catch (error) {
+    console.error("Refund subscription error:", error);
+    next(error);
+  }
+};
+
+// List subscriptions with chargeback disputes (open ones by default)
+const getDisputes = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { outcome = "open", page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const query = { "disputes.outcome": outcome };
+
+    const [subscriptions, total] = await Promise.all([
+      Subscription.find(query)
+        .select(
+          "subscriber creator status planName subscriptionPrice totalPaid totalRefunded disputes"
+        )
+        .populate("subscriber", "username firstName lastName email")
+        .populate("creator", "username firstName lastName email")
+        .sort({ updatedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Subscription.countDocuments(query),
     ]);
 
-    // Status distribution
-    const statusDistribution = await Order.aggregate([
-      {
-        $group: {
-          _id: "$status",
-          count: { $sum: 1 },
+    res.json({
+      success: true,
+      data: {
+        subscriptions,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalSubscriptions: total,
+          hasNextPage: pageNum * limitNum < total,
+          hasPrevPage: pageNum > 1,
         },
       },
+    });
+  } catch (error) {
+    console.error("Get disputes error:", error);
+    next(error);
+  }
+};
+
+// ==================== BANK TRANSFERS ====================
+
+// Bank transfers waiting for (or past) admin review, oldest first
+const getBankTransfers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { status = "pending", page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const query = { provider: "bank_transfer", status };
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .populate("payer", "username firstName lastName email")
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Payment.countDocuments(query),
     ]);
 
     res.json({
       success: true,
       data: {
-        overview: {
-          totalUsers,
-          totalOrders,
-          todayOrders,
-          weeklyOrders,
-          monthlyRevenue: monthlyRevenue[0]?.revenue || 0,
-          pendingOrders,
+        payments,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalPayments: total,
+          hasNextPage: pageNum * limitNum < total,
+          hasPrevPage: pageNum > 1,
         },
-        recentOrders,
-        statusDistribution,
-        lastUpdated: new Date(),
       },
     });
   } catch (error) {
-    console.error("Get dashboard overview error:", error);
+    console.error("Get bank transfers error:", error);
+    next(error);
+  }
+};
+
+// Load a bank transfer that is still waiting for review
+const loadPendingBankTransfer = async (req) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw createError(400, errors.array()[0].msg);
+  }
+
+  const payment = await Payment.findOne({
+    _id: req.params.paymentId,
+    provider: "bank_transfer",
+  });
+  if (!payment) {
+    throw createError(404, "Bank transfer not found");
+  }
+  if (payment.status !== "pending") {
+    throw createError(409, `Bank transfer is already ${payment.status}`);
+  }
+
+  return payment;
+};
+
+// Confirm a bank transfer arrived and unlock what it paid for
+const confirmBankTransfer = async (req, res, next) => {
+  try {
+    const pending = await loadPendingBankTransfer(req);
+
+    const payment = await PaymentService.completePayment(pending._id, {
+      reviewedBy: req.user._id,
+      reviewNote: req.body.note,
+    });
+    await payment.populate("purpose");
+
+    AuditService.setContext(req, {
+      action: "bank_transfer.confirm",
+      before: { status: pending.status },
+      after: { status: payment.status },
+      metadata: {
+        amount: payment.amount,
+        currency: payment.currency,
+        note: req.body.note,
+      },
+    });
+
+    // The checkout may have been replaced while the transfer was on its way
+    const delivered = ["active", "completed"].includes(payment.purpose?.status);
+
+    res.json({
+      success: true,
+      message: delivered
+        ? `Bank transfer of ${formatMoney(
+            payment.amount,
+            payment.currency
+          )} confirmed`
+        : `Bank transfer confirmed, but the ${payment.purposeModel.toLowerCase()} is no longer pending; refund the payer by hand`,
+      data: { payment },
+    });
+  } catch (error) {
+    console.error("Confirm bank transfer error:", error);
+    next(error);
+  }
+};
+
+// Reject a bank transfer that never arrived or does not match
+const rejectBankTransfer = async (req, res, next) => {
+  try {
+    const pending = await loadPendingBankTransfer(req);
+
+    const payment = await PaymentService.failPayment(pending._id, {
+      reason: req.body.reason,
+      reviewedBy: req.user._id,
+    });
+
+    AuditService.setContext(req, {
+      action: "bank_transfer.reject",
+      before: { status: pending.status },
+      after: { status: payment.status },
+      metadata: { reason: req.body.reason },
+    });
+
+    res.json({
+      success: true,
+      message: "Bank transfer rejected",
+      data: { payment },
+    });
+  } catch (error) {
+    console.error("Reject bank transfer error:", error);
+    next(error);
+  }
+};
+
+// ==================== REPORTS ====================
+
+// Platform volume and revenue, per currency and in the base currency
+const getRevenueReport = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    if (from && from >= to) {
+      return next(createError(400, "Start date must be before end date"));
+    }
+
+    const report = await LedgerService.getRevenueReport({ from, to });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    console.error("Get revenue report error:", error);
+    next(error);
+  }
+};
+
+const formatAdmin = (admin) => ({
+  _id: admin._id,
+  username: admin.username,
+  adminRole: admin.adminRole,
+  permissions: getPermissions(admin.adminRole),
+  isActive: admin.isActive,
+  twoFactorEnabled: Boolean(admin.twoFactor && admin.twoFactor.enabled),
+  createdBy: admin.createdBy,
+  createdAt: admin.createdAt,
+  statusUpdatedAt: admin.statusUpdatedAt,
+});
+
+// Whether another active super admin remains if this one loses the role
+const hasOtherSuperAdmin = async (adminId) =>
+  Boolean(
+    await Admin.exists({
+      _id: { $ne: adminId },
+      adminRole: "super_admin",
+      isActive: true,
+    })
+  );
+
+// Get admin accounts
+const getAdmins = async (req, res, next) => {
+  try {
+    const admins = await Admin.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: admins.map(formatAdmin),
+    });
+  } catch (error) {
+    console.error("Get admins error:", error);
+    next(error);
+  }
+};
+
+// Create an admin account. The new admin enrolls in 2FA at first login.
+const createAdmin = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { username, password, adminRole } = req.body;
+
+    const existingAdmin = await Admin.findOne({ username });
+    if (existingAdmin) {
+      return next(createError(400, "Admin already exists with this username"));
+    }
+
+    const admin = new Admin({
+      username,
+      password,
+      adminRole,
+      createdBy: req.user._id,
+    });
+    await admin.save();
+
+    AuditService.setContext(req, {
+      action: "admin.create",
+      targetType: "Admin",
+      targetId: admin._id,
+      after: { username: admin.username, adminRole: admin.adminRole },
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Admin created successfully",
+      data: formatAdmin(admin),
+    });
+  } catch (error) {
+    console.error("Create admin error:", error);
+    next(error);
+  }
+};
+
+// Change an admin's role
+const updateAdminRole = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { adminId } = req.params;
+    const { adminRole } = req.body;
+
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      return next(createError(404, "Admin not found"));
+    }
+
+    if (
+      admin.adminRole === "super_admin" &&
+      adminRole !== "super_admin" &&
+      !(await hasOtherSuperAdmin(admin._id))
+    ) {
+      return next(
+        createError(400, "At least one active super admin is required")
+      );
+    }
+
+    const before = { adminRole: admin.adminRole };
+
+    admin.adminRole = adminRole;
+    await admin.save();
+
+    AuditService.setContext(req, {
+      action: "admin.role_update",
+      before,
+      after: { adminRole: admin.adminRole },
+    });
+
+    res.json({
+      success: true,
+      message: "Admin role updated successfully",
+      data: formatAdmin(admin),
+    });
+  } catch (error) {
+    console.error("Update admin role error:", error);
+    next(error);
+  }
+};
+
+// Enable or disable an admin account
+const updateAdminStatus = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { adminId } = req.params;
+    const { isActive } = req.body;
+
+    if (!isActive && adminId === req.user._id.toString()) {
+      return next(createError(400, "You cannot disable your own account"));
+    }
+
+    const admin = await Admin.findById(adminId);
+    if (!admin) {
+      return next(createError(404, "Admin not found"));
+    }
+
+    if (
+      !isActive &&
+      admin.adminRole === "super_admin" &&
+      !(await hasOtherSuperAdmin(admin._id))
+    ) {
+      return next(
+        createError(400, "At least one active super admin is required")
+      );
+    }
+
+    const before = { isActive: admin.isActive };
+
+    admin.isActive = isActive;
+    admin.statusUpdatedBy = req.user._id;
+    admin.statusUpdatedAt = new Date();
+    await admin.save();
+
+    AuditService.setContext(req, {
+      action: "admin.status_update",
+      before,
+      after: { isActive: admin.isActive },
+    });
+
+    // Disabled admins are signed out everywhere
+    if (!isActive) {
+      await SessionService.revokeAllSessions(admin._id, {
+        reason: "deactivated",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Admin ${isActive ? "enabled" : "disabled"} successfully`,
+      data: formatAdmin(admin),
+    });
+  } catch (error) {
+    console.error("Update admin status error:", error);
+    next(error);
+  }
+};
+
+// ==================== AUDIT LOG ====================
+
+// Search the audit log
+const getAuditLogs = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { page = 1, limit = 50 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const filter = AuditService.buildFilter(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          totalEntries: total,
+          hasNextPage: pageNum * limitNum < total,
+          hasPrevPage: pageNum > 1,
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Get audit logs error:", error);
+    next(error);
+  }
+};
+
+// Download the audit log entries matching the search as CSV
+const exportAuditLogs = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const filter = AuditService.buildFilter(req.query);
+    const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.write(toCsvRow(AuditService.getCsvColumns()));
+
+    // Streamed so large exports don't sit in memory
+    const cursor = AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .lean()
+      .cursor();
+    for await (const entry of cursor) {
+      res.write(toCsvRow(AuditService.toCsvValues(entry)));
+    }
+
+    res.end();
+  } catch (error) {
+    console.error("Export audit logs error:", error);
+    if (res.headersSent) {
+      return res.end();
+    }
     next(error);
   }
 };
@@ -264,4 +1004,33 @@ module.exports = {
 
   // Dashboard
   getDashboardOverview,
+
+  // Payouts
+  getPayouts,
+  getPayoutDetails,
+  approvePayout,
+  markPayoutPaid,
+  markPayoutFailed,
+
+  // Refunds and disputes
+  refundSubscription,
+  getDisputes,
+
+  // Bank transfers
+  getBankTransfers,
+  confirmBankTransfer,
+  rejectBankTransfer,
+
+  // Reports
+  getRevenueReport,
+
+  // Admin accounts
+  getAdmins,
+  createAdmin,
+  updateAdminRole,
+  updateAdminStatus,
+
+  // Audit log
+  getAuditLogs,
+  exportAuditLogs,
 };
@@ -0,0 +1,108 @@
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+const AnalyticsService = require("../services/analyticsService");
+const { resolveRange } = require("../utils/timeBuckets");
+
+// Read from/to/interval from the query, with the report defaults
+const getRange = (req) =>
+  resolveRange({
+    from: req.query.from ? new Date(req.query.from) : null,
+    to: req.query.to ? new Date(req.query.to) : null,
+    interval: req.query.interval,
+  });
+
+// Get the creator's subscriber, revenue and engagement time series
+const getAnalyticsOverview = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const range = getRange(req);
+    if (range.error) {
+      return next(createError(400, range.error));
+    }
+
+    const analytics = await AnalyticsService.getOverview(req.user._id, range);
+
+    res.json({
+      success: true,
+      analytics,
+    });
+  } catch (error) {
+    console.error("Get analytics overview error:", error);
+    next(error);
+  }
+};
+
+// Get the creator's best performing posts in a date range
+const getTopPosts = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const range = getRange(req);
+    if (range.error) {
+      return next(createError(400, range.error));
+    }
+
+    const { sortBy = "views", limit = 10 } = req.query;
+    const posts = await AnalyticsService.getTopPosts(req.user._id, {
+      ...range,
+      sortBy,
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      range: { from: range.from, to: range.to },
+      sortBy,
+      posts,
+    });
+  } catch (error) {
+    console.error("Get top posts error:", error);
+    next(error);
+  }
+};
+
+// Get subscriber retention by the period subscribers joined in
+const getSubscriberCohorts = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    // Cohorts are followed up to now
+    const range = resolveRange({
+      from: req.query.from ? new Date(req.query.from) : null,
+      interval: req.query.interval,
+    });
+    if (range.error) {
+      return next(createError(400, range.error));
+    }
+
+    const cohorts = await AnalyticsService.getCohorts(req.user._id, range);
+
+    res.json({
+      success: true,
+      range: { ...range, timezone: "UTC" },
+      cohorts,
+    });
+  } catch (error) {
+    console.error("Get subscriber cohorts error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getAnalyticsOverview,
+  getTopPosts,
+  getSubscriberCohorts,
+};
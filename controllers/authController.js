@@ -1,13 +1,11 @@
 //contollers/authController.js
-const jwt = require("jsonwebtoken");
 const Admin = require("../models/admins_model");
+const SessionService = require("../services/sessionService");
+const TwoFactorService = require("../services/twoFactorService");
+const LoginProtectionService = require("../services/loginProtectionService");
 const createError = require("http-errors");
-
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
-};
+const { validationResult } = require("express-validator");
+const { getPermissions } = require("../utils/adminPermissions");
 
 const loginAdmin = async (req, res, next) => {
   try {
@@ -15,23 +13,40 @@ const loginAdmin = async (req, res, next) => {
 
     const admin = await Admin.findOne({ username });
 
-    if (!admin) {
+    if (!admin || !admin.isActive) {
       return next(createError(401, "Invalid credentials"));
     }
 
+    const lockedUntil = LoginProtectionService.getLockedUntil(admin);
+    if (lockedUntil) {
+      return next(
+        createError(423, LoginProtectionService.getLockMessage(lockedUntil))
+      );
+    }
+
     const isMatch = await admin.matchPassword(password);
 
     if (!isMatch) {
+      await LoginProtectionService.recordFailure(admin);
       return next(createError(401, "Invalid credentials"));
     }
 
-    const token = generateToken(admin._id, admin.role);
+    // Admins always finish signing in with 2FA (or enroll first)
+    const login = await TwoFactorService.beginLogin(admin, req);
+    if (login.challengeToken) {
+      return res.json({ ...login, success: true });
+    }
+    const { accessToken, refreshToken } = login;
+    await LoginProtectionService.recordSuccess(admin);
 
     res.json({
       _id: admin._id,
       username: admin.username,
       role: admin.role,
-      token: token,
+      adminRole: admin.adminRole,
+      permissions: getPermissions(admin.adminRole),
+      token: accessToken,
+      refreshToken,
       success: true,
     });
   } catch (error) {
@@ -43,10 +58,359 @@ const loginAdmin = async (req, res, next) => {
 const verifyToken = async (req, res) => {
   res.json({
     data: req.user,
+    // Lets the admin UI hide what the admin can't use
+    ...(req.userRole === "admin"
+      ? { permissions: getPermissions(req.user.adminRole) }
+      : {}),
   });
 };
 
+// Exchange a refresh token for new tokens (the refresh token rotates)
+const refreshSession = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const result = await SessionService.refresh(req.body.refreshToken, req);
+    if (result.error) {
+      return next(createError(401, result.error));
+    }
+
+    res.json({
+      success: true,
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      sessionId: result.session._id,
+    });
+  } catch (error) {
+    console.error("Refresh session error:", error);
+    next(error);
+  }
+};
+
+// End the current session
+const logout = async (req, res, next) => {
+  try {
+    await SessionService.revokeSession(req.sessionId, { reason: "logout" });
+
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    console.error("Logout error:", error);
+    next(error);
+  }
+};
+
+// List the signed-in devices of the current account
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await SessionService.getActiveSessions(req.user._id);
+
+    res.json({
+      success: true,
+      data: sessions.map((session) => ({
+        _id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId.toString(),
+      })),
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    next(error);
+  }
+};
+
+// Sign out one device
+const revokeSession = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const session = await SessionService.revokeSession(req.params.sessionId, {
+      accountId: req.user._id,
+    });
+    if (!session) {
+      return next(createError(404, "Session not found"));
+    }
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    next(error);
+  }
+};
+
+// Sign out every device, or every other device with ?keepCurrent=true
+const revokeAllSessions = async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+
+    const revokedCount = await SessionService.revokeAllSessions(req.user._id, {
+      exceptSessionId: keepCurrent ? req.sessionId : undefined,
+    });
+
+    res.json({
+      success: true,
+      message: "Sessions revoked successfully",
+      data: { revokedCount },
+    });
+  } catch (error) {
+    console.error("Revoke all sessions error:", error);
+    next(error);
+  }
+};
+
+// Details returned once a user or admin is signed in with 2FA
+const formatSignedIn = (account, { accessToken, refreshToken }) => ({
+  _id: account._id,
+  username: account.username,
+  firstName: account.firstName,
+  lastName: account.lastName,
+  profileImage: account.profileImage,
+  email: account.email,
+  emailVerified: account.emailVerified,
+  role: account.role,
+  adminRole: account.adminRole,
+  ...(account.role === "admin"
+    ? { permissions: getPermissions(account.adminRole) }
+    : {}),
+  token: accessToken,
+  refreshToken,
+  success: true,
+});
+
+// Second login step: answer the challenge with an authenticator or backup code
+const completeTwoFactorLogin = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { challengeToken, code } = req.body;
+
+    const account = await TwoFactorService.verifyChallenge(
+      challengeToken,
+      "login"
+    );
+    if (!account) {
+      return next(createError(401, "Invalid or expired challenge"));
+    }
+
+    const lockedUntil = LoginProtectionService.getLockedUntil(account);
+    if (lockedUntil) {
+      return next(
+        createError(423, LoginProtectionService.getLockMessage(lockedUntil))
+      );
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const result = await TwoFactorService.verify(account, code);
+    if (!result) {
+      await LoginProtectionService.recordFailure(account);
+      return next(createError(401, "Invalid verification code"));
+    }
+
+    const tokens = await SessionService.createSession(account, req);
+    await LoginProtectionService.recordSuccess(account);
+
+    res.json({
+      ...formatSignedIn(account, tokens),
+      twoFactorMethod: result.method,
+      backupCodesRemaining: result.backupCodesRemaining,
+    });
+  } catch (error) {
+    console.error("Two-factor login error:", error);
+    next(error);
+  }
+};
+
+// 2FA state of the current account
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const account = await TwoFactorService.loadWithSecrets(
+      req.user.constructor.modelName,
+      req.user._id
+    );
+
+    res.json({
+      success: true,
+      data: {
+        enabled: TwoFactorService.isEnabled(account),
+        required: TwoFactorService.isRequired(account),
+        enabledAt: account.twoFactor.enabledAt,
+        backupCodesRemaining: TwoFactorService.isEnabled(account)
+          ? TwoFactorService.countBackupCodes(account)
+          : 0,
+      },
+    });
+  } catch (error) {
+    console.error("Get two-factor status error:", error);
+    next(error);
+  }
+};
+
+// Start enrollment: returns the secret and otpauth:// URI for the QR code
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const account = await TwoFactorService.loadWithSecrets(
+      req.user.constructor.modelName,
+      req.user._id
+    );
+
+    const result = await TwoFactorService.startEnrollment(account);
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    console.error("Setup two-factor error:", error);
+    next(error);
+  }
+};
+
+// Confirm enrollment with a first code. Returns the backup codes once; when
+// enrolling during login, also signs the account in.
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const account = await TwoFactorService.loadWithSecrets(
+      req.user.constructor.modelName,
+      req.user._id
+    );
+
+    const result = await TwoFactorService.confirmEnrollment(
+      account,
+      req.body.code
+    );
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    // Other devices signed in without 2FA have to sign in again
+    await SessionService.revokeAllSessions(account._id, {
+      exceptSessionId: req.sessionId,
+    });
+
+    let signedIn = {};
+    if (req.twoFactorSetupChallenge) {
+      signedIn = formatSignedIn(
+        account,
+        await SessionService.createSession(account, req)
+      );
+      await LoginProtectionService.recordSuccess(account);
+    }
+
+    res.json({
+      ...signedIn,
+      success: true,
+      message: "Two-factor authentication enabled",
+      backupCodes: result.backupCodes,
+    });
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    next(error);
+  }
+};
+
+// Turn 2FA off (not available to admins)
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const account = await TwoFactorService.loadWithSecrets(
+      req.user.constructor.modelName,
+      req.user._id
+    );
+
+    const result = await TwoFactorService.disable(account, req.body.code);
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    res.json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    next(error);
+  }
+};
+
+// Replace the backup codes
+const regenerateBackupCodes = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const account = await TwoFactorService.loadWithSecrets(
+      req.user.constructor.modelName,
+      req.user._id
+    );
+
+    const result = await TwoFactorService.regenerateBackupCodes(
+      account,
+      req.body.code
+    );
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    res.json({
+      success: true,
+      backupCodes: result.backupCodes,
+    });
+  } catch (error) {
+    console.error("Regenerate backup codes error:", error);
+    next(error);
+  }
+};
+
 module.exports = {
   loginAdmin,
   verifyToken,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  completeTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
 };
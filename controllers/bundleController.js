@@ -0,0 +1,515 @@
+const Bundle = require("../models/bundle_model");
+const Subscription = require("../models/subscription_model");
+const User = require("../models/user_model");
+const BundleService = require("../services/bundleService");
+const SubscriptionService = require("../services/subscriptionService");
+const PaymentService = require("../services/paymentService");
+const StripeService = require("../services/stripeService");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+const { checkAmount } = require("../utils/currency");
+
+const PARTY_FIELDS = "username firstName lastName profileImage";
+
+// Bundle price range, in whole units of the bundle's currency
+const BUNDLE_PRICE_LIMITS = { min: 0.5, max: 10000, label: "Price" };
+
+const populateBundle = (bundle) =>
+  bundle.populate([
+    { path: "owner", select: PARTY_FIELDS },
+    { path: "members.creator", select: PARTY_FIELDS },
+  ]);
+
+const isOwner = (bundle, userId) =>
+  (bundle.owner._id || bundle.owner).toString() === userId.toString();
+
+// Check that every proposed member is an active user
+const findMissingCreator = async (members) => {
+  const ids = members.map((member) => member.creatorId);
+  const found = await User.countDocuments({
+    _id: { $in: ids },
+    isActive: true,
+  });
+  return found !== ids.length;
+};
+
+// List the bundles the current creator owns or was invited to
+const getMyBundles = async (req, res, next) => {
+  try {
+    const bundles = await Bundle.find({ "members.creator": req.user._id })
+      .populate("owner", PARTY_FIELDS)
+      .populate("members.creator", PARTY_FIELDS)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      bundles,
+    });
+  } catch (error) {
+    console.error("Get my bundles error:", error);
+    next(error);
+  }
+};
+
+// List the bundles on sale that include a creator
+const getCreatorBundles = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const creator = await User.findOne({
+      username: req.params.username,
+      isActive: true,
+    }).select("_id");
+    if (!creator) {
+      return next(createError(404, "Creator not found"));
+    }
+
+    const bundles = await Bundle.find({
+      "members.creator": creator._id,
+      status: "active",
+    })
+      .select("-members.status -members.respondedAt")
+      .populate("owner", PARTY_FIELDS)
+      .populate("members.creator", PARTY_FIELDS)
+      .sort({ publishedAt: -1 });
+
+    res.json({
+      success: true,
+      bundles,
+    });
+  } catch (error) {
+    console.error("Get creator bundles error:", error);
+    next(error);
+  }
+};
+
+// Get a bundle. Drafts are only visible to their creators.
+const getBundle = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const bundle = await Bundle.findById(req.params.bundleId);
+    if (
+      !bundle ||
+      (bundle.status === "draft" && !bundle.findMember(req.user._id))
+    ) {
+      return next(createError(404, "Bundle not found"));
+    }
+
+    await populateBundle(bundle);
+
+    res.json({
+      success: true,
+      bundle,
+    });
+  } catch (error) {
+    console.error("Get bundle error:", error);
+    next(error);
+  }
+};
+
+// Propose a bundle to other creators. It goes on sale once all of them
+// accepted its price and revenue split.
+const createBundle = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { name, description, price, durationMonths, members } = req.body;
+
+    const membersError = BundleService.checkMembers(req.user._id, members);
+    if (membersError) {
+      return next(createError(400, membersError));
+    }
+    if (await findMissingCreator(members)) {
+      return next(createError(404, "Creator not found"));
+    }
+
+    // Bundles are priced in the owner's pricing currency
+    const currency = req.user.pricingCurrency;
+    const priceError = checkAmount(
+      Number(price),
+      currency,
+      BUNDLE_PRICE_LIMITS
+    );
+    if (priceError) {
+      return next(createError(400, priceError));
+    }
+
+    const bundle = await Bundle.create({
+      owner: req.user._id,
+      name,
+      description,
+      price: Number(price),
+      currency,
+      durationMonths,
+      members: BundleService.buildMembers(req.user._id, members),
+    });
+
+    await BundleService.inviteMembers(bundle);
+    await populateBundle(bundle);
+
+    res.status(201).json({
+      success: true,
+      message: "Bundle created. It goes on sale once every creator accepts.",
+      bundle,
+    });
+  } catch (error) {
+    console.error("Create bundle error:", error);
+    next(error);
+  }
+};
+
+// Update a bundle. Price, duration and members can only change before it is
+// on sale, and send the new terms back to the other creators.
+const updateBundle = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const bundle = await Bundle.findById(req.params.bundleId);
+    if (!bundle || !isOwner(bundle, req.user._id)) {
+      return next(createError(404, "Bundle not found"));
+    }
+    if (bundle.status === "archived") {
+      return next(createError(400, "Archived bundles cannot be changed"));
+    }
+
+    const { name, description, price, durationMonths, members } = req.body;
+    const changesTerms =
+      price !== undefined ||
+      durationMonths !== undefined ||
+      members !== undefined;
+
+    if (changesTerms && bundle.status !== "draft") {
+      return next(
+        createError(
+          400,
+          "The terms of a bundle on sale cannot change. Archive it and create a new one."
+        )
+      );
+    }
+
+    if (name !== undefined) bundle.name = name;
+    if (description !== undefined) bundle.description = description;
+
+    if (changesTerms) {
+      if (price !== undefined) {
+        const priceError = checkAmount(
+          Number(price),
+          bundle.currency,
+          BUNDLE_PRICE_LIMITS
+        );
+        if (priceError) {
+          return next(createError(400, priceError));
+        }
+        bundle.price = Number(price);
+      }
+      if (durationMonths !== undefined) {
+        bundle.durationMonths = durationMonths;
+      }
+
+      let proposed = bundle.members.map((member) => ({
+        creatorId: member.creator,
+        sharePercent: member.sharePercent,
+      }));
+      if (members !== undefined) {
+        const membersError = BundleService.checkMembers(req.user._id, members);
+        if (membersError) {
+          return next(createError(400, membersError));
+        }
+        if (await findMissingCreator(members)) {
+          return next(createError(404, "Creator not found"));
+        }
+        proposed = members;
+      }
+      bundle.members = BundleService.buildMembers(req.user._id, proposed);
+    }
+
+    await bundle.save();
+
+    if (changesTerms) {
+      await BundleService.inviteMembers(bundle);
+    }
+    await populateBundle(bundle);
+
+    res.json({
+      success: true,
+      message: changesTerms
+        ? "Bundle updated. The other creators have to accept the new terms."
+        : "Bundle updated",
+      bundle,
+    });
+  } catch (error) {
+    console.error("Update bundle error:", error);
+    next(error);
+  }
+};
+
+// Accept or decline the terms of a bundle the current creator was invited to
+const respondToBundle = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const bundle = await Bundle.findById(req.params.bundleId);
+    if (!bundle || !bundle.findMember(req.user._id)) {
+      return next(createError(404, "Bundle not found"));
+    }
+
+    const accept = req.body.accept === true || req.body.accept === "true";
+    const updated = await BundleService.respond(bundle, req.user._id, accept);
+    if (!updated) {
+      return next(createError(400, "You have already answered this bundle"));
+    }
+
+    await populateBundle(updated);
+
+    res.json({
+      success: true,
+      message: accept ? "Bundle accepted" : "Bundle declined",
+      bundle: updated,
+    });
+  } catch (error) {
+    console.error("Respond to bundle error:", error);
+    next(error);
+  }
+};
+
+// Put a bundle on sale
+const publishBundle = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const bundle = await Bundle.findById(req.params.bundleId);
+    if (!bundle || !isOwner(bundle, req.user._id)) {
+      return next(createError(404, "Bundle not found"));
+    }
+
+    const result = await BundleService.publish(bundle);
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    await populateBundle(result.bundle);
+
+    res.json({
+      success: true,
+      message: "Bundle is now on sale",
+      bundle: result.bundle,
+    });
+  } catch (error) {
+    console.error("Publish bundle error:", error);
+    next(error);
+  }
+};
+
+// Stop selling a bundle. Existing subscriptions keep their access until
+// they end.
+const archiveBundle = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const bundle = await Bundle.findById(req.params.bundleId);
+    if (!bundle || !isOwner(bundle, req.user._id)) {
+      return next(createError(404, "Bundle not found"));
+    }
+    if (bundle.status === "archived") {
+      return next(createError(400, "Bundle is already archived"));
+    }
+
+    bundle.status = "archived";
+    bundle.archivedAt = new Date();
+    await bundle.save();
+
+    res.json({
+      success: true,
+      message: "Bundle archived",
+      bundle,
+    });
+  } catch (error) {
+    console.error("Archive bundle error:", error);
+    next(error);
+  }
+};
+
+// Subscribe to a bundle
+const subscribeToBundle = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { paymentMethod = "stripe" } = req.body;
+
+    const bundle = await Bundle.findOne({
+      _id: req.params.bundleId,
+      status: "active",
+    });
+    if (!bundle) {
+      return next(createError(404, "Bundle not found"));
+    }
+    if (bundle.findMember(req.user._id)) {
+      return next(createError(400, "You cannot subscribe to your own bundle"));
+    }
+
+    const existing = await Subscription.exists({
+      subscriber: req.user._id,
+      bundle: bundle._id,
+      status: "active",
+      endDate: { $gt: new Date() },
+    });
+    if (existing) {
+      return next(
+        createError(400, "You are already subscribed to this bundle")
+      );
+    }
+
+    const methodError = PaymentService.checkMethod(
+      paymentMethod,
+      bundle.currency
+    );
+    if (methodError) {
+      return next(createError(400, methodError));
+    }
+
+    let checkout;
+    try {
+      checkout = await BundleService.startSubscription(
+        req.user,
+        bundle,
+        paymentMethod
+      );
+    } catch (paymentError) {
+      console.error("Bundle checkout error:", paymentError);
+      return next(createError(502, "Unable to start subscription payment"));
+    }
+
+    const { subscription } = checkout;
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription created, awaiting payment confirmation",
+      clientSecret: checkout.clientSecret,
+      payment: checkout.payment
+        ? PaymentService.describePayment(checkout.payment)
+        : undefined,
+      subscription: {
+        _id: subscription._id,
+        bundle: bundle._id,
+        bundleCreators: subscription.bundleCreators,
+        subscriptionPrice: subscription.subscriptionPrice,
+        currency: subscription.currency,
+        planName: subscription.planName,
+        durationMonths: subscription.durationMonths,
+        status: subscription.status,
+        endDate: subscription.endDate,
+        paymentMethod: subscription.paymentMethod,
+        autoRenew: subscription.autoRenew,
+      },
+    });
+  } catch (error) {
+    console.error("Subscribe to bundle error:", error);
+    next(error);
+  }
+};
+
+// Confirm a bundle subscription after the client completed the card payment
+const confirmBundleSubscription = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    let subscription = await Subscription.findOne({
+      _id: req.params.subscriptionId,
+      subscriber: req.user._id,
+      bundle: { $ne: null },
+    });
+    if (!subscription) {
+      return next(createError(404, "Subscription not found"));
+    }
+
+    // Local payments are settled through /api/payments
+    if (
+      subscription.status === "pending" &&
+      subscription.paymentMethod === "stripe"
+    ) {
+      const payment = await StripeService.getPayment(
+        subscription.paymentIntentId
+      );
+      if (payment.status !== "succeeded") {
+        return next(createError(402, "Payment has not been completed"));
+      }
+
+      subscription = await SubscriptionService.activateSubscription(
+        subscription._id,
+        {
+          amountPaid: payment.amountPaid,
+          paymentIntentId: subscription.paymentIntentId,
+        }
+      );
+    }
+
+    if (subscription.status !== "active") {
+      return next(createError(400, `Subscription is ${subscription.status}`));
+    }
+
+    await subscription.populate([
+      { path: "bundle", select: "name description durationMonths" },
+      { path: "bundleCreators", select: PARTY_FIELDS },
+    ]);
+
+    res.json({
+      success: true,
+      message: "Successfully subscribed to bundle",
+      subscription: {
+        _id: subscription._id,
+        bundle: subscription.bundle,
+        bundleCreators: subscription.bundleCreators,
+        subscriptionPrice: subscription.subscriptionPrice,
+        currency: subscription.currency,
+        status: subscription.status,
+        startDate: subscription.startDate,
+        endDate: subscription.endDate,
+        daysRemaining: subscription.daysRemaining(),
+      },
+    });
+  } catch (error) {
+    console.error("Confirm bundle subscription error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyBundles,
+  getCreatorBundles,
+  getBundle,
+  createBundle,
+  updateBundle,
+  respondToBundle,
+  publishBundle,
+  archiveBundle,
+  subscribeToBundle,
+  confirmBundleSubscription,
+};
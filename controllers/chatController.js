@@ -184,6 +184,11 @@ const sendMessage = async (req, res, next) => {
     const senderRole = req.userRole;
     const senderModel = senderRole === "admin" ? "Admin" : "User";
 
+    // Tip messages are only created once a tip has been paid
+    if (messageType === "tip") {
+      return next(createError(400, "Tips must be sent through the tips API"));
+    }
+
     // Validate receiver exists
     const ReceiverModel = receiverModel === "Admin" ? Admin : User;
     const receiver = await ReceiverModel.findById(receiverId);
@@ -2,6 +2,8 @@ const Content = require("../models/content_model");
 const createError = require("http-errors");
 const { validationResult } = require("express-validator");
 const NotificationService = require("../services/notificationService");
+const PurchaseService = require("../services/purchaseService");
+const { checkAmount } = require("../utils/currency");
 
 // Create content (unified function)
 const createContent = async (req, res, next) => {
@@ -15,9 +17,24 @@ const createContent = async (req, res, next) => {
       return next(createError(400, "No content file uploaded"));
     }
 
-    const { title, description } = req.body;
+    const {
+      title,
+      description,
+      price = 0,
+      priceAppliesTo = "non_subscribers",
+    } = req.body;
     const userId = req.user._id;
 
+    // Prices are in minor units of the creator's pricing currency
+    const currency = req.user.pricingCurrency;
+    const priceError = checkAmount(parseInt(price), currency, {
+      max: PurchaseService.getMaxPrice(),
+      label: "Price",
+    });
+    if (priceError) {
+      return next(createError(400, priceError));
+    }
+
     // Create content record - all content is subscription-only by default
     const content = new Content({
       creator: userId,
@@ -28,6 +45,9 @@ const createContent = async (req, res, next) => {
       mimetype: req.uploadResult.mimetype,
       size: req.uploadResult.size,
       s3Key: req.uploadResult.key,
+      price: parseInt(price),
+      currency,
+      priceAppliesTo,
     });
 
     await content.save();
@@ -45,6 +65,9 @@ const createContent = async (req, res, next) => {
         description: content.description,
         filename: content.filename,
         mimetype: content.mimetype,
+        price: content.price,
+        currency: content.currency,
+        priceAppliesTo: content.priceAppliesTo,
         creator: content.creator,
         createdAt: content.createdAt,
       },
@@ -64,7 +87,7 @@ const updateExclusiveContent = async (req, res, next) => {
     }
 
     const { contentId } = req.params;
-    const { title, description, status } = req.body;
+    const { title, description, status, price, priceAppliesTo } = req.body;
     const userId = req.user._id;
 
     const content = await Content.findById(contentId);
@@ -82,6 +105,20 @@ const updateExclusiveContent = async (req, res, next) => {
     if (title !== undefined) content.title = title;
     if (description !== undefined) content.description = description;
     if (status !== undefined) content.status = status;
+    // A new price is set in the creator's current pricing currency
+    if (price !== undefined) {
+      const currency = req.user.pricingCurrency;
+      const priceError = checkAmount(parseInt(price), currency, {
+        max: PurchaseService.getMaxPrice(),
+        label: "Price",
+      });
+      if (priceError) {
+        return next(createError(400, priceError));
+      }
+      content.price = parseInt(price);
+      content.currency = currency;
+    }
+    if (priceAppliesTo !== undefined) content.priceAppliesTo = priceAppliesTo;
 
     await content.save();
 
@@ -93,6 +130,9 @@ const updateExclusiveContent = async (req, res, next) => {
         title: content.title,
         description: content.description,
         status: content.status,
+        price: content.price,
+        currency: content.currency,
+        priceAppliesTo: content.priceAppliesTo,
         updatedAt: content.updatedAt,
       },
     });
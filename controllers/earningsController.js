@@ -0,0 +1,62 @@
+const createError = require("http-errors");
+const LedgerService = require("../services/ledgerService");
+
+// Get the creator's balance summary, in their pricing currency plus any
+// other currency they still hold earnings in
+const getEarningsSummary = async (req, res, next) => {
+  try {
+    const balance = await LedgerService.getCreatorBalance(req.user._id);
+    const balances = await LedgerService.getCreatorBalances(req.user._id);
+
+    res.json({
+      success: true,
+      earnings: {
+        ...balance,
+        balances,
+        platformFeePercent: LedgerService.getPlatformFeePercent(),
+        holdDays: LedgerService.getHoldDays(),
+      },
+    });
+  } catch (error) {
+    console.error("Get earnings summary error:", error);
+    next(error);
+  }
+};
+
+// Get the creator's ledger transactions
+const getEarningsTransactions = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = Math.min(parseInt(limit), 100);
+
+    if (!pageNum || pageNum < 1 || !limitNum || limitNum < 1) {
+      return next(createError(400, "Invalid pagination parameters"));
+    }
+
+    const { transactions, total } = await LedgerService.getCreatorTransactions(
+      req.user._id,
+      { page: pageNum, limit: limitNum, type }
+    );
+
+    res.json({
+      success: true,
+      transactions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get earnings transactions error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getEarningsSummary,
+  getEarningsTransactions,
+};
@@ -0,0 +1,311 @@
+const Gift = require("../models/gift_model");
+const User = require("../models/user_model");
+const GiftService = require("../services/giftService");
+const SubscriptionService = require("../services/subscriptionService");
+const PaymentService = require("../services/paymentService");
+const StripeService = require("../services/stripeService");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+
+const PARTY_FIELDS = "username firstName lastName profileImage";
+
+// Buy a subscription to a creator for someone else
+const purchaseGift = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const {
+      creatorId,
+      planId,
+      recipientUsername,
+      message,
+      paymentMethod = "stripe",
+    } = req.body;
+
+    const purchaser = await User.findById(req.user._id);
+    if (!purchaser) {
+      return next(createError(403, "Only fans can buy gifts"));
+    }
+    if (creatorId.toString() === purchaser._id.toString()) {
+      return next(
+        createError(400, "You cannot buy a gift subscription to yourself")
+      );
+    }
+
+    const creator = await User.findOne({ _id: creatorId, isActive: true });
+    if (!creator) {
+      return next(createError(404, "Creator not found"));
+    }
+
+    // Without a recipient the gift is a code the buyer passes on
+    let recipient = null;
+    if (recipientUsername) {
+      recipient = await User.findOne({
+        username: recipientUsername,
+        isActive: true,
+      }).select("_id username");
+      if (!recipient) {
+        return next(createError(404, "Recipient not found"));
+      }
+      if (recipient._id.toString() === creator._id.toString()) {
+        return next(
+          createError(400, "Creators cannot receive a gift to themselves")
+        );
+      }
+      if (recipient._id.toString() === purchaser._id.toString()) {
+        return next(
+          createError(400, "Subscribe directly instead of gifting yourself")
+        );
+      }
+    }
+
+    const plan = await SubscriptionService.resolvePlan(creator, planId);
+    if (!plan) {
+      return next(
+        createError(
+          400,
+          planId
+            ? "Subscription plan not found"
+            : "Creator has not set a subscription price"
+        )
+      );
+    }
+
+    const methodError = PaymentService.checkMethod(
+      paymentMethod,
+      plan.currency
+    );
+    if (methodError) {
+      return next(createError(400, methodError));
+    }
+
+    let checkout;
+    try {
+      checkout = await GiftService.startGift(purchaser, {
+        creator,
+        plan,
+        recipient,
+        message,
+        paymentMethod,
+      });
+    } catch (paymentError) {
+      console.error("Gift payment error:", paymentError);
+      return next(createError(502, "Failed to start payment"));
+    }
+
+    res.status(201).json({
+      success: true,
+      message: recipient
+        ? `Gift created. Complete payment to send it to @${recipient.username}.`
+        : "Gift created. Complete payment to get your gift code.",
+      gift: {
+        id: checkout.gift._id,
+        creator: creator._id,
+        recipient: recipient ? recipient._id : null,
+        planName: checkout.gift.planName,
+        durationMonths: checkout.gift.durationMonths,
+        amount: checkout.gift.amount,
+        currency: checkout.gift.currency,
+        paymentMethod: checkout.gift.paymentMethod,
+        status: checkout.gift.status,
+      },
+      clientSecret: checkout.clientSecret,
+      payment: checkout.payment
+        ? PaymentService.describePayment(checkout.payment)
+        : undefined,
+    });
+  } catch (error) {
+    console.error("Purchase gift error:", error);
+    next(error);
+  }
+};
+
+// Confirm a gift after the client completed the card payment
+const confirmGift = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    let gift = await Gift.findOne({
+      _id: req.params.giftId,
+      purchaser: req.user._id,
+    });
+    if (!gift) {
+      return next(createError(404, "Gift not found"));
+    }
+
+    // Local payments are settled through /api/payments
+    if (gift.status === "pending" && gift.paymentMethod === "stripe") {
+      const payment = await StripeService.getPayment(gift.paymentIntentId);
+      if (payment.status !== "succeeded") {
+        return next(createError(402, "Payment has not been completed"));
+      }
+
+      gift = await GiftService.completeGift(gift._id, {
+        amountPaid: payment.amountPaid,
+      });
+    }
+
+    if (!["paid", "redeemed"].includes(gift.status)) {
+      return next(createError(400, `Gift is ${gift.status}`));
+    }
+
+    await gift.populate([
+      { path: "creator", select: PARTY_FIELDS },
+      { path: "recipient", select: PARTY_FIELDS },
+    ]);
+
+    res.json({
+      success: true,
+      message:
+        gift.status === "redeemed"
+          ? "Gift delivered"
+          : "Gift paid. Share the code with its recipient.",
+      gift,
+    });
+  } catch (error) {
+    console.error("Confirm gift error:", error);
+    next(error);
+  }
+};
+
+// Redeem a gift code for the current user
+const redeemGiftCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const recipient = await User.findById(req.user._id).select("_id");
+    if (!recipient) {
+      return next(createError(403, "Only fans can redeem gifts"));
+    }
+
+    const result = await GiftService.findRedeemableCode(req.body.code);
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+    if (result.gift.creator.toString() === recipient._id.toString()) {
+      return next(
+        createError(400, "You cannot redeem a gift to your own content")
+      );
+    }
+
+    const gift = await GiftService.redeemGift(result.gift, recipient._id);
+    if (!gift) {
+      return next(createError(400, "This gift code has already been redeemed"));
+    }
+
+    await gift.populate([
+      { path: "creator", select: PARTY_FIELDS },
+      { path: "subscription", select: "status startDate endDate autoRenew" },
+    ]);
+
+    res.json({
+      success: true,
+      message: gift.extendedExisting
+        ? "Gift redeemed. Your subscription was extended."
+        : "Gift redeemed. Your subscription has started.",
+      gift,
+    });
+  } catch (error) {
+    console.error("Redeem gift error:", error);
+    next(error);
+  }
+};
+
+// List gifts the current user bought, with their codes
+const getSentGifts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {
+      purchaser: req.user._id,
+      status: { $in: ["paid", "redeemed"] },
+    };
+    const [gifts, total] = await Promise.all([
+      Gift.find(query)
+        .populate("creator", PARTY_FIELDS)
+        .populate("recipient", PARTY_FIELDS)
+        .sort({ paidAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Gift.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      gifts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get sent gifts error:", error);
+    next(error);
+  }
+};
+
+// List gifts the current user received
+const getReceivedGifts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { recipient: req.user._id, status: "redeemed" };
+    const [gifts, total] = await Promise.all([
+      Gift.find(query)
+        .select("-code -paymentIntentId")
+        .populate("creator", PARTY_FIELDS)
+        .populate("purchaser", PARTY_FIELDS)
+        .sort({ redeemedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Gift.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      gifts,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get received gifts error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  purchaseGift,
+  confirmGift,
+  redeemGiftCode,
+  getSentGifts,
+  getReceivedGifts,
+};
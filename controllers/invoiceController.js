@@ -0,0 +1,189 @@
+const Invoice = require("../models/invoice_model");
+const InvoiceService = require("../services/invoiceService");
+const {
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderStatementHtml,
+  renderStatementPdf,
+} = require("../utils/invoiceRenderer");
+const { hasPermission } = require("../utils/adminPermissions");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+
+const PARTY_FIELDS = "username firstName lastName email";
+
+// Fee breakdown is creator information; buyers only see what they paid
+const formatInvoice = (invoice, forCreator) => {
+  const formatted = invoice.toJSON();
+  delete formatted.reversals;
+  if (!forCreator) {
+    delete formatted.platformFee;
+    delete formatted.creatorNet;
+  }
+  return formatted;
+};
+
+const isCreatorOf = (invoice, req) =>
+  (req.userRole === "admin" &&
+    hasPermission(req.user.adminRole, "invoices:view")) ||
+  (invoice.creator._id || invoice.creator).toString() ===
+    req.user._id.toString();
+
+// Load an invoice the current user is allowed to see
+const loadInvoice = async (req) => {
+  const invoice = await Invoice.findById(req.params.invoiceId)
+    .populate("buyer", PARTY_FIELDS)
+    .populate("creator", PARTY_FIELDS);
+
+  if (!invoice || !InvoiceService.canView(invoice, req.user, req.userRole)) {
+    throw createError(404, "Invoice not found");
+  }
+  return invoice;
+};
+
+// List the current user's invoices, as a buyer or as a creator
+const getInvoices = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { role = "buyer", sourceType, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { [role]: req.user._id };
+    if (sourceType) {
+      query.sourceType = sourceType;
+    }
+
+    const [invoices, total] = await Promise.all([
+      Invoice.find(query)
+        .populate(role === "buyer" ? "creator" : "buyer", PARTY_FIELDS)
+        .sort({ issuedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Invoice.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      invoices: invoices.map((invoice) =>
+        formatInvoice(invoice, role === "creator")
+      ),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get invoices error:", error);
+    next(error);
+  }
+};
+
+// Get a single invoice
+const getInvoice = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const invoice = await loadInvoice(req);
+
+    res.json({
+      success: true,
+      invoice: formatInvoice(invoice, isCreatorOf(invoice, req)),
+    });
+  } catch (error) {
+    console.error("Get invoice error:", error);
+    next(error);
+  }
+};
+
+// Download an invoice as PDF (default) or HTML
+const downloadInvoice = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const invoice = await loadInvoice(req);
+    const options = { forCreator: isCreatorOf(invoice, req) };
+
+    if (req.query.format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=UTF-8");
+      return res.send(renderInvoiceHtml(invoice, options));
+    }
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="invoice-${invoice.number}.pdf"`
+    );
+    res.send(renderInvoicePdf(invoice, options));
+  } catch (error) {
+    console.error("Download invoice error:", error);
+    next(error);
+  }
+};
+
+// Get the current creator's earnings statement for a month
+const getMonthlyStatement = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const year = parseInt(req.params.year);
+    const month = parseInt(req.params.month);
+    const { format = "json" } = req.query;
+
+    if (new Date(Date.UTC(year, month - 1, 1)) > new Date()) {
+      return next(
+        createError(400, "Statements are only available for past months")
+      );
+    }
+
+    const statement = await InvoiceService.getMonthlyStatement(
+      req.user._id,
+      year,
+      month
+    );
+
+    if (format === "html") {
+      res.setHeader("Content-Type", "text/html; charset=UTF-8");
+      return res.send(renderStatementHtml(statement));
+    }
+
+    if (format === "pdf") {
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="statement-${statement.period.label}.pdf"`
+      );
+      return res.send(renderStatementPdf(statement));
+    }
+
+    res.json({
+      success: true,
+      statement,
+    });
+  } catch (error) {
+    console.error("Get monthly statement error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getInvoices,
+  getInvoice,
+  downloadInvoice,
+  getMonthlyStatement,
+};
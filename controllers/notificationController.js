@@ -1,5 +1,6 @@
 const Notification = require("../models/notification_model");
 const User = require("../models/user_model");
+const AuditService = require("../services/auditService");
 const mongoose = require("mongoose");
 const createError = require("http-errors");
 const { validationResult } = require("express-validator");
@@ -243,6 +244,13 @@ const createNotification = async (req, res, next) => {
       priority,
     });
 
+    AuditService.setContext(req, {
+      action: "notification.create",
+      targetType: "User",
+      targetId: recipientUser._id,
+      metadata: { notificationId: notification._id, type, title, priority },
+    });
+
     await notification.populate({
       path: "sender",
       select: "username firstName lastName profileImage email",
@@ -0,0 +1,172 @@
+const Payment = require("../models/payment_model");
+const PaymentService = require("../services/paymentService");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+const { DEFAULT_CURRENCY } = require("../utils/currency");
+const {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+} = require("../utils/paymentMethods");
+
+// Payment as shown to the payer
+const formatPayment = (payment) => ({
+  ...PaymentService.describePayment(payment),
+  purposeModel: payment.purposeModel,
+  purpose: payment.purpose,
+  failureReason: payment.failureReason,
+  refundRequired: payment.refundRequired,
+  paidAt: payment.paidAt,
+  createdAt: payment.createdAt,
+});
+
+// Payment methods and whether they can be used for a currency
+const getPaymentMethods = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { currency = DEFAULT_CURRENCY } = req.query;
+
+    res.json({
+      success: true,
+      currency,
+      methods: PAYMENT_METHODS.map((method) => ({
+        method,
+        label: PAYMENT_METHOD_LABELS[method],
+        available: !PaymentService.checkMethod(method, currency),
+      })),
+    });
+  } catch (error) {
+    console.error("Get payment methods error:", error);
+    next(error);
+  }
+};
+
+// List the current user's local payments
+const getMyPayments = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { payer: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const [payments, total] = await Promise.all([
+      Payment.find(query)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Payment.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      payments: payments.map(formatPayment),
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get payments error:", error);
+    next(error);
+  }
+};
+
+// Get one of the current user's local payments
+const getPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      payer: req.user._id,
+    }).populate("purpose");
+    if (!payment) {
+      return next(createError(404, "Payment not found"));
+    }
+
+    res.json({
+      success: true,
+      payment: formatPayment(payment),
+    });
+  } catch (error) {
+    console.error("Get payment error:", error);
+    next(error);
+  }
+};
+
+// Check a local payment with its provider after the user came back from
+// paying, and unlock what it paid for
+const confirmPayment = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    let payment = await Payment.findOne({
+      _id: req.params.paymentId,
+      payer: req.user._id,
+    });
+    if (!payment) {
+      return next(createError(404, "Payment not found"));
+    }
+
+    if (payment.status === "pending") {
+      try {
+        payment = await PaymentService.refreshPayment(payment);
+      } catch (providerError) {
+        console.error("Payment provider error:", providerError);
+        return next(createError(502, "Unable to check the payment"));
+      }
+    }
+
+    if (payment.status === "pending") {
+      return next(
+        createError(
+          402,
+          payment.provider === "bank_transfer"
+            ? "The transfer has not been confirmed yet"
+            : "Payment has not been completed"
+        )
+      );
+    }
+    if (payment.status !== "succeeded") {
+      return next(createError(400, `Payment is ${payment.status}`));
+    }
+
+    await payment.populate("purpose");
+
+    res.json({
+      success: true,
+      message: "Payment completed",
+      payment: formatPayment(payment),
+    });
+  } catch (error) {
+    console.error("Confirm payment error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getPaymentMethods,
+  getMyPayments,
+  getPayment,
+  confirmPayment,
+};
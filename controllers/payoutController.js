@@ -0,0 +1,190 @@
+const Payout = require("../models/payout_model");
+const User = require("../models/user_model");
+const LedgerService = require("../services/ledgerService");
+const PayoutService = require("../services/payoutService");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+const { formatMoney } = require("../utils/currency");
+
+// Request a payout of available earnings
+const requestPayout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { amount, payoutMethodId, note } = req.body;
+
+    const creator = await User.findById(req.user._id).select(
+      "username payoutMethods pricingCurrency"
+    );
+    if (!creator) {
+      return next(createError(404, "User not found"));
+    }
+
+    // Use the requested payout method, or fall back to the default one
+    const payoutMethod = payoutMethodId
+      ? creator.payoutMethods.id(payoutMethodId)
+      : creator.payoutMethods.find((method) => method.isDefault);
+    if (!payoutMethod) {
+      return next(
+        createError(
+          400,
+          payoutMethodId
+            ? "Payout method not found"
+            : "Add a default payout method before requesting a payout"
+        )
+      );
+    }
+
+    if (await PayoutService.findOpenPayout(creator._id)) {
+      return next(
+        createError(409, "You already have a payout request in progress")
+      );
+    }
+
+    // Withdraw the full available balance unless an amount is given.
+    // Earnings are paid out in the currency they were earned in.
+    const currency = req.body.currency || creator.pricingCurrency;
+    const { availableBalance } = await LedgerService.getCreatorBalance(
+      creator._id,
+      new Date(),
+      currency
+    );
+    const payoutAmount =
+      amount !== undefined ? parseInt(amount) : availableBalance;
+
+    const minimumAmount = PayoutService.getMinimumAmount(currency);
+    if (payoutAmount < minimumAmount) {
+      return next(
+        createError(
+          400,
+          `Minimum payout amount is ${formatMoney(minimumAmount, currency)}`
+        )
+      );
+    }
+
+    if (payoutAmount > availableBalance) {
+      return next(
+        createError(
+          400,
+          `Amount exceeds your available balance of ${formatMoney(
+            availableBalance,
+            currency
+          )}`
+        )
+      );
+    }
+
+    const payout = await PayoutService.requestPayout(
+      creator,
+      payoutAmount,
+      currency,
+      payoutMethod,
+      note
+    );
+    if (!payout) {
+      return next(
+        createError(409, "You already have a payout request in progress")
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Payout requested successfully",
+      payout,
+    });
+  } catch (error) {
+    console.error("Request payout error:", error);
+    next(error);
+  }
+};
+
+// List the creator's payout requests
+const getMyPayouts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const query = { creator: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const [payouts, total] = await Promise.all([
+      Payout.find(query)
+        .select("-history")
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Payout.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      payouts,
+      minimumAmount: PayoutService.getMinimumAmount(req.user.pricingCurrency),
+      currency: req.user.pricingCurrency,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get payouts error:", error);
+    next(error);
+  }
+};
+
+// Cancel a payout request that has not been approved yet
+const cancelPayout = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const payout = await Payout.findOne({
+      _id: req.params.payoutId,
+      creator: req.user._id,
+    });
+    if (!payout) {
+      return next(createError(404, "Payout not found"));
+    }
+
+    if (!payout.canTransitionTo("cancelled")) {
+      return next(
+        createError(409, `A ${payout.status} payout cannot be cancelled`)
+      );
+    }
+
+    await PayoutService.cancelPayout(payout, req.user._id);
+
+    res.json({
+      success: true,
+      message: "Payout request cancelled",
+      payout,
+    });
+  } catch (error) {
+    if (error.name === "VersionError") {
+      return next(createError(409, "Payout was updated, please try again"));
+    }
+    console.error("Cancel payout error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  requestPayout,
+  getMyPayouts,
+  cancelPayout,
+};
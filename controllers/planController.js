@@ -0,0 +1,223 @@
+const SubscriptionPlan = require("../models/subscription_plan_model");
+const User = require("../models/user_model");
+const PriceChangeService = require("../services/priceChangeService");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+const { checkAmount } = require("../utils/currency");
+
+// Creators can offer a limited number of active plans
+const MAX_ACTIVE_PLANS = 10;
+
+// Plan price range, in whole units of the plan's currency
+const PLAN_PRICE_LIMITS = { min: 0.5, max: 10000, label: "Price" };
+
+// Fields a creator may set on a plan
+const PLAN_FIELDS = [
+  "name",
+  "description",
+  "price",
+  "durationMonths",
+  "tierLevel",
+  "trialDays",
+  "benefits",
+];
+
+const pickPlanFields = (body) =>
+  PLAN_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+
+// Get the current creator's plans (including archived ones)
+const getMyPlans = async (req, res, next) => {
+  try {
+    const plans = await SubscriptionPlan.find({ creator: req.user._id }).sort({
+      isActive: -1,
+      tierLevel: 1,
+      durationMonths: 1,
+    });
+
+    res.json({
+      success: true,
+      plans,
+    });
+  } catch (error) {
+    console.error("Get my plans error:", error);
+    next(error);
+  }
+};
+
+// Get a creator's active plans by username (public)
+const getCreatorPlans = async (req, res, next) => {
+  try {
+    const { username } = req.params;
+
+    const creator = await User.findOne({ username, isActive: true }).select(
+      "_id username subscriptionPrice pricingCurrency"
+    );
+    if (!creator) {
+      return next(createError(404, "User not found"));
+    }
+
+    const plans = await SubscriptionPlan.find({
+      creator: creator._id,
+      isActive: true,
+    }).sort({ tierLevel: 1, durationMonths: 1 });
+
+    res.json({
+      success: true,
+      plans,
+      // Legacy single monthly price, used when no plan is chosen
+      defaultPrice: creator.subscriptionPrice || null,
+      defaultCurrency: creator.pricingCurrency,
+    });
+  } catch (error) {
+    console.error("Get creator plans error:", error);
+    next(error);
+  }
+};
+
+// Create a subscription plan
+const createPlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const activeCount = await SubscriptionPlan.countDocuments({
+      creator: req.user._id,
+      isActive: true,
+    });
+    if (activeCount >= MAX_ACTIVE_PLANS) {
+      return next(
+        createError(
+          400,
+          `You can have at most ${MAX_ACTIVE_PLANS} active plans`
+        )
+      );
+    }
+
+    // Plans are priced in the creator's pricing currency at creation
+    const currency = req.user.pricingCurrency;
+    const priceError = checkAmount(
+      Number(req.body.price),
+      currency,
+      PLAN_PRICE_LIMITS
+    );
+    if (priceError) {
+      return next(createError(400, priceError));
+    }
+
+    const plan = await SubscriptionPlan.create({
+      ...pickPlanFields(req.body),
+      currency,
+      creator: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Subscription plan created successfully",
+      plan,
+    });
+  } catch (error) {
+    console.error("Create plan error:", error);
+    next(error);
+  }
+};
+
+// Update a subscription plan. Existing subscriptions keep the price they
+// were bought at.
+const updatePlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const plan = await SubscriptionPlan.findOne({
+      _id: req.params.planId,
+      creator: req.user._id,
+    });
+    if (!plan) {
+      return next(createError(404, "Subscription plan not found"));
+    }
+
+    if (req.body.price !== undefined) {
+      const priceError = checkAmount(
+        Number(req.body.price),
+        plan.currency,
+        PLAN_PRICE_LIMITS
+      );
+      if (priceError) {
+        return next(createError(400, priceError));
+      }
+    }
+
+    const oldPrice = plan.price;
+    Object.assign(plan, pickPlanFields(req.body));
+    await plan.save();
+
+    // Existing subscribers of the plan follow the chosen price-change policy
+    let priceChange = null;
+    if (plan.price !== oldPrice) {
+      priceChange = await PriceChangeService.changePrice({
+        creatorId: req.user._id,
+        planId: plan._id,
+        oldPrice,
+        newPrice: plan.price,
+        currency: plan.currency,
+        policy: req.body.priceChangePolicy,
+        changedBy: req.user._id,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Subscription plan updated successfully",
+      plan,
+      priceChange,
+    });
+  } catch (error) {
+    console.error("Update plan error:", error);
+    next(error);
+  }
+};
+
+// Archive a subscription plan so it can no longer be bought
+const archivePlan = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const plan = await SubscriptionPlan.findOneAndUpdate(
+      { _id: req.params.planId, creator: req.user._id },
+      { isActive: false },
+      { new: true }
+    );
+    if (!plan) {
+      return next(createError(404, "Subscription plan not found"));
+    }
+
+    res.json({
+      success: true,
+      message: "Subscription plan archived",
+      plan,
+    });
+  } catch (error) {
+    console.error("Archive plan error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyPlans,
+  getCreatorPlans,
+  createPlan,
+  updatePlan,
+  archivePlan,
+};
@@ -4,12 +4,15 @@ const Subscription = require("../models/subscription_model");
 const createError = require("http-errors");
 const { validationResult } = require("express-validator");
 const NotificationService = require("../services/notificationService");
+const PurchaseService = require("../services/purchaseService");
+const AnalyticsService = require("../services/analyticsService");
+const { checkAmount } = require("../utils/currency");
 
 // Helper function to get real-time subscriber count
 const getSubscriberCount = async (userId) => {
   try {
     const count = await Subscription.countDocuments({
-      creator: userId,
+      $or: [{ creator: userId }, { bundleCreators: userId }],
       status: "active",
       endDate: { $gt: new Date() }, // Not expired
     });
@@ -20,6 +23,22 @@ const getSubscriberCount = async (userId) => {
   }
 };
 
+// Hide the media of a pay-per-view post the viewer has not unlocked
+const applyPostLock = (formattedPost, isLocked) => {
+  if (!isLocked) {
+    return { ...formattedPost, isLocked: false };
+  }
+
+  return {
+    ...formattedPost,
+    images: [],
+    videos: [],
+    mediaCount:
+      (formattedPost.images?.length || 0) + (formattedPost.videos?.length || 0),
+    isLocked: true,
+  };
+};
+
 // Get current user's posts
 const getMyPosts = async (req, res, next) => {
   try {
@@ -62,6 +81,10 @@ const getMyPosts = async (req, res, next) => {
       images: post.images,
       videos: post.videos,
       visibility: post.visibility,
+      minimumTierLevel: post.minimumTierLevel || 1,
+      price: post.price || 0,
+      currency: post.currency,
+      priceAppliesTo: post.priceAppliesTo || "non_subscribers",
       tags: post.tags,
       likeCount: post.likes?.length || 0,
       commentCount: post.comments?.filter((c) => !c.isDeleted).length || 0,
@@ -106,12 +129,25 @@ const createPost = async (req, res, next) => {
       images = [],
       videos = [],
       visibility = "public",
+      minimumTierLevel = 1,
+      price = 0,
+      priceAppliesTo = "non_subscribers",
       tags = [],
       scheduledAt = null,
     } = req.body;
 
     const userId = req.user._id;
 
+    // Prices are in minor units of the creator's pricing currency
+    const currency = req.user.pricingCurrency;
+    const priceError = checkAmount(parseInt(price), currency, {
+      max: PurchaseService.getMaxPrice(),
+      label: "Price",
+    });
+    if (priceError) {
+      return next(createError(400, priceError));
+    }
+
     // Create new post
     const post = new Post({
       author: userId,
@@ -119,6 +155,10 @@ const createPost = async (req, res, next) => {
       images,
       videos,
       visibility,
+      minimumTierLevel: parseInt(minimumTierLevel),
+      price: parseInt(price),
+      currency,
+      priceAppliesTo,
       tags: tags.map((tag) => tag.toLowerCase().trim()),
       scheduledAt: scheduledAt ? new Date(scheduledAt) : null,
       publishedAt: scheduledAt ? null : new Date(),
@@ -136,6 +176,10 @@ const createPost = async (req, res, next) => {
         images: post.images,
         videos: post.videos,
         visibility: post.visibility,
+        minimumTierLevel: post.minimumTierLevel || 1,
+        price: post.price || 0,
+        currency: post.currency,
+        priceAppliesTo: post.priceAppliesTo || "non_subscribers",
         tags: post.tags,
         likeCount: 0,
         commentCount: 0,
@@ -244,9 +288,25 @@ const createPostWithMedia = async (req, res, next) => {
       return next(createError(400, errors.array()[0].msg));
     }
 
-    const { title, description } = req.body;
+    const {
+      title,
+      description,
+      minimumTierLevel = 1,
+      price = 0,
+      priceAppliesTo = "non_subscribers",
+    } = req.body;
     const userId = req.user._id;
 
+    // Prices are in minor units of the creator's pricing currency
+    const currency = req.user.pricingCurrency;
+    const priceError = checkAmount(parseInt(price), currency, {
+      max: PurchaseService.getMaxPrice(),
+      label: "Price",
+    });
+    if (priceError) {
+      return next(createError(400, priceError));
+    }
+
     // Check if media was uploaded through the middleware
     if (!req.uploadResult) {
       return next(createError(400, "Media upload is required"));
@@ -288,6 +348,10 @@ const createPostWithMedia = async (req, res, next) => {
       images,
       videos,
       visibility: "subscribers", // Only subscribers can see exclusive content
+      minimumTierLevel: parseInt(minimumTierLevel),
+      price: parseInt(price),
+      currency,
+      priceAppliesTo,
       publishedAt: new Date(),
     });
 
@@ -304,6 +368,10 @@ const createPostWithMedia = async (req, res, next) => {
         images: post.images,
         videos: post.videos,
         visibility: post.visibility,
+        minimumTierLevel: post.minimumTierLevel || 1,
+        price: post.price || 0,
+        currency: post.currency,
+        priceAppliesTo: post.priceAppliesTo || "non_subscribers",
         likeCount: 0,
         commentCount: 0,
         author: post.author,
@@ -333,13 +401,27 @@ const getHomeFeed = async (req, res, next) => {
       subscriber: userId,
       status: "active",
       endDate: { $gt: new Date() }, // Not expired
-    }).select("creator");
+    }).select("creator tierLevel bundle bundleCreators");
+
+    // Extract creator IDs (every creator of a bundle)
+    const creatorIds = subscriptions.flatMap((sub) => sub.getCreatorIds());
 
-    // Extract creator IDs
-    const creatorIds = subscriptions.map((sub) => sub.creator);
+    const subscribedCreators = new Set(creatorIds.map((id) => id.toString()));
+
+    // Pay-per-view posts the user has unlocked
+    const purchasedPostIds = await PurchaseService.getPurchasedItemIds(
+      userId,
+      "Post"
+    );
 
-    // Add the current user's own ID to see their own posts
-    const allAuthorIds = [...creatorIds, userId];
+    // Locked when the viewer would have to buy the post and has not
+    const isPostLocked = (post) =>
+      post.author._id.toString() !== userId.toString() &&
+      PurchaseService.requiresPurchase(
+        post,
+        subscribedCreators.has(post.author._id.toString())
+      ) &&
+      !purchasedPostIds.has(post._id.toString());
 
     // If no subscriptions, still show user's own posts
     if (creatorIds.length === 0) {
@@ -351,7 +433,7 @@ const getHomeFeed = async (req, res, next) => {
       })
         .populate(
           "author",
-          "username firstName lastName profileImage subscriptionPrice"
+          "username firstName lastName profileImage subscriptionPrice pricingCurrency"
         )
         .sort({ publishedAt: -1 })
         .limit(limitNum)
@@ -366,7 +448,7 @@ const getHomeFeed = async (req, res, next) => {
       })
         .populate(
           "author",
-          "username firstName lastName profileImage subscriptionPrice"
+          "username firstName lastName profileImage subscriptionPrice pricingCurrency"
         )
         .sort({ likeCount: -1, createdAt: -1 })
         .limit(Math.max(0, limitNum - userPosts.length)) // Fill remaining slots with suggestions
@@ -383,30 +465,43 @@ const getHomeFeed = async (req, res, next) => {
           const subscriberCount = await getSubscriberCount(post.author._id);
           const isOwnPost = post.author._id.toString() === userId.toString();
 
-          return {
-            _id: post._id,
-            title: post.title,
-            content: post.content,
-            images: post.images,
-            videos: post.videos,
-            visibility: post.visibility,
-            tags: post.tags,
-            likeCount: post.likes?.length || 0,
-            commentCount:
-              post.comments?.filter((c) => !c.isDeleted).length || 0,
-            isLiked,
-            author: {
-              ...post.author,
-              subscriberCount,
+          return applyPostLock(
+            {
+              _id: post._id,
+              title: post.title,
+              content: post.content,
+              images: post.images,
+              videos: post.videos,
+              visibility: post.visibility,
+              minimumTierLevel: post.minimumTierLevel || 1,
+              price: post.price || 0,
+              currency: post.currency,
+              priceAppliesTo: post.priceAppliesTo || "non_subscribers",
+              tags: post.tags,
+              likeCount: post.likes?.length || 0,
+              commentCount:
+                post.comments?.filter((c) => !c.isDeleted).length || 0,
+              isLiked,
+              author: {
+                ...post.author,
+                subscriberCount,
+              },
+              createdAt: post.createdAt,
+              updatedAt: post.updatedAt,
+              publishedAt: post.publishedAt,
+              isOwnPost,
             },
-            createdAt: post.createdAt,
-            updatedAt: post.updatedAt,
-            publishedAt: post.publishedAt,
-            isOwnPost,
-          };
+            isPostLocked(post)
+          );
         })
       );
 
+      // Count views for creator analytics without holding up the feed
+      AnalyticsService.recordViews(allPosts, {
+        viewer: userId,
+        source: "feed",
+      });
+
       return res.json({
         success: true,
         message:
@@ -429,13 +524,22 @@ const getHomeFeed = async (req, res, next) => {
 
     // Build query for posts from subscribed creators AND user's own posts
     const query = {
-      author: { $in: allAuthorIds },
       isActive: true,
       publishedAt: { $lte: new Date() }, // Only published posts
       $or: [
-        { visibility: "public" },
-        { visibility: "subscribers" }, // User is subscribed, so can see subscriber-only content
+        { author: { $in: creatorIds }, visibility: "public" },
         { author: userId }, // User can always see their own posts regardless of visibility
+        // Subscriber-only posts up to the tier of each subscription
+        ...subscriptions.map((sub) => ({
+          author: { $in: sub.getCreatorIds() },
+          visibility: "subscribers",
+          $or: [
+            { minimumTierLevel: { $lte: sub.tierLevel || 1 } },
+            { minimumTierLevel: null },
+          ],
+        })),
+        // Posts bought from creators the user is not subscribed to
+        { _id: { $in: [...purchasedPostIds] } },
       ],
     };
 
@@ -446,7 +550,7 @@ const getHomeFeed = async (req, res, next) => {
     const posts = await Post.find(query)
       .populate(
         "author",
-        "username firstName lastName profileImage subscriptionPrice"
+        "username firstName lastName profileImage subscriptionPrice pricingCurrency"
       )
       .sort({ publishedAt: -1 })
       .skip(skip)
@@ -462,31 +566,41 @@ const getHomeFeed = async (req, res, next) => {
         const subscriberCount = await getSubscriberCount(post.author._id);
         const isOwnPost = post.author._id.toString() === userId.toString();
 
-        return {
-          _id: post._id,
-          title: post.title,
-          content: post.content,
-          images: post.images,
-          videos: post.videos,
-          visibility: post.visibility,
-          tags: post.tags,
-          likeCount: post.likes?.length || 0,
-          commentCount: post.comments?.filter((c) => !c.isDeleted).length || 0,
-          isLiked,
-          author: {
-            ...post.author,
-            subscriberCount,
+        return applyPostLock(
+          {
+            _id: post._id,
+            title: post.title,
+            content: post.content,
+            images: post.images,
+            videos: post.videos,
+            visibility: post.visibility,
+            minimumTierLevel: post.minimumTierLevel || 1,
+            price: post.price || 0,
+            currency: post.currency,
+            priceAppliesTo: post.priceAppliesTo || "non_subscribers",
+            tags: post.tags,
+            likeCount: post.likes?.length || 0,
+            commentCount:
+              post.comments?.filter((c) => !c.isDeleted).length || 0,
+            isLiked,
+            author: {
+              ...post.author,
+              subscriberCount,
+            },
+            createdAt: post.createdAt,
+            updatedAt: post.updatedAt,
+            publishedAt: post.publishedAt,
+            isOwnPost,
           },
-          createdAt: post.createdAt,
-          updatedAt: post.updatedAt,
-          publishedAt: post.publishedAt,
-          isOwnPost,
-        };
+          isPostLocked(post)
+        );
       })
     );
 
     const totalPages = Math.ceil(totalCount / limitNum);
 
+    AnalyticsService.recordViews(posts, { viewer: userId, source: "feed" });
+
     res.json({
       success: true,
       posts: formattedPosts,
@@ -515,9 +629,9 @@ const getPostsByUsername = async (req, res, next) => {
 
     // Find user by username
     const user = await User.findOne({ username, isActive: true }).select(
-      "_id username firstName lastName profileImage bio subscriptionPrice"
+      "_id username firstName lastName profileImage bio subscriptionPrice pricingCurrency"
     );
-    const requestingUserId = user._id ? user._id : null;
+    const requestingUserId = req.user ? req.user._id : null;
 
     if (!user) {
       return next(createError(404, "User not found"));
@@ -536,7 +650,7 @@ const getPostsByUsername = async (req, res, next) => {
     })
       .populate(
         "author",
-        "username firstName lastName profileImage subscriptionPrice"
+        "username firstName lastName profileImage subscriptionPrice pricingCurrency"
       )
       .sort({ publishedAt: -1 })
       .skip(skip)
@@ -561,28 +675,45 @@ const getPostsByUsername = async (req, res, next) => {
             )
           : false;
 
-        return {
-          _id: post._id,
-          title: post.title,
-          content: post.content,
-          images: post.images,
-          videos: post.videos,
-          visibility: post.visibility,
-          tags: post.tags,
-          likeCount: post.likes?.length || 0,
-          commentCount: post.comments?.filter((c) => !c.isDeleted).length || 0,
-          isLiked,
-          author: {
-            ...post.author,
-            subscriberCount,
+        return applyPostLock(
+          {
+            _id: post._id,
+            title: post.title,
+            content: post.content,
+            images: post.images,
+            videos: post.videos,
+            visibility: post.visibility,
+            minimumTierLevel: post.minimumTierLevel || 1,
+            price: post.price || 0,
+            currency: post.currency,
+            priceAppliesTo: post.priceAppliesTo || "non_subscribers",
+            tags: post.tags,
+            likeCount: post.likes?.length || 0,
+            commentCount:
+              post.comments?.filter((c) => !c.isDeleted).length || 0,
+            isLiked,
+            author: {
+              ...post.author,
+              subscriberCount,
+            },
+            createdAt: post.createdAt,
+            updatedAt: post.updatedAt,
+            publishedAt: post.publishedAt,
           },
-          createdAt: post.createdAt,
-          updatedAt: post.updatedAt,
-          publishedAt: post.publishedAt,
-        };
+          // Media of posts the visitor isn't entitled to (subscription,
+          // tier or purchase) stays hidden
+          !(await PurchaseService.canAccess(requestingUserId, "Post", post))
+        );
       })
     );
 
+    // Profile visitors may not be signed in
+    AnalyticsService.recordViews(posts, {
+      viewer: req.user ? req.user._id : null,
+      ip: req.ip,
+      source: "profile",
+    });
+
     res.json({
       success: true,
       user: {
@@ -0,0 +1,298 @@
+const PromoCode = require("../models/promo_code_model");
+const PromoRedemption = require("../models/promo_redemption_model");
+const SubscriptionPlan = require("../models/subscription_plan_model");
+const User = require("../models/user_model");
+const PromoService = require("../services/promoService");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+const { isChargeableAmount } = require("../utils/currency");
+
+// Get the current creator's promo codes
+const getMyPromoCodes = async (req, res, next) => {
+  try {
+    const promoCodes = await PromoCode.find({ creator: req.user._id })
+      .populate("plans", "name price durationMonths tierLevel")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      promoCodes,
+    });
+  } catch (error) {
+    console.error("Get promo codes error:", error);
+    next(error);
+  }
+};
+
+// Create a promo code
+const createPromoCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const {
+      code,
+      campaign,
+      discountType,
+      discountValue,
+      firstPeriodOnly = true,
+      plans = [],
+      maxRedemptions = null,
+      expiresAt = null,
+    } = req.body;
+    const currency = req.user.pricingCurrency;
+
+    if (
+      discountType === "fixed" &&
+      !isChargeableAmount(discountValue, currency)
+    ) {
+      return next(
+        createError(
+          400,
+          `Fixed discount must be a whole amount of ${currency.toUpperCase()} minor units`
+        )
+      );
+    }
+
+    // Plan restrictions must point at the creator's own plans
+    if (plans.length > 0) {
+      const ownPlans = await SubscriptionPlan.countDocuments({
+        _id: { $in: plans },
+        creator: req.user._id,
+      });
+      if (ownPlans !== plans.length) {
+        return next(createError(400, "One or more plans were not found"));
+      }
+    }
+
+    if (expiresAt && new Date(expiresAt) <= new Date()) {
+      return next(createError(400, "Expiry date must be in the future"));
+    }
+
+    const exists = await PromoCode.exists({
+      creator: req.user._id,
+      code: code.toUpperCase(),
+    });
+    if (exists) {
+      return next(
+        createError(400, "You already have a promo code with this code")
+      );
+    }
+
+    const promoCode = await PromoCode.create({
+      creator: req.user._id,
+      code,
+      campaign,
+      discountType,
+      discountValue,
+      currency,
+      firstPeriodOnly: discountType === "free_trial" ? true : firstPeriodOnly,
+      plans,
+      maxRedemptions,
+      expiresAt,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Promo code created successfully",
+      promoCode,
+    });
+  } catch (error) {
+    console.error("Create promo code error:", error);
+    next(error);
+  }
+};
+
+// Update the limits or status of a promo code
+const updatePromoCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const promoCode = await PromoCode.findOne({
+      _id: req.params.promoId,
+      creator: req.user._id,
+    });
+    if (!promoCode) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    ["campaign", "maxRedemptions", "expiresAt", "isActive"].forEach((key) => {
+      if (req.body[key] !== undefined) {
+        promoCode[key] = req.body[key];
+      }
+    });
+
+    if (
+      promoCode.maxRedemptions &&
+      promoCode.maxRedemptions < promoCode.redemptionCount
+    ) {
+      return next(
+        createError(
+          400,
+          `Maximum redemptions cannot be below the ${promoCode.redemptionCount} already used`
+        )
+      );
+    }
+
+    await promoCode.save();
+
+    res.json({
+      success: true,
+      message: "Promo code updated successfully",
+      promoCode,
+    });
+  } catch (error) {
+    console.error("Update promo code error:", error);
+    next(error);
+  }
+};
+
+// Deactivate a promo code (redemptions are kept for reporting)
+const deactivatePromoCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const promoCode = await PromoCode.findOneAndUpdate(
+      { _id: req.params.promoId, creator: req.user._id },
+      { isActive: false },
+      { new: true }
+    );
+    if (!promoCode) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    res.json({
+      success: true,
+      message: "Promo code deactivated",
+      promoCode,
+    });
+  } catch (error) {
+    console.error("Deactivate promo code error:", error);
+    next(error);
+  }
+};
+
+// List the subscribers who redeemed a promo code
+const getPromoRedemptions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = Math.max(1, parseInt(page) || 1);
+    const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+    const promoCode = await PromoCode.findOne({
+      _id: req.params.promoId,
+      creator: req.user._id,
+    });
+    if (!promoCode) {
+      return next(createError(404, "Promo code not found"));
+    }
+
+    const query = { promoCode: promoCode._id, status: "redeemed" };
+    const [redemptions, total] = await Promise.all([
+      PromoRedemption.find(query)
+        .populate("subscriber", "username firstName lastName profileImage")
+        .populate("subscription", "status planName totalPaid endDate")
+        .sort({ redeemedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      PromoRedemption.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      promoCode,
+      redemptions,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get promo redemptions error:", error);
+    next(error);
+  }
+};
+
+// Summarise redemptions per campaign
+const getPromoReport = async (req, res, next) => {
+  try {
+    const campaigns = await PromoService.getCampaignReport(req.user._id);
+
+    res.json({
+      success: true,
+      campaigns,
+    });
+  } catch (error) {
+    console.error("Get promo report error:", error);
+    next(error);
+  }
+};
+
+// Check a creator's promo code before subscribing
+const checkPromoCode = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { username, code } = req.params;
+    const { planId } = req.query;
+
+    const creator = await User.findOne({ username, isActive: true }).select(
+      "_id"
+    );
+    if (!creator) {
+      return next(createError(404, "User not found"));
+    }
+
+    const { promo, error } = await PromoService.findRedeemableCode(
+      creator._id,
+      code,
+      planId
+    );
+    if (error) {
+      return next(createError(400, error));
+    }
+
+    res.json({
+      success: true,
+      promoCode: {
+        code: promo.code,
+        discountType: promo.discountType,
+        discountValue: promo.discountValue,
+        currency: promo.currency,
+        firstPeriodOnly: promo.firstPeriodOnly,
+        expiresAt: promo.expiresAt,
+      },
+    });
+  } catch (error) {
+    console.error("Check promo code error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+  getPromoRedemptions,
+  getPromoReport,
+  checkPromoCode,
+};
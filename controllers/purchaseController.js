@@ -0,0 +1,211 @@
+const Purchase = require("../models/purchase_model");
+const Post = require("../models/post_model");
+const Content = require("../models/content_model");
+const User = require("../models/user_model");
+const PurchaseService = require("../services/purchaseService");
+const StripeService = require("../services/stripeService");
+const PaymentService = require("../services/paymentService");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+
+// Start checkout for a priced Post or Content item
+const startItemPurchase = async (req, res, next, itemType, item) => {
+  if (!item) {
+    return next(createError(404, `${itemType} not found`));
+  }
+
+  const creatorId = itemType === "Post" ? item.author : item.creator;
+  if (creatorId.toString() === req.user._id.toString()) {
+    return next(createError(400, "You cannot purchase your own content"));
+  }
+
+  const isSubscriber = await PurchaseService.isSubscribed(
+    req.user._id,
+    creatorId
+  );
+  if (!PurchaseService.requiresPurchase(item, isSubscriber)) {
+    return next(createError(400, "This item is not for sale to you"));
+  }
+
+  if (await PurchaseService.hasPurchased(req.user._id, itemType, item._id)) {
+    return next(createError(400, "You already own this item"));
+  }
+
+  const { paymentMethod = "stripe" } = req.body;
+  const methodError = PaymentService.checkMethod(paymentMethod, item.currency);
+  if (methodError) {
+    return next(createError(400, methodError));
+  }
+
+  const buyer = await User.findById(req.user._id);
+
+  let checkout;
+  try {
+    checkout = await PurchaseService.startPurchase(
+      buyer,
+      itemType,
+      item,
+      paymentMethod
+    );
+  } catch (paymentError) {
+    console.error("Purchase payment error:", paymentError);
+    return next(createError(502, "Failed to start payment"));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Purchase created. Complete payment to unlock the item.",
+    purchase: {
+      id: checkout.purchase._id,
+      itemType,
+      item: item._id,
+      amount: checkout.purchase.amount,
+      currency: checkout.purchase.currency,
+      paymentMethod: checkout.purchase.paymentMethod,
+      status: checkout.purchase.status,
+    },
+    clientSecret: checkout.clientSecret,
+    payment: checkout.payment
+      ? PaymentService.describePayment(checkout.payment)
+      : undefined,
+  });
+};
+
+// Buy a single post
+const purchasePost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const post = await Post.findOne({
+      _id: req.params.postId,
+      isActive: true,
+      visibility: { $ne: "private" },
+    });
+
+    await startItemPurchase(req, res, next, "Post", post);
+  } catch (error) {
+    console.error("Purchase post error:", error);
+    next(error);
+  }
+};
+
+// Buy a single content item
+const purchaseContent = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const content = await Content.findOne({
+      _id: req.params.contentId,
+      status: "published",
+    });
+
+    await startItemPurchase(req, res, next, "Content", content);
+  } catch (error) {
+    console.error("Purchase content error:", error);
+    next(error);
+  }
+};
+
+// Confirm a purchase after the client completed the payment
+const confirmPurchase = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const purchase = await Purchase.findOne({
+      _id: req.params.purchaseId,
+      buyer: req.user._id,
+    });
+    if (!purchase) {
+      return next(createError(404, "Purchase not found"));
+    }
+
+    // Local payments are settled through /api/payments
+    if (purchase.status === "pending" && purchase.paymentMethod === "stripe") {
+      if (!purchase.paymentIntentId) {
+        return next(createError(400, "Purchase has no payment"));
+      }
+
+      const payment = await StripeService.getPayment(purchase.paymentIntentId);
+      if (payment.status !== "succeeded") {
+        return next(createError(402, "Payment has not been completed"));
+      }
+
+      await PurchaseService.completePurchase(purchase._id, {
+        amountPaid: payment.amountPaid,
+      });
+    }
+
+    const updated = await Purchase.findById(purchase._id);
+    if (updated.status !== "completed") {
+      return next(createError(400, `Purchase is ${updated.status}`));
+    }
+
+    res.json({
+      success: true,
+      message: "Purchase completed. The item is now unlocked.",
+      purchase: updated,
+    });
+  } catch (error) {
+    console.error("Confirm purchase error:", error);
+    next(error);
+  }
+};
+
+// List the current user's completed purchases
+const getMyPurchases = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { itemType, page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = { buyer: req.user._id, status: "completed" };
+    if (itemType) {
+      query.itemType = itemType;
+    }
+
+    const [purchases, total] = await Promise.all([
+      Purchase.find(query)
+        .populate("creator", "username firstName lastName profileImage")
+        .populate("item")
+        .sort({ purchasedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Purchase.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      purchases,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get purchases error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  purchasePost,
+  purchaseContent,
+  confirmPurchase,
+  getMyPurchases,
+};
@@ -2,7 +2,14 @@ const Subscription = require("../models/subscription_model");
 const User = require("../models/user_model");
 const createError = require("http-errors");
 const { validationResult } = require("express-validator");
-const NotificationService = require("../services/notificationService");
+const StripeService = require("../services/stripeService");
+const SubscriptionService = require("../services/subscriptionService");
+const PromoService = require("../services/promoService");
+const PaymentService = require("../services/paymentService");
+const { formatMoney } = require("../utils/currency");
+const { LOCAL_PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // Subscribe to a creator
 const subscribeToCreator = async (req, res, next) => {
@@ -13,7 +20,12 @@ const subscribeToCreator = async (req, res, next) => {
       return next(createError(400, errors.array()[0].msg));
     }
 
-    const { creatorId, paymentMethod = "stripe" } = req.body;
+    const {
+      creatorId,
+      planId,
+      promoCode: enteredCode,
+      paymentMethod = "stripe",
+    } = req.body;
     const subscriberId = req.user._id;
 
     // Prevent self-subscription
@@ -21,18 +33,36 @@ const subscribeToCreator = async (req, res, next) => {
       return next(createError(400, "You cannot subscribe to yourself"));
     }
 
-    // Check if creator exists and has subscription price set
+    // Check if creator exists and has something to subscribe to
     const creator = await User.findById(creatorId);
     if (!creator) {
       return next(createError(404, "Creator not found"));
     }
 
-    if (!creator.subscriptionPrice || creator.subscriptionPrice <= 0) {
-      return next(createError(400, "Creator has not set a subscription price"));
+    const selectedPlan = await SubscriptionService.resolvePlan(creator, planId);
+    if (!selectedPlan) {
+      return next(
+        createError(
+          400,
+          planId
+            ? "Subscription plan not found"
+            : "Creator has not set a subscription price"
+        )
+      );
+    }
+
+    const methodError = PaymentService.checkMethod(
+      paymentMethod,
+      selectedPlan.currency
+    );
+    if (methodError) {
+      return next(createError(400, methodError));
     }
+    // Local methods pay each period up front and never save a card
+    const isLocalPayment = LOCAL_PAYMENT_METHODS.includes(paymentMethod);
 
-    // Check if already subscribed
-    const existingSubscription = await Subscription.findActiveSubscription(
+    // Check if already subscribed (a bundle does not stop a direct one)
+    const existingSubscription = await Subscription.findDirectSubscription(
       subscriberId,
       creatorId
     );
@@ -43,66 +73,297 @@ const subscribeToCreator = async (req, res, next) => {
       );
     }
 
-    // Calculate subscription end date (1 month from now)
-    const endDate = new Date();
-    endDate.setMonth(endDate.getMonth() + 1);
+    let promo = null;
+    if (enteredCode) {
+      const result = await PromoService.findRedeemableCode(
+        creatorId,
+        enteredCode,
+        selectedPlan.plan ? selectedPlan.plan._id : null,
+        selectedPlan.currency
+      );
+      if (result.error) {
+        return next(createError(400, result.error));
+      }
+      promo = result.promo;
+    }
+    if (isLocalPayment && promo && promo.discountType === "free_trial") {
+      return next(
+        createError(400, "Free trial codes need a card payment method")
+      );
+    }
+
+    // Plan trials are for first-time subscribers; a discount code replaces
+    // the trial so the discount lands on the first paid period
+    let trialDays = 0;
+    if (promo && promo.discountType === "free_trial") {
+      trialDays = promo.discountValue;
+    } else if (!promo && !isLocalPayment && selectedPlan.trialDays > 0) {
+      const isReturningSubscriber = await Subscription.exists({
+        subscriber: subscriberId,
+        creator: creatorId,
+        $or: [
+          { lastPaymentDate: { $exists: true } },
+          { trialEndsAt: { $exists: true } },
+        ],
+      });
+      trialDays = isReturningSubscriber ? 0 : selectedPlan.trialDays;
+    }
+    const discountAmount = promo
+      ? promo.calculateDiscount(selectedPlan.price)
+      : 0;
+
+    // Drop any earlier checkout that was never paid
+    const abandoned = await Subscription.find({
+      subscriber: subscriberId,
+      creator: creatorId,
+      bundle: null,
+      status: "pending",
+    }).select("_id");
+    await Subscription.updateMany(
+      { _id: { $in: abandoned.map((sub) => sub._id) } },
+      {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelReason: "Checkout abandoned",
+        autoRenew: false,
+      }
+    );
+    for (const sub of abandoned) {
+      await PromoService.releaseRedemption(sub._id);
+    }
+    await PaymentService.cancelForPurposes(
+      "Subscription",
+      abandoned.map((sub) => sub._id),
+      "Checkout abandoned"
+    );
 
-    const nextBillingDate = new Date(endDate);
+    // Tentative period; the real one starts when the payment is confirmed
+    const endDate = trialDays
+      ? new Date(Date.now() + trialDays * DAY_MS)
+      : SubscriptionService.calculatePeriodEnd(
+          new Date(),
+          selectedPlan.durationMonths
+        );
 
-    // Create subscription
+    // Subscription stays pending until payment is confirmed
     const subscription = new Subscription({
       subscriber: subscriberId,
       creator: creatorId,
-      subscriptionPrice: creator.subscriptionPrice,
-      status: "active", // In real implementation, this would be "pending" until payment
+      subscriptionPrice: selectedPlan.price,
+      currency: selectedPlan.currency,
+      plan: selectedPlan.plan ? selectedPlan.plan._id : undefined,
+      planName: selectedPlan.name,
+      tierLevel: selectedPlan.tierLevel,
+      durationMonths: selectedPlan.durationMonths,
+      promoCode: promo ? promo._id : undefined,
+      trialEndsAt: trialDays ? endDate : undefined,
+      status: "pending",
       endDate,
-      nextBillingDate,
       paymentMethod,
-      totalPaid: creator.subscriptionPrice,
-      lastPaymentDate: new Date(),
+      autoRenew: !isLocalPayment,
     });
 
     await subscription.save();
 
-    // Create notification for new subscription
+    if (
+      promo &&
+      !(await PromoService.reserveRedemption(promo, subscription, {
+        discountAmount,
+        trialDays,
+      }))
+    ) {
+      await Subscription.findByIdAndDelete(subscription._id);
+      return next(createError(400, "This promo code has already been used"));
+    }
+
+    const amountDue = selectedPlan.price - discountAmount;
+    const description = `${selectedPlan.durationMonths}-month subscription to ${creator.username}`;
+
+    let checkout;
     try {
-      await NotificationService.createSubscriptionNotification(
-        subscriberId,
-        creatorId,
-        subscription._id
-      );
-    } catch (notificationError) {
-      console.error(
-        "Error creating subscription notification:",
-        notificationError
+      if (isLocalPayment) {
+        checkout =
+          amountDue > 0
+            ? await PaymentService.startPayment(paymentMethod, {
+                amount: amountDue,
+                currency: selectedPlan.currency,
+                payer: req.user,
+                purposeModel: "Subscription",
+                purpose: subscription._id,
+                description,
+              })
+            : {};
+      } else {
+        const couponId = promo
+          ? await PromoService.getStripeCouponId(promo)
+          : null;
+        const customer = await StripeService.createOrGetCustomer(req.user);
+        checkout = await StripeService.createSubscription(
+          customer.id,
+          {
+            amount: selectedPlan.price,
+            currency: selectedPlan.currency,
+            interval: "month",
+            intervalCount: selectedPlan.durationMonths,
+            productName: `${selectedPlan.name} subscription to ${creator.username}`,
+            description,
+          },
+          {
+            subscriptionId: subscription._id.toString(),
+            subscriberId: subscriberId.toString(),
+            creatorId: creatorId.toString(),
+          },
+          { trialDays, couponId }
+        );
+      }
+    } catch (paymentError) {
+      console.error("Subscription checkout error:", paymentError);
+      await PromoService.releaseRedemption(subscription._id);
+      await Subscription.findByIdAndDelete(subscription._id);
+      return next(createError(502, "Unable to start subscription payment"));
+    }
+
+    let subscriptionResult = subscription;
+    if (isLocalPayment) {
+      // Fully discounted: nothing to pay, the period starts now
+      if (amountDue === 0) {
+        subscriptionResult = await SubscriptionService.activateSubscription(
+          subscription._id,
+          { amountPaid: 0 }
+        );
+      }
+    } else {
+      subscription.stripeSubscriptionId = checkout.subscription.id;
+      subscription.paymentIntentId = checkout.paymentIntentId || undefined;
+      await subscription.save();
+
+      // Nothing to pay up front (free trial or fully discounted first
+      // period): Stripe starts the subscription right away
+      const startedInStripe = ["active", "trialing"].includes(
+        checkout.subscription.status
       );
-      // Don't fail the subscription operation if notification fails
+      if (startedInStripe && checkout.amountDue === 0) {
+        subscriptionResult = await SubscriptionService.activateSubscription(
+          subscription._id,
+          {
+            amountPaid: 0,
+            periodEnd: StripeService.getSubscriptionPeriodEnd(
+              checkout.subscription
+            ),
+          }
+        );
+      }
     }
 
-    await subscription.populate(
+    await subscriptionResult.populate(
       "creator",
-      "username firstName lastName profileImage subscriptionPrice"
-    );
-    await subscription.populate(
-      "subscriber",
-      "username firstName lastName profileImage"
+      "username firstName lastName profileImage subscriptionPrice pricingCurrency"
     );
 
-    // Update creator's earnings (in a real app, this would happen after payment confirmation)
-    await User.findByIdAndUpdate(creatorId, {
-      $inc: {
-        totalEarnings: creator.subscriptionPrice,
-        availableBalance: creator.subscriptionPrice,
+    res.status(201).json({
+      success: true,
+      message:
+        subscriptionResult.status === "active"
+          ? "Subscription started"
+          : "Subscription created, awaiting payment confirmation",
+      clientSecret: checkout.clientSecret,
+      // "setup" means the client only saves a card for future renewals
+      checkoutType: isLocalPayment
+        ? undefined
+        : checkout.amountDue > 0
+          ? "payment"
+          : "setup",
+      payment: checkout.payment
+        ? PaymentService.describePayment(checkout.payment)
+        : undefined,
+      subscription: {
+        _id: subscriptionResult._id,
+        creator: subscriptionResult.creator,
+        subscriptionPrice: subscriptionResult.subscriptionPrice,
+        currency: subscriptionResult.currency,
+        plan: subscriptionResult.plan,
+        planName: subscriptionResult.planName,
+        tierLevel: subscriptionResult.tierLevel,
+        durationMonths: subscriptionResult.durationMonths,
+        promoCode: promo ? promo.code : null,
+        discountAmount,
+        trialEndsAt: subscriptionResult.trialEndsAt,
+        status: subscriptionResult.status,
+        endDate: subscriptionResult.endDate,
+        paymentMethod: subscriptionResult.paymentMethod,
+        autoRenew: subscriptionResult.autoRenew,
       },
     });
+  } catch (error) {
+    console.error("Subscribe to creator error:", error);
+    next(error);
+  }
+};
 
-    res.status(201).json({
+// Confirm the payment of a pending subscription and activate it
+const confirmSubscriptionPayment = async (req, res, next) => {
+  try {
+    const { subscriptionId } = req.params;
+    const subscriberId = req.user._id;
+
+    let subscription = await Subscription.findOne({
+      _id: subscriptionId,
+      subscriber: subscriberId,
+    });
+
+    if (!subscription) {
+      return next(createError(404, "Subscription not found"));
+    }
+
+    // Local payments are settled through /api/payments
+    if (
+      subscription.status === "pending" &&
+      !LOCAL_PAYMENT_METHODS.includes(subscription.paymentMethod)
+    ) {
+      if (!subscription.stripeSubscriptionId) {
+        return next(createError(400, "Subscription has no payment attached"));
+      }
+
+      const stripeSubscription = await StripeService.retrieveSubscription(
+        subscription.stripeSubscriptionId,
+        ["latest_invoice.payments"]
+      );
+
+      if (!["active", "trialing"].includes(stripeSubscription.status)) {
+        return next(createError(402, "Payment has not been completed yet"));
+      }
+
+      const invoice = stripeSubscription.latest_invoice;
+      subscription = await SubscriptionService.activateSubscription(
+        subscription._id,
+        {
+          amountPaid:
+            invoice && typeof invoice.amount_paid === "number"
+              ? invoice.amount_paid
+              : undefined,
+          paymentIntentId: StripeService.getInvoicePaymentIntentId(invoice),
+          periodEnd: StripeService.getSubscriptionPeriodEnd(stripeSubscription),
+        }
+      );
+    }
+
+    if (subscription.status !== "active") {
+      return next(createError(400, `Subscription is ${subscription.status}`));
+    }
+
+    await subscription.populate(
+      "creator",
+      "username firstName lastName profileImage subscriptionPrice pricingCurrency"
+    );
+
+    res.json({
       success: true,
       message: "Successfully subscribed to creator",
       subscription: {
         _id: subscription._id,
         creator: subscription.creator,
         subscriptionPrice: subscription.subscriptionPrice,
+        currency: subscription.currency,
         status: subscription.status,
         startDate: subscription.startDate,
         endDate: subscription.endDate,
@@ -112,7 +373,7 @@ const subscribeToCreator = async (req, res, next) => {
       },
     });
   } catch (error) {
-    console.error("Subscribe to creator error:", error);
+    console.error("Confirm subscription payment error:", error);
     next(error);
   }
 };
@@ -133,7 +394,7 @@ const unsubscribeFromCreator = async (req, res, next) => {
 
     const creatorId = creator._id;
 
-    const subscription = await Subscription.findActiveSubscription(
+    const subscription = await Subscription.findDirectSubscription(
       subscriberId,
       creatorId
     );
@@ -142,6 +403,14 @@ const unsubscribeFromCreator = async (req, res, next) => {
       return next(createError(404, "Active subscription not found"));
     }
 
+    // Stop Stripe from charging again at the end of the period
+    try {
+      await SubscriptionService.setStripeRenewal(subscription, false);
+    } catch (stripeError) {
+      console.error("Stripe cancellation error:", stripeError);
+      return next(createError(502, "Unable to cancel the subscription"));
+    }
+
     // Update subscription status
     subscription.status = "cancelled";
     subscription.cancelledAt = new Date();
@@ -182,15 +451,15 @@ const checkSubscriptionStatus = async (req, res, next) => {
 
     const creatorId = creator._id;
 
-    const subscription = await Subscription.findOne({
-      subscriber: subscriberId,
-      creator: creatorId,
-    })
-      .populate(
-        "creator",
-        "username firstName lastName profileImage subscriptionPrice"
-      )
-      .sort({ createdAt: -1 }); // Get the most recent subscription
+    // The subscription giving access (possibly through a bundle), else the
+    // most recent direct one
+    const subscription =
+      (await Subscription.findActiveSubscription(subscriberId, creatorId)) ||
+      (await Subscription.findOne({
+        subscriber: subscriberId,
+        creator: creatorId,
+        bundle: null,
+      }).sort({ createdAt: -1 }));
 
     if (!subscription) {
       return res.json({
@@ -201,6 +470,11 @@ const checkSubscriptionStatus = async (req, res, next) => {
       });
     }
 
+    await subscription.populate(
+      "creator",
+      "username firstName lastName profileImage subscriptionPrice pricingCurrency"
+    );
+
     res.json({
       success: true,
       hasSubscription: true,
@@ -209,6 +483,13 @@ const checkSubscriptionStatus = async (req, res, next) => {
         _id: subscription._id,
         creator: subscription.creator,
         subscriptionPrice: subscription.subscriptionPrice,
+        currency: subscription.currency,
+        pendingPrice: subscription.pendingPrice ?? null,
+        pendingPriceEffectiveAt: subscription.pendingPriceEffectiveAt || null,
+        planName: subscription.planName,
+        tierLevel: subscription.tierLevel,
+        bundle: subscription.bundle || null,
+        durationMonths: subscription.durationMonths,
         status: subscription.status,
         startDate: subscription.startDate,
         endDate: subscription.endDate,
@@ -239,7 +520,22 @@ const toggleAutoRenewal = async (req, res, next) => {
       return next(createError(404, "Active subscription not found"));
     }
 
-    subscription.autoRenew = !subscription.autoRenew;
+    // Local payments and gifts have no card on file to renew with
+    if (!subscription.autoRenew && !subscription.stripeSubscriptionId) {
+      return next(
+        createError(400, "Only card subscriptions can renew automatically")
+      );
+    }
+
+    const autoRenew = !subscription.autoRenew;
+    try {
+      await SubscriptionService.setStripeRenewal(subscription, autoRenew);
+    } catch (stripeError) {
+      console.error("Stripe auto-renewal error:", stripeError);
+      return next(createError(502, "Unable to update auto-renewal"));
+    }
+
+    subscription.autoRenew = autoRenew;
     await subscription.save();
 
     res.json({
@@ -255,9 +551,66 @@ const toggleAutoRenewal = async (req, res, next) => {
   }
 };
 
+// Refund one of the creator's subscribers and end their access
+const refundSubscriber = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { type = "full", reason } = req.body;
+
+    const subscription = await Subscription.findOne({
+      _id: req.params.subscriptionId,
+      creator: req.user._id,
+    });
+    if (!subscription) {
+      return next(createError(404, "Subscription not found"));
+    }
+
+    let result;
+    try {
+      result = await SubscriptionService.refundSubscription(subscription, {
+        type,
+        reason,
+        initiatedBy: req.user._id,
+        initiatedByModel: "User",
+      });
+    } catch (stripeError) {
+      console.error("Stripe refund error:", stripeError);
+      return next(createError(502, "Failed to refund the payment"));
+    }
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    res.json({
+      success: true,
+      message: `Refunded ${formatMoney(
+        result.refund.amount,
+        subscription.currency
+      )} to the subscriber`,
+      refund: result.refund,
+      subscription: {
+        id: subscription._id,
+        status: subscription.status,
+        endDate: subscription.endDate,
+        totalPaid: subscription.totalPaid,
+        totalRefunded: subscription.totalRefunded,
+      },
+    });
+  } catch (error) {
+    console.error("Refund subscriber error:", error);
+    next(error);
+  }
+};
+
 module.exports = {
   subscribeToCreator,
+  confirmSubscriptionPayment,
   unsubscribeFromCreator,
   checkSubscriptionStatus,
   toggleAutoRenewal,
+  refundSubscriber,
 };
@@ -0,0 +1,347 @@
+const Tip = require("../models/tip_model");
+const Post = require("../models/post_model");
+const User = require("../models/user_model");
+const Conversation = require("../models/conversation_model");
+const Message = require("../models/message_model");
+const TipService = require("../services/tipService");
+const StripeService = require("../services/stripeService");
+const PaymentService = require("../services/paymentService");
+const createError = require("http-errors");
+const { validationResult } = require("express-validator");
+const { checkAmount } = require("../utils/currency");
+
+// Charge a tip to the current user and answer with what the client needs
+// to pay it
+const startTip = async (req, res, next, target) => {
+  if (target.creatorId.toString() === req.user._id.toString()) {
+    return next(createError(400, "You cannot tip yourself"));
+  }
+
+  const tipper = await User.findById(req.user._id);
+  if (!tipper) {
+    return next(createError(403, "Only fans can send tips"));
+  }
+
+  // Tips are paid in the creator's pricing currency
+  const creator = await User.findById(target.creatorId).select(
+    "pricingCurrency"
+  );
+  if (!creator) {
+    return next(createError(404, "User not found"));
+  }
+  const currency = creator.pricingCurrency;
+  const amount = parseInt(req.body.amount);
+  const limits = TipService.getAmountLimits();
+  const amountError = checkAmount(amount, currency, {
+    ...limits,
+    label: "Tip amount",
+  });
+  if (amountError) {
+    return next(createError(400, amountError));
+  }
+
+  const { paymentMethod = "stripe" } = req.body;
+  const methodError = PaymentService.checkMethod(paymentMethod, currency);
+  if (methodError) {
+    return next(createError(400, methodError));
+  }
+
+  let checkout;
+  try {
+    checkout = await TipService.startTip(tipper, {
+      ...target,
+      amount,
+      currency,
+      note: req.body.note,
+      paymentMethod,
+    });
+  } catch (paymentError) {
+    console.error("Tip payment error:", paymentError);
+    return next(createError(502, "Failed to start payment"));
+  }
+
+  res.status(201).json({
+    success: true,
+    message: "Tip created. Complete payment to send it.",
+    tip: {
+      id: checkout.tip._id,
+      creator: checkout.tip.creator,
+      source: checkout.tip.source,
+      amount: checkout.tip.amount,
+      currency: checkout.tip.currency,
+      paymentMethod: checkout.tip.paymentMethod,
+      status: checkout.tip.status,
+    },
+    clientSecret: checkout.clientSecret,
+    payment: checkout.payment
+      ? PaymentService.describePayment(checkout.payment)
+      : undefined,
+  });
+};
+
+// Tip the author of a post
+const tipPost = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const post = await Post.findOne({ _id: req.params.postId, isActive: true });
+    if (!post) {
+      return next(createError(404, "Post not found"));
+    }
+
+    await startTip(req, res, next, {
+      creatorId: post.author,
+      source: "post",
+      post,
+    });
+  } catch (error) {
+    console.error("Tip post error:", error);
+    next(error);
+  }
+};
+
+// Tip a creator from their profile
+const tipProfile = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const creator = await User.findOne({
+      username: req.params.username,
+      isActive: true,
+    }).select("_id");
+    if (!creator) {
+      return next(createError(404, "User not found"));
+    }
+
+    await startTip(req, res, next, {
+      creatorId: creator._id,
+      source: "profile",
+    });
+  } catch (error) {
+    console.error("Tip profile error:", error);
+    next(error);
+  }
+};
+
+// Tip the other participant of a chat conversation
+const tipConversation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.conversationId,
+      "participants.user": req.user._id,
+      "participants.userModel": "User",
+    });
+    if (!conversation) {
+      return next(createError(404, "Conversation not found"));
+    }
+
+    const recipient = conversation.participants.find(
+      (p) => p.user.toString() !== req.user._id.toString()
+    );
+    if (!recipient || recipient.userModel !== "User") {
+      return next(createError(400, "Tips can only be sent to creators"));
+    }
+
+    await startTip(req, res, next, {
+      creatorId: recipient.user,
+      source: "chat",
+      conversation,
+    });
+  } catch (error) {
+    console.error("Tip conversation error:", error);
+    next(error);
+  }
+};
+
+// Confirm a tip after the client completed the payment
+const confirmTip = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    let tip = await Tip.findOne({
+      _id: req.params.tipId,
+      tipper: req.user._id,
+    });
+    if (!tip) {
+      return next(createError(404, "Tip not found"));
+    }
+
+    // Local payments are settled through /api/payments
+    if (tip.status === "pending" && tip.paymentMethod === "stripe") {
+      const payment = await StripeService.getPayment(tip.paymentIntentId);
+      if (payment.status !== "succeeded") {
+        return next(createError(402, "Payment has not been completed"));
+      }
+
+      tip = await TipService.completeTip(tip._id, {
+        amountPaid: payment.amountPaid,
+      });
+
+      // Push the chat tip to the conversation in real time
+      const socketService = req.app.get("socketService");
+      if (tip.message && socketService) {
+        const message = await Message.findById(tip.message).populate(
+          "sender",
+          "username email firstName lastName profileImage"
+        );
+        socketService.io
+          .to(`conversation_${tip.conversation}`)
+          .emit("new_message", { message, conversationId: tip.conversation });
+      }
+    }
+
+    if (tip.status !== "completed") {
+      return next(createError(400, `Tip is ${tip.status}`));
+    }
+
+    res.json({
+      success: true,
+      message: "Tip sent successfully",
+      tip,
+    });
+  } catch (error) {
+    console.error("Confirm tip error:", error);
+    next(error);
+  }
+};
+
+// List tips the current user sent
+const getSentTips = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {
+      tipper: req.user._id,
+      status: { $in: ["completed", "refunded"] },
+    };
+    const [tips, total] = await Promise.all([
+      Tip.find(query)
+        .populate("creator", "username firstName lastName profileImage")
+        .populate("post", "title")
+        .sort({ completedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Tip.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      tips,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get sent tips error:", error);
+    next(error);
+  }
+};
+
+// List tips the current creator received
+const getReceivedTips = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const query = {
+      creator: req.user._id,
+      status: { $in: ["completed", "refunded"] },
+    };
+    const [tips, total] = await Promise.all([
+      Tip.find(query)
+        .populate("tipper", "username firstName lastName profileImage")
+        .populate("post", "title")
+        .sort({ completedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Tip.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      tips,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get received tips error:", error);
+    next(error);
+  }
+};
+
+// Rank the fans who tipped the current creator the most
+const getTopTippers = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const days = req.query.days ? parseInt(req.query.days) : null;
+    const limit = parseInt(req.query.limit) || 10;
+    const since = days
+      ? new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+      : null;
+
+    const currency = req.query.currency || req.user.pricingCurrency;
+    const topTippers = await TipService.getTopTippers(req.user._id, {
+      currency,
+      since,
+      limit,
+    });
+
+    res.json({
+      success: true,
+      period: days ? `${days}d` : "all",
+      currency,
+      topTippers,
+    });
+  } catch (error) {
+    console.error("Get top tippers error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  tipPost,
+  tipProfile,
+  tipConversation,
+  confirmTip,
+  getSentTips,
+  getReceivedTips,
+  getTopTippers,
+};
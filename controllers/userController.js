@@ -1,21 +1,22 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/user_model");
 const Subscription = require("../models/subscription_model");
 const Post = require("../models/post_model");
+const LedgerService = require("../services/ledgerService");
+const PriceChangeService = require("../services/priceChangeService");
+const AccountService = require("../services/accountService");
+const SessionService = require("../services/sessionService");
+const TwoFactorService = require("../services/twoFactorService");
+const LoginProtectionService = require("../services/loginProtectionService");
+const { maskAccountDetails } = require("../utils/payoutMethods");
 const createError = require("http-errors");
 const { validationResult } = require("express-validator");
-
-const generateToken = (id, role) => {
-  return jwt.sign({ id, role }, process.env.JWT_SECRET, {
-    expiresIn: "7d",
-  });
-};
+const { checkAmount } = require("../utils/currency");
 
 // Helper function to get real-time subscriber count
 const getSubscriberCount = async (userId) => {
   try {
     const count = await Subscription.countDocuments({
-      creator: userId,
+      $or: [{ creator: userId }, { bundleCreators: userId }],
       status: "active",
       endDate: { $gt: new Date() }, // Not expired
     });
@@ -48,12 +49,10 @@ const checkSubscriptionStatus = async (subscriberId, creatorId) => {
       return false;
     }
 
-    const subscription = await Subscription.findOne({
-      subscriber: subscriberId,
-      creator: creatorId,
-      status: "active",
-      endDate: { $gt: new Date() }, // Not expired
-    });
+    const subscription = await Subscription.findActiveSubscription(
+      subscriberId,
+      creatorId
+    );
 
     return !!subscription;
   } catch (error) {
@@ -111,7 +110,17 @@ const registerUser = async (req, res, next) => {
 
     await user.save();
 
-    const token = generateToken(user._id, user.role);
+    // Registration succeeds even if the email can't be sent; it can be resent
+    try {
+      await AccountService.sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error("Error sending verification email:", mailError);
+    }
+
+    const { accessToken, refreshToken } = await SessionService.createSession(
+      user,
+      req
+    );
 
     res.status(201).json({
       _id: user._id,
@@ -120,8 +129,10 @@ const registerUser = async (req, res, next) => {
       dateOfBirth: user.dateOfBirth,
       username: user.username,
       email: user.email,
+      emailVerified: user.emailVerified,
       role: user.role,
-      token: token,
+      token: accessToken,
+      refreshToken,
       success: true,
     });
   } catch (error) {
@@ -141,13 +152,27 @@ const loginUser = async (req, res, next) => {
       return next(createError(401, "Invalid credentials"));
     }
 
+    const lockedUntil = LoginProtectionService.getLockedUntil(user);
+    if (lockedUntil) {
+      return next(
+        createError(423, LoginProtectionService.getLockMessage(lockedUntil))
+      );
+    }
+
     const isMatch = await user.matchPassword(password);
 
     if (!isMatch) {
+      await LoginProtectionService.recordFailure(user);
       return next(createError(401, "Invalid credentials"));
     }
 
-    const token = generateToken(user._id, user.role);
+    // Accounts with 2FA get a challenge instead of tokens
+    const login = await TwoFactorService.beginLogin(user, req);
+    if (login.challengeToken) {
+      return res.json({ ...login, success: true });
+    }
+    const { accessToken, refreshToken } = login;
+    await LoginProtectionService.recordSuccess(user);
 
     res.json({
       _id: user._id,
@@ -157,8 +182,10 @@ const loginUser = async (req, res, next) => {
       lastName: user.lastName,
       dateOfBirth: user.dateOfBirth,
       email: user.email,
+      emailVerified: user.emailVerified,
       role: user.role,
-      token: token,
+      token: accessToken,
+      refreshToken,
       success: true,
     });
   } catch (error) {
@@ -167,6 +194,130 @@ const loginUser = async (req, res, next) => {
   }
 };
 
+// Confirm an email address from a verification link
+const verifyEmail = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const result = await AccountService.verifyEmail(req.body.token);
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    res.json({
+      success: true,
+      message: "Email verified successfully",
+      email: result.user.email,
+      emailVerified: true,
+    });
+  } catch (error) {
+    console.error("Verify email error:", error);
+    next(error);
+  }
+};
+
+// Send a new verification link to the current user's address
+const resendVerificationEmail = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!user) {
+      return next(createError(404, "User not found"));
+    }
+
+    if (user.emailVerified) {
+      return next(createError(400, "Email is already verified"));
+    }
+
+    await AccountService.sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: "Verification email sent",
+    });
+  } catch (error) {
+    console.error("Resend verification email error:", error);
+    next(error);
+  }
+};
+
+// Lift a login lock from the link in the lock email
+const unlockAccount = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const result = await AccountService.unlockAccount(req.body.token);
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    res.json({
+      success: true,
+      message: "Account unlocked. You can log in again",
+    });
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    next(error);
+  }
+};
+
+// Request a password reset link
+const forgotPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    await AccountService.requestPasswordReset(req.body.email);
+
+    // Same answer whether or not the account exists
+    res.json({
+      success: true,
+      message:
+        "If an account exists for this email, a password reset link has been sent",
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    next(error);
+  }
+};
+
+// Set a new password from a reset link
+const resetPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { token, password } = req.body;
+
+    const result = await AccountService.resetPassword(token, password);
+    if (result.error) {
+      return next(createError(400, result.error));
+    }
+
+    res.json({
+      success: true,
+      message: "Password has been reset. Please log in with your new password",
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+    next(error);
+  }
+};
+
 // Get user profile by username (for viewing other users' profiles)
 const getUserProfile = async (req, res, next) => {
   try {
@@ -179,7 +330,9 @@ const getUserProfile = async (req, res, next) => {
     const user = await User.findOne({
       username: username,
       isActive: true,
-    }).select("-password -payoutMethods -totalEarnings -availableBalance");
+    }).select(
+      "-password -payoutMethods -totalEarnings -availableBalance -pendingBalance"
+    );
 
     if (!user) {
       return next(createError(404, "User not found"));
@@ -208,6 +361,7 @@ const getUserProfile = async (req, res, next) => {
         bio: user.bio,
         location: user.location,
         subscriptionPrice: user.subscriptionPrice,
+        pricingCurrency: user.pricingCurrency,
         subscriberCount,
         subscriptionCount,
         postCount,
@@ -259,6 +413,8 @@ const updateUserProfile = async (req, res, next) => {
         return next(createError(400, "Email already taken"));
       }
       user.email = email;
+      user.emailVerified = false;
+      user.emailVerifiedAt = undefined;
     }
 
     // Update bio if provided
@@ -281,8 +437,18 @@ const updateUserProfile = async (req, res, next) => {
       user.lastName = lastName;
     }
 
+    const emailChanged = user.isModified("email");
     await user.save();
 
+    // Links sent to the previous address no longer apply
+    if (emailChanged) {
+      try {
+        await AccountService.sendVerificationEmail(user);
+      } catch (mailError) {
+        console.error("Error sending verification email:", mailError);
+      }
+    }
+
     res.json({
       success: true,
       message: "Profile updated successfully",
@@ -290,12 +456,14 @@ const updateUserProfile = async (req, res, next) => {
         _id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: user.emailVerified,
         firstName: user.firstName,
         lastName: user.lastName,
         bio: user.bio,
         location: user.location,
         role: user.role,
         subscriptionPrice: user.subscriptionPrice,
+        pricingCurrency: user.pricingCurrency,
         profileImage: user.profileImage,
         coverImage: user.coverImage,
         createdAt: user.createdAt,
@@ -317,7 +485,7 @@ const updateSubscriptionPrice = async (req, res, next) => {
       return next(createError(400, errors.array()[0].msg));
     }
 
-    const { price } = req.body;
+    const { price, policy = "grandfather" } = req.body;
     const userId = req.user._id;
 
     const user = await User.findById(userId).select("-password");
@@ -325,13 +493,48 @@ const updateSubscriptionPrice = async (req, res, next) => {
       return next(createError(404, "User not found"));
     }
 
-    user.subscriptionPrice = price;
+    // The price is in minor units of the (possibly new) pricing currency;
+    // 0 turns the single monthly price off
+    const currency = req.body.currency || user.pricingCurrency;
+    const oldPrice = user.subscriptionPrice || 0;
+    const newPrice = parseInt(price);
+    if (newPrice > 0) {
+      const priceError = checkAmount(newPrice, currency, {
+        min: 0.5,
+        max: 10000,
+        label: "Price",
+      });
+      if (priceError) {
+        return next(createError(400, priceError));
+      }
+    }
+
+    // Switching currency only affects new prices: existing subscriptions,
+    // plans and earnings stay in the currency they were made in
+    const currencyChanged = currency !== user.pricingCurrency;
+    user.subscriptionPrice = newPrice;
+    user.pricingCurrency = currency;
     await user.save();
 
+    // New subscribers pay the new price; the policy decides for existing ones
+    let priceChange = null;
+    if (newPrice !== oldPrice && !currencyChanged) {
+      priceChange = await PriceChangeService.changePrice({
+        creatorId: userId,
+        oldPrice,
+        newPrice,
+        currency,
+        policy,
+        changedBy: userId,
+      });
+    }
+
     res.json({
       success: true,
       message: "Subscription price updated successfully",
       subscriptionPrice: user.subscriptionPrice,
+      pricingCurrency: user.pricingCurrency,
+      priceChange,
     });
   } catch (error) {
     console.error("Update subscription price error:", error);
@@ -339,6 +542,39 @@ const updateSubscriptionPrice = async (req, res, next) => {
   }
 };
 
+// Get the history of the current creator's price changes
+const getPriceChangeHistory = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return next(createError(400, errors.array()[0].msg));
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+
+    const { priceChanges, total } = await PriceChangeService.getHistory(
+      req.user._id,
+      { page: pageNum, limit: limitNum }
+    );
+
+    res.json({
+      success: true,
+      priceChanges,
+      pagination: {
+        page: pageNum,
+        limit: limitNum,
+        total,
+        pages: Math.ceil(total / limitNum),
+      },
+    });
+  } catch (error) {
+    console.error("Get price change history error:", error);
+    next(error);
+  }
+};
+
 // Add payout method
 const addPayoutMethod = async (req, res, next) => {
   try {
@@ -490,35 +726,6 @@ const setDefaultPayoutMethod = async (req, res, next) => {
   }
 };
 
-// Helper function to mask sensitive account details
-const maskAccountDetails = (type, accountDetails) => {
-  const masked = { ...accountDetails };
-
-  switch (type) {
-    case "paypal":
-      if (masked.paypalEmail) {
-        const [localPart, domain] = masked.paypalEmail.split("@");
-        masked.paypalEmail = `${localPart.substring(0, 2)}***@${domain}`;
-      }
-      break;
-    case "bank_account":
-      if (masked.accountNumber) {
-        masked.accountNumber = `***${masked.accountNumber.slice(-4)}`;
-      }
-      if (masked.routingNumber) {
-        masked.routingNumber = `***${masked.routingNumber.slice(-4)}`;
-      }
-      break;
-    case "stripe_connect":
-      if (masked.stripeAccountId) {
-        masked.stripeAccountId = `acct_***${masked.stripeAccountId.slice(-4)}`;
-      }
-      break;
-  }
-
-  return masked;
-};
-
 // Upload profile image
 const uploadProfileImage = async (req, res, next) => {
   try {
@@ -668,6 +875,7 @@ const searchUsers = async (req, res, next) => {
       profileImage: user.profileImage,
       coverImage: user.coverImage,
       subscriptionPrice: user.subscriptionPrice || 0,
+      pricingCurrency: user.pricingCurrency,
       joinedAt: user.createdAt,
       // Don't expose sensitive information like lastLoginAt to other users
     }));
@@ -708,6 +916,7 @@ const getCurrentUser = async (req, res, next) => {
     const subscriberCount = await getSubscriberCount(user._id);
     const subscriptionCount = await getSubscriptionCount(user._id);
     const postCount = await getPostCount(user._id);
+    const balance = await LedgerService.getCreatorBalance(user._id);
 
     res.json({
       success: true,
@@ -717,17 +926,21 @@ const getCurrentUser = async (req, res, next) => {
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: TwoFactorService.isEnabled(user),
         bio: user.bio,
         location: user.location,
         profileImage: user.profileImage,
         coverImage: user.coverImage,
         subscriptionPrice: user.subscriptionPrice,
+        pricingCurrency: user.pricingCurrency,
         subscriberCount,
         subscriptionCount,
         postCount,
         isSubscribed: false, // User cannot be subscribed to themselves
-        totalEarnings: user.totalEarnings,
-        availableBalance: user.availableBalance,
+        totalEarnings: balance.totalEarnings,
+        availableBalance: balance.availableBalance,
+        pendingBalance: balance.pendingBalance,
         role: user.role,
         isActive: user.isActive,
         createdAt: user.createdAt,
@@ -767,7 +980,9 @@ const getFeaturedCreators = async (req, res, next) => {
       role: { $in: ["user", "creator"] }, // Both users and creators can create content
       subscriptionPrice: { $gt: 0 }, // Only users who have set a subscription price
     })
-      .select("-password -payoutMethods -totalEarnings -availableBalance")
+      .select(
+        "-password -payoutMethods -totalEarnings -availableBalance -pendingBalance"
+      )
       .lean();
 
     // Get subscriber counts for all creators
@@ -813,6 +1028,7 @@ const getFeaturedCreators = async (req, res, next) => {
       coverImage: creator.coverImage,
       bio: creator.bio,
       subscriptionPrice: creator.subscriptionPrice,
+      pricingCurrency: creator.pricingCurrency,
       subscriberCount: creator.subscriberCount,
       subscriptionCount: creator.subscriptionCount,
       postCount: creator.postCount,
@@ -906,7 +1122,9 @@ const getTrendingCreators = async (req, res, next) => {
       _id: { $in: creatorIds },
       isActive: true,
     })
-      .select("-password -payoutMethods -totalEarnings -availableBalance")
+      .select(
+        "-password -payoutMethods -totalEarnings -availableBalance -pendingBalance"
+      )
       .lean();
 
     // Combine creator data with trending data
@@ -928,6 +1146,7 @@ const getTrendingCreators = async (req, res, next) => {
           coverImage: creator.coverImage,
           bio: creator.bio,
           subscriptionPrice: creator.subscriptionPrice,
+          pricingCurrency: creator.pricingCurrency,
           subscriberCount: totalSubscriberCount,
           subscriptionCount,
           postCount,
@@ -1005,7 +1224,7 @@ const getUserSubscribers = async (req, res, next) => {
 
     const Subscription = require("../models/subscription_model");
 
-    let query = { creator: user._id };
+    let query = { $or: [{ creator: user._id }, { bundleCreators: user._id }] };
 
     if (status !== "all") {
       if (status === "active") {
@@ -1100,7 +1319,7 @@ const getUserSubscriptions = async (req, res, next) => {
     const subscriptions = await Subscription.find(query)
       .populate(
         "creator",
-        "username firstName lastName profileImage bio subscriptionPrice"
+        "username firstName lastName profileImage bio subscriptionPrice pricingCurrency"
       )
       .sort({ createdAt: -1 })
       .limit(limitNum)
@@ -1116,6 +1335,7 @@ const getUserSubscriptions = async (req, res, next) => {
       profileImage: sub.creator.profileImage,
       bio: sub.creator.bio,
       subscriptionPrice: sub.creator.subscriptionPrice,
+      pricingCurrency: sub.creator.pricingCurrency,
       subscriptionInfo: {
         subscriptionId: sub._id,
         status: sub.status,
@@ -1149,9 +1369,15 @@ const getUserSubscriptions = async (req, res, next) => {
 module.exports = {
   registerUser,
   loginUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
   getUserProfile,
   updateUserProfile,
   updateSubscriptionPrice,
+  getPriceChangeHistory,
   addPayoutMethod,
   getPayoutMethods,
   setDefaultPayoutMethod,
@@ -0,0 +1,150 @@
+const WebhookEvent = require("../models/webhook_event_model");
+const createError = require("http-errors");
+const StripeService = require("../services/stripeService");
+const SubscriptionService = require("../services/subscriptionService");
+const PurchaseService = require("../services/purchaseService");
+const TipService = require("../services/tipService");
+const GiftService = require("../services/giftService");
+const BundleService = require("../services/bundleService");
+const PaymentService = require("../services/paymentService");
+
+// Stripe event types we act on, mapped to their handlers
+const stripeEventHandlers = {
+  "invoice.paid": (event) =>
+    SubscriptionService.handleInvoicePaid(event.data.object),
+  "invoice.payment_failed": (event) =>
+    SubscriptionService.handleInvoicePaymentFailed(event.data.object),
+  "customer.subscription.deleted": (event) =>
+    SubscriptionService.handleStripeSubscriptionDeleted(event.data.object),
+  // A refunded charge belongs to a subscription, a purchase or a tip
+  "charge.refunded": async (event) =>
+    (await SubscriptionService.handleChargeRefunded(event.data.object)) ||
+    (await PurchaseService.handleChargeRefunded(event.data.object)) ||
+    TipService.handleChargeRefunded(event.data.object),
+  "charge.dispute.created": (event) =>
+    SubscriptionService.handleDisputeCreated(event.data.object),
+  "charge.dispute.closed": (event) =>
+    SubscriptionService.handleDisputeClosed(event.data.object),
+  // One-off payment intents carry a purchaseId, a tipId, a giftId or a
+  // bundleSubscriptionId in their metadata
+  "payment_intent.succeeded": async (event) =>
+    (await PurchaseService.handlePaymentIntentSucceeded(event.data.object)) ||
+    (await TipService.handlePaymentIntentSucceeded(event.data.object)) ||
+    (await GiftService.handlePaymentIntentSucceeded(event.data.object)) ||
+    BundleService.handlePaymentIntentSucceeded(event.data.object),
+  "payment_intent.payment_failed": async (event) =>
+    (await PurchaseService.handlePaymentIntentFailed(event.data.object)) ||
+    (await TipService.handlePaymentIntentFailed(event.data.object)) ||
+    (await GiftService.handlePaymentIntentFailed(event.data.object)) ||
+    BundleService.handlePaymentIntentFailed(event.data.object),
+};
+
+// How long an event may stay "processing" before a retry can take it over
+// (the process handling it may have crashed)
+const getProcessingLeaseMs = () =>
+  parseInt(process.env.WEBHOOK_PROCESSING_LEASE_MINUTES || "5") * 60 * 1000;
+
+// Claim an event for processing. Returns null when it was already handled
+// (or is being handled right now) so duplicate deliveries become no-ops.
+const claimEvent = async (event, now = new Date()) => {
+  try {
+    return await WebhookEvent.create({
+      provider: "stripe",
+      eventId: event.id,
+      type: event.type,
+      status: "processing",
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Only retry deliveries that failed before, or whose processing was
+    // abandoned
+    const leaseCutoff = new Date(now.getTime() - getProcessingLeaseMs());
+    return WebhookEvent.findOneAndUpdate(
+      {
+        eventId: event.id,
+        $or: [
+          { status: "failed" },
+          { status: "processing", updatedAt: { $lt: leaseCutoff } },
+        ],
+      },
+      { status: "processing", $inc: { attempts: 1 }, $unset: { error: 1 } },
+      { new: true }
+    );
+  }
+};
+
+// Receive Stripe webhooks (expects the raw request body)
+const handleStripeWebhook = async (req, res, next) => {
+  const signature = req.headers["stripe-signature"];
+
+  if (!signature) {
+    return next(createError(400, "Missing Stripe signature"));
+  }
+
+  let event;
+  try {
+    event = StripeService.constructWebhookEvent(req.body, signature);
+  } catch (error) {
+    console.error("Stripe webhook signature verification failed:", error);
+    return next(createError(400, "Invalid Stripe signature"));
+  }
+
+  try {
+    const record = await claimEvent(event);
+
+    if (!record) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const handler = stripeEventHandlers[event.type];
+
+    if (!handler) {
+      record.status = "ignored";
+      record.processedAt = new Date();
+      await record.save();
+      return res.json({ received: true });
+    }
+
+    try {
+      await handler(event);
+    } catch (handlerError) {
+      // Mark as failed so Stripe's retry gets processed again
+      record.status = "failed";
+      record.error = handlerError.message;
+      await record.save();
+      throw handlerError;
+    }
+
+    record.status = "processed";
+    record.processedAt = new Date();
+    await record.save();
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`Stripe webhook ${event.type} error:`, error);
+    next(error);
+  }
+};
+
+// Receive Konnect payment notifications. Konnect only sends the payment
+// reference; the outcome is fetched from its API, so repeated or forged
+// notifications cannot change anything on their own.
+const handleKonnectWebhook = async (req, res, next) => {
+  try {
+    const payment = await PaymentService.handleWebhook("konnect", req);
+    if (!payment) {
+      return next(createError(404, "Payment not found"));
+    }
+
+    res.json({ received: true, status: payment.status });
+  } catch (error) {
+    console.error("Konnect webhook error:", error);
+    next(error);
+  }
+};
+
+module.exports = {
+  handleStripeWebhook,
+  handleKonnectWebhook,
+};
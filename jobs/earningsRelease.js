@@ -0,0 +1,40 @@
+const LedgerService = require("../services/ledgerService");
+const { systemClock } = require("../utils/clock");
+
+// On the first run, look back this far for released earnings
+const INITIAL_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Refresh cached balances of creators whose held earnings became available
+// since the previous run
+const syncReleasedEarnings = async ({
+  clock = systemClock,
+  lastRunAt,
+} = {}) => {
+  const now = clock.now();
+  const since = lastRunAt || new Date(now.getTime() - INITIAL_LOOKBACK_MS);
+  const result = { synced: 0, failed: 0 };
+
+  const creatorIds = await LedgerService.findCreatorsWithReleasedEarnings(
+    since,
+    now
+  );
+
+  for (const creatorId of creatorIds) {
+    try {
+      await LedgerService.syncCreatorBalance(creatorId, now);
+      result.synced += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(
+        `Error syncing balance for creator ${creatorId}:`,
+        error.message
+      );
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  syncReleasedEarnings,
+};
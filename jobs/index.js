@@ -0,0 +1,55 @@
+const JobScheduler = require("../services/jobScheduler");
+const { runSubscriptionLifecycle } = require("./subscriptionLifecycle");
+const { syncReleasedEarnings } = require("./earningsRelease");
+const { runPriceChanges } = require("./priceChanges");
+const { runPaymentReconciliation } = require("./payments");
+
+const MINUTE_MS = 60 * 1000;
+
+// Build the scheduler with every background job registered
+const createScheduler = (options = {}) => {
+  const scheduler = new JobScheduler(options);
+
+  scheduler.register(
+    "subscription-lifecycle",
+    runSubscriptionLifecycle,
+    parseInt(process.env.SUBSCRIPTION_JOB_INTERVAL_MS || 15 * MINUTE_MS)
+  );
+
+  scheduler.register(
+    "earnings-release",
+    syncReleasedEarnings,
+    parseInt(process.env.EARNINGS_JOB_INTERVAL_MS || 60 * MINUTE_MS)
+  );
+
+  scheduler.register(
+    "price-changes",
+    runPriceChanges,
+    parseInt(process.env.PRICE_CHANGE_JOB_INTERVAL_MS || 60 * MINUTE_MS)
+  );
+
+  scheduler.register(
+    "payment-reconciliation",
+    runPaymentReconciliation,
+    parseInt(process.env.PAYMENT_JOB_INTERVAL_MS || 5 * MINUTE_MS)
+  );
+
+  return scheduler;
+};
+
+// Start background jobs unless they are disabled for this process
+const startJobs = (options = {}) => {
+  if (process.env.DISABLE_JOBS === "true") {
+    console.log("Background jobs are disabled");
+    return null;
+  }
+
+  const scheduler = createScheduler(options).start();
+  console.log("Background jobs started");
+  return scheduler;
+};
+
+module.exports = {
+  createScheduler,
+  startJobs,
+};
@@ -0,0 +1,86 @@
+const Payment = require("../models/payment_model");
+const PaymentService = require("../services/paymentService");
+const { systemClock } = require("../utils/clock");
+
+// Leave fresh gateway checkouts to the webhook for this long
+const RECONCILE_AFTER_MINUTES = 10;
+
+// Max payments handled per step in a single run
+const BATCH_SIZE = 100;
+
+// Check pending gateway payments with their provider in case the webhook
+// never arrived
+const reconcileGatewayPayments = async ({ clock = systemClock } = {}) => {
+  const now = clock.now();
+  const cutoff = new Date(now.getTime() - RECONCILE_AFTER_MINUTES * 60 * 1000);
+  const result = { succeeded: 0, failed: 0, errors: 0 };
+
+  const pending = await Payment.find({
+    provider: { $ne: "bank_transfer" },
+    status: "pending",
+    providerPaymentId: { $exists: true },
+    createdAt: { $lte: cutoff },
+  })
+    .sort({ createdAt: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const payment of pending) {
+    try {
+      const refreshed = await PaymentService.refreshPayment(payment);
+      if (refreshed.status === "succeeded") result.succeeded += 1;
+      if (refreshed.status === "failed") result.failed += 1;
+    } catch (error) {
+      result.errors += 1;
+      console.error(`Error reconciling payment ${payment._id}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+// Expire local payments nobody completed in time, dropping the checkout
+// they were for
+const expireOverduePayments = async ({ clock = systemClock } = {}) => {
+  const now = clock.now();
+  const result = { expired: 0, failed: 0 };
+
+  const overdue = await Payment.find({
+    status: "pending",
+    expiresAt: { $lte: now },
+  })
+    .sort({ expiresAt: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const payment of overdue) {
+    try {
+      // A gateway may still have taken the money at the last minute
+      const refreshed = await PaymentService.refreshPayment(payment);
+      if (refreshed.status !== "pending") continue;
+
+      await PaymentService.failPayment(payment._id, {
+        status: "expired",
+        reason: "Payment was not completed in time",
+      });
+      result.expired += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(`Error expiring payment ${payment._id}:`, error.message);
+    }
+  }
+
+  return result;
+};
+
+// Full local payment pass
+const runPaymentReconciliation = async ({ clock = systemClock } = {}) => {
+  const reconciled = await reconcileGatewayPayments({ clock });
+  const expired = await expireOverduePayments({ clock });
+
+  return { reconciled, expired };
+};
+
+module.exports = {
+  reconcileGatewayPayments,
+  expireOverduePayments,
+  runPaymentReconciliation,
+};
@@ -0,0 +1,105 @@
+const Subscription = require("../models/subscription_model");
+const NotificationService = require("../services/notificationService");
+const StripeService = require("../services/stripeService");
+const { systemClock } = require("../utils/clock");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long before a migrated price applies subscribers get a reminder
+const REMINDER_DAYS = parseInt(process.env.PRICE_CHANGE_REMINDER_DAYS || "7");
+
+// Max subscriptions handled per step in a single run
+const BATCH_SIZE = 100;
+
+// Push pending prices to Stripe once the next invoice is the one the new
+// price applies to. Stripe bills renewals itself, so it has to know first.
+const syncPendingPricesToStripe = async ({ clock = systemClock } = {}) => {
+  const now = clock.now();
+  const result = { synced: 0, failed: 0 };
+
+  const due = await Subscription.find({
+    status: "active",
+    stripeSubscriptionId: { $exists: true, $ne: null },
+    pendingPrice: { $exists: true, $ne: null },
+    pendingPriceSyncedAt: null,
+    pendingPriceEffectiveAt: { $gt: now },
+    $expr: { $gte: ["$endDate", "$pendingPriceEffectiveAt"] },
+  }).limit(BATCH_SIZE);
+
+  for (const subscription of due) {
+    try {
+      await StripeService.updateSubscriptionPrice(
+        subscription.stripeSubscriptionId,
+        subscription.pendingPrice
+      );
+
+      subscription.pendingPriceSyncedAt = now;
+      await subscription.save();
+      result.synced += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(
+        `Error syncing price for subscription ${subscription._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return result;
+};
+
+// Remind subscribers a few days before a migrated price applies
+const sendPriceChangeReminders = async ({ clock = systemClock } = {}) => {
+  const now = clock.now();
+  const horizon = new Date(now.getTime() + REMINDER_DAYS * DAY_MS);
+  const result = { sent: 0, failed: 0 };
+
+  const upcoming = await Subscription.find({
+    status: "active",
+    autoRenew: true,
+    pendingPrice: { $exists: true, $ne: null },
+    pendingPriceReminderSentAt: null,
+    pendingPriceEffectiveAt: { $gt: now, $lte: horizon },
+  }).limit(BATCH_SIZE);
+
+  for (const subscription of upcoming) {
+    try {
+      await NotificationService.createPriceChangeNotification(
+        subscription.subscriber,
+        subscription.creator,
+        subscription._id,
+        subscription.subscriptionPrice,
+        subscription.pendingPrice,
+        subscription.currency,
+        subscription.pendingPriceEffectiveAt,
+        true
+      );
+
+      subscription.pendingPriceReminderSentAt = now;
+      await subscription.save();
+      result.sent += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(
+        `Error sending price reminder for subscription ${subscription._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return result;
+};
+
+// Full price change pass
+const runPriceChanges = async ({ clock = systemClock } = {}) => {
+  const stripeSync = await syncPendingPricesToStripe({ clock });
+  const reminders = await sendPriceChangeReminders({ clock });
+
+  return { stripeSync, reminders };
+};
+
+module.exports = {
+  syncPendingPricesToStripe,
+  sendPriceChangeReminders,
+  runPriceChanges,
+};
@@ -0,0 +1,211 @@
+const Subscription = require("../models/subscription_model");
+const User = require("../models/user_model");
+const NotificationService = require("../services/notificationService");
+const SubscriptionService = require("../services/subscriptionService");
+const StripeService = require("../services/stripeService");
+const { systemClock } = require("../utils/clock");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long before the end date subscribers get a renewal/expiry reminder
+const REMINDER_DAYS = parseInt(process.env.SUBSCRIPTION_REMINDER_DAYS || "3");
+
+// How long after the end date a Stripe renewal may still come through
+const RENEWAL_GRACE_HOURS = parseInt(
+  process.env.SUBSCRIPTION_RENEWAL_GRACE_HOURS || "24"
+);
+
+// How long a past-due subscription waits for a successful retry
+const PAST_DUE_GRACE_DAYS = parseInt(
+  process.env.SUBSCRIPTION_PAST_DUE_GRACE_DAYS || "7"
+);
+
+// Max subscriptions handled per step in a single run
+const BATCH_SIZE = 100;
+
+// Flip one subscription to "expired" and update counters. The status check in
+// the update makes this safe against concurrent runs.
+const expireSubscription = async (subscription, now) => {
+  const expired = await Subscription.findOneAndUpdate(
+    { _id: subscription._id, status: subscription.status },
+    {
+      status: "expired",
+      autoRenew: false,
+      nextBillingDate: null,
+      ...(subscription.endDate > now ? { endDate: now } : {}),
+    },
+    { new: true }
+  );
+
+  if (!expired) return false;
+
+  // Counters were incremented on activation; never let them go negative
+  await User.updateMany(
+    { _id: { $in: expired.getCreatorIds() }, subscriberCount: { $gt: 0 } },
+    { $inc: { subscriberCount: -1 } }
+  );
+  await User.updateOne(
+    { _id: expired.subscriber, subscriptionCount: { $gt: 0 } },
+    { $inc: { subscriptionCount: -1 } }
+  );
+
+  await NotificationService.createSubscriptionExpiredNotification(
+    expired.subscriber,
+    expired.creator,
+    expired._id
+  );
+
+  return true;
+};
+
+// Try to renew auto-renewing subscriptions whose period has ended
+const renewDueSubscriptions = async ({ clock = systemClock } = {}) => {
+  const now = clock.now();
+  const renewalCutoff = new Date(
+    now.getTime() - RENEWAL_GRACE_HOURS * 60 * 60 * 1000
+  );
+  const result = { renewed: 0, expired: 0, failed: 0 };
+
+  const due = await Subscription.find({
+    status: "active",
+    autoRenew: true,
+    endDate: { $lte: now },
+  })
+    .sort({ endDate: 1 })
+    .limit(BATCH_SIZE);
+
+  for (const subscription of due) {
+    try {
+      const renewed = await SubscriptionService.attemptRenewal(
+        subscription,
+        now
+      );
+
+      if (renewed) {
+        result.renewed += 1;
+        continue;
+      }
+
+      // Leave past-due subscriptions to the grace period below
+      const current = await Subscription.findById(subscription._id);
+      if (current.status !== "active") continue;
+
+      // Give Stripe time to finalize and charge the renewal invoice
+      const isStripeBilled = Boolean(current.stripeSubscriptionId);
+      if (isStripeBilled && current.endDate > renewalCutoff) continue;
+
+      if (await expireSubscription(current, now)) {
+        result.expired += 1;
+
+        // Stop Stripe from charging for a subscription we have ended
+        if (isStripeBilled) {
+          await StripeService.cancelSubscription(current.stripeSubscriptionId);
+        }
+      }
+    } catch (error) {
+      result.failed += 1;
+      console.error(
+        `Error renewing subscription ${subscription._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return result;
+};
+
+// Expire subscriptions whose paid period is over and that won't renew
+const expireLapsedSubscriptions = async ({ clock = systemClock } = {}) => {
+  const now = clock.now();
+  const pastDueCutoff = new Date(now.getTime() - PAST_DUE_GRACE_DAYS * DAY_MS);
+  const result = { expired: 0, failed: 0 };
+
+  const lapsed = await Subscription.find({
+    $or: [
+      { status: "active", autoRenew: false, endDate: { $lte: now } },
+      // Unpaid checkouts are "cancelled" too but never counted
+      {
+        status: "cancelled",
+        endDate: { $lte: now },
+        ...Subscription.ACTIVATED_QUERY,
+      },
+      { status: "past_due", endDate: { $lte: pastDueCutoff } },
+    ],
+  }).limit(BATCH_SIZE);
+
+  for (const subscription of lapsed) {
+    try {
+      if (await expireSubscription(subscription, now)) {
+        result.expired += 1;
+      }
+    } catch (error) {
+      result.failed += 1;
+      console.error(
+        `Error expiring subscription ${subscription._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return result;
+};
+
+// Remind subscribers a few days before their subscription renews or expires
+const sendUpcomingReminders = async ({ clock = systemClock } = {}) => {
+  const now = clock.now();
+  const horizon = new Date(now.getTime() + REMINDER_DAYS * DAY_MS);
+  const result = { sent: 0, failed: 0 };
+
+  const upcoming = await Subscription.find({
+    status: "active",
+    endDate: { $gt: now, $lte: horizon },
+  }).limit(BATCH_SIZE);
+
+  for (const subscription of upcoming) {
+    // One reminder per billing period
+    if (
+      subscription.reminderSentFor &&
+      subscription.reminderSentFor.getTime() === subscription.endDate.getTime()
+    ) {
+      continue;
+    }
+
+    try {
+      await NotificationService.createSubscriptionReminderNotification(
+        subscription.subscriber,
+        subscription.creator,
+        subscription._id,
+        subscription.endDate,
+        subscription.autoRenew
+      );
+
+      subscription.reminderSentFor = subscription.endDate;
+      await subscription.save();
+      result.sent += 1;
+    } catch (error) {
+      result.failed += 1;
+      console.error(
+        `Error sending reminder for subscription ${subscription._id}:`,
+        error.message
+      );
+    }
+  }
+
+  return result;
+};
+
+// Full lifecycle pass: renew first so nothing renewable gets expired
+const runSubscriptionLifecycle = async ({ clock = systemClock } = {}) => {
+  const renewals = await renewDueSubscriptions({ clock });
+  const expirations = await expireLapsedSubscriptions({ clock });
+  const reminders = await sendUpcomingReminders({ clock });
+
+  return { renewals, expirations, reminders };
+};
+
+module.exports = {
+  renewDueSubscriptions,
+  expireLapsedSubscriptions,
+  sendUpcomingReminders,
+  runSubscriptionLifecycle,
+};
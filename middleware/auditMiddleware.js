@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+const AuditService = require("../services/auditService");
+
+// Record the admin request in the audit log once the response is sent,
+// including failed and denied ones. Controllers add the action name and the
+// changes they made with AuditService.setContext; without them the entry is
+// named after the route, e.g. "GET /api/admin/users/:userId". Use after
+// authenticate/adminOnly.
+const auditAdminRequest = (req, res, next) => {
+  // The mount path is gone by the time an error reaches the app handler
+  const baseUrl = req.baseUrl;
+  req.audit = req.audit || {};
+
+  res.on("finish", () => {
+    const routePath = req.route
+      ? `${baseUrl}${req.route.path === "/" ? "" : req.route.path}`
+      : req.originalUrl.split("?")[0];
+
+    AuditService.record({
+      actor: req.user._id,
+      actorUsername: req.user.username,
+      actorRole: req.user.adminRole,
+      action: req.audit.action || `${req.method} ${routePath}`,
+      targetType: req.audit.targetType,
+      targetId: req.audit.targetId,
+      changes: req.audit.changes,
+      metadata: req.audit.metadata,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      statusCode: res.statusCode,
+      ipAddress: req.ip,
+      userAgent: (req.get("user-agent") || "").slice(0, 500),
+    });
+  });
+
+  next();
+};
+
+// Audit the requests admins make on routes shared with users, e.g. an admin
+// reading someone's invoice. Use after authenticate.
+const auditWhenAdmin = (req, res, next) =>
+  req.userRole === "admin" ? auditAdminRequest(req, res, next) : next();
+
+// router.param handler marking the record a route param points to as the
+// audit target, e.g. router.param("userId", auditTarget("User"))
+const auditTarget = (targetType) => (req, res, next, id) => {
+  if (mongoose.isValidObjectId(id)) {
+    req.audit = { ...req.audit, targetType, targetId: id };
+  }
+  next();
+};
+
+module.exports = {
+  auditAdminRequest,
+  auditWhenAdmin,
+  auditTarget,
+};
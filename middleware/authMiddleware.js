@@ -1,7 +1,7 @@
-const jwt = require("jsonwebtoken");
-const Admin = require("../models/admins_model");
-const User = require("../models/user_model");
+const SessionService = require("../services/sessionService");
+const TwoFactorService = require("../services/twoFactorService");
 const createError = require("http-errors");
+const { hasPermission } = require("../utils/adminPermissions");
 
 // General authentication middleware
 const authenticate = async (req, res, next) => {
@@ -14,23 +14,16 @@ const authenticate = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(" ")[1];
 
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Check if user is admin or regular user
-      let user;
-      if (decoded.role === "admin") {
-        user = await Admin.findById(decoded.id).select("-password");
-      } else {
-        user = await User.findById(decoded.id).select("-password");
-      }
-
-      if (!user) {
-        return next(createError(401, "Not authorized"));
+      // Checks the signature, the session and that the account is active
+      const result = await SessionService.verifyAccessToken(token);
+      if (result.error) {
+        return next(createError(401, result.error));
       }
 
       // Attach user to request object
-      req.user = user;
-      req.userRole = decoded.role;
+      req.user = result.user;
+      req.userRole = result.role;
+      req.sessionId = result.session._id;
 
       next();
     } catch (error) {
@@ -42,11 +35,64 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authenticate when a token is sent, for public routes that show signed-in
+// users more
+const optionalAuthenticate = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return authenticate(req, res, next);
+};
+
+// Authenticate with an access token or, while an account that must use
+// 2FA enrolls during login, with its setup challenge token
+const authenticateOrSetupChallenge = async (req, res, next) => {
+  if (!req.body || !req.body.challengeToken) {
+    return authenticate(req, res, next);
+  }
+
+  try {
+    const account = await TwoFactorService.verifyChallenge(
+      req.body.challengeToken,
+      "setup"
+    );
+    if (!account) {
+      return next(createError(401, "Invalid or expired challenge"));
+    }
+
+    req.user = account;
+    req.userRole = account.role;
+    req.twoFactorSetupChallenge = true;
+
+    next();
+  } catch (error) {
+    console.error(error);
+    return next(createError(401, "Invalid or expired challenge"));
+  }
+};
+
 // Admin-only access middleware
 const adminOnly = (req, res, next) => {
   if (req.userRole !== "admin") {
     return next(createError(403, "Access denied. Admin privileges required."));
   }
+  // Sessions from before 2FA was enabled can't reach admin routes
+  if (!TwoFactorService.isEnabled(req.user)) {
+    return next(
+      createError(403, "Two-factor authentication must be enabled for admins.")
+    );
+  }
+  next();
+};
+
+// Admin access limited to roles with the given permission (use after
+// adminOnly)
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user.adminRole, permission)) {
+    return next(
+      createError(403, `Access denied. Missing permission: ${permission}`)
+    );
+  }
   next();
 };
 
@@ -73,7 +119,10 @@ const protect = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  optionalAuthenticate,
+  authenticateOrSetupChallenge,
   adminOnly,
+  requirePermission,
   userOrAdmin,
   protect, // Keep for backward compatibility
 };
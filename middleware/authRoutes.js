@@ -1,10 +1,45 @@
 const express = require("express");
 const router = express.Router();
-const { loginAdmin, verifyToken } = require("../controllers/authController");
-const { authenticate, adminOnly } = require("./authMiddleware");
+const {
+  loginAdmin,
+  verifyToken,
+  refreshSession,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  completeTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+} = require("../controllers/authController");
+const {
+  authenticate,
+  authenticateOrSetupChallenge,
+  adminOnly,
+} = require("./authMiddleware");
+const {
+  loginIpLimiter,
+  adminLoginAccountLimiter,
+  refreshLimiter,
+  twoFactorLimiter,
+} = require("./rateLimitMiddleware");
+const {
+  refreshTokenValidation,
+  sessionIdValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+} = require("../validators/authValidators");
 
 // Admin login
-router.post("/admin/login", loginAdmin);
+router.post(
+  "/admin/login",
+  loginIpLimiter,
+  adminLoginAccountLimiter,
+  loginAdmin
+);
 
 // Token verification (for both users and admins)
 router.get("/verify", authenticate, verifyToken);
@@ -12,4 +47,47 @@ router.get("/verify", authenticate, verifyToken);
 // Admin-only routes
 router.get("/admin/verify", authenticate, adminOnly, verifyToken);
 
+// Sessions (for both users and admins)
+router.post("/refresh", refreshLimiter, refreshTokenValidation, refreshSession);
+router.post("/logout", authenticate, logout);
+router.get("/sessions", authenticate, getSessions);
+router.delete("/sessions", authenticate, revokeAllSessions);
+router.delete(
+  "/sessions/:sessionId",
+  authenticate,
+  sessionIdValidation,
+  revokeSession
+);
+
+// Two-factor authentication (for both users and admins)
+router.post(
+  "/2fa/login",
+  twoFactorLimiter,
+  twoFactorLoginValidation,
+  completeTwoFactorLogin
+);
+router.get("/2fa", authenticate, getTwoFactorStatus);
+router.post("/2fa/setup", authenticateOrSetupChallenge, setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  authenticateOrSetupChallenge,
+  twoFactorLimiter,
+  twoFactorCodeValidation,
+  enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  authenticate,
+  twoFactorLimiter,
+  twoFactorCodeValidation,
+  disableTwoFactor
+);
+router.post(
+  "/2fa/backup-codes",
+  authenticate,
+  twoFactorLimiter,
+  twoFactorCodeValidation,
+  regenerateBackupCodes
+);
+
 module.exports = router;
@@ -0,0 +1,152 @@
+const createError = require("http-errors");
+const RateLimitService = require("../services/rateLimitService");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Build a middleware allowing `max` requests per `windowMs` for each key.
+// `key` picks what is limited (the client IP by default); returning nothing
+// skips the limit for that request.
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  key = (req) => req.ip,
+  message = "Too many requests, please try again later",
+}) => {
+  return async (req, res, next) => {
+    const value = key(req);
+    if (!value) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await RateLimitService.hit(name, value, { windowMs, max });
+    } catch (error) {
+      // A broken store shouldn't take the API down with it
+      console.error(`Rate limit ${name} error:`, error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((result.resetAt.getTime() - Date.now()) / 1000)
+    );
+    res.set({
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (!result.allowed) {
+      res.set("Retry-After", String(resetSeconds));
+      return next(createError(429, message));
+    }
+
+    next();
+  };
+};
+
+// Keys for limits per account rather than per IP
+const byBodyField = (field) => (req) =>
+  req.body && typeof req.body[field] === "string"
+    ? req.body[field].trim().toLowerCase()
+    : null;
+const byUser = (req) => (req.user ? req.user._id.toString() : req.ip);
+
+// Route limits
+const loginIpLimiter = rateLimit({
+  name: "login-ip",
+  windowMs: 15 * MINUTE_MS,
+  max: 20,
+  message: "Too many login attempts, please try again later",
+});
+
+const userLoginAccountLimiter = rateLimit({
+  name: "login-account",
+  windowMs: 15 * MINUTE_MS,
+  max: 10,
+  key: byBodyField("email"),
+  message: "Too many login attempts, please try again later",
+});
+
+const adminLoginAccountLimiter = rateLimit({
+  name: "admin-login-account",
+  windowMs: 15 * MINUTE_MS,
+  max: 10,
+  key: byBodyField("username"),
+  message: "Too many login attempts, please try again later",
+});
+
+const twoFactorLimiter = rateLimit({
+  name: "2fa-ip",
+  windowMs: 15 * MINUTE_MS,
+  max: 10,
+  message: "Too many verification attempts, please try again later",
+});
+
+const registerLimiter = rateLimit({
+  name: "register-ip",
+  windowMs: HOUR_MS,
+  max: 5,
+  message: "Too many accounts created, please try again later",
+});
+
+const accountEmailIpLimiter = rateLimit({
+  name: "account-email-ip",
+  windowMs: HOUR_MS,
+  max: 5,
+  message: "Too many email requests, please try again later",
+});
+
+const accountEmailLimiter = rateLimit({
+  name: "account-email",
+  windowMs: HOUR_MS,
+  max: 3,
+  key: byBodyField("email"),
+  message: "Too many email requests, please try again later",
+});
+
+const accountTokenLimiter = rateLimit({
+  name: "account-token-ip",
+  windowMs: 15 * MINUTE_MS,
+  max: 10,
+});
+
+const refreshLimiter = rateLimit({
+  name: "refresh-ip",
+  windowMs: 15 * MINUTE_MS,
+  max: 60,
+});
+
+const searchLimiter = rateLimit({
+  name: "search",
+  windowMs: MINUTE_MS,
+  max: 60,
+  key: byUser,
+  message: "Too many searches, please slow down",
+});
+
+const uploadLimiter = rateLimit({
+  name: "upload",
+  windowMs: HOUR_MS,
+  max: 30,
+  key: byUser,
+  message: "Upload limit reached, please try again later",
+});
+
+module.exports = {
+  rateLimit,
+  loginIpLimiter,
+  userLoginAccountLimiter,
+  adminLoginAccountLimiter,
+  twoFactorLimiter,
+  registerLimiter,
+  accountEmailIpLimiter,
+  accountEmailLimiter,
+  accountTokenLimiter,
+  refreshLimiter,
+  searchLimiter,
+  uploadLimiter,
+};
@@ -44,10 +44,10 @@ const checkSubscriptionHistory = async (req, res, next) => {
       return next();
     }
 
-    // Check for any subscription (active or expired)
+    // Check for any subscription (active or expired), direct or via a bundle
     const subscription = await Subscription.findOne({
       subscriber: userId,
-      creator: creatorId,
+      $or: [{ creator: creatorId }, { bundleCreators: creatorId }],
     }).sort({ createdAt: -1 });
 
     if (!subscription) {
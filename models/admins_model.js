@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const twoFactorFields = require("./two_factor_fields");
+const loginSecurityFields = require("./login_security_fields");
+const { ADMIN_ROLES } = require("../utils/adminPermissions");
 
 const adminSchema = new mongoose.Schema({
   username: {
@@ -17,6 +20,29 @@ const adminSchema = new mongoose.Schema({
     default: "admin",
     enum: ["admin"],
   },
+  // What the admin may do (see utils/adminPermissions)
+  adminRole: {
+    type: String,
+    enum: ADMIN_ROLES,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  statusUpdatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Admin",
+  },
+  statusUpdatedAt: {
+    type: Date,
+  },
+  // Mandatory for admins (see TwoFactorService)
+  twoFactor: twoFactorFields(),
+  loginSecurity: loginSecurityFields(),
   createdAt: {
     type: Date,
     default: Date.now,
@@ -0,0 +1,95 @@
+const mongoose = require("mongoose");
+
+// One privileged admin request. Entries are append-only: the model refuses
+// updates and deletes, so the log can't be edited through the app.
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+      required: true,
+    },
+    // Snapshot of the admin at the time, kept even if the account changes
+    actorUsername: {
+      type: String,
+    },
+    actorRole: {
+      type: String,
+    },
+    // e.g. "user.status_update", or "GET /api/admin/users/:userId" for
+    // requests without a named action
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+    },
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    // Fields the action changed
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    method: {
+      type: String,
+    },
+    path: {
+      type: String,
+    },
+    statusCode: {
+      type: Number,
+    },
+    ipAddress: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+const appendOnly = function () {
+  throw new Error("Audit log entries cannot be modified or deleted");
+};
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return next(new Error("Audit log entries cannot be modified"));
+  }
+  next();
+});
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  { document: false, query: true },
+  appendOnly
+);
+auditLogSchema.pre("deleteOne", { document: true, query: false }, appendOnly);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
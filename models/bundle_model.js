@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+
+// Access periods a bundle can be sold for, in months
+const BUNDLE_DURATIONS = [1, 3, 6, 12];
+
+// Creators in a bundle, with their percent of its earnings
+const bundleMemberSchema = new mongoose.Schema(
+  {
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sharePercent: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 100,
+    },
+    // Every member has to agree to the price and split before it is sold
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "declined"],
+      default: "pending",
+    },
+    respondedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// A subscription sold by several creators together: one price gives access
+// to all of them and the earnings are split between them.
+const bundleSchema = new mongoose.Schema(
+  {
+    // Creator who set up the bundle and manages it
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    members: [bundleMemberSchema],
+    // Price of one access period, in minor units of `currency`
+    price: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    durationMonths: {
+      type: Number,
+      enum: BUNDLE_DURATIONS,
+      default: 1,
+    },
+    // draft: members are still agreeing on the terms; active: on sale;
+    // archived: no longer sold, existing subscriptions run until they end
+    status: {
+      type: String,
+      enum: ["draft", "active", "archived"],
+      default: "draft",
+    },
+    publishedAt: {
+      type: Date,
+    },
+    archivedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bundleSchema.index({ owner: 1, status: 1 });
+bundleSchema.index({ "members.creator": 1, status: 1 });
+
+bundleSchema.methods.getMemberIds = function () {
+  return this.members.map((member) => member.creator);
+};
+
+bundleSchema.methods.findMember = function (creatorId) {
+  return this.members.find(
+    (member) => member.creator.toString() === creatorId.toString()
+  );
+};
+
+// Whether every member agreed to the current terms
+bundleSchema.methods.isFullyAccepted = function () {
+  return this.members.every((member) => member.status === "accepted");
+};
+
+// How the earnings of a bundle charge are shared, owner first
+bundleSchema.methods.getRevenueSplits = function () {
+  return [...this.members]
+    .sort(
+      (a, b) =>
+        Number(b.creator.equals(this.owner)) -
+        Number(a.creator.equals(this.owner))
+    )
+    .map((member) => ({
+      creatorId: member.creator,
+      percent: member.sharePercent,
+    }));
+};
+
+bundleSchema.statics.DURATIONS = BUNDLE_DURATIONS;
+
+module.exports = mongoose.model("Bundle", bundleSchema);
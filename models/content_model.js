@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
 
 const contentSchema = new mongoose.Schema(
   {
@@ -48,6 +49,25 @@ const contentSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Pay-per-view price in minor units of `currency`; 0 means the item is
+    // not sold separately
+    price: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    // Who has to buy it: non-subscribers only, or everyone (premium items)
+    priceAppliesTo: {
+      type: String,
+      enum: ["non_subscribers", "everyone"],
+      default: "non_subscribers",
+    },
     // Content status
     status: {
       type: String,
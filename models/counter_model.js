@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Named sequences for human-readable numbers (invoice numbers...)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Atomically take the next value of a sequence
+counterSchema.statics.next = async function (name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+module.exports = mongoose.model("Counter", counterSchema);
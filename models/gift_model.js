@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+// A subscription bought by one fan for someone else. It is either sent
+// straight to a recipient or turned into a code the buyer shares.
+const giftSchema = new mongoose.Schema(
+  {
+    purchaser: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Set at purchase for direct gifts, on redemption for gift codes
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    code: {
+      type: String,
+      uppercase: true,
+      sparse: true,
+      unique: true,
+    },
+    codeExpiresAt: {
+      type: Date,
+    },
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SubscriptionPlan",
+    },
+    planName: {
+      type: String,
+    },
+    tierLevel: {
+      type: Number,
+      default: 1,
+    },
+    durationMonths: {
+      type: Number,
+      default: 1,
+    },
+    // Price of the gifted period, in minor units of `currency`
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "paid", "redeemed", "failed"],
+      default: "pending",
+    },
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "stripe",
+    },
+    paymentIntentId: {
+      type: String,
+      sparse: true,
+      unique: true,
+    },
+    paidAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+    // Subscription the gift created or extended
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+    },
+    extendedExisting: {
+      type: Boolean,
+      default: false,
+    },
+    redeemedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+giftSchema.index({ purchaser: 1, createdAt: -1 });
+giftSchema.index({ recipient: 1, redeemedAt: -1 });
+giftSchema.index({ creator: 1, status: 1 });
+
+module.exports = mongoose.model("Gift", giftSchema);
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+
+// Receipt for a payment made on the platform (subscription charge, tip,
+// purchase or gift). Issued once per charge recorded in the ledger.
+const invoiceSchema = new mongoose.Schema(
+  {
+    number: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    sourceType: {
+      type: String,
+      enum: ["subscription", "tip", "purchase", "gift"],
+      required: true,
+    },
+    sourceModel: {
+      type: String,
+      enum: ["Subscription", "Tip", "Purchase", "Gift"],
+      required: true,
+    },
+    source: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceModel",
+    },
+    ledgerTransaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerTransaction",
+      required: true,
+      unique: true,
+    },
+    lineItems: [
+      {
+        description: {
+          type: String,
+          required: true,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+        },
+        unitAmount: {
+          type: Number,
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+      },
+    ],
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Creator-side breakdown, only shown to the creator
+    platformFee: {
+      type: Number,
+      default: 0,
+    },
+    creatorNet: {
+      type: Number,
+      default: 0,
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    // Ledger refunds/chargebacks already counted in amountRefunded
+    reversals: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "LedgerTransaction",
+      },
+    ],
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+invoiceSchema.index({ buyer: 1, issuedAt: -1 });
+invoiceSchema.index({ creator: 1, issuedAt: -1 });
+
+invoiceSchema.virtual("status").get(function () {
+  if (this.amountRefunded <= 0) return "paid";
+  return this.amountRefunded >= this.total ? "refunded" : "partially_refunded";
+});
+
+invoiceSchema.set("toJSON", { virtuals: true });
+
+module.exports = mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,168 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+
+// Accounts used by the ledger:
+// - processor:        money collected through the payment processor
+// - platform_revenue: platform commission
+// - creator_earnings: what the platform owes a creator (owner = creator)
+// - payouts:          money paid out to creators
+const LEDGER_ACCOUNTS = [
+  "processor",
+  "platform_revenue",
+  "creator_earnings",
+  "payouts",
+];
+
+const ledgerEntrySchema = new mongoose.Schema(
+  {
+    account: {
+      type: String,
+      enum: LEDGER_ACCOUNTS,
+      required: true,
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    // When the amount can be withdrawn (hold period for creator earnings)
+    availableAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const ledgerTransactionSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: [
+        "subscription_charge",
+        "content_purchase",
+        "tip",
+        "refund",
+        "chargeback",
+        "chargeback_reversal",
+        "payout",
+        "payout_reversal",
+        "payout_settlement",
+        "adjustment",
+      ],
+      required: true,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    payer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    grossAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    platformFee: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    // Processor reference (payment intent, refund, dispute...) for idempotency
+    externalId: {
+      type: String,
+    },
+    references: {
+      subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Subscription",
+      },
+      payout: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Payout",
+      },
+      purchase: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Purchase",
+      },
+      tip: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Tip",
+      },
+      gift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Gift",
+      },
+    },
+    // Original transaction a refund/chargeback reverses
+    reverses: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LedgerTransaction",
+    },
+    entries: {
+      type: [ledgerEntrySchema],
+      validate: {
+        validator: (entries) => entries.length >= 2,
+        message: "A ledger transaction needs at least two entries",
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+ledgerTransactionSchema.index({ creator: 1, createdAt: -1 });
+ledgerTransactionSchema.index({ "entries.owner": 1, "entries.account": 1 });
+ledgerTransactionSchema.index({ "references.subscription": 1 });
+ledgerTransactionSchema.index({ "references.payout": 1 });
+ledgerTransactionSchema.index(
+  { type: 1, externalId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { externalId: { $exists: true } },
+  }
+);
+
+// Double-entry invariant: debits must equal credits
+ledgerTransactionSchema.pre("validate", function (next) {
+  const debits = this.entries.reduce((sum, e) => sum + e.debit, 0);
+  const credits = this.entries.reduce((sum, e) => sum + e.credit, 0);
+
+  if (debits !== credits) {
+    return next(new Error("Ledger transaction is unbalanced"));
+  }
+  next();
+});
+
+// Ledger transactions are append-only; corrections are new transactions
+ledgerTransactionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "deleteOne", "deleteMany"],
+  function (next) {
+    next(new Error("Ledger transactions cannot be modified"));
+  }
+);
+
+ledgerTransactionSchema.statics.ACCOUNTS = LEDGER_ACCOUNTS;
+
+module.exports = mongoose.model("LedgerTransaction", ledgerTransactionSchema);
@@ -0,0 +1,21 @@
+// Failed login tracking shared by the User and Admin schemas (see
+// LoginProtectionService)
+const loginSecurityFields = () => ({
+  failedAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedAt: {
+    type: Date,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  // Locks since the last successful login; each one lasts twice as long
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+});
+
+module.exports = loginSecurityFields;
@@ -29,9 +29,15 @@ const messageSchema = new mongoose.Schema(
     },
     messageType: {
       type: String,
-      enum: ["text", "image", "file"],
+      enum: ["text", "image", "file", "tip"],
       default: "text",
     },
+    // Paid tip shown by a "tip" message
+    tip: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Tip",
+      default: null,
+    },
     fileUrl: {
       type: String,
       default: null,
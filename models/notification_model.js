@@ -25,6 +25,7 @@ const notificationSchema = new mongoose.Schema(
         "message",
         "subscription",
         "subscription_expired",
+        "subscription_reminder",
         "post_like",
         "post_comment",
         "content_like",
@@ -32,6 +33,9 @@ const notificationSchema = new mongoose.Schema(
         "new_post",
         "payment_received",
         "payout_completed",
+        "price_change",
+        "gift",
+        "bundle",
         "system",
       ],
     },
@@ -63,9 +67,13 @@ const notificationSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: "Conversation",
       },
+      // Amount in minor units of `currency`
       amount: {
         type: Number,
       },
+      currency: {
+        type: String,
+      },
       // Generic data object for custom data
       custom: {
         type: mongoose.Schema.Types.Mixed,
@@ -0,0 +1,112 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+const { LOCAL_PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+// A payment made through a local method (Konnect, bank transfer...). Card
+// payments are tracked by their Stripe payment intent instead.
+const paymentSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: LOCAL_PAYMENT_METHODS,
+      required: true,
+    },
+    // Reference the fan quotes (bank transfer memo, gateway order id)
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    providerPaymentId: {
+      type: String,
+    },
+    payer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // What the payment is for
+    purposeModel: {
+      type: String,
+      enum: ["Subscription", "Purchase", "Tip", "Gift"],
+      required: true,
+    },
+    purpose: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "purposeModel",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed", "expired"],
+      default: "pending",
+    },
+    // Where to send the fan to pay (gateways)
+    redirectUrl: {
+      type: String,
+    },
+    // What the fan needs to pay by hand (bank transfers)
+    instructions: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    amountPaid: {
+      type: Number,
+    },
+    paidAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+    // Money that arrived after we gave up on the payment; nothing was
+    // granted for it, so it has to go back to the payer
+    refundRequired: {
+      type: Boolean,
+      default: false,
+    },
+    // Admin who confirmed or rejected a manual payment
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewNote: {
+      type: String,
+      maxlength: 500,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+paymentSchema.index({ payer: 1, createdAt: -1 });
+paymentSchema.index({ provider: 1, status: 1, createdAt: 1 });
+paymentSchema.index({ purposeModel: 1, purpose: 1 });
+paymentSchema.index(
+  { provider: 1, providerPaymentId: 1 },
+  { partialFilterExpression: { providerPaymentId: { $exists: true } } }
+);
+paymentSchema.index({ status: 1, expiresAt: 1 });
+paymentSchema.index(
+  { refundRequired: 1, paidAt: 1 },
+  { partialFilterExpression: { refundRequired: true } }
+);
+
+module.exports = mongoose.model("Payment", paymentSchema);
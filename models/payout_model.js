@@ -0,0 +1,151 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+
+// Allowed status transitions for a payout request
+const PAYOUT_TRANSITIONS = {
+  requested: ["approved", "failed", "cancelled"],
+  approved: ["paid", "failed"],
+  paid: [],
+  failed: [],
+  cancelled: [],
+};
+
+// Statuses for which the requested amount stays reserved
+const OPEN_STATUSES = ["requested", "approved"];
+
+const payoutSchema = new mongoose.Schema(
+  {
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(PAYOUT_TRANSITIONS),
+      default: "requested",
+    },
+    // Set while the payout is open; backs the one-open-request-per-creator index
+    isOpen: {
+      type: Boolean,
+      default: true,
+    },
+    // Snapshot of the payout method at request time (masked)
+    payoutMethod: {
+      methodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+      },
+      type: {
+        type: String,
+        enum: ["paypal", "bank_account", "stripe_connect"],
+        required: true,
+      },
+      accountDetails: {
+        type: mongoose.Schema.Types.Mixed,
+      },
+    },
+    note: {
+      type: String,
+      maxlength: 500,
+    },
+    approvedAt: {
+      type: Date,
+    },
+    approvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    paidAt: {
+      type: Date,
+    },
+    externalReference: {
+      type: String,
+    },
+    failedAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    history: [
+      {
+        status: {
+          type: String,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          refPath: "history.changedByModel",
+        },
+        changedByModel: {
+          type: String,
+          enum: ["User", "Admin"],
+        },
+        note: {
+          type: String,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+    // Reject saves from concurrent status changes on the same payout
+    optimisticConcurrency: true,
+  }
+);
+
+payoutSchema.index({ creator: 1, createdAt: -1 });
+payoutSchema.index({ status: 1, createdAt: 1 });
+
+// A creator can only have one open payout request at a time
+payoutSchema.index(
+  { creator: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { isOpen: true },
+  }
+);
+
+// Check whether the payout may move to the given status
+payoutSchema.methods.canTransitionTo = function (status) {
+  return PAYOUT_TRANSITIONS[this.status].includes(status);
+};
+
+// Move to a new status and record it in the history
+payoutSchema.methods.transitionTo = function (status, actor = {}) {
+  if (!this.canTransitionTo(status)) {
+    throw new Error(`Cannot move payout from ${this.status} to ${status}`);
+  }
+
+  this.status = status;
+  this.isOpen = OPEN_STATUSES.includes(status) ? true : undefined;
+  this.history.push({
+    status,
+    changedBy: actor.id,
+    changedByModel: actor.model,
+    note: actor.note,
+  });
+};
+
+payoutSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
 
 const postSchema = new mongoose.Schema(
   {
@@ -105,6 +106,32 @@ const postSchema = new mongoose.Schema(
       enum: ["public", "subscribers", "private"],
       default: "public",
     },
+    // Lowest subscription tier that can see a subscribers-only post
+    minimumTierLevel: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1,
+    },
+    // Pay-per-view price in minor units of `currency`; 0 means the item is
+    // not sold separately
+    price: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    // Who has to buy it: non-subscribers only, or everyone (premium items)
+    priceAppliesTo: {
+      type: String,
+      enum: ["non_subscribers", "everyone"],
+      default: "non_subscribers",
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -0,0 +1,73 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+
+// Audit record of a creator changing a subscription price, and how existing
+// subscribers were handled
+const priceChangeSchema = new mongoose.Schema(
+  {
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Plan whose price changed (absent for the legacy single price)
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SubscriptionPlan",
+    },
+    oldPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    newPrice: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    // grandfather: existing subscribers keep their price
+    // migrate_at_renewal: existing subscribers move to the new price at the
+    // first renewal after the notice period
+    policy: {
+      type: String,
+      enum: ["grandfather", "migrate_at_renewal"],
+      required: true,
+    },
+    noticeDays: {
+      type: Number,
+      default: 0,
+    },
+    affectedSubscriptions: {
+      type: Number,
+      default: 0,
+    },
+    migratedSubscriptions: {
+      type: Number,
+      default: 0,
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "changedByModel",
+    },
+    changedByModel: {
+      type: String,
+      enum: ["User", "Admin"],
+      default: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+priceChangeSchema.index({ creator: 1, createdAt: -1 });
+
+priceChangeSchema.statics.POLICIES = ["grandfather", "migrate_at_renewal"];
+
+module.exports = mongoose.model("PriceChange", priceChangeSchema);
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+
+const promoCodeSchema = new mongoose.Schema(
+  {
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    code: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+      match: /^[A-Z0-9_-]{3,30}$/,
+    },
+    // Campaign label used to group redemptions in reports
+    campaign: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed", "free_trial"],
+      required: true,
+    },
+    // Percent off, amount off (minor units of `currency`), or trial length
+    // in days depending on the type
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    // Discount only the first billing period instead of every renewal
+    firstPeriodOnly: {
+      type: Boolean,
+      default: true,
+    },
+    // Restrict the code to some of the creator's plans (empty = any plan)
+    plans: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubscriptionPlan",
+      },
+    ],
+    maxRedemptions: {
+      type: Number,
+      min: 1,
+      default: null,
+    },
+    redemptionCount: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Stripe coupon created for this code (percentage/fixed only)
+    stripeCouponId: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+promoCodeSchema.index({ creator: 1, code: 1 }, { unique: true });
+promoCodeSchema.index({ creator: 1, campaign: 1 });
+
+// Check whether the code can still be redeemed
+promoCodeSchema.methods.isRedeemable = function (now = new Date()) {
+  return (
+    this.isActive &&
+    (!this.expiresAt || this.expiresAt > now) &&
+    (!this.maxRedemptions || this.redemptionCount < this.maxRedemptions)
+  );
+};
+
+// Discount this code gives on a price (free trials discount nothing)
+promoCodeSchema.methods.calculateDiscount = function (price) {
+  let discount = 0;
+  if (this.discountType === "percentage") {
+    discount = (price * Math.min(this.discountValue, 100)) / 100;
+  } else if (this.discountType === "fixed") {
+    discount = Math.min(this.discountValue, price);
+  }
+  return Math.round(discount);
+};
+
+module.exports = mongoose.model("PromoCode", promoCodeSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+
+const promoRedemptionSchema = new mongoose.Schema(
+  {
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    subscriber: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    subscription: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Subscription",
+      required: true,
+    },
+    // Copied from the code so reports survive code edits
+    code: {
+      type: String,
+      required: true,
+    },
+    campaign: {
+      type: String,
+    },
+    discountType: {
+      type: String,
+      enum: ["percentage", "fixed", "free_trial"],
+      required: true,
+    },
+    // Discount applied to the first period (minor units of `currency`), and
+    // trial length granted
+    discountAmount: {
+      type: Number,
+      default: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    trialDays: {
+      type: Number,
+      default: 0,
+    },
+    // pending until the subscription is activated
+    status: {
+      type: String,
+      enum: ["pending", "redeemed"],
+      default: "pending",
+    },
+    redeemedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A subscriber can use each code once
+promoRedemptionSchema.index({ promoCode: 1, subscriber: 1 }, { unique: true });
+promoRedemptionSchema.index({ creator: 1, campaign: 1 });
+promoRedemptionSchema.index({ subscription: 1 });
+
+module.exports = mongoose.model("PromoRedemption", promoRedemptionSchema);
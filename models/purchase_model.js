@@ -0,0 +1,83 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+// One-off purchase of a single Post or Content item. A completed purchase is
+// the buyer's entitlement to that item.
+const purchaseSchema = new mongoose.Schema(
+  {
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    itemType: {
+      type: String,
+      enum: ["Post", "Content"],
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "itemType",
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "completed", "failed", "refunded"],
+      default: "pending",
+    },
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "stripe",
+    },
+    paymentIntentId: {
+      type: String,
+      sparse: true,
+      unique: true,
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    purchasedAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+purchaseSchema.index({ buyer: 1, status: 1 });
+purchaseSchema.index({ creator: 1, createdAt: -1 });
+
+// A buyer owns each item at most once
+purchaseSchema.index(
+  { buyer: 1, itemType: 1, item: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { status: "completed" },
+  }
+);
+
+module.exports = mongoose.model("Purchase", purchaseSchema);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Request count for one rate limit key in its current window (used by the
+// MongoDB rate limit store so limits hold across app instances)
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Finished windows are removed by MongoDB
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitCounter", rateLimitCounterSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+// One signed-in device. Access tokens carry the session id and stop working
+// once the session is revoked; the refresh token rotates on every use and
+// only its SHA-256 hash is stored.
+const sessionSchema = new mongoose.Schema(
+  {
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "accountModel",
+      required: true,
+    },
+    accountModel: {
+      type: String,
+      enum: ["User", "Admin"],
+      required: true,
+    },
+    // Role the access tokens carry (the account's role at sign in)
+    role: {
+      type: String,
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Hash of the refresh token that was rotated out last. Seeing it again
+    // means the token was copied, so the session is revoked.
+    previousRefreshTokenHash: {
+      type: String,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+    },
+    ipAddress: {
+      type: String,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "revoked",
+        "revoked_all",
+        "password_reset",
+        "deactivated",
+        "refresh_token_reuse",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ account: 1, revokedAt: 1, expiresAt: -1 });
+// Ended sessions are removed by MongoDB a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model("Session", sessionSchema);
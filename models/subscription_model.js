@@ -1,4 +1,18 @@
 const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+// Subscriptions that actually started (paid, trial or gift), as opposed to
+// checkouts that were abandoned or declined, which end up "cancelled" too.
+// Records from before activatedAt are recognised by their payments or gift.
+const ACTIVATED_QUERY = {
+  $or: [
+    { activatedAt: { $exists: true } },
+    { lastPaymentDate: { $exists: true } },
+    { totalPaid: { $gt: 0 } },
+    { gift: { $exists: true } },
+  ],
+};
 
 const subscriptionSchema = new mongoose.Schema(
   {
@@ -12,14 +26,46 @@ const subscriptionSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Price per billing period, in minor units of `currency`. All amounts on
+    // the subscription use the same currency.
     subscriptionPrice: {
       type: Number,
       required: true,
       min: 0,
     },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    // Plan the subscription was bought on (absent for the legacy single price)
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "SubscriptionPlan",
+    },
+    planName: {
+      type: String,
+    },
+    tierLevel: {
+      type: Number,
+      default: 1,
+    },
+    durationMonths: {
+      type: Number,
+      default: 1,
+    },
+    // Promo code applied at checkout, and end of the free trial if any
+    promoCode: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PromoCode",
+    },
+    trialEndsAt: {
+      type: Date,
+    },
     status: {
       type: String,
-      enum: ["active", "cancelled", "expired", "pending"],
+      enum: ["active", "cancelled", "expired", "pending", "past_due"],
       default: "pending",
     },
     startDate: {
@@ -37,11 +83,30 @@ const subscriptionSchema = new mongoose.Schema(
       type: Boolean,
       default: true,
     },
+    // "gift" subscriptions were paid by someone else. "paypal" only appears
+    // on old checkouts, it was never offered.
     paymentMethod: {
       type: String,
-      enum: ["stripe", "paypal", "bank_transfer"],
+      enum: [...PAYMENT_METHODS, "gift", "paypal"],
       default: "stripe",
     },
+    // Gift the subscription was provisioned from
+    gift: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Gift",
+    },
+    // Bundle the subscription was bought through. `creator` is then the
+    // bundle owner and access covers every creator in `bundleCreators`.
+    bundle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Bundle",
+    },
+    bundleCreators: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    ],
     stripeSubscriptionId: {
       type: String,
       sparse: true,
@@ -50,6 +115,12 @@ const subscriptionSchema = new mongoose.Schema(
       type: String,
       sparse: true,
     },
+    // Every payment intent charged for this subscription (first + renewals)
+    paymentIntentIds: [
+      {
+        type: String,
+      },
+    ],
     cancelledAt: {
       type: Date,
     },
@@ -60,12 +131,125 @@ const subscriptionSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // When the subscription started; never set on unpaid checkouts
+    activatedAt: {
+      type: Date,
+    },
     lastPaymentDate: {
       type: Date,
     },
+    totalRefunded: {
+      type: Number,
+      default: 0,
+    },
+    // Refunded amount per payment intent, used to apply refunds only once
+    refundsByPayment: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Refunds issued from the platform (admin or creator)
+    refunds: [
+      {
+        refundId: {
+          type: String,
+        },
+        paymentIntentId: {
+          type: String,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        type: {
+          type: String,
+          enum: ["full", "prorated"],
+        },
+        reason: {
+          type: String,
+        },
+        initiatedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          refPath: "refunds.initiatedByModel",
+        },
+        initiatedByModel: {
+          type: String,
+          enum: ["User", "Admin"],
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Chargeback disputes opened by the subscriber's bank, with their outcome
+    disputes: [
+      {
+        disputeId: {
+          type: String,
+          required: true,
+        },
+        paymentIntentId: {
+          type: String,
+        },
+        amount: {
+          type: Number,
+          required: true,
+        },
+        reason: {
+          type: String,
+        },
+        status: {
+          type: String,
+        },
+        outcome: {
+          type: String,
+          enum: ["open", "won", "lost"],
+          default: "open",
+        },
+        openedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        closedAt: {
+          type: Date,
+        },
+      },
+    ],
+    failedPaymentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastPaymentError: {
+      type: String,
+    },
     nextBillingDate: {
       type: Date,
     },
+    // Price the subscription moves to from the renewal at
+    // pendingPriceEffectiveAt (set by a migrate_at_renewal price change)
+    pendingPrice: {
+      type: Number,
+      min: 0,
+    },
+    pendingPriceEffectiveAt: {
+      type: Date,
+    },
+    priceChange: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PriceChange",
+    },
+    // When the pending price was pushed to Stripe for the next invoice
+    pendingPriceSyncedAt: {
+      type: Date,
+    },
+    pendingPriceReminderSentAt: {
+      type: Date,
+    },
+    // End date of the period the last renewal/expiry reminder was sent for
+    reminderSentFor: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -77,10 +261,15 @@ subscriptionSchema.index({ subscriber: 1, creator: 1 });
 subscriptionSchema.index({ creator: 1, status: 1 });
 subscriptionSchema.index({ subscriber: 1, status: 1 });
 subscriptionSchema.index({ endDate: 1, status: 1 });
+subscriptionSchema.index({ paymentIntentIds: 1 });
+subscriptionSchema.index({ "disputes.disputeId": 1 }, { sparse: true });
+subscriptionSchema.index({ pendingPriceEffectiveAt: 1 }, { sparse: true });
+subscriptionSchema.index({ subscriber: 1, bundleCreators: 1, status: 1 });
 
-// Compound unique index to prevent duplicate active subscriptions
+// Compound unique index to prevent duplicate active subscriptions (one
+// direct subscription per creator, one per bundle)
 subscriptionSchema.index(
-  { subscriber: 1, creator: 1, status: 1 },
+  { subscriber: 1, creator: 1, bundle: 1, status: 1 },
   {
     unique: true,
     partialFilterExpression: { status: "active" },
@@ -105,17 +294,43 @@ subscriptionSchema.methods.daysRemaining = function () {
   return Math.max(0, Math.ceil(timeDiff / (1000 * 60 * 60 * 24)));
 };
 
-// Static method to find active subscription between users
-subscriptionSchema.statics.findActiveSubscription = function (
+// Creators the subscription gives access to
+subscriptionSchema.methods.getCreatorIds = function () {
+  return this.bundle ? this.bundleCreators : [this.creator];
+};
+
+// Static method to find the subscription giving a user access to a creator:
+// a direct subscription, or else a bundle the creator is part of
+subscriptionSchema.statics.findActiveSubscription = async function (
+  subscriberId,
+  creatorId
+) {
+  const direct = await this.findDirectSubscription(subscriberId, creatorId);
+  if (direct) return direct;
+
+  return this.findOne({
+    subscriber: subscriberId,
+    bundleCreators: creatorId,
+    status: "active",
+    endDate: { $gt: new Date() },
+  });
+};
+
+// Static method to find the user's own active subscription to a creator,
+// leaving out bundles
+subscriptionSchema.statics.findDirectSubscription = function (
   subscriberId,
   creatorId
 ) {
   return this.findOne({
     subscriber: subscriberId,
     creator: creatorId,
+    bundle: null,
     status: "active",
     endDate: { $gt: new Date() },
   });
 };
 
+subscriptionSchema.statics.ACTIVATED_QUERY = ACTIVATED_QUERY;
+
 module.exports = mongoose.model("Subscription", subscriptionSchema);
@@ -0,0 +1,86 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+
+// Billing periods a plan can use, in months
+const PLAN_DURATIONS = [1, 3, 6, 12];
+
+const subscriptionPlanSchema = new mongoose.Schema(
+  {
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Price charged once per billing period, in minor units of `currency`
+    price: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    durationMonths: {
+      type: Number,
+      enum: PLAN_DURATIONS,
+      default: 1,
+    },
+    // Higher tiers unlock posts targeted at lower tiers as well
+    tierLevel: {
+      type: Number,
+      min: 1,
+      max: 10,
+      default: 1,
+    },
+    // Free trial new subscribers get before the first charge
+    trialDays: {
+      type: Number,
+      min: 0,
+      max: 90,
+      default: 0,
+    },
+    benefits: [
+      {
+        type: String,
+        trim: true,
+        maxlength: 200,
+      },
+    ],
+    // Archived plans stay referenced by existing subscriptions
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+subscriptionPlanSchema.index({ creator: 1, isActive: 1 });
+
+// Equivalent monthly price, used to show discounts on longer plans
+subscriptionPlanSchema.virtual("monthlyPrice").get(function () {
+  return Math.round(this.price / this.durationMonths);
+});
+
+subscriptionPlanSchema.set("toJSON", { virtuals: true });
+subscriptionPlanSchema.set("toObject", { virtuals: true });
+
+subscriptionPlanSchema.statics.DURATIONS = PLAN_DURATIONS;
+
+module.exports = mongoose.model("SubscriptionPlan", subscriptionPlanSchema);
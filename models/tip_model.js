@@ -0,0 +1,88 @@
+const mongoose = require("mongoose");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+// A one-off tip from a fan to a creator, sent from a post, the creator's
+// profile or a chat conversation
+const tipSchema = new mongoose.Schema(
+  {
+    tipper: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["post", "profile", "chat"],
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+    },
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Conversation",
+    },
+    // Chat message posted once the tip is paid
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Message",
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      enum: SUPPORTED_CURRENCIES,
+      default: DEFAULT_CURRENCY,
+      lowercase: true,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "completed", "failed", "refunded"],
+      default: "pending",
+    },
+    paymentMethod: {
+      type: String,
+      enum: PAYMENT_METHODS,
+      default: "stripe",
+    },
+    paymentIntentId: {
+      type: String,
+      sparse: true,
+      unique: true,
+    },
+    amountRefunded: {
+      type: Number,
+      default: 0,
+    },
+    completedAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+tipSchema.index({ tipper: 1, createdAt: -1 });
+tipSchema.index({ creator: 1, status: 1, completedAt: -1 });
+tipSchema.index({ post: 1, status: 1 });
+
+module.exports = mongoose.model("Tip", tipSchema);
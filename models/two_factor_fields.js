@@ -0,0 +1,42 @@
+// Two-factor authentication settings shared by the User and Admin schemas.
+// Secrets and backup codes are never loaded unless asked for with
+// .select("+twoFactor.secret ...") (see TwoFactorService).
+const twoFactorFields = () => ({
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+  enabledAt: {
+    type: Date,
+  },
+  // TOTP secret, encrypted with TWO_FACTOR_ENCRYPTION_KEYS (utils/encryption).
+  // Rotated along with payout details by
+  // scripts/migrations/encrypt-payout-details.js.
+  secret: {
+    type: String,
+    select: false,
+  },
+  // Secret waiting for its first code during enrollment
+  pendingSecret: {
+    type: String,
+    select: false,
+  },
+  // scrypt hashes of single-use recovery codes
+  backupCodes: {
+    type: [
+      {
+        _id: false,
+        codeHash: String,
+        usedAt: Date,
+      },
+    ],
+    select: false,
+  },
+  // Last accepted TOTP time step, so a code can't be replayed
+  lastUsedStep: {
+    type: Number,
+    select: false,
+  },
+});
+
+module.exports = twoFactorFields;
@@ -1,5 +1,9 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcrypt");
+const { encryptAccountDetails } = require("../utils/payoutMethods");
+const { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } = require("../utils/currency");
+const twoFactorFields = require("./two_factor_fields");
+const loginSecurityFields = require("./login_security_fields");
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -50,6 +54,20 @@ const userSchema = new mongoose.Schema({
   lastLoginAt: {
     type: Date,
   },
+  // Set once the user opened the link sent to their current email address
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: {
+    type: Date,
+  },
+  // Tokens issued before this are rejected (see sessionService)
+  passwordChangedAt: {
+    type: Date,
+  },
+  twoFactor: twoFactorFields(),
+  loginSecurity: loginSecurityFields(),
   statusUpdateReason: {
     type: String,
   },
@@ -79,12 +97,18 @@ const userSchema = new mongoose.Schema({
     maxlength: 500,
     default: "",
   },
-  // Subscription-related fields
+  // Subscription-related fields. Prices are in minor units of the
+  // creator's pricing currency (see utils/currency.js).
   subscriptionPrice: {
     type: Number,
     default: 0,
     min: 0,
   },
+  pricingCurrency: {
+    type: String,
+    enum: SUPPORTED_CURRENCIES,
+    default: DEFAULT_CURRENCY,
+  },
   payoutMethods: [
     {
       type: {
@@ -95,9 +119,11 @@ const userSchema = new mongoose.Schema({
       accountDetails: {
         // For PayPal
         paypalEmail: String,
-        // For Bank Account
+        // For Bank Account (encrypted at rest, see utils/encryption.js)
         accountNumber: String,
+        accountNumberLast4: String,
         routingNumber: String,
+        routingNumberLast4: String,
         accountHolderName: String,
         bankName: String,
         // For Stripe Connect
@@ -113,6 +139,8 @@ const userSchema = new mongoose.Schema({
       },
     },
   ],
+  // Cached balances in the pricing currency, derived from the ledger
+  // (see LedgerService)
   totalEarnings: {
     type: Number,
     default: 0,
@@ -121,6 +149,10 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0,
   },
+  pendingBalance: {
+    type: Number,
+    default: 0,
+  },
   // Subscription stats
   subscriberCount: {
     type: Number,
@@ -147,6 +179,24 @@ userSchema.pre("save", async function (next) {
   }
 });
 
+// Encrypt payout bank details before saving
+userSchema.pre("save", function (next) {
+  if (!this.isModified("payoutMethods")) {
+    return next();
+  }
+
+  try {
+    this.payoutMethods.forEach((method) => {
+      if (method.accountDetails) {
+        encryptAccountDetails(method.accountDetails);
+      }
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Method to check password
 userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
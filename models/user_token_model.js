@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// Single-use token sent to a user by email. Only a SHA-256 hash of the token
+// is stored, so a database leak does not let anyone use pending links.
+const userTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    purpose: {
+      type: String,
+      enum: ["email_verification", "password_reset", "account_unlock"],
+      required: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // Email address the token was sent to (verification applies to it only)
+    email: {
+      type: String,
+      lowercase: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+// Expired tokens are removed by MongoDB a day after they stop working
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("UserToken", userTokenSchema);
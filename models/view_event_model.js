@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// A post shown to a viewer, for creator analytics. Each viewer counts once
+// per post and day, so refreshing a feed doesn't inflate the numbers.
+const viewEventSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // Post author, so analytics don't have to join posts
+    creator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Signed-in viewer; empty for anonymous visitors
+    viewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // User id, or a hash of the IP address for anonymous visitors
+    viewerKey: {
+      type: String,
+      required: true,
+    },
+    // UTC day of the view (YYYY-MM-DD)
+    day: {
+      type: String,
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: ["feed", "profile"],
+      required: true,
+    },
+    viewedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+viewEventSchema.index({ post: 1, viewerKey: 1, day: 1 }, { unique: true });
+viewEventSchema.index({ creator: 1, viewedAt: -1 });
+
+module.exports = mongoose.model("ViewEvent", viewEventSchema);
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+const webhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      enum: ["stripe"],
+      default: "stripe",
+    },
+    eventId: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["processing", "processed", "failed", "ignored"],
+      default: "processing",
+    },
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+    processedAt: {
+      type: Date,
+    },
+    error: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+webhookEventSchema.index({ provider: 1, type: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -1,6 +1,14 @@
 const express = require("express");
 const router = express.Router();
-const { authenticate, adminOnly } = require("../middleware/authMiddleware");
+const {
+  authenticate,
+  adminOnly,
+  requirePermission,
+} = require("../middleware/authMiddleware");
+const {
+  auditAdminRequest,
+  auditTarget,
+} = require("../middleware/auditMiddleware");
 const {
   // User management
   getUsers,
@@ -9,41 +17,338 @@ const {
 
   // Dashboard
   getDashboardOverview,
+
+  // Payouts
+  getPayouts,
+  getPayoutDetails,
+  approvePayout,
+  markPayoutPaid,
+  markPayoutFailed,
+
+  // Refunds and disputes
+  refundSubscription,
+  getDisputes,
+
+  // Bank transfers
+  getBankTransfers,
+  confirmBankTransfer,
+  rejectBankTransfer,
+
+  // Reports
+  getRevenueReport,
+
+  // Admin accounts
+  getAdmins,
+  createAdmin,
+  updateAdminRole,
+  updateAdminStatus,
+
+  // Audit log
+  getAuditLogs,
+  exportAuditLogs,
 } = require("../controllers/adminController");
+const {
+  payoutIdParamValidation,
+  listPayoutsValidation,
+  approvePayoutValidation,
+  markPayoutPaidValidation,
+  markPayoutFailedValidation,
+} = require("../validators/payoutValidators");
+const {
+  refundSubscriptionValidation,
+  listDisputesValidation,
+} = require("../validators/subscriptionValidators");
+const { revenueReportValidation } = require("../validators/invoiceValidators");
+const {
+  listPaymentsValidation,
+  confirmBankTransferValidation,
+  rejectBankTransferValidation,
+} = require("../validators/paymentValidators");
+const {
+  createAdminValidation,
+  updateAdminRoleValidation,
+  updateAdminStatusValidation,
+  auditLogSearchValidation,
+  dashboardValidation,
+} = require("../validators/adminValidators");
 
-// All admin routes require authentication and admin privileges
-router.use(authenticate, adminOnly);
+// All admin routes require authentication and admin privileges; each route
+// also checks the admin role's permission (see utils/adminPermissions).
+// Every request, allowed or not, is written to the audit log.
+router.use(authenticate, adminOnly, auditAdminRequest);
+
+// Audit log targets for routes with these params
+router.param("userId", auditTarget("User"));
+router.param("payoutId", auditTarget("Payout"));
+router.param("subscriptionId", auditTarget("Subscription"));
+router.param("paymentId", auditTarget("Payment"));
+router.param("adminId", auditTarget("Admin"));
 
 // ==================== DASHBOARD ====================
 /**
  * @route   GET /api/admin/dashboard
- * @desc    Get admin dashboard overview with key metrics
- * @access  Admin only
+ * @desc    Platform metrics (signups, subscriptions, revenue, payouts,
+ *          activity) with totals and a time series
+ * @query   from?, to? (ISO dates, defaults to the last 30 days),
+ *          interval? (day | week | month, defaults to day)
+ * @access  Admin (dashboard:view)
  */
-router.get("/dashboard", getDashboardOverview);
+router.get(
+  "/dashboard",
+  requirePermission("dashboard:view"),
+  dashboardValidation,
+  getDashboardOverview
+);
 
 // ==================== USER MANAGEMENT ====================
 /**
  * @route   GET /api/admin/users
  * @desc    Get all users with pagination and filters
  * @query   page, limit, search, sortBy, sortOrder
- * @access  Admin only
+ * @access  Admin (users:view)
  */
-router.get("/users", getUsers);
+router.get("/users", requirePermission("users:view"), getUsers);
 
 /**
  * @route   GET /api/admin/users/:userId
  * @desc    Get detailed information about a specific user
- * @access  Admin only
+ * @access  Admin (users:view)
  */
-router.get("/users/:userId", getUserDetails);
+router.get("/users/:userId", requirePermission("users:view"), getUserDetails);
 
 /**
  * @route   PUT /api/admin/users/:userId/status
  * @desc    Update user status (activate/deactivate)
  * @body    { isActive: boolean, reason?: string }
- * @access  Admin only
+ * @access  Admin (users:status)
+ */
+router.put(
+  "/users/:userId/status",
+  requirePermission("users:status"),
+  updateUserStatus
+);
+
+// ==================== PAYOUTS ====================
+/**
+ * @route   GET /api/admin/payouts
+ * @desc    Get payout requests by status (defaults to the pending queue)
+ * @query   status, page, limit
+ * @access  Admin (payouts:view)
+ */
+router.get(
+  "/payouts",
+  requirePermission("payouts:view"),
+  listPayoutsValidation,
+  getPayouts
+);
+
+/**
+ * @route   GET /api/admin/payouts/:payoutId
+ * @desc    Get a payout with the creator's payout destination (full bank
+ *          details only for payouts:manage once approved, masked otherwise)
+ * @access  Admin (payouts:view)
+ */
+router.get(
+  "/payouts/:payoutId",
+  requirePermission("payouts:view"),
+  payoutIdParamValidation,
+  getPayoutDetails
+);
+
+/**
+ * @route   PUT /api/admin/payouts/:payoutId/approve
+ * @desc    Approve a requested payout
+ * @body    { note?: string }
+ * @access  Admin (payouts:manage)
+ */
+router.put(
+  "/payouts/:payoutId/approve",
+  requirePermission("payouts:manage"),
+  approvePayoutValidation,
+  approvePayout
+);
+
+/**
+ * @route   PUT /api/admin/payouts/:payoutId/paid
+ * @desc    Mark an approved payout as paid
+ * @body    { externalReference: string, note?: string }
+ * @access  Admin (payouts:manage)
+ */
+router.put(
+  "/payouts/:payoutId/paid",
+  requirePermission("payouts:manage"),
+  markPayoutPaidValidation,
+  markPayoutPaid
+);
+
+/**
+ * @route   PUT /api/admin/payouts/:payoutId/failed
+ * @desc    Reject or fail a payout and return the amount to the creator
+ * @body    { reason: string }
+ * @access  Admin (payouts:manage)
+ */
+router.put(
+  "/payouts/:payoutId/failed",
+  requirePermission("payouts:manage"),
+  markPayoutFailedValidation,
+  markPayoutFailed
+);
+
+// ==================== REFUNDS & DISPUTES ====================
+/**
+ * @route   POST /api/admin/subscriptions/:subscriptionId/refund
+ * @desc    Refund a subscription's latest payment and revoke access
+ * @body    { type?: "full" | "prorated", reason?: string }
+ * @access  Admin (refunds:manage)
+ */
+router.post(
+  "/subscriptions/:subscriptionId/refund",
+  requirePermission("refunds:manage"),
+  refundSubscriptionValidation,
+  refundSubscription
+);
+
+/**
+ * @route   GET /api/admin/disputes
+ * @desc    Get subscriptions with chargeback disputes
+ * @query   outcome (open | won | lost), page, limit
+ * @access  Admin (disputes:view)
+ */
+router.get(
+  "/disputes",
+  requirePermission("disputes:view"),
+  listDisputesValidation,
+  getDisputes
+);
+
+// ==================== BANK TRANSFERS ====================
+/**
+ * @route   GET /api/admin/bank-transfers
+ * @desc    Get bank transfer payments, pending ones first in line
+ * @query   status (pending | succeeded | failed | expired), page, limit
+ * @access  Admin (bank_transfers:view)
+ */
+router.get(
+  "/bank-transfers",
+  requirePermission("bank_transfers:view"),
+  listPaymentsValidation,
+  getBankTransfers
+);
+
+/**
+ * @route   PUT /api/admin/bank-transfers/:paymentId/confirm
+ * @desc    Confirm a bank transfer was received and unlock what it paid for
+ * @body    { note?: string }
+ * @access  Admin (bank_transfers:manage)
+ */
+router.put(
+  "/bank-transfers/:paymentId/confirm",
+  requirePermission("bank_transfers:manage"),
+  confirmBankTransferValidation,
+  confirmBankTransfer
+);
+
+/**
+ * @route   PUT /api/admin/bank-transfers/:paymentId/reject
+ * @desc    Reject a bank transfer that never arrived or does not match
+ * @body    { reason: string }
+ * @access  Admin (bank_transfers:manage)
+ */
+router.put(
+  "/bank-transfers/:paymentId/reject",
+  requirePermission("bank_transfers:manage"),
+  rejectBankTransferValidation,
+  rejectBankTransfer
+);
+
+// ==================== REPORTS ====================
+/**
+ * @route   GET /api/admin/reports/revenue
+ * @desc    Get platform volume and revenue per currency, with totals
+ *          converted to the platform base currency
+ * @query   from?, to? (ISO dates, defaults to all time until now)
+ * @access  Admin (reports:view)
+ */
+router.get(
+  "/reports/revenue",
+  requirePermission("reports:view"),
+  revenueReportValidation,
+  getRevenueReport
+);
+
+// ==================== ADMIN ACCOUNTS ====================
+/**
+ * @route   GET /api/admin/admins
+ * @desc    Get admin accounts with their roles and permissions
+ * @access  Admin (admins:manage)
+ */
+router.get("/admins", requirePermission("admins:manage"), getAdmins);
+
+/**
+ * @route   POST /api/admin/admins
+ * @desc    Create an admin account (2FA setup is required at first login)
+ * @body    { username: string, password: string, adminRole: string }
+ * @access  Admin (admins:manage)
+ */
+router.post(
+  "/admins",
+  requirePermission("admins:manage"),
+  createAdminValidation,
+  createAdmin
+);
+
+/**
+ * @route   PUT /api/admin/admins/:adminId/role
+ * @desc    Change an admin's role
+ * @body    { adminRole: "super_admin" | "moderator" | "support" | "finance" }
+ * @access  Admin (admins:manage)
+ */
+router.put(
+  "/admins/:adminId/role",
+  requirePermission("admins:manage"),
+  updateAdminRoleValidation,
+  updateAdminRole
+);
+
+/**
+ * @route   PUT /api/admin/admins/:adminId/status
+ * @desc    Enable or disable an admin account (disabling signs it out)
+ * @body    { isActive: boolean }
+ * @access  Admin (admins:manage)
+ */
+router.put(
+  "/admins/:adminId/status",
+  requirePermission("admins:manage"),
+  updateAdminStatusValidation,
+  updateAdminStatus
+);
+
+// ==================== AUDIT LOG ====================
+/**
+ * @route   GET /api/admin/audit-logs
+ * @desc    Search the audit log of admin requests, newest first
+ * @query   actor, action (prefix), targetType, targetId, from, to,
+ *          status (success | error), page, limit
+ * @access  Admin (audit:view)
+ */
+router.get(
+  "/audit-logs",
+  requirePermission("audit:view"),
+  auditLogSearchValidation,
+  getAuditLogs
+);
+
+/**
+ * @route   GET /api/admin/audit-logs/export
+ * @desc    Download the matching audit log entries as CSV
+ * @query   Same filters as /audit-logs (no paging)
+ * @access  Admin (audit:view)
  */
-router.put("/users/:userId/status", updateUserStatus);
+router.get(
+  "/audit-logs/export",
+  requirePermission("audit:view"),
+  auditLogSearchValidation,
+  exportAuditLogs
+);
 
 module.exports = router;
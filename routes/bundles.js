@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getMyBundles,
+  getCreatorBundles,
+  getBundle,
+  createBundle,
+  updateBundle,
+  respondToBundle,
+  publishBundle,
+  archiveBundle,
+  subscribeToBundle,
+  confirmBundleSubscription,
+} = require("../controllers/bundleController");
+const { authenticate } = require("../middleware/authMiddleware");
+const {
+  bundleIdParamValidation,
+  createBundleValidation,
+  updateBundleValidation,
+  respondBundleValidation,
+  subscribeBundleValidation,
+  bundleSubscriptionIdParamValidation,
+  creatorBundlesValidation,
+} = require("../validators/bundleValidators");
+
+// All bundle routes require authentication
+router.use(authenticate);
+
+// Bundles the current creator owns or was invited to
+router.get("/mine", getMyBundles);
+
+// Bundles on sale that include a creator
+router.get("/creator/:username", creatorBundlesValidation, getCreatorBundles);
+
+// Confirm a bundle subscription after the client completed the payment
+router.post(
+  "/subscriptions/:subscriptionId/confirm",
+  bundleSubscriptionIdParamValidation,
+  confirmBundleSubscription
+);
+
+// Propose a bundle to other creators
+router.post("/", createBundleValidation, createBundle);
+
+router.get("/:bundleId", bundleIdParamValidation, getBundle);
+router.put("/:bundleId", updateBundleValidation, updateBundle);
+
+// Invited creators accept or decline the price and revenue split
+router.post("/:bundleId/respond", respondBundleValidation, respondToBundle);
+
+// Put a bundle on sale, or stop selling it
+router.post("/:bundleId/publish", bundleIdParamValidation, publishBundle);
+router.post("/:bundleId/archive", bundleIdParamValidation, archiveBundle);
+
+// Subscribe to a bundle
+router.post(
+  "/:bundleId/subscribe",
+  subscribeBundleValidation,
+  subscribeToBundle
+);
+
+module.exports = router;
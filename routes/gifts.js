@@ -0,0 +1,34 @@
+const express = require("express");
+const router = express.Router();
+const {
+  purchaseGift,
+  confirmGift,
+  redeemGiftCode,
+  getSentGifts,
+  getReceivedGifts,
+} = require("../controllers/giftController");
+const { authenticate } = require("../middleware/authMiddleware");
+const {
+  purchaseGiftValidation,
+  giftIdParamValidation,
+  redeemGiftValidation,
+  listGiftsValidation,
+} = require("../validators/giftValidators");
+
+// All gift routes require authentication
+router.use(authenticate);
+
+// Gifts the current user bought or received
+router.get("/sent", listGiftsValidation, getSentGifts);
+router.get("/received", listGiftsValidation, getReceivedGifts);
+
+// Buy a gift subscription, for a named user or as a code
+router.post("/", purchaseGiftValidation, purchaseGift);
+
+// Redeem a gift code
+router.post("/redeem", redeemGiftValidation, redeemGiftCode);
+
+// Confirm a gift after the client completed the payment
+router.post("/:giftId/confirm", giftIdParamValidation, confirmGift);
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getInvoices,
+  getInvoice,
+  downloadInvoice,
+  getMonthlyStatement,
+} = require("../controllers/invoiceController");
+const { authenticate } = require("../middleware/authMiddleware");
+const {
+  auditWhenAdmin,
+  auditTarget,
+} = require("../middleware/auditMiddleware");
+const {
+  listInvoicesValidation,
+  invoiceIdParamValidation,
+  downloadInvoiceValidation,
+  statementValidation,
+} = require("../validators/invoiceValidators");
+
+// All invoice routes require authentication; admins reading other users'
+// invoices are recorded in the audit log
+router.use(authenticate, auditWhenAdmin);
+router.param("invoiceId", auditTarget("Invoice"));
+
+// Invoices of the current user (?role=buyer|creator)
+router.get("/", listInvoicesValidation, getInvoices);
+
+// Monthly earnings statement for creators (?format=json|html|pdf)
+router.get(
+  "/statements/:year/:month",
+  statementValidation,
+  getMonthlyStatement
+);
+
+// A single invoice, and its PDF/HTML download
+router.get("/:invoiceId", invoiceIdParamValidation, getInvoice);
+router.get("/:invoiceId/download", downloadInvoiceValidation, downloadInvoice);
+
+module.exports = router;
@@ -15,7 +15,9 @@ const {
   authenticate,
   userOrAdmin,
   adminOnly,
+  requirePermission,
 } = require("../middleware/authMiddleware");
+const { auditAdminRequest } = require("../middleware/auditMiddleware");
 const {
   createNotificationValidation,
   markMultipleAsReadValidation,
@@ -60,6 +62,13 @@ router.delete(
 );
 
 // Create a notification (admin only)
-router.post("/", adminOnly, createNotificationValidation, createNotification);
+router.post(
+  "/",
+  adminOnly,
+  auditAdminRequest,
+  requirePermission("notifications:broadcast"),
+  createNotificationValidation,
+  createNotification
+);
 
 module.exports = router;
@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getPaymentMethods,
+  getMyPayments,
+  getPayment,
+  confirmPayment,
+} = require("../controllers/paymentController");
+const { authenticate } = require("../middleware/authMiddleware");
+const {
+  paymentIdParamValidation,
+  listPaymentsValidation,
+  paymentMethodsValidation,
+} = require("../validators/paymentValidators");
+
+// All payment routes require authentication
+router.use(authenticate);
+
+// Payment methods available for a currency
+router.get("/methods", paymentMethodsValidation, getPaymentMethods);
+
+// Local payments (Konnect, bank transfer) of the current user
+router.get("/", listPaymentsValidation, getMyPayments);
+router.get("/:paymentId", paymentIdParamValidation, getPayment);
+
+// Check a payment after returning from the gateway
+router.post("/:paymentId/confirm", paymentIdParamValidation, confirmPayment);
+
+module.exports = router;
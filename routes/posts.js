@@ -13,7 +13,13 @@ const {
   getPostComments,
   deleteComment,
 } = require("../controllers/postController");
-const { authenticate, userOrAdmin } = require("../middleware/authMiddleware");
+const { purchasePost } = require("../controllers/purchaseController");
+const {
+  authenticate,
+  optionalAuthenticate,
+  userOrAdmin,
+} = require("../middleware/authMiddleware");
+const { uploadLimiter } = require("../middleware/rateLimitMiddleware");
 const {
   createPostValidation,
   postIdValidation,
@@ -22,6 +28,7 @@ const {
   commentIdValidation,
   getCommentsValidation,
 } = require("../validators/postValidators");
+const { purchasePostValidation } = require("../validators/purchaseValidators");
 const {
   uploadPostMedia,
   processPostMediaUpload,
@@ -31,11 +38,12 @@ const {
 // Protected routes (requires authentication)
 router.get("/home", authenticate, getHomeFeed);
 router.get("/my-posts", authenticate, getMyPosts);
-router.get("/user-posts/:username", getPostsByUsername); // Get posts by username (public)
+router.get("/user-posts/:username", optionalAuthenticate, getPostsByUsername); // Get posts by username (public)
 router.post("/", authenticate, createPostValidation, createPost);
 router.post(
   "/exclusive-content",
   authenticate,
+  uploadLimiter,
   uploadPostMedia,
   handleUploadError,
   createPostWithMediaValidation,
@@ -44,6 +52,12 @@ router.post(
 );
 router.post("/:postId/like", authenticate, postIdValidation, togglePostLike);
 router.delete("/:postId", authenticate, postIdValidation, deletePost);
+router.post(
+  "/:postId/purchase",
+  authenticate,
+  purchasePostValidation,
+  purchasePost
+);
 
 // Comment routes
 router.post(
@@ -0,0 +1,46 @@
+const express = require("express");
+const router = express.Router();
+const {
+  tipPost,
+  tipProfile,
+  tipConversation,
+  confirmTip,
+  getSentTips,
+  getReceivedTips,
+  getTopTippers,
+} = require("../controllers/tipController");
+const { authenticate } = require("../middleware/authMiddleware");
+const {
+  tipPostValidation,
+  tipProfileValidation,
+  tipConversationValidation,
+  tipIdParamValidation,
+  listTipsValidation,
+  topTippersValidation,
+} = require("../validators/tipValidators");
+
+// All tip routes require authentication
+router.use(authenticate);
+
+// Tips the current user sent
+router.get("/sent", listTipsValidation, getSentTips);
+
+// Tips the current creator received
+router.get("/received", listTipsValidation, getReceivedTips);
+
+// Fans who tipped the current creator the most
+router.get("/top-tippers", topTippersValidation, getTopTippers);
+
+// Tip a post, a profile or a chat conversation
+router.post("/posts/:postId", tipPostValidation, tipPost);
+router.post("/users/:username", tipProfileValidation, tipProfile);
+router.post(
+  "/conversations/:conversationId",
+  tipConversationValidation,
+  tipConversation
+);
+
+// Confirm a tip after the payment went through
+router.post("/:tipId/confirm", tipIdParamValidation, confirmTip);
+
+module.exports = router;
@@ -3,9 +3,15 @@ const router = express.Router();
 const {
   registerUser,
   loginUser,
+  verifyEmail,
+  resendVerificationEmail,
+  forgotPassword,
+  resetPassword,
+  unlockAccount,
   getUserProfile,
   updateUserProfile,
   updateSubscriptionPrice,
+  getPriceChangeHistory,
   addPayoutMethod,
   getPayoutMethods,
   setDefaultPayoutMethod,
@@ -25,16 +31,67 @@ const {
 } = require("../controllers/contentController");
 const {
   subscribeToCreator,
+  confirmSubscriptionPayment,
   unsubscribeFromCreator,
   checkSubscriptionStatus,
   toggleAutoRenewal,
+  refundSubscriber,
 } = require("../controllers/subscriptionController");
+const {
+  getEarningsSummary,
+  getEarningsTransactions,
+} = require("../controllers/earningsController");
+const {
+  getAnalyticsOverview,
+  getTopPosts,
+  getSubscriberCohorts,
+} = require("../controllers/analyticsController");
+const {
+  getMyPlans,
+  getCreatorPlans,
+  createPlan,
+  updatePlan,
+  archivePlan,
+} = require("../controllers/planController");
+const {
+  getMyPromoCodes,
+  createPromoCode,
+  updatePromoCode,
+  deactivatePromoCode,
+  getPromoRedemptions,
+  getPromoReport,
+  checkPromoCode,
+} = require("../controllers/promoController");
+const {
+  requestPayout,
+  getMyPayouts,
+  cancelPayout,
+} = require("../controllers/payoutController");
+const {
+  purchaseContent,
+  confirmPurchase,
+  getMyPurchases,
+} = require("../controllers/purchaseController");
 const { authenticate, userOrAdmin } = require("../middleware/authMiddleware");
+const {
+  loginIpLimiter,
+  userLoginAccountLimiter,
+  registerLimiter,
+  accountEmailIpLimiter,
+  accountEmailLimiter,
+  accountTokenLimiter,
+  searchLimiter,
+  uploadLimiter,
+} = require("../middleware/rateLimitMiddleware");
 const {
   userRegistrationValidation,
   userLoginValidation,
+  accountTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
   userUpdateValidation,
   subscriptionPriceValidation,
+  priceHistoryValidation,
   payoutMethodValidation,
   searchUsersValidation,
   featuredCreatorsValidation,
@@ -50,7 +107,34 @@ const {
   subscribeToCreatorValidation,
   creatorIdParamValidation,
   subscriptionIdParamValidation,
+  refundSubscriptionValidation,
 } = require("../validators/subscriptionValidators");
+const {
+  createPlanValidation,
+  updatePlanValidation,
+  planIdParamValidation,
+} = require("../validators/planValidators");
+const {
+  createPromoCodeValidation,
+  updatePromoCodeValidation,
+  promoIdParamValidation,
+  checkPromoCodeValidation,
+} = require("../validators/promoValidators");
+const {
+  requestPayoutValidation,
+  payoutIdParamValidation,
+  listPayoutsValidation,
+} = require("../validators/payoutValidators");
+const {
+  purchaseContentValidation,
+  purchaseIdParamValidation,
+  listPurchasesValidation,
+} = require("../validators/purchaseValidators");
+const {
+  analyticsRangeValidation,
+  topPostsValidation,
+  cohortsValidation,
+} = require("../validators/analyticsValidators");
 const {
   uploadProfileImage: uploadProfileImageMiddleware,
   uploadCoverImage: uploadCoverImageMiddleware,
@@ -69,8 +153,50 @@ const {
 } = require("../middleware/subscriptionMiddleware");
 
 // Public routes
-router.post("/register", userRegistrationValidation, registerUser);
-router.post("/login", userLoginValidation, loginUser);
+router.post(
+  "/register",
+  registerLimiter,
+  userRegistrationValidation,
+  registerUser
+);
+router.post(
+  "/login",
+  loginIpLimiter,
+  userLoginValidation,
+  userLoginAccountLimiter,
+  loginUser
+);
+router.post(
+  "/verify-email",
+  accountTokenLimiter,
+  accountTokenValidation,
+  verifyEmail
+);
+router.post(
+  "/verify-email/resend",
+  authenticate,
+  accountEmailIpLimiter,
+  resendVerificationEmail
+);
+router.post(
+  "/forgot-password",
+  accountEmailIpLimiter,
+  forgotPasswordValidation,
+  accountEmailLimiter,
+  forgotPassword
+);
+router.post(
+  "/reset-password",
+  accountTokenLimiter,
+  resetPasswordValidation,
+  resetPassword
+);
+router.post(
+  "/unlock",
+  accountTokenLimiter,
+  accountTokenValidation,
+  unlockAccount
+);
 
 // Protected routes (requires authentication)
 router.get("/me", authenticate, getCurrentUser);
@@ -91,6 +217,70 @@ router.put(
   subscriptionPriceValidation,
   updateSubscriptionPrice
 );
+router.get(
+  "/subscription-price/history",
+  authenticate,
+  userOrAdmin,
+  priceHistoryValidation,
+  getPriceChangeHistory
+);
+
+// Subscription plans
+router.get("/plans", authenticate, userOrAdmin, getMyPlans);
+router.post(
+  "/plans",
+  authenticate,
+  userOrAdmin,
+  createPlanValidation,
+  createPlan
+);
+router.put(
+  "/plans/:planId",
+  authenticate,
+  userOrAdmin,
+  updatePlanValidation,
+  updatePlan
+);
+router.delete(
+  "/plans/:planId",
+  authenticate,
+  userOrAdmin,
+  planIdParamValidation,
+  archivePlan
+);
+
+// Promo codes
+router.get("/promo-codes", authenticate, userOrAdmin, getMyPromoCodes);
+router.get("/promo-codes/report", authenticate, userOrAdmin, getPromoReport);
+router.post(
+  "/promo-codes",
+  authenticate,
+  userOrAdmin,
+  createPromoCodeValidation,
+  createPromoCode
+);
+router.put(
+  "/promo-codes/:promoId",
+  authenticate,
+  userOrAdmin,
+  updatePromoCodeValidation,
+  updatePromoCode
+);
+router.delete(
+  "/promo-codes/:promoId",
+  authenticate,
+  userOrAdmin,
+  promoIdParamValidation,
+  deactivatePromoCode
+);
+router.get(
+  "/promo-codes/:promoId/redemptions",
+  authenticate,
+  userOrAdmin,
+  promoIdParamValidation,
+  getPromoRedemptions
+);
+
 router.post(
   "/payout-methods",
   authenticate,
@@ -106,11 +296,90 @@ router.put(
   setDefaultPayoutMethod
 );
 
+// Earnings (derived from the ledger)
+router.get("/earnings", authenticate, userOrAdmin, getEarningsSummary);
+router.get(
+  "/earnings/transactions",
+  authenticate,
+  userOrAdmin,
+  getEarningsTransactions
+);
+
+// Creator analytics
+router.get(
+  "/analytics",
+  authenticate,
+  userOrAdmin,
+  analyticsRangeValidation,
+  getAnalyticsOverview
+);
+router.get(
+  "/analytics/posts",
+  authenticate,
+  userOrAdmin,
+  topPostsValidation,
+  getTopPosts
+);
+router.get(
+  "/analytics/cohorts",
+  authenticate,
+  userOrAdmin,
+  cohortsValidation,
+  getSubscriberCohorts
+);
+
+// Payout requests
+router.post(
+  "/payouts",
+  authenticate,
+  userOrAdmin,
+  requestPayoutValidation,
+  requestPayout
+);
+router.get(
+  "/payouts",
+  authenticate,
+  userOrAdmin,
+  listPayoutsValidation,
+  getMyPayouts
+);
+router.delete(
+  "/payouts/:payoutId",
+  authenticate,
+  userOrAdmin,
+  payoutIdParamValidation,
+  cancelPayout
+);
+
+// Pay-per-view purchases
+router.get(
+  "/purchases",
+  authenticate,
+  userOrAdmin,
+  listPurchasesValidation,
+  getMyPurchases
+);
+router.post(
+  "/purchases/:purchaseId/confirm",
+  authenticate,
+  userOrAdmin,
+  purchaseIdParamValidation,
+  confirmPurchase
+);
+router.post(
+  "/content/:contentId/purchase",
+  authenticate,
+  userOrAdmin,
+  purchaseContentValidation,
+  purchaseContent
+);
+
 // Content upload routes
 router.post(
   "/profile-image",
   authenticate,
   userOrAdmin,
+  uploadLimiter,
   uploadProfileImageMiddleware,
   processProfileImageUpload,
   userUploadProfileImage,
@@ -136,6 +405,7 @@ router.post(
   "/content",
   authenticate,
   userOrAdmin,
+  uploadLimiter,
   uploadExclusiveContent,
   processExclusiveContentUpload,
   createContentValidation,
@@ -147,6 +417,7 @@ router.post(
   "/content/multiple",
   authenticate,
   userOrAdmin,
+  uploadLimiter,
   uploadMultipleExclusiveContent,
   processMultipleExclusiveContentUpload,
   handleUploadError
@@ -165,6 +436,7 @@ router.post(
   "/profile-image",
   authenticate,
   userOrAdmin,
+  uploadLimiter,
   uploadProfileImageMiddleware,
   handleUploadError,
   processProfileImageUpload,
@@ -175,6 +447,7 @@ router.post(
   "/cover-image",
   authenticate,
   userOrAdmin,
+  uploadLimiter,
   uploadCoverImageMiddleware,
   handleUploadError,
   processCoverImageUpload,
@@ -182,7 +455,13 @@ router.post(
 );
 
 // Search users endpoint
-router.get("/search", authenticate, searchUsersValidation, searchUsers);
+router.get(
+  "/search",
+  authenticate,
+  searchLimiter,
+  searchUsersValidation,
+  searchUsers
+);
 
 // Subscription endpoints
 router.post(
@@ -193,6 +472,14 @@ router.post(
   subscribeToCreator
 );
 
+router.post(
+  "/subscriptions/:subscriptionId/confirm",
+  authenticate,
+  userOrAdmin,
+  subscriptionIdParamValidation,
+  confirmSubscriptionPayment
+);
+
 router.delete(
   "/unsubscribe/:username",
   authenticate,
@@ -217,6 +504,15 @@ router.put(
   toggleAutoRenewal
 );
 
+// Creator-initiated refund of a subscriber
+router.post(
+  "/subscriptions/:subscriptionId/refund",
+  authenticate,
+  userOrAdmin,
+  refundSubscriptionValidation,
+  refundSubscriber
+);
+
 // Public routes for discovery
 router.get(
   "/discover/featured",
@@ -232,5 +528,12 @@ router.get(
 // Get user's subscribers and subscriptions by username
 router.get("/:username/subscribers", getUserSubscribers);
 router.get("/:username/subscriptions", getUserSubscriptions);
+router.get("/:username/plans", getCreatorPlans);
+router.get(
+  "/:username/promo-codes/:code",
+  authenticate,
+  checkPromoCodeValidation,
+  checkPromoCode
+);
 
 module.exports = router;
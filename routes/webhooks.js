@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  handleStripeWebhook,
+  handleKonnectWebhook,
+} = require("../controllers/webhookController");
+
+// Stripe signs the exact payload, so this route needs the raw body
+router.post(
+  "/stripe",
+  express.raw({ type: "application/json" }),
+  handleStripeWebhook
+);
+
+// Konnect calls back with GET ?payment_ref=...
+router.get("/konnect", handleKonnectWebhook);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// Give admins created before roles existed the super_admin role, so they
+// keep the access they had. Review and narrow roles afterwards through
+// /api/admin/admins.
+//
+// Usage: node scripts/migrations/admin-roles.js [--dry-run]
+const mongoose = require("mongoose");
+const connectDB = require("../../conn");
+const Admin = require("../../models/admins_model");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const filter = { adminRole: { $exists: false } };
+  const admins = await Admin.find(filter).select("username");
+
+  if (dryRun) {
+    admins.forEach((admin) =>
+      console.log(`[dry-run] Would make ${admin.username} super_admin`)
+    );
+  } else {
+    const result = await Admin.updateMany(filter, {
+      $set: { adminRole: "super_admin", isActive: true },
+    });
+    console.log(`Updated ${result.modifiedCount} admins`);
+  }
+
+  console.log("Done");
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,39 @@
+// Replace the unique index on active subscriptions so that a subscription
+// bought through a bundle does not clash with a direct subscription to the
+// bundle owner.
+//
+// Usage: node scripts/migrations/bundle-subscription-index.js [--dry-run]
+const mongoose = require("mongoose");
+const connectDB = require("../../conn");
+const Subscription = require("../../models/subscription_model");
+
+const LEGACY_INDEX = "subscriber_1_creator_1_status_1";
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  const indexes = await Subscription.collection.indexes();
+  if (!indexes.some((index) => index.name === LEGACY_INDEX)) {
+    console.log("Legacy index not found, nothing to drop");
+  } else if (dryRun) {
+    console.log(`[dry-run] Would drop ${LEGACY_INDEX}`);
+  } else {
+    await Subscription.collection.dropIndex(LEGACY_INDEX);
+    console.log(`Dropped ${LEGACY_INDEX}`);
+  }
+
+  if (!dryRun) {
+    await Subscription.createIndexes();
+  }
+
+  console.log("Done");
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
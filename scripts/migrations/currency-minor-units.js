@@ -0,0 +1,199 @@
+// Move stored amounts from dollars to minor units (cents) and record their
+// currency. Everything created before multi-currency pricing was charged in
+// USD, so existing creators keep USD as their pricing currency.
+//
+// Documents are only touched while they have no currency yet: anything
+// written by the multi-currency code already has one, and a step that was
+// interrupted picks up where it stopped when the migration is run again.
+// Run it before the new code serves traffic (it would otherwise save the
+// default currency on legacy documents), and before
+// ledger-opening-balances.js.
+//
+// Usage: node scripts/migrations/currency-minor-units.js [--dry-run]
+const mongoose = require("mongoose");
+const connectDB = require("../../conn");
+const Counter = require("../../models/counter_model");
+const User = require("../../models/user_model");
+const Subscription = require("../../models/subscription_model");
+const SubscriptionPlan = require("../../models/subscription_plan_model");
+const PriceChange = require("../../models/price_change_model");
+const PromoCode = require("../../models/promo_code_model");
+const PromoRedemption = require("../../models/promo_redemption_model");
+const Post = require("../../models/post_model");
+const Content = require("../../models/content_model");
+const Purchase = require("../../models/purchase_model");
+const Tip = require("../../models/tip_model");
+const Payout = require("../../models/payout_model");
+const Invoice = require("../../models/invoice_model");
+const LedgerTransaction = require("../../models/ledger_transaction_model");
+
+const MARKER = "migration:currency-minor-units";
+const LEGACY_CURRENCY = "usd";
+
+const dryRun = process.argv.includes("--dry-run");
+
+// Dollars -> cents, leaving missing values alone
+const scale = (path) => ({
+  $cond: [
+    { $isNumber: path },
+    { $round: [{ $multiply: [path, 100] }, 0] },
+    path,
+  ],
+});
+
+const scaleFields = (fields) =>
+  Object.fromEntries(fields.map((field) => [field, scale(`$${field}`)]));
+
+// Scale fields of every element of an array field
+const scaleArray = (arrayField, fields) => ({
+  [arrayField]: {
+    $map: {
+      input: { $ifNull: [`$${arrayField}`, []] },
+      as: "item",
+      in: {
+        $mergeObjects: [
+          "$$item",
+          Object.fromEntries(
+            fields.map((field) => [field, scale(`$$item.${field}`)])
+          ),
+        ],
+      },
+    },
+  },
+});
+
+// Collections to migrate and the field recording their currency. The native
+// driver is used so the ledger's append-only hooks and schema defaults do not
+// get in the way.
+const STEPS = [
+  {
+    model: User,
+    currencyField: "pricingCurrency",
+    set: scaleFields([
+      "subscriptionPrice",
+      "totalEarnings",
+      "availableBalance",
+      "pendingBalance",
+    ]),
+  },
+  {
+    model: Subscription,
+    set: {
+      ...scaleFields([
+        "subscriptionPrice",
+        "totalPaid",
+        "totalRefunded",
+        "pendingPrice",
+      ]),
+      ...scaleArray("refunds", ["amount"]),
+      ...scaleArray("disputes", ["amount"]),
+      refundsByPayment: {
+        $arrayToObject: {
+          $map: {
+            input: { $objectToArray: { $ifNull: ["$refundsByPayment", {}] } },
+            as: "entry",
+            in: { k: "$$entry.k", v: scale("$$entry.v") },
+          },
+        },
+      },
+    },
+  },
+  {
+    model: SubscriptionPlan,
+    set: scaleFields(["price"]),
+  },
+  {
+    model: PriceChange,
+    set: scaleFields(["oldPrice", "newPrice"]),
+  },
+  // Only fixed discounts are an amount; percentages and trial days stay
+  {
+    model: PromoCode,
+    set: {
+      discountValue: {
+        $cond: [
+          { $eq: ["$discountType", "fixed"] },
+          scale("$discountValue"),
+          "$discountValue",
+        ],
+      },
+    },
+  },
+  {
+    model: PromoRedemption,
+    set: scaleFields(["discountAmount"]),
+  },
+  {
+    model: Post,
+    set: scaleFields(["price"]),
+  },
+  {
+    model: Content,
+    set: scaleFields(["price"]),
+  },
+  {
+    model: Purchase,
+    set: scaleFields(["amount", "amountRefunded"]),
+  },
+  {
+    model: Tip,
+    set: scaleFields(["amount", "amountRefunded"]),
+  },
+  {
+    model: Payout,
+    set: scaleFields(["amount"]),
+  },
+  {
+    model: Invoice,
+    set: {
+      ...scaleFields(["total", "platformFee", "creatorNet", "amountRefunded"]),
+      ...scaleArray("lineItems", ["unitAmount", "amount"]),
+    },
+  },
+  {
+    model: LedgerTransaction,
+    set: {
+      ...scaleFields(["grossAmount", "platformFee"]),
+      ...scaleArray("entries", ["debit", "credit"]),
+    },
+  },
+];
+
+const run = async () => {
+  await connectDB();
+
+  // Amounts must only be scaled once
+  if (await Counter.exists({ _id: MARKER })) {
+    console.log("Already migrated, nothing to do");
+    return;
+  }
+
+  for (const { model, currencyField = "currency", set } of STEPS) {
+    // Amounts and currency are set in the same update, so a document is
+    // never scaled twice
+    const filter = { [currencyField]: { $exists: false } };
+    const count = await model.collection.countDocuments(filter);
+    console.log(
+      `${dryRun ? "[dry-run] " : ""}${model.modelName}: ${count} document(s)`
+    );
+
+    if (!dryRun && count > 0) {
+      await model.collection.updateMany(filter, [
+        { $set: { ...set, [currencyField]: LEGACY_CURRENCY } },
+      ]);
+    }
+  }
+
+  if (!dryRun) {
+    await Counter.create({ _id: MARKER, seq: 1 });
+  }
+
+  console.log("Done");
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
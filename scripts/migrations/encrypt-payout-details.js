@@ -0,0 +1,117 @@
+// Encrypt payout bank details stored in plaintext, and re-encrypt values
+// written with an older key after PAYOUT_ENCRYPTION_KEY_ID is rotated.
+// Two-factor secrets of users and admins are re-encrypted the same way with
+// TWO_FACTOR_ENCRYPTION_KEYS; secrets written with the payout keys before
+// two-factor had keys of its own are moved over (give the two-factor keys
+// ids the payout keys don't use). Keep retired keys in both variables until
+// this has run, or enrolled accounts can no longer sign in.
+//
+// Usage: node scripts/migrations/encrypt-payout-details.js [--dry-run]
+const mongoose = require("mongoose");
+const connectDB = require("../../conn");
+const User = require("../../models/user_model");
+const Admin = require("../../models/admins_model");
+const {
+  encrypt,
+  decrypt,
+  needsReEncryption,
+} = require("../../utils/encryption");
+const { ENCRYPTED_FIELDS } = require("../../utils/payoutMethods");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const TWO_FACTOR_FIELDS = ["twoFactor.secret", "twoFactor.pendingSecret"];
+
+// Older secrets may still be encrypted with a payout key
+const decryptTwoFactorSecret = (value) => {
+  try {
+    return decrypt(value, "two_factor");
+  } catch (error) {
+    return decrypt(value, "payout");
+  }
+};
+
+// Re-encrypt the 2FA secrets of one model's accounts with the current key
+const migrateTwoFactorSecrets = async (Model) => {
+  const accounts = Model.find({
+    $or: TWO_FACTOR_FIELDS.map((field) => ({ [field]: { $exists: true } })),
+  })
+    .select("username +twoFactor.secret +twoFactor.pendingSecret")
+    .cursor();
+
+  let migrated = 0;
+  for await (const account of accounts) {
+    const update = {};
+    TWO_FACTOR_FIELDS.forEach((field) => {
+      const value = account.get(field);
+      if (!needsReEncryption(value, "two_factor")) return;
+
+      update[field] = encrypt(decryptTwoFactorSecret(value), "two_factor");
+    });
+
+    if (Object.keys(update).length === 0) continue;
+
+    console.log(
+      `${dryRun ? "[dry-run] " : ""}${Model.modelName} ${
+        account.username
+      }: re-encrypting 2FA secret`
+    );
+    if (!dryRun) {
+      await Model.updateOne({ _id: account._id }, { $set: update });
+    }
+    migrated += 1;
+  }
+
+  return migrated;
+};
+
+const run = async () => {
+  await connectDB();
+
+  const users = User.find({
+    "payoutMethods.type": "bank_account",
+  })
+    .select("username payoutMethods")
+    .cursor();
+
+  let migrated = 0;
+  for await (const user of users) {
+    let changed = false;
+
+    user.payoutMethods.forEach((method) => {
+      ENCRYPTED_FIELDS.forEach((field) => {
+        const value = method.accountDetails && method.accountDetails[field];
+        if (!needsReEncryption(value)) return;
+
+        // Store the plaintext; the User pre-save hook encrypts it with the
+        // current key
+        method.accountDetails[field] = decrypt(value);
+        changed = true;
+      });
+    });
+
+    if (!changed) continue;
+
+    console.log(`${dryRun ? "[dry-run] " : ""}${user.username}: encrypting`);
+    if (!dryRun) {
+      await user.save();
+    }
+    migrated += 1;
+  }
+
+  console.log(`Done: ${migrated} user(s) migrated`);
+
+  for (const Model of [User, Admin]) {
+    const count = await migrateTwoFactorSecrets(Model);
+    console.log(
+      `Done: ${count} ${Model.modelName.toLowerCase()} 2FA secret(s) migrated`
+    );
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
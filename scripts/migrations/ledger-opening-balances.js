@@ -0,0 +1,77 @@
+// Record an opening-balance ledger transaction for creators whose earnings
+// were credited directly on the User document before the ledger existed.
+// Balances are read in minor units of the creator's pricing currency, so run
+// currency-minor-units.js first.
+//
+// Usage: node scripts/migrations/ledger-opening-balances.js [--dry-run]
+const mongoose = require("mongoose");
+const connectDB = require("../../conn");
+const Counter = require("../../models/counter_model");
+const User = require("../../models/user_model");
+const LedgerTransaction = require("../../models/ledger_transaction_model");
+const LedgerService = require("../../services/ledgerService");
+const { formatMoney } = require("../../utils/currency");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const run = async () => {
+  await connectDB();
+
+  // Balances in dollars would be recorded as cents
+  if (!(await Counter.exists({ _id: "migration:currency-minor-units" }))) {
+    console.error(
+      "Run scripts/migrations/currency-minor-units.js before this migration"
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const creators = await User.find({ availableBalance: { $gt: 0 } }).select(
+    "_id username availableBalance pricingCurrency"
+  );
+
+  let migrated = 0;
+  for (const creator of creators) {
+    const hasEntries = await LedgerTransaction.exists({
+      "entries.owner": creator._id,
+    });
+    if (hasEntries) continue;
+
+    console.log(
+      `${dryRun ? "[dry-run] " : ""}${creator.username}: opening balance ${formatMoney(
+        creator.availableBalance,
+        creator.pricingCurrency
+      )}`
+    );
+
+    if (!dryRun) {
+      await LedgerService.createTransaction({
+        type: "adjustment",
+        description: "Opening balance",
+        creator: creator._id,
+        grossAmount: creator.availableBalance,
+        currency: creator.pricingCurrency,
+        externalId: `opening-balance:${creator._id}`,
+        entries: [
+          { account: "processor", debit: creator.availableBalance },
+          {
+            account: "creator_earnings",
+            owner: creator._id,
+            credit: creator.availableBalance,
+          },
+        ],
+      });
+      await LedgerService.syncCreatorBalance(creator._id);
+    }
+    migrated += 1;
+  }
+
+  console.log(`Done: ${migrated} creator(s) migrated`);
+};
+
+run()
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
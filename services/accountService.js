@@ -0,0 +1,279 @@
+const crypto = require("crypto");
+const User = require("../models/user_model");
+const UserToken = require("../models/user_token_model");
+const MailService = require("./mailService");
+const SessionService = require("./sessionService");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Minimal HTML version of an account email with one call-to-action link
+const renderHtml = (greeting, lines, action) =>
+  [
+    `<p>${escapeHtml(greeting)}</p>`,
+    ...lines.map((line) => `<p>${escapeHtml(line)}</p>`),
+    action
+      ? `<p><a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a></p>`
+      : "",
+    "<p>The TunFans team</p>",
+  ].join("\n");
+
+class AccountService {
+  // How long an email verification link works
+  static getVerificationTtlHours() {
+    return parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || "48");
+  }
+
+  // How long a password reset link works
+  static getResetTtlMinutes() {
+    return parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || "60");
+  }
+
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  // Issue a token for the user, replacing any unused one for the same
+  // purpose. Returns the raw token; only its hash is stored.
+  static async issueToken(user, purpose, ttlMs, now = new Date()) {
+    await UserToken.deleteMany({ user: user._id, purpose, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString("hex");
+    await UserToken.create({
+      user: user._id,
+      purpose,
+      tokenHash: AccountService.hashToken(token),
+      email: user.email,
+      expiresAt: new Date(now.getTime() + ttlMs),
+    });
+
+    return token;
+  }
+
+  // Use a token once. Returns its record, or null when it is unknown,
+  // expired or already used.
+  static async consumeToken(token, purpose, now = new Date()) {
+    return UserToken.findOneAndUpdate(
+      {
+        tokenHash: AccountService.hashToken(token),
+        purpose,
+        usedAt: null,
+        expiresAt: { $gt: now },
+      },
+      { usedAt: now },
+      { new: true }
+    );
+  }
+
+  static buildLink(path, token) {
+    const clientUrl = (
+      process.env.CLIENT_URL || "http://localhost:3000"
+    ).replace(/\/$/, "");
+    return `${clientUrl}${path}?token=${encodeURIComponent(token)}`;
+  }
+
+  // Email the user a link to confirm their current address
+  static async sendVerificationEmail(user) {
+    const hours = AccountService.getVerificationTtlHours();
+    const token = await AccountService.issueToken(
+      user,
+      "email_verification",
+      hours * HOUR_MS
+    );
+    const url = AccountService.buildLink("/verify-email", token);
+
+    const greeting = `Hi ${user.firstName || user.username},`;
+    const lines = [
+      "Please confirm your email address to finish setting up your TunFans account.",
+      `This link expires in ${hours} hours.`,
+    ];
+
+    return MailService.send({
+      to: user.email,
+      subject: "Confirm your email address",
+      text: [greeting, "", ...lines, "", url].join("\n"),
+      html: renderHtml(greeting, lines, { url, label: "Confirm my email" }),
+    });
+  }
+
+  // Mark the address a verification token was sent to as verified. Returns
+  // { user } or { error }.
+  static async verifyEmail(token, now = new Date()) {
+    const record = await AccountService.consumeToken(
+      token,
+      "email_verification",
+      now
+    );
+    if (!record) {
+      return { error: "This verification link is invalid or has expired" };
+    }
+
+    const user = await User.findById(record.user);
+    if (!user) {
+      return { error: "This verification link is invalid or has expired" };
+    }
+    if (user.email !== record.email) {
+      return { error: "This link was sent to a previous email address" };
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = now;
+      await user.save();
+    }
+
+    return { user };
+  }
+
+  // Email a password reset link if an active account uses this address.
+  // Callers answer the same either way so addresses cannot be probed, which
+  // is why a failure to send is logged rather than thrown.
+  static async requestPasswordReset(email) {
+    const user = await User.findOne({
+      email: String(email).toLowerCase(),
+      isActive: true,
+    });
+    if (!user) return;
+
+    const minutes = AccountService.getResetTtlMinutes();
+    const token = await AccountService.issueToken(
+      user,
+      "password_reset",
+      minutes * MINUTE_MS
+    );
+    const url = AccountService.buildLink("/reset-password", token);
+
+    const greeting = `Hi ${user.firstName || user.username},`;
+    const lines = [
+      "We received a request to reset your TunFans password.",
+      `This link expires in ${minutes} minutes and can only be used once.`,
+      "If you did not ask for this, you can ignore this email.",
+    ];
+
+    try {
+      await MailService.send({
+        to: user.email,
+        subject: "Reset your password",
+        text: [greeting, "", ...lines, "", url].join("\n"),
+        html: renderHtml(greeting, lines, {
+          url,
+          label: "Choose a new password",
+        }),
+      });
+    } catch (mailError) {
+      console.error("Error sending password reset email:", mailError);
+    }
+  }
+
+  // Email a user whose account was locked after failed logins a link that
+  // lifts the lock
+  static async sendUnlockEmail(user, lockedUntil) {
+    const token = await AccountService.issueToken(
+      user,
+      "account_unlock",
+      24 * HOUR_MS
+    );
+    const url = AccountService.buildLink("/unlock-account", token);
+
+    const greeting = `Hi ${user.firstName || user.username},`;
+    const lines = [
+      "Your TunFans account was locked after several failed login attempts.",
+      `It unlocks automatically at ${lockedUntil.toUTCString()}, or you can unlock it now with the link below.`,
+      "If these attempts weren't you, reset your password as well.",
+    ];
+
+    return MailService.send({
+      to: user.email,
+      subject: "Your account was locked",
+      text: [greeting, "", ...lines, "", url].join("\n"),
+      html: renderHtml(greeting, lines, { url, label: "Unlock my account" }),
+    });
+  }
+
+  // Lift a login lock from an unlock link. Returns { user } or { error }.
+  static async unlockAccount(token, now = new Date()) {
+    const record = await AccountService.consumeToken(
+      token,
+      "account_unlock",
+      now
+    );
+    const user = record ? await User.findById(record.user) : null;
+    if (!user) {
+      return { error: "This unlock link is invalid or has expired" };
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "loginSecurity.failedAttempts": 0 },
+        $unset: { "loginSecurity.lockedUntil": "" },
+      }
+    );
+
+    return { user };
+  }
+
+  // Set a new password from a reset token and sign out every device.
+  // Returns { user } or { error }.
+  static async resetPassword(token, password, now = new Date()) {
+    const record = await AccountService.consumeToken(
+      token,
+      "password_reset",
+      now
+    );
+    const user = record ? await User.findById(record.user) : null;
+    if (!user || !user.isActive) {
+      return { error: "This reset link is invalid or has expired" };
+    }
+
+    user.password = password;
+    user.passwordChangedAt = now;
+    // The new password also lifts any login lock
+    user.loginSecurity.failedAttempts = 0;
+    user.loginSecurity.lockedUntil = undefined;
+    // Whoever received the link also controls the address
+    if (user.email === record.email && !user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = now;
+    }
+    await user.save();
+
+    await UserToken.deleteMany({
+      user: user._id,
+      purpose: "password_reset",
+      usedAt: null,
+    });
+    await SessionService.revokeAllSessions(user._id, {
+      reason: "password_reset",
+      now,
+    });
+
+    // The reset itself succeeded; a missing notice must not undo it
+    try {
+      const greeting = `Hi ${user.firstName || user.username},`;
+      const lines = [
+        "Your TunFans password was just changed and you were signed out everywhere.",
+        "If this was not you, reset your password right away and contact support.",
+      ];
+      await MailService.send({
+        to: user.email,
+        subject: "Your password was changed",
+        text: [greeting, "", ...lines].join("\n"),
+        html: renderHtml(greeting, lines),
+      });
+    } catch (mailError) {
+      console.error("Error sending password changed email:", mailError);
+    }
+
+    return { user };
+  }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,344 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Post = require("../models/post_model");
+const Subscription = require("../models/subscription_model");
+const ViewEvent = require("../models/view_event_model");
+const LedgerService = require("./ledgerService");
+const {
+  bucketExpression,
+  bucketKey,
+  countByBucket,
+  listBucketRanges,
+} = require("../utils/timeBuckets");
+
+const roundRate = (value) => Math.round(value * 10000) / 10000;
+
+// Share of `count` in `total`, or null when there is nothing to compare to
+const rate = (count, total) => (total > 0 ? roundRate(count / total) : null);
+
+// Anonymous visitors are told apart by a keyed hash of their IP address
+// that changes every day, so it can't be used to follow them around
+const anonymousViewerKey = (ip, day) =>
+  `ip:${crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`${day}:${ip}`)
+    .digest("hex")}`;
+
+// Subscriptions giving access to a creator: direct ones and bundles the
+// creator is part of. Checkouts that were never paid don't count.
+const creatorSubscriptionsQuery = (creatorId) => ({
+  $and: [
+    {
+      $or: [
+        { creator: creatorId, bundle: null },
+        { bundleCreators: creatorId },
+      ],
+    },
+    Subscription.ACTIVATED_QUERY,
+  ],
+});
+
+// Count array items of a post whose date field falls in the range
+const countInRange = (array, field, from, to, extra = []) => ({
+  $size: {
+    $filter: {
+      input: { $ifNull: [`$${array}`, []] },
+      as: "item",
+      cond: {
+        $and: [
+          { $gte: [`$$item.${field}`, from] },
+          { $lt: [`$$item.${field}`, to] },
+          ...extra,
+        ],
+      },
+    },
+  },
+});
+
+// Count likes or comments on a creator's posts per bucket of their date
+const countPostActivity = async (creator, array, field, range, match = {}) => {
+  const results = await Post.aggregate([
+    { $match: { author: creator } },
+    { $unwind: `$${array}` },
+    {
+      $match: {
+        ...match,
+        [`${array}.${field}`]: { $gte: range.from, $lt: range.to },
+      },
+    },
+    {
+      $group: {
+        _id: bucketExpression(`$${array}.${field}`, range.interval),
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(
+    results.map((result) => [result._id, result.count])
+  );
+};
+
+const notDeleted = { $ne: ["$$item.isDeleted", true] };
+
+class AnalyticsService {
+  // Record that posts were shown to a viewer. Each viewer counts once per
+  // post and day; authors viewing their own posts aren't counted. Never
+  // throws: analytics must not break the feed.
+  static async recordViews(posts, { viewer, ip, source }, now = new Date()) {
+    try {
+      const day = bucketKey(now, "day");
+      const viewerId = viewer ? viewer.toString() : null;
+      const viewerKey = viewerId || (ip ? anonymousViewerKey(ip, day) : null);
+      if (!viewerKey) return;
+
+      const operations = posts
+        .filter((post) => {
+          const authorId = (post.author._id || post.author).toString();
+          return authorId !== viewerId;
+        })
+        .map((post) => {
+          const event = {
+            creator: post.author._id || post.author,
+            source,
+            viewedAt: now,
+          };
+          if (viewerId) event.viewer = viewerId;
+
+          return {
+            updateOne: {
+              filter: { post: post._id, viewerKey, day },
+              update: { $setOnInsert: event },
+              upsert: true,
+            },
+          };
+        });
+      if (operations.length === 0) return;
+
+      await ViewEvent.bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // Parallel requests may race to insert the same view
+      if (error.code === 11000) return;
+      console.error("Error recording post views:", error);
+    }
+  }
+
+  // Subscriber gains and losses, churn, earnings, views, likes and comments
+  // for one creator over range = { from, to, interval }, as totals plus one
+  // point per bucket. A subscription is lost when its access ends; churn is
+  // losses over subscribers at the start of the bucket plus new ones.
+  static async getOverview(
+    creatorId,
+    { from, to, interval },
+    now = new Date()
+  ) {
+    const creator = new mongoose.Types.ObjectId(creatorId);
+    const range = { from, to, interval };
+
+    const [subscriptions, earnings, views, likes, comments] = await Promise.all(
+      [
+        Subscription.find({
+          ...creatorSubscriptionsQuery(creator),
+          startDate: { $lt: to },
+          endDate: { $gt: from },
+        })
+          .select("startDate endDate")
+          .lean(),
+        LedgerService.getCreatorEarningsSeries(creator, range),
+        countByBucket(ViewEvent, "viewedAt", { creator }, range),
+        countPostActivity(creator, "likes", "likedAt", range),
+        countPostActivity(creator, "comments", "createdAt", range, {
+          "comments.isDeleted": { $ne: true },
+        }),
+      ]
+    );
+
+    // Subscribers at the start of the range, then gains and losses per
+    // bucket
+    let subscribers = 0;
+    const gains = {};
+    const losses = {};
+    for (const subscription of subscriptions) {
+      if (subscription.startDate < from) {
+        subscribers += 1;
+      } else {
+        const key = bucketKey(subscription.startDate, interval);
+        gains[key] = (gains[key] || 0) + 1;
+      }
+
+      if (subscription.endDate < to && subscription.endDate <= now) {
+        const key = bucketKey(subscription.endDate, interval);
+        losses[key] = (losses[key] || 0) + 1;
+      }
+    }
+    const subscribersAtStart = subscribers;
+
+    const currencies = [...new Set(earnings.map((row) => row.currency))];
+    const revenue = {};
+    for (const row of earnings) {
+      revenue[row.period] = {
+        ...revenue[row.period],
+        [row.currency]: row.earnings,
+      };
+    }
+
+    const series = listBucketRanges(from, to, interval).map(({ key }) => {
+      const point = {
+        period: key,
+        subscribersAtStart: subscribers,
+        newSubscribers: gains[key] || 0,
+        lostSubscribers: losses[key] || 0,
+        churnRate: rate(losses[key] || 0, subscribers + (gains[key] || 0)),
+        revenue: Object.fromEntries(
+          currencies.map((currency) => [
+            currency,
+            (revenue[key] && revenue[key][currency]) || 0,
+          ])
+        ),
+        views: views[key] || 0,
+        likes: likes[key] || 0,
+        comments: comments[key] || 0,
+      };
+      subscribers += point.newSubscribers - point.lostSubscribers;
+      return point;
+    });
+    const total = (field) =>
+      series.reduce((sum, point) => sum + point[field], 0);
+
+    return {
+      range: { from, to, interval, timezone: "UTC" },
+      summary: {
+        subscribersAtStart,
+        subscribersAtEnd: subscribers,
+        newSubscribers: total("newSubscribers"),
+        lostSubscribers: total("lostSubscribers"),
+        churnRate: rate(
+          total("lostSubscribers"),
+          subscribersAtStart + total("newSubscribers")
+        ),
+        revenue: Object.fromEntries(
+          currencies.map((currency) => [
+            currency,
+            series.reduce((sum, point) => sum + point.revenue[currency], 0),
+          ])
+        ),
+        views: total("views"),
+        likes: total("likes"),
+        comments: total("comments"),
+      },
+      series,
+    };
+  }
+
+  // Views, likes and comments per post within the range, best first by
+  // `sortBy` (engagement = likes + comments)
+  static async getTopPosts(
+    creatorId,
+    { from, to, sortBy = "views", limit = 10 }
+  ) {
+    const creator = new mongoose.Types.ObjectId(creatorId);
+
+    const [posts, views] = await Promise.all([
+      Post.aggregate([
+        { $match: { author: creator, isActive: true } },
+        {
+          $project: {
+            title: 1,
+            content: { $substrCP: ["$content", 0, 100] },
+            visibility: 1,
+            price: 1,
+            currency: 1,
+            publishedAt: 1,
+            createdAt: 1,
+            likes: countInRange("likes", "likedAt", from, to),
+            comments: countInRange("comments", "createdAt", from, to, [
+              notDeleted,
+            ]),
+            totalLikes: { $size: { $ifNull: ["$likes", []] } },
+            totalComments: {
+              $size: {
+                $filter: {
+                  input: { $ifNull: ["$comments", []] },
+                  as: "item",
+                  cond: notDeleted,
+                },
+              },
+            },
+          },
+        },
+      ]),
+      ViewEvent.aggregate([
+        { $match: { creator, viewedAt: { $gte: from, $lt: to } } },
+        { $group: { _id: "$post", views: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const viewsByPost = new Map(
+      views.map((result) => [result._id.toString(), result.views])
+    );
+
+    return posts
+      .map((post) => {
+        const postViews = viewsByPost.get(post._id.toString()) || 0;
+        return {
+          ...post,
+          views: postViews,
+          engagement: post.likes + post.comments,
+          engagementRate: rate(post.likes + post.comments, postViews),
+        };
+      })
+      .sort(
+        (a, b) =>
+          b[sortBy] - a[sortBy] ||
+          new Date(b.publishedAt || b.createdAt) -
+            new Date(a.publishedAt || a.createdAt)
+      )
+      .slice(0, limit);
+  }
+
+  // Subscriber retention by cohort: subscribers are grouped by the bucket
+  // they subscribed in (from `from` until now), then for every complete
+  // bucket after that the share still subscribed at its end is given
+  static async getCohorts(creatorId, { from, interval }, now = new Date()) {
+    const creator = new mongoose.Types.ObjectId(creatorId);
+
+    const subscriptions = await Subscription.find({
+      ...creatorSubscriptionsQuery(creator),
+      startDate: { $gte: from, $lt: now },
+    })
+      .select("startDate endDate")
+      .lean();
+
+    const buckets = listBucketRanges(from, now, interval);
+    // The current bucket isn't over yet
+    const completeBuckets = buckets.filter((bucket) => bucket.end < now);
+
+    const byCohort = {};
+    for (const subscription of subscriptions) {
+      const key = bucketKey(subscription.startDate, interval);
+      (byCohort[key] = byCohort[key] || []).push(subscription);
+    }
+
+    return buckets.map((bucket, index) => {
+      const members = byCohort[bucket.key] || [];
+      return {
+        cohort: bucket.key,
+        start: bucket.start,
+        subscribers: members.length,
+        retention: completeBuckets.slice(index).map((period, offset) => {
+          const retained = members.filter(
+            (subscription) => subscription.endDate > period.end
+          ).length;
+          return {
+            period: period.key,
+            offset,
+            retained,
+            rate: rate(retained, members.length),
+          };
+        }),
+      };
+    });
+  }
+}
+
+module.exports = AnalyticsService;
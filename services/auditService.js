@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const AuditLog = require("../models/audit_log_model");
+
+// Values compared and stored as plain JSON (ObjectIds and dates as strings)
+const toPlain = (value) =>
+  value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+// Columns of the CSV export
+const CSV_COLUMNS = [
+  "createdAt",
+  "actorUsername",
+  "actorRole",
+  "action",
+  "targetType",
+  "targetId",
+  "changes",
+  "metadata",
+  "method",
+  "path",
+  "statusCode",
+  "ipAddress",
+  "userAgent",
+];
+
+class AuditService {
+  // Fields whose value differs between two snapshots
+  static diff(before = {}, after = {}) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    return [...fields]
+      .map((field) => ({
+        field,
+        before: toPlain(before[field]),
+        after: toPlain(after[field]),
+      }))
+      .filter(
+        (change) =>
+          JSON.stringify(change.before) !== JSON.stringify(change.after)
+      );
+  }
+
+  // Describe what the current admin request did. `before`/`after` are
+  // snapshots of the fields the action may change. Recorded when the
+  // response is sent (see auditMiddleware).
+  static setContext(
+    req,
+    { action, targetType, targetId, before, after, metadata }
+  ) {
+    req.audit = {
+      ...req.audit,
+      ...(action ? { action } : {}),
+      ...(targetType ? { targetType, targetId } : {}),
+      ...(before || after ? { changes: AuditService.diff(before, after) } : {}),
+      ...(metadata
+        ? { metadata: { ...(req.audit && req.audit.metadata), ...metadata } }
+        : {}),
+    };
+  }
+
+  // Append an entry. Failures are logged and never fail the admin request.
+  static async record(entry) {
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      console.error("Error writing audit log:", error, entry);
+      return null;
+    }
+  }
+
+  // Mongo filter from the audit log search query
+  static buildFilter({
+    actor,
+    action,
+    targetType,
+    targetId,
+    from,
+    to,
+    status,
+  }) {
+    const filter = {};
+
+    if (actor) filter.actor = actor;
+    if (action) {
+      // Prefix match, so "payout." finds every payout action
+      filter.action = {
+        $regex: `^${action.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`,
+      };
+    }
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = new mongoose.Types.ObjectId(targetId);
+    if (from || to) {
+      filter.createdAt = {
+        ...(from ? { $gte: new Date(from) } : {}),
+        ...(to ? { $lte: new Date(to) } : {}),
+      };
+    }
+    if (status === "success") filter.statusCode = { $lt: 400 };
+    if (status === "error") filter.statusCode = { $gte: 400 };
+
+    return filter;
+  }
+
+  static getCsvColumns() {
+    return CSV_COLUMNS;
+  }
+
+  // Values of one entry in CSV_COLUMNS order
+  static toCsvValues(entry) {
+    return CSV_COLUMNS.map((column) => {
+      if (column === "changes") {
+        return (entry.changes || [])
+          .map(
+            (change) =>
+              `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`
+          )
+          .join("; ");
+      }
+      if (column === "metadata") {
+        return entry.metadata ? JSON.stringify(entry.metadata) : "";
+      }
+      return entry[column];
+    });
+  }
+}
+
+module.exports = AuditService;
@@ -0,0 +1,229 @@
+const Bundle = require("../models/bundle_model");
+const Subscription = require("../models/subscription_model");
+const PaymentService = require("./paymentService");
+const SubscriptionService = require("./subscriptionService");
+const NotificationService = require("./notificationService");
+
+// A bundle needs at least two creators and is capped to keep splits sane
+const MIN_MEMBERS = 2;
+const MAX_MEMBERS = 10;
+
+class BundleService {
+  // Check the members ({ creatorId, sharePercent }) of a bundle owned by
+  // ownerId. Returns an error message, or null when the split is valid.
+  static checkMembers(ownerId, members) {
+    if (members.length < MIN_MEMBERS || members.length > MAX_MEMBERS) {
+      return `A bundle needs between ${MIN_MEMBERS} and ${MAX_MEMBERS} creators`;
+    }
+
+    const ids = members.map((member) => member.creatorId.toString());
+    if (new Set(ids).size !== ids.length) {
+      return "Each creator can only appear once in a bundle";
+    }
+    if (!ids.includes(ownerId.toString())) {
+      return "You must be one of the bundle's creators";
+    }
+
+    const total = members.reduce(
+      (sum, member) => sum + Number(member.sharePercent),
+      0
+    );
+    if (total !== 100) {
+      return "Revenue shares must add up to 100%";
+    }
+
+    return null;
+  }
+
+  // Member entries for new terms. The owner agrees by proposing them, every
+  // other creator has to accept again.
+  static buildMembers(ownerId, members, now = new Date()) {
+    return members.map((member) => {
+      const isOwner = member.creatorId.toString() === ownerId.toString();
+      return {
+        creator: member.creatorId,
+        sharePercent: Number(member.sharePercent),
+        status: isOwner ? "accepted" : "pending",
+        respondedAt: isOwner ? now : undefined,
+      };
+    });
+  }
+
+  // Ask the members who have not agreed yet to review the bundle
+  static async inviteMembers(bundle) {
+    for (const member of bundle.members) {
+      if (member.status !== "pending") continue;
+
+      // Notifications should never fail the bundle change
+      try {
+        await NotificationService.createBundleInviteNotification(
+          member.creator,
+          bundle.owner,
+          bundle._id,
+          bundle.name,
+          member.sharePercent
+        );
+      } catch (notificationError) {
+        console.error("Error creating bundle invite:", notificationError);
+      }
+    }
+  }
+
+  // Record a member's answer to the bundle's terms. Returns the bundle, or
+  // null when the creator has nothing to answer.
+  static async respond(bundle, creatorId, accept, now = new Date()) {
+    const updated = await Bundle.findOneAndUpdate(
+      {
+        _id: bundle._id,
+        status: "draft",
+        members: { $elemMatch: { creator: creatorId, status: "pending" } },
+      },
+      {
+        $set: {
+          "members.$.status": accept ? "accepted" : "declined",
+          "members.$.respondedAt": now,
+        },
+      },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    try {
+      await NotificationService.createBundleResponseNotification(
+        updated.owner,
+        creatorId,
+        updated._id,
+        updated.name,
+        accept
+      );
+    } catch (notificationError) {
+      console.error("Error creating bundle response:", notificationError);
+    }
+
+    return updated;
+  }
+
+  // Put a bundle on sale once every member agreed. Returns { bundle } or
+  // { error }.
+  static async publish(bundle, now = new Date()) {
+    if (bundle.status !== "draft") {
+      return { error: `Bundle is already ${bundle.status}` };
+    }
+    if (!bundle.isFullyAccepted()) {
+      return { error: "Every creator has to accept the bundle first" };
+    }
+
+    // Changing the terms sends them back to the members, so only publish
+    // if everyone still agrees
+    const published = await Bundle.findOneAndUpdate(
+      {
+        _id: bundle._id,
+        status: "draft",
+        members: { $not: { $elemMatch: { status: { $ne: "accepted" } } } },
+      },
+      { status: "active", publishedAt: now },
+      { new: true }
+    );
+    if (!published) {
+      return { error: "The bundle changed, please review it again" };
+    }
+
+    return { bundle: published };
+  }
+
+  // Create a pending subscription to a bundle and start its payment. Bundles
+  // are paid one period at a time and do not renew automatically.
+  static async startSubscription(subscriber, bundle, paymentMethod = "stripe") {
+    // Drop earlier checkouts for the same bundle that were never paid
+    const abandoned = await Subscription.find({
+      subscriber: subscriber._id,
+      bundle: bundle._id,
+      status: "pending",
+    }).select("_id");
+    const abandonedIds = abandoned.map((sub) => sub._id);
+    await Subscription.updateMany(
+      { _id: { $in: abandonedIds } },
+      {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelReason: "Checkout abandoned",
+        autoRenew: false,
+      }
+    );
+    await PaymentService.cancelForPurposes(
+      "Subscription",
+      abandonedIds,
+      "Checkout abandoned"
+    );
+
+    // Tentative period; the real one starts when the payment is confirmed
+    const subscription = await Subscription.create({
+      subscriber: subscriber._id,
+      creator: bundle.owner,
+      bundle: bundle._id,
+      bundleCreators: bundle.getMemberIds(),
+      subscriptionPrice: bundle.price,
+      currency: bundle.currency,
+      planName: bundle.name,
+      durationMonths: bundle.durationMonths,
+      status: "pending",
+      endDate: SubscriptionService.calculatePeriodEnd(
+        new Date(),
+        bundle.durationMonths
+      ),
+      paymentMethod,
+      autoRenew: false,
+    });
+
+    try {
+      const checkout = await PaymentService.startPayment(paymentMethod, {
+        amount: bundle.price,
+        currency: bundle.currency,
+        payer: subscriber,
+        purposeModel: "Subscription",
+        purpose: subscription._id,
+        description: `${bundle.durationMonths}-month bundle "${bundle.name}"`,
+        metadata: {
+          type: "bundle_subscription",
+          bundleSubscriptionId: subscription._id.toString(),
+          bundleId: bundle._id.toString(),
+          subscriberId: subscriber._id.toString(),
+        },
+      });
+
+      if (paymentMethod === "stripe") {
+        subscription.paymentIntentId = checkout.providerPaymentId;
+        await subscription.save();
+      }
+
+      return { subscription, ...checkout };
+    } catch (error) {
+      await Subscription.findByIdAndDelete(subscription._id);
+      throw error;
+    }
+  }
+
+  // Stripe webhook: payment_intent.succeeded
+  static async handlePaymentIntentSucceeded(paymentIntent) {
+    const subscriptionId = paymentIntent.metadata?.bundleSubscriptionId;
+    if (!subscriptionId) return null;
+
+    return SubscriptionService.activateSubscription(subscriptionId, {
+      amountPaid: paymentIntent.amount_received,
+      paymentIntentId: paymentIntent.id,
+    });
+  }
+
+  // Stripe webhook: payment_intent.payment_failed
+  static async handlePaymentIntentFailed(paymentIntent) {
+    const subscriptionId = paymentIntent.metadata?.bundleSubscriptionId;
+    if (!subscriptionId) return null;
+
+    return SubscriptionService.cancelPendingSubscription(
+      subscriptionId,
+      paymentIntent.last_payment_error?.message
+    );
+  }
+}
+
+module.exports = BundleService;
@@ -0,0 +1,172 @@
+const User = require("../models/user_model");
+const Subscription = require("../models/subscription_model");
+const Payout = require("../models/payout_model");
+const Post = require("../models/post_model");
+const Message = require("../models/message_model");
+const LedgerService = require("./ledgerService");
+const ExchangeRateService = require("./exchangeRateService");
+const { countByBucket, listBuckets } = require("../utils/timeBuckets");
+const { fromMinorUnits, toMinorUnits } = require("../utils/currency");
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+class DashboardService {
+  // Distinct creators with at least one active subscriber, bundles included
+  static async countActiveCreators(now = new Date()) {
+    const [result] = await Subscription.aggregate([
+      { $match: { status: "active", endDate: { $gt: now } } },
+      {
+        $project: {
+          creators: {
+            $setUnion: [["$creator"], { $ifNull: ["$bundleCreators", []] }],
+          },
+        },
+      },
+      { $unwind: "$creators" },
+      { $group: { _id: "$creators" } },
+      { $count: "count" },
+    ]);
+
+    return result ? result.count : 0;
+  }
+
+  // Payout requests still waiting to be sent, per status and currency
+  static async getPendingPayouts() {
+    const results = await Payout.aggregate([
+      { $match: { status: { $in: Payout.OPEN_STATUSES } } },
+      {
+        $group: {
+          _id: { status: "$status", currency: "$currency" },
+          count: { $sum: 1 },
+          amount: { $sum: "$amount" },
+        },
+      },
+      { $sort: { "_id.status": 1, "_id.currency": 1 } },
+    ]);
+
+    return {
+      count: sum(results.map((result) => result.count)),
+      byCurrency: results.map((result) => ({
+        status: result._id.status,
+        currency: result._id.currency,
+        count: result.count,
+        amount: result.amount,
+      })),
+    };
+  }
+
+  // Platform metrics for a date range: totals plus one point per bucket.
+  // Revenue is per currency and converted to the base currency at the rate
+  // of the range end, like the revenue report.
+  static async getOverview({ from, to, interval }, now = new Date()) {
+    const range = { from, to, interval };
+
+    const [
+      signups,
+      newSubscriptions,
+      cancelledSubscriptions,
+      posts,
+      messages,
+      revenue,
+      totalUsers,
+      totalCreators,
+      activeCreators,
+      pendingPayouts,
+    ] = await Promise.all([
+      countByBucket(User, "createdAt", {}, range),
+      // Checkouts that were never paid are neither new nor cancelled
+      // subscriptions
+      countByBucket(
+        Subscription,
+        "createdAt",
+        Subscription.ACTIVATED_QUERY,
+        range
+      ),
+      countByBucket(
+        Subscription,
+        "cancelledAt",
+        Subscription.ACTIVATED_QUERY,
+        range
+      ),
+      countByBucket(Post, "createdAt", {}, range),
+      countByBucket(Message, "createdAt", {}, range),
+      LedgerService.getRevenueSeries(range),
+      User.countDocuments(),
+      User.countDocuments({ role: "creator" }),
+      DashboardService.countActiveCreators(now),
+      DashboardService.getPendingPayouts(),
+    ]);
+
+    // One rate lookup per currency for the whole range
+    const baseCurrency = ExchangeRateService.getBaseCurrency();
+    const rates = {};
+    for (const { currency } of revenue) {
+      if (rates[currency] === undefined) {
+        rates[currency] = await ExchangeRateService.getRate(
+          currency,
+          baseCurrency,
+          to
+        );
+      }
+    }
+    const toBase = (amount, currency) =>
+      toMinorUnits(
+        fromMinorUnits(amount, currency) * rates[currency],
+        baseCurrency
+      );
+
+    const grossRevenue = {};
+    const platformFees = {};
+    const revenueByCurrency = {};
+    for (const row of revenue) {
+      grossRevenue[row.period] =
+        (grossRevenue[row.period] || 0) + toBase(row.grossVolume, row.currency);
+      platformFees[row.period] =
+        (platformFees[row.period] || 0) +
+        toBase(row.platformRevenue, row.currency);
+
+      const totals = revenueByCurrency[row.currency] || {
+        currency: row.currency,
+        grossRevenue: 0,
+        platformFees: 0,
+      };
+      totals.grossRevenue += row.grossVolume;
+      totals.platformFees += row.platformRevenue;
+      revenueByCurrency[row.currency] = totals;
+    }
+
+    const series = listBuckets(from, to, interval).map((period) => ({
+      period,
+      signups: signups[period] || 0,
+      newSubscriptions: newSubscriptions[period] || 0,
+      cancelledSubscriptions: cancelledSubscriptions[period] || 0,
+      grossRevenue: grossRevenue[period] || 0,
+      platformFees: platformFees[period] || 0,
+      posts: posts[period] || 0,
+      messages: messages[period] || 0,
+    }));
+    const total = (field) => sum(series.map((point) => point[field]));
+
+    return {
+      range: { from, to, interval, timezone: "UTC" },
+      currency: baseCurrency,
+      summary: {
+        signups: total("signups"),
+        newSubscriptions: total("newSubscriptions"),
+        cancelledSubscriptions: total("cancelledSubscriptions"),
+        grossRevenue: total("grossRevenue"),
+        platformFees: total("platformFees"),
+        revenueByCurrency: Object.values(revenueByCurrency),
+        posts: total("posts"),
+        messages: total("messages"),
+        totalUsers,
+        totalCreators,
+        activeCreators,
+        pendingPayouts,
+      },
+      series,
+    };
+  }
+}
+
+module.exports = DashboardService;
@@ -0,0 +1,78 @@
+const FixtureProvider = require("./exchangeRates/fixtureProvider");
+const {
+  normalizeCurrency,
+  fromMinorUnits,
+  toMinorUnits,
+  getBaseCurrency,
+} = require("../utils/currency");
+
+// Providers must implement `async getRate(from, to, date)` returning how
+// many units of `to` one unit of `from` is worth
+const providers = {
+  fixture: () => new FixtureProvider(),
+};
+
+let activeProvider = null;
+
+class ExchangeRateService {
+  // Make another rate source available under a name
+  static registerProvider(name, factory) {
+    providers[name] = factory;
+  }
+
+  // Provider chosen with EXCHANGE_RATE_PROVIDER (defaults to the fixture)
+  static getProvider() {
+    if (!activeProvider) {
+      const name = process.env.EXCHANGE_RATE_PROVIDER || "fixture";
+      if (!providers[name]) {
+        throw new Error(`Unknown exchange rate provider: ${name}`);
+      }
+      activeProvider = providers[name]();
+    }
+    return activeProvider;
+  }
+
+  // Replace the provider in use (e.g. with a fixed one for reports)
+  static setProvider(provider) {
+    activeProvider = provider;
+  }
+
+  // Currency platform-wide totals are reported in
+  static getBaseCurrency() {
+    return getBaseCurrency();
+  }
+
+  static async getRate(from, to, date = new Date()) {
+    const source = normalizeCurrency(from);
+    const target = normalizeCurrency(to);
+    if (source === target) return 1;
+
+    return ExchangeRateService.getProvider().getRate(source, target, date);
+  }
+
+  // Convert an amount in minor units of one currency to another
+  static async convert(amount, from, to, date = new Date()) {
+    const rate = await ExchangeRateService.getRate(from, to, date);
+    return toMinorUnits(fromMinorUnits(amount, from) * rate, to);
+  }
+
+  // Sum amounts held in several currencies into the platform base currency.
+  // `totals` maps currency codes to amounts in minor units.
+  static async toBaseCurrency(totals, date = new Date()) {
+    const baseCurrency = ExchangeRateService.getBaseCurrency();
+    let amount = 0;
+
+    for (const [currency, value] of Object.entries(totals)) {
+      amount += await ExchangeRateService.convert(
+        value,
+        currency,
+        baseCurrency,
+        date
+      );
+    }
+
+    return { currency: baseCurrency, amount };
+  }
+}
+
+module.exports = ExchangeRateService;
@@ -0,0 +1,33 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_FIXTURE = path.join(__dirname, "fixtureRates.json");
+
+// Exchange rates read from a local JSON file: how much one unit of each
+// currency is worth in the fixture's base currency. Point
+// EXCHANGE_RATES_FIXTURE at another file to use different rates.
+class FixtureProvider {
+  constructor(fixturePath = process.env.EXCHANGE_RATES_FIXTURE) {
+    this.fixturePath = fixturePath || DEFAULT_FIXTURE;
+    this.fixture = null;
+  }
+
+  load() {
+    if (!this.fixture) {
+      this.fixture = JSON.parse(fs.readFileSync(this.fixturePath, "utf8"));
+    }
+    return this.fixture;
+  }
+
+  // Units of `to` one unit of `from` is worth. The fixture has a single set
+  // of rates, so the date is ignored.
+  async getRate(from, to) {
+    const { rates } = this.load();
+    if (!rates[from] || !rates[to]) {
+      throw new Error(`No fixture exchange rate for ${from}/${to}`);
+    }
+    return rates[from] / rates[to];
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,314 @@
+const crypto = require("crypto");
+const Gift = require("../models/gift_model");
+const Subscription = require("../models/subscription_model");
+const User = require("../models/user_model");
+const StripeService = require("./stripeService");
+const PaymentService = require("./paymentService");
+const SubscriptionService = require("./subscriptionService");
+const LedgerService = require("./ledgerService");
+const NotificationService = require("./notificationService");
+
+// Letters and digits that cannot be mistaken for one another
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GiftService {
+  // How long a gift code can be redeemed after it was paid
+  static getCodeValidityDays() {
+    return parseInt(process.env.GIFT_CODE_VALID_DAYS || "365");
+  }
+
+  // e.g. GIFT-7KQ2M9XH4P
+  static generateCode() {
+    const bytes = crypto.randomBytes(CODE_LENGTH);
+    const chars = Array.from(
+      bytes,
+      (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+    );
+    return `GIFT-${chars.join("")}`;
+  }
+
+  // Create a pending gift and start its payment. Without a recipient the
+  // gift becomes a code once paid.
+  static async startGift(
+    purchaser,
+    { creator, plan, recipient = null, message, paymentMethod = "stripe" }
+  ) {
+    const gift = await Gift.create({
+      purchaser: purchaser._id,
+      creator: creator._id,
+      recipient: recipient ? recipient._id : undefined,
+      plan: plan.plan ? plan.plan._id : undefined,
+      planName: plan.name,
+      tierLevel: plan.tierLevel,
+      durationMonths: plan.durationMonths,
+      amount: plan.price,
+      currency: plan.currency,
+      message,
+      paymentMethod,
+    });
+
+    try {
+      const checkout = await PaymentService.startPayment(paymentMethod, {
+        amount: gift.amount,
+        currency: gift.currency,
+        payer: purchaser,
+        purposeModel: "Gift",
+        purpose: gift._id,
+        description: `Gift subscription to ${creator.username}`,
+        metadata: {
+          type: "gift",
+          giftId: gift._id.toString(),
+          purchaserId: purchaser._id.toString(),
+          creatorId: creator._id.toString(),
+        },
+      });
+
+      if (paymentMethod === "stripe") {
+        gift.paymentIntentId = checkout.providerPaymentId;
+        await gift.save();
+      }
+
+      return { gift, ...checkout };
+    } catch (error) {
+      await Gift.findByIdAndDelete(gift._id);
+      throw error;
+    }
+  }
+
+  // Mark a pending gift as paid, then deliver it or issue its code. Safe to
+  // call from both the confirmation endpoint and the webhook.
+  static async completeGift(giftId, payment = {}) {
+    const { amountPaid, paidAt = new Date() } = payment;
+
+    const pending = await Gift.findById(giftId);
+    if (!pending || pending.status !== "pending") return pending;
+
+    const update = { status: "paid", paidAt };
+    if (!pending.recipient) {
+      update.code = GiftService.generateCode();
+      update.codeExpiresAt = new Date(
+        paidAt.getTime() + GiftService.getCodeValidityDays() * DAY_MS
+      );
+    }
+
+    const gift = await Gift.findOneAndUpdate(
+      { _id: giftId, status: "pending" },
+      update,
+      { new: true }
+    );
+    if (!gift) return Gift.findById(giftId);
+
+    const amount = typeof amountPaid === "number" ? amountPaid : gift.amount;
+
+    await LedgerService.recordCharge({
+      creatorId: gift.creator,
+      payerId: gift.purchaser,
+      amount,
+      currency: gift.currency,
+      externalId: gift.paymentIntentId || `gift:${gift._id}`,
+      references: { gift: gift._id },
+      description: "Gift subscription",
+      date: paidAt,
+    });
+
+    try {
+      await NotificationService.createPaymentReceivedNotification(
+        gift.creator,
+        amount,
+        gift.purchaser,
+        gift.currency
+      );
+    } catch (notificationError) {
+      console.error(
+        "Error creating gift payment notification:",
+        notificationError
+      );
+    }
+
+    if (gift.recipient) {
+      return (
+        (await GiftService.redeemGift(gift, gift.recipient, paidAt)) || gift
+      );
+    }
+    return gift;
+  }
+
+  // Mark a pending gift as failed
+  static async failGift(giftId, reason = "Payment failed") {
+    return Gift.findOneAndUpdate(
+      { _id: giftId, status: "pending" },
+      { status: "failed", failureReason: reason },
+      { new: true }
+    );
+  }
+
+  // Find a gift code that can still be redeemed. Returns { gift } or
+  // { error }.
+  static async findRedeemableCode(code, now = new Date()) {
+    const gift = await Gift.findOne({
+      code: String(code).trim().toUpperCase(),
+    });
+    if (!gift || gift.status === "pending" || gift.status === "failed") {
+      return { error: "Gift code not found" };
+    }
+    if (gift.status === "redeemed") {
+      return { error: "This gift code has already been redeemed" };
+    }
+    if (gift.codeExpiresAt && gift.codeExpiresAt <= now) {
+      return { error: "This gift code has expired" };
+    }
+    return { gift };
+  }
+
+  // Give the recipient the gifted period: extend the subscription to the
+  // creator they still have time on, even one they cancelled, or start a
+  // new one
+  static async provisionSubscription(gift, recipientId, now = new Date()) {
+    const existing = await Subscription.findOne({
+      subscriber: recipientId,
+      creator: gift.creator,
+      bundle: null,
+      status: { $in: ["active", "cancelled"] },
+      endDate: { $gt: now },
+      ...Subscription.ACTIVATED_QUERY,
+    });
+
+    if (existing) {
+      const endDate = SubscriptionService.calculatePeriodEnd(
+        existing.endDate,
+        gift.durationMonths
+      );
+      existing.endDate = endDate;
+      existing.nextBillingDate = existing.autoRenew
+        ? new Date(endDate)
+        : undefined;
+      // A cancelled subscription runs until the gifted months are over and
+      // then expires without renewing
+      if (existing.status === "cancelled") {
+        existing.status = "active";
+      }
+      await existing.save();
+
+      // Stripe must not charge for the gifted months, nor end a subscription
+      // cancelled at the end of its period before they are over
+      if (existing.stripeSubscriptionId) {
+        try {
+          await StripeService.deferBilling(
+            existing.stripeSubscriptionId,
+            endDate
+          );
+        } catch (stripeError) {
+          console.error("Error deferring billing for gift:", stripeError);
+        }
+      }
+
+      return { subscription: existing, extended: true };
+    }
+
+    const subscription = await Subscription.create({
+      subscriber: recipientId,
+      creator: gift.creator,
+      subscriptionPrice: gift.amount,
+      currency: gift.currency,
+      plan: gift.plan,
+      planName: gift.planName,
+      tierLevel: gift.tierLevel,
+      durationMonths: gift.durationMonths,
+      status: "active",
+      activatedAt: now,
+      startDate: now,
+      endDate: SubscriptionService.calculatePeriodEnd(now, gift.durationMonths),
+      autoRenew: false,
+      paymentMethod: "gift",
+      gift: gift._id,
+    });
+
+    await User.findByIdAndUpdate(gift.creator, {
+      $inc: { subscriberCount: 1 },
+    });
+    await User.findByIdAndUpdate(recipientId, {
+      $inc: { subscriptionCount: 1 },
+    });
+
+    return { subscription, extended: false };
+  }
+
+  // Hand a paid gift to its recipient. Returns null when the gift was
+  // already redeemed.
+  static async redeemGift(gift, recipientId, now = new Date()) {
+    const claimed = await Gift.findOneAndUpdate(
+      { _id: gift._id, status: "paid" },
+      { status: "redeemed", recipient: recipientId, redeemedAt: now },
+      { new: true }
+    );
+    if (!claimed) return null;
+
+    const { subscription, extended } = await GiftService.provisionSubscription(
+      claimed,
+      recipientId,
+      now
+    );
+
+    claimed.subscription = subscription._id;
+    claimed.extendedExisting = extended;
+    await claimed.save();
+
+    // Notifications should never fail the redemption
+    try {
+      await NotificationService.createGiftReceivedNotification(
+        recipientId,
+        claimed.purchaser,
+        claimed.creator,
+        subscription._id,
+        claimed.durationMonths,
+        subscription.endDate,
+        extended
+      );
+      if (claimed.purchaser.toString() !== recipientId.toString()) {
+        await NotificationService.createGiftDeliveredNotification(
+          claimed.purchaser,
+          recipientId,
+          claimed.creator,
+          claimed._id
+        );
+      }
+      if (!extended) {
+        await NotificationService.createSubscriptionNotification(
+          recipientId,
+          claimed.creator,
+          subscription._id
+        );
+      }
+    } catch (notificationError) {
+      console.error("Error creating gift notifications:", notificationError);
+    }
+
+    return claimed;
+  }
+
+  // Stripe webhook: payment_intent.succeeded
+  static async handlePaymentIntentSucceeded(paymentIntent) {
+    const giftId = paymentIntent.metadata?.giftId;
+    if (!giftId) return null;
+
+    return GiftService.completeGift(giftId, {
+      amountPaid: paymentIntent.amount_received,
+    });
+  }
+
+  // Stripe webhook: payment_intent.payment_failed
+  static async handlePaymentIntentFailed(paymentIntent) {
+    const giftId = paymentIntent.metadata?.giftId;
+    if (!giftId) return null;
+
+    return GiftService.failGift(
+      giftId,
+      paymentIntent.last_payment_error?.message
+    );
+  }
+}
+
+module.exports = GiftService;
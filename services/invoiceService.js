@@ -0,0 +1,261 @@
+const mongoose = require("mongoose");
+const Invoice = require("../models/invoice_model");
+const Counter = require("../models/counter_model");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const Subscription = require("../models/subscription_model");
+const Purchase = require("../models/purchase_model");
+const Tip = require("../models/tip_model");
+const Gift = require("../models/gift_model");
+const User = require("../models/user_model");
+const ExchangeRateService = require("./exchangeRateService");
+const { hasPermission } = require("../utils/adminPermissions");
+
+// Amounts are integers in the currency's minor unit (cents, millimes)
+const roundAmount = (amount) => Math.round(amount);
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+class InvoiceService {
+  // Next invoice number, e.g. TF-2026-000042 (numbering restarts each year)
+  static async nextNumber(date = new Date()) {
+    const prefix = process.env.INVOICE_PREFIX || "TF";
+    const year = date.getUTCFullYear();
+    const seq = await Counter.next(`invoice:${year}`);
+    return `${prefix}-${year}-${String(seq).padStart(6, "0")}`;
+  }
+
+  // Work out what a charge paid for, from the ledger references
+  static async describeCharge(transaction) {
+    const creator = await User.findById(transaction.creator).select("username");
+    const creatorName = creator ? `@${creator.username}` : "creator";
+    const { subscription, purchase, tip, gift } = transaction.references || {};
+
+    if (subscription) {
+      const sub = await Subscription.findById(subscription).select(
+        "planName durationMonths endDate bundle"
+      );
+      const period = sub
+        ? ` (${sub.durationMonths || 1} month${
+            sub.durationMonths > 1 ? "s" : ""
+          }, until ${formatDate(sub.endDate)})`
+        : "";
+      return {
+        sourceType: "subscription",
+        sourceModel: "Subscription",
+        source: subscription,
+        description: sub?.bundle
+          ? `Bundle "${sub.planName}" by ${creatorName} and others${period}`
+          : `${
+              sub?.planName || "Monthly"
+            } subscription to ${creatorName}${period}`,
+      };
+    }
+
+    if (purchase) {
+      const item = await Purchase.findById(purchase).populate("item", "title");
+      return {
+        sourceType: "purchase",
+        sourceModel: "Purchase",
+        source: purchase,
+        description: `${item?.itemType || "Item"} "${
+          item?.item?.title || "Untitled"
+        }" by ${creatorName}`,
+      };
+    }
+
+    if (tip) {
+      const tipDoc = await Tip.findById(tip).select("source");
+      return {
+        sourceType: "tip",
+        sourceModel: "Tip",
+        source: tip,
+        description: `Tip to ${creatorName}${
+          tipDoc?.source === "post" ? " on a post" : ""
+        }`,
+      };
+    }
+
+    if (gift) {
+      const giftDoc = await Gift.findById(gift).select(
+        "planName durationMonths"
+      );
+      const months = giftDoc?.durationMonths || 1;
+      return {
+        sourceType: "gift",
+        sourceModel: "Gift",
+        source: gift,
+        description: `Gift: ${
+          giftDoc?.planName || "Monthly"
+        } subscription to ${creatorName} (${months} month${
+          months > 1 ? "s" : ""
+        })`,
+      };
+    }
+
+    return null;
+  }
+
+  // Issue the invoice for a charge recorded in the ledger. Safe to call more
+  // than once for the same charge.
+  static async issueForCharge(transaction) {
+    const existing = await Invoice.findOne({
+      ledgerTransaction: transaction._id,
+    });
+    if (existing) return existing;
+
+    const described = await InvoiceService.describeCharge(transaction);
+    if (!described || !transaction.payer) return null;
+
+    // Bundle charges credit several creators; the invoice shows the share
+    // of the creator it is issued for
+    const creatorEntry = transaction.entries.find(
+      (entry) =>
+        entry.account === "creator_earnings" &&
+        String(entry.owner) === String(transaction.creator)
+    );
+    const issuedAt = transaction.createdAt || new Date();
+
+    try {
+      return await Invoice.create({
+        number: await InvoiceService.nextNumber(issuedAt),
+        buyer: transaction.payer,
+        creator: transaction.creator,
+        sourceType: described.sourceType,
+        sourceModel: described.sourceModel,
+        source: described.source,
+        ledgerTransaction: transaction._id,
+        lineItems: [
+          {
+            description: described.description,
+            quantity: 1,
+            unitAmount: transaction.grossAmount,
+            amount: transaction.grossAmount,
+          },
+        ],
+        currency: transaction.currency,
+        total: transaction.grossAmount,
+        platformFee: transaction.platformFee,
+        creatorNet: creatorEntry ? creatorEntry.credit : 0,
+        issuedAt,
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return Invoice.findOne({ ledgerTransaction: transaction._id });
+    }
+  }
+
+  // Reflect a refund or chargeback (or a won dispute, with a negative
+  // amount) on the invoice of the original charge. Each ledger reversal is
+  // applied once.
+  static async recordReversal(originalTransactionId, reversal, amount) {
+    if (!originalTransactionId) return null;
+
+    return Invoice.findOneAndUpdate(
+      {
+        ledgerTransaction: originalTransactionId,
+        reversals: { $ne: reversal._id },
+      },
+      {
+        $inc: { amountRefunded: roundAmount(amount) },
+        $push: { reversals: reversal._id },
+      },
+      { new: true }
+    );
+  }
+
+  // Whether a user may see an invoice (its buyer, its creator or an admin
+  // allowed to look up invoices)
+  static canView(invoice, user, role) {
+    if (role === "admin") return hasPermission(user.adminRole, "invoices:view");
+    const userId = user._id.toString();
+    const buyerId = (invoice.buyer._id || invoice.buyer).toString();
+    const creatorId = (invoice.creator._id || invoice.creator).toString();
+    return userId === buyerId || userId === creatorId;
+  }
+
+  // Earnings statement of a creator for one calendar month (UTC), built
+  // from the ledger. Totals are given per currency and converted to the
+  // platform base currency.
+  static async getMonthlyStatement(creatorId, year, month) {
+    const from = new Date(Date.UTC(year, month - 1, 1));
+    const to = new Date(Date.UTC(year, month, 1));
+    const owner = new mongoose.Types.ObjectId(creatorId);
+
+    const lines = await LedgerTransaction.aggregate([
+      {
+        $match: { "entries.owner": owner, createdAt: { $gte: from, $lt: to } },
+      },
+      { $unwind: "$entries" },
+      {
+        $match: {
+          "entries.owner": owner,
+          "entries.account": "creator_earnings",
+        },
+      },
+      {
+        $group: {
+          _id: { type: "$type", currency: "$currency" },
+          count: { $sum: 1 },
+          grossAmount: { $sum: "$grossAmount" },
+          platformFee: { $sum: "$platformFee" },
+          net: { $sum: { $subtract: ["$entries.credit", "$entries.debit"] } },
+        },
+      },
+      { $sort: { "_id.currency": 1, "_id.type": 1 } },
+    ]);
+
+    const creator = await User.findById(creatorId).select(
+      "username firstName lastName email"
+    );
+
+    const summaries = {};
+    for (const line of lines) {
+      const currency = line._id.currency;
+      if (!summaries[currency]) {
+        summaries[currency] = { credits: 0, debits: 0, platformFees: 0 };
+      }
+      const totals = summaries[currency];
+      if (line.net >= 0) {
+        totals.credits += line.net;
+      } else {
+        totals.debits += -line.net;
+      }
+      totals.platformFees += line.platformFee;
+    }
+
+    const totals = Object.entries(summaries).map(([currency, summary]) => ({
+      currency,
+      credits: roundAmount(summary.credits),
+      debits: roundAmount(summary.debits),
+      platformFees: roundAmount(summary.platformFees),
+      net: roundAmount(summary.credits - summary.debits),
+    }));
+    const baseTotal = await ExchangeRateService.toBaseCurrency(
+      Object.fromEntries(totals.map((total) => [total.currency, total.net])),
+      to
+    );
+
+    return {
+      creator,
+      period: {
+        year,
+        month,
+        from,
+        to,
+        label: `${year}-${String(month).padStart(2, "0")}`,
+      },
+      lines: lines.map((line) => ({
+        type: line._id.type,
+        currency: line._id.currency,
+        count: line.count,
+        grossAmount: roundAmount(line.grossAmount),
+        platformFee: roundAmount(line.platformFee),
+        net: roundAmount(line.net),
+      })),
+      totals,
+      baseTotal: { currency: baseTotal.currency, net: baseTotal.amount },
+    };
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,113 @@
+const { systemClock } = require("../utils/clock");
+
+class JobScheduler {
+  constructor({ clock = systemClock, timers = {} } = {}) {
+    this.clock = clock;
+    this.timers = {
+      setInterval: timers.setInterval || setInterval,
+      clearInterval: timers.clearInterval || clearInterval,
+    };
+    this.jobs = new Map(); // name -> job definition and run state
+  }
+
+  // Register a job handler to run every `intervalMs` milliseconds
+  register(name, handler, intervalMs) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      handler,
+      intervalMs,
+      timer: null,
+      isRunning: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null,
+    });
+
+    return this;
+  }
+
+  // Run a single job now. Overlapping runs of the same job are skipped.
+  async runJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job "${name}" is not registered`);
+    }
+
+    if (job.isRunning) {
+      return { skipped: true };
+    }
+
+    job.isRunning = true;
+    const previousRunAt = job.lastRunAt;
+    job.lastRunAt = this.clock.now();
+
+    try {
+      job.lastResult = await job.handler({
+        clock: this.clock,
+        lastRunAt: previousRunAt,
+      });
+      job.lastError = null;
+      return job.lastResult;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Job "${name}" failed:`, error);
+      return { error: error.message };
+    } finally {
+      job.isRunning = false;
+    }
+  }
+
+  // Run every registered job once, in registration order
+  async runAll() {
+    const results = {};
+    for (const name of this.jobs.keys()) {
+      results[name] = await this.runJob(name);
+    }
+    return results;
+  }
+
+  // Start the interval timers for all jobs
+  start() {
+    this.jobs.forEach((job) => {
+      if (job.timer) return;
+      job.timer = this.timers.setInterval(
+        () => this.runJob(job.name),
+        job.intervalMs
+      );
+      // Don't keep the process alive just for background jobs
+      if (job.timer && typeof job.timer.unref === "function") {
+        job.timer.unref();
+      }
+    });
+    return this;
+  }
+
+  // Stop all interval timers
+  stop() {
+    this.jobs.forEach((job) => {
+      if (job.timer) {
+        this.timers.clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+    return this;
+  }
+
+  // Snapshot of the jobs' last run state
+  getStatus() {
+    return Array.from(this.jobs.values()).map((job) => ({
+      name: job.name,
+      intervalMs: job.intervalMs,
+      isRunning: job.isRunning,
+      lastRunAt: job.lastRunAt,
+      lastResult: job.lastResult,
+      lastError: job.lastError,
+    }));
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,678 @@
+const mongoose = require("mongoose");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const User = require("../models/user_model");
+const InvoiceService = require("./invoiceService");
+const ExchangeRateService = require("./exchangeRateService");
+const { DEFAULT_CURRENCY } = require("../utils/currency");
+const { bucketExpression } = require("../utils/timeBuckets");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Amounts are integers in the currency's minor unit (cents, millimes)
+const roundAmount = (amount) => Math.round(amount);
+
+// Transaction types that move creator earnings out to a payout
+const PAYOUT_TYPES = ["payout", "payout_reversal"];
+
+// Transaction types that bring money in, and those that give it back
+const CHARGE_TYPES = ["subscription_charge", "content_purchase", "tip"];
+const REVERSAL_TYPES = ["refund", "chargeback"];
+
+class LedgerService {
+  // Platform commission taken from every charge, in percent
+  static getPlatformFeePercent() {
+    const percent = parseFloat(process.env.PLATFORM_FEE_PERCENT || "20");
+    return Math.min(100, Math.max(0, percent));
+  }
+
+  // Days creator earnings are held before they can be withdrawn
+  static getHoldDays() {
+    return Math.max(0, parseInt(process.env.EARNINGS_HOLD_DAYS || "7"));
+  }
+
+  // Split a gross amount into platform fee and creator share
+  static splitAmount(
+    grossAmount,
+    feePercent = LedgerService.getPlatformFeePercent()
+  ) {
+    const gross = roundAmount(grossAmount);
+    const fee = roundAmount((gross * feePercent) / 100);
+    return { gross, fee, net: roundAmount(gross - fee) };
+  }
+
+  // Share a creator amount by percent. Rounding leftovers go to the first
+  // creator so the shares always add up to the amount.
+  static splitEarnings(amount, splits) {
+    const shares = splits.map(({ creatorId, percent }) => ({
+      creatorId,
+      amount: Math.floor((amount * percent) / 100),
+    }));
+    const allocated = shares.reduce((sum, share) => sum + share.amount, 0);
+    shares[0].amount += amount - allocated;
+    return shares;
+  }
+
+  // Creators credited by a charge and their percent of its earnings
+  static getEarningsSplits(transaction) {
+    const entries = transaction.entries.filter(
+      (entry) => entry.account === "creator_earnings" && entry.credit > 0
+    );
+    const total = entries.reduce((sum, entry) => sum + entry.credit, 0);
+    return entries.map((entry) => ({
+      creatorId: entry.owner,
+      percent: total > 0 ? (entry.credit / total) * 100 : 100 / entries.length,
+    }));
+  }
+
+  // Save a transaction, returning the existing one if this externalId was
+  // already recorded (webhooks and confirmations may report the same payment)
+  static async createTransaction(data) {
+    if (data.externalId) {
+      const existing = await LedgerTransaction.findOne({
+        type: data.type,
+        externalId: data.externalId,
+      });
+      if (existing) return existing;
+    }
+
+    try {
+      return await LedgerTransaction.create(data);
+    } catch (error) {
+      if (error.code === 11000 && data.externalId) {
+        return LedgerTransaction.findOne({
+          type: data.type,
+          externalId: data.externalId,
+        });
+      }
+      throw error;
+    }
+  }
+
+  // Record money received for a creator: processor -> platform fee + creator.
+  // A bundle charge passes `splits` ({ creatorId, percent }) to share the
+  // creator part between its members.
+  static async recordCharge({
+    type = "subscription_charge",
+    creatorId,
+    splits = [{ creatorId, percent: 100 }],
+    payerId,
+    amount,
+    currency = DEFAULT_CURRENCY,
+    externalId,
+    references = {},
+    description,
+    date = new Date(),
+  }) {
+    const { gross, fee, net } = LedgerService.splitAmount(amount);
+    const availableAt = new Date(
+      date.getTime() + LedgerService.getHoldDays() * DAY_MS
+    );
+
+    const transaction = await LedgerService.createTransaction({
+      type,
+      description,
+      creator: creatorId,
+      payer: payerId,
+      grossAmount: gross,
+      platformFee: fee,
+      currency,
+      externalId,
+      references,
+      entries: [
+        { account: "processor", debit: gross, availableAt: date },
+        { account: "platform_revenue", credit: fee, availableAt: date },
+        ...LedgerService.splitEarnings(net, splits).map((share) => ({
+          account: "creator_earnings",
+          owner: share.creatorId,
+          credit: share.amount,
+          availableAt,
+        })),
+      ],
+    });
+
+    for (const split of splits) {
+      await LedgerService.syncCreatorBalance(split.creatorId);
+    }
+
+    // A missing receipt must never fail the payment itself
+    try {
+      await InvoiceService.issueForCharge(transaction);
+    } catch (invoiceError) {
+      console.error("Error issuing invoice:", invoiceError);
+    }
+
+    return transaction;
+  }
+
+  // Reverse (part of) a charge. The platform fee is reversed in the same
+  // proportion it was taken on the original charge, in its currency.
+  static async recordReversal({
+    type = "refund",
+    creatorId,
+    payerId,
+    amount,
+    currency,
+    externalId,
+    originalTransaction = null,
+    references = {},
+    description,
+    date = new Date(),
+  }) {
+    const feePercent =
+      originalTransaction && originalTransaction.grossAmount > 0
+        ? (originalTransaction.platformFee / originalTransaction.grossAmount) *
+          100
+        : LedgerService.getPlatformFeePercent();
+    const { gross, fee, net } = LedgerService.splitAmount(amount, feePercent);
+    // A charge shared between creators is taken back from each of them in
+    // the same proportion
+    const splits = originalTransaction
+      ? LedgerService.getEarningsSplits(originalTransaction)
+      : [];
+    if (splits.length === 0) {
+      splits.push({ creatorId, percent: 100 });
+    }
+
+    const transaction = await LedgerService.createTransaction({
+      type,
+      description,
+      creator: creatorId,
+      payer: payerId,
+      grossAmount: gross,
+      platformFee: -fee,
+      currency: currency || originalTransaction?.currency || DEFAULT_CURRENCY,
+      externalId,
+      references,
+      reverses: originalTransaction ? originalTransaction._id : undefined,
+      entries: [
+        ...LedgerService.splitEarnings(net, splits).map((share) => ({
+          account: "creator_earnings",
+          owner: share.creatorId,
+          debit: share.amount,
+          availableAt: date,
+        })),
+        { account: "platform_revenue", debit: fee, availableAt: date },
+        { account: "processor", credit: gross, availableAt: date },
+      ],
+    });
+
+    for (const split of splits) {
+      await LedgerService.syncCreatorBalance(split.creatorId);
+    }
+
+    try {
+      await InvoiceService.recordReversal(
+        transaction.reverses,
+        transaction,
+        transaction.grossAmount
+      );
+    } catch (invoiceError) {
+      console.error("Error updating invoice:", invoiceError);
+    }
+
+    return transaction;
+  }
+
+  // Record a refund issued to the payer
+  static async recordRefund(data) {
+    return LedgerService.recordReversal({ ...data, type: "refund" });
+  }
+
+  // Record a chargeback (disputed payment lost to the payer's bank)
+  static async recordChargeback(data) {
+    return LedgerService.recordReversal({ ...data, type: "chargeback" });
+  }
+
+  // Give back what a chargeback took once the dispute is won
+  static async recordChargebackReversal({
+    chargeback,
+    externalId,
+    description = "Dispute won",
+    date = new Date(),
+  }) {
+    const transaction = await LedgerService.createTransaction({
+      type: "chargeback_reversal",
+      description,
+      creator: chargeback.creator,
+      payer: chargeback.payer,
+      grossAmount: chargeback.grossAmount,
+      platformFee: -chargeback.platformFee,
+      currency: chargeback.currency,
+      externalId,
+      references: chargeback.references,
+      reverses: chargeback._id,
+      entries: chargeback.entries.map((entry) => ({
+        account: entry.account,
+        owner: entry.owner,
+        debit: entry.credit,
+        credit: entry.debit,
+        availableAt: date,
+      })),
+    });
+
+    for (const entry of chargeback.entries) {
+      if (entry.account === "creator_earnings") {
+        await LedgerService.syncCreatorBalance(entry.owner);
+      }
+    }
+
+    try {
+      await InvoiceService.recordReversal(
+        chargeback.reverses,
+        transaction,
+        -transaction.grossAmount
+      );
+    } catch (invoiceError) {
+      console.error("Error updating invoice:", invoiceError);
+    }
+
+    return transaction;
+  }
+
+  // Reserve a creator's available earnings for a payout request
+  static async reservePayout({ payout, description = "Payout request" }) {
+    const amount = roundAmount(payout.amount);
+
+    const transaction = await LedgerService.createTransaction({
+      type: "payout",
+      description,
+      creator: payout.creator,
+      grossAmount: amount,
+      currency: payout.currency,
+      externalId: `payout:${payout._id}`,
+      references: { payout: payout._id },
+      entries: [
+        { account: "creator_earnings", owner: payout.creator, debit: amount },
+        { account: "payouts", credit: amount },
+      ],
+    });
+
+    await LedgerService.syncCreatorBalance(payout.creator);
+    return transaction;
+  }
+
+  // Return the reserved amount to the creator (payout cancelled or failed)
+  static async releasePayout({ payout, description = "Payout reversed" }) {
+    const amount = roundAmount(payout.amount);
+    const reservation = await LedgerTransaction.findOne({
+      type: "payout",
+      externalId: `payout:${payout._id}`,
+    });
+
+    const transaction = await LedgerService.createTransaction({
+      type: "payout_reversal",
+      description,
+      creator: payout.creator,
+      grossAmount: amount,
+      currency: payout.currency,
+      externalId: `payout:${payout._id}`,
+      references: { payout: payout._id },
+      reverses: reservation ? reservation._id : undefined,
+      entries: [
+        { account: "payouts", debit: amount },
+        { account: "creator_earnings", owner: payout.creator, credit: amount },
+      ],
+    });
+
+    await LedgerService.syncCreatorBalance(payout.creator);
+    return transaction;
+  }
+
+  // Record the money leaving the platform once a payout has been sent
+  static async settlePayout({ payout, description = "Payout sent" }) {
+    const amount = roundAmount(payout.amount);
+
+    return LedgerService.createTransaction({
+      type: "payout_settlement",
+      description,
+      creator: payout.creator,
+      grossAmount: amount,
+      currency: payout.currency,
+      externalId: `payout:${payout._id}`,
+      references: { payout: payout._id },
+      entries: [
+        { account: "payouts", debit: amount },
+        { account: "processor", credit: amount },
+      ],
+    });
+  }
+
+  // Platform-wide volume and revenue between two dates, per currency and
+  // converted to the platform base currency
+  static async getRevenueReport({ from, to = new Date() } = {}) {
+    const createdAt = { $lt: to };
+    if (from) {
+      createdAt.$gte = from;
+    }
+
+    const results = await LedgerTransaction.aggregate([
+      {
+        $match: {
+          createdAt,
+          type: {
+            $in: [...CHARGE_TYPES, ...REVERSAL_TYPES, "chargeback_reversal"],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$currency",
+          transactions: { $sum: 1 },
+          grossVolume: {
+            $sum: {
+              $cond: [{ $in: ["$type", CHARGE_TYPES] }, "$grossAmount", 0],
+            },
+          },
+          // Refunds and lost disputes, net of disputes won back
+          reversed: {
+            $sum: {
+              $switch: {
+                branches: [
+                  {
+                    case: { $in: ["$type", REVERSAL_TYPES] },
+                    then: "$grossAmount",
+                  },
+                  {
+                    case: { $eq: ["$type", "chargeback_reversal"] },
+                    then: { $multiply: ["$grossAmount", -1] },
+                  },
+                ],
+                default: 0,
+              },
+            },
+          },
+          // Fees are recorded negative on reversals
+          platformRevenue: { $sum: "$platformFee" },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const byCurrency = results.map((result) => ({
+      currency: result._id,
+      transactions: result.transactions,
+      grossVolume: roundAmount(result.grossVolume),
+      reversed: roundAmount(result.reversed),
+      netVolume: roundAmount(result.grossVolume - result.reversed),
+      platformRevenue: roundAmount(result.platformRevenue),
+    }));
+
+    const toBase = async (field) =>
+      (
+        await ExchangeRateService.toBaseCurrency(
+          Object.fromEntries(
+            byCurrency.map((row) => [row.currency, row[field]])
+          ),
+          to
+        )
+      ).amount;
+
+    return {
+      from: from || null,
+      to,
+      byCurrency,
+      total: {
+        currency: ExchangeRateService.getBaseCurrency(),
+        grossVolume: await toBase("grossVolume"),
+        reversed: await toBase("reversed"),
+        netVolume: await toBase("netVolume"),
+        platformRevenue: await toBase("platformRevenue"),
+      },
+    };
+  }
+
+  // Gross volume and platform revenue per time bucket and currency, for
+  // charts. Returns [{ period, currency, grossVolume, platformRevenue }].
+  static async getRevenueSeries({ from, to = new Date(), interval = "day" }) {
+    const results = await LedgerTransaction.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: from, $lt: to },
+          type: {
+            $in: [...CHARGE_TYPES, ...REVERSAL_TYPES, "chargeback_reversal"],
+          },
+        },
+      },
+      {
+        $group: {
+          _id: {
+            period: bucketExpression("$createdAt", interval),
+            currency: "$currency",
+          },
+          grossVolume: {
+            $sum: {
+              $cond: [{ $in: ["$type", CHARGE_TYPES] }, "$grossAmount", 0],
+            },
+          },
+          // Fees are recorded negative on reversals
+          platformRevenue: { $sum: "$platformFee" },
+        },
+      },
+      { $sort: { "_id.period": 1, "_id.currency": 1 } },
+    ]);
+
+    return results.map((result) => ({
+      period: result._id.period,
+      currency: result._id.currency,
+      grossVolume: roundAmount(result.grossVolume),
+      platformRevenue: roundAmount(result.platformRevenue),
+    }));
+  }
+
+  // A creator's earnings (net of platform fees, refunds and chargebacks)
+  // per time bucket and currency. Returns [{ period, currency, earnings }].
+  static async getCreatorEarningsSeries(
+    creatorId,
+    { from, to = new Date(), interval = "day" }
+  ) {
+    const owner = new mongoose.Types.ObjectId(creatorId);
+    const results = await LedgerTransaction.aggregate([
+      {
+        $match: {
+          "entries.owner": owner,
+          createdAt: { $gte: from, $lt: to },
+          type: { $nin: PAYOUT_TYPES },
+        },
+      },
+      { $unwind: "$entries" },
+      {
+        $match: {
+          "entries.account": "creator_earnings",
+          "entries.owner": owner,
+        },
+      },
+      {
+        $group: {
+          _id: {
+            period: bucketExpression("$createdAt", interval),
+            currency: "$currency",
+          },
+          earnings: {
+            $sum: { $subtract: ["$entries.credit", "$entries.debit"] },
+          },
+        },
+      },
+      { $sort: { "_id.period": 1, "_id.currency": 1 } },
+    ]);
+
+    return results.map((result) => ({
+      period: result._id.period,
+      currency: result._id.currency,
+      earnings: roundAmount(result.earnings),
+    }));
+  }
+
+  // Find the charge recorded for a processor payment
+  static async findChargeByExternalId(externalId) {
+    if (!externalId) return null;
+    return LedgerTransaction.findOne({
+      externalId,
+      type: { $nin: ["refund", "chargeback", "chargeback_reversal"] },
+    }).sort({ createdAt: 1 });
+  }
+
+  // Derive a creator's balances from their ledger entries, one set of
+  // balances per currency they earned in
+  static async getCreatorBalances(creatorId, asOf = new Date()) {
+    const owner = new mongoose.Types.ObjectId(creatorId);
+    const results = await LedgerTransaction.aggregate([
+      { $match: { "entries.owner": owner } },
+      { $unwind: "$entries" },
+      {
+        $match: {
+          "entries.account": "creator_earnings",
+          "entries.owner": owner,
+        },
+      },
+      {
+        $group: {
+          _id: "$currency",
+          // Everything earned, net of refunds and chargebacks
+          totalEarnings: {
+            $sum: {
+              $cond: [
+                { $in: ["$type", PAYOUT_TYPES] },
+                0,
+                { $subtract: ["$entries.credit", "$entries.debit"] },
+              ],
+            },
+          },
+          releasedCredits: {
+            $sum: {
+              $cond: [
+                { $lte: ["$entries.availableAt", asOf] },
+                "$entries.credit",
+                0,
+              ],
+            },
+          },
+          pendingCredits: {
+            $sum: {
+              $cond: [
+                { $gt: ["$entries.availableAt", asOf] },
+                "$entries.credit",
+                0,
+              ],
+            },
+          },
+          // Debits take effect immediately
+          debits: { $sum: "$entries.debit" },
+          // Requested payouts, net of cancelled and failed ones
+          totalPaidOut: {
+            $sum: {
+              $cond: [
+                { $in: ["$type", PAYOUT_TYPES] },
+                { $subtract: ["$entries.debit", "$entries.credit"] },
+                0,
+              ],
+            },
+          },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    return results.map((result) => ({
+      currency: result._id,
+      totalEarnings: roundAmount(result.totalEarnings),
+      availableBalance: roundAmount(result.releasedCredits - result.debits),
+      pendingBalance: roundAmount(result.pendingCredits),
+      totalPaidOut: roundAmount(result.totalPaidOut),
+    }));
+  }
+
+  // Balances of a creator in one currency, the creator's pricing currency
+  // unless another is given
+  static async getCreatorBalance(creatorId, asOf = new Date(), currency) {
+    if (!currency) {
+      const creator = await User.findById(creatorId).select("pricingCurrency");
+      currency = creator?.pricingCurrency || DEFAULT_CURRENCY;
+    }
+
+    const balances = await LedgerService.getCreatorBalances(creatorId, asOf);
+    return (
+      balances.find((balance) => balance.currency === currency) || {
+        currency,
+        totalEarnings: 0,
+        availableBalance: 0,
+        pendingBalance: 0,
+        totalPaidOut: 0,
+      }
+    );
+  }
+
+  // Refresh the balance fields cached on the User document
+  static async syncCreatorBalance(creatorId, asOf = new Date()) {
+    const balance = await LedgerService.getCreatorBalance(creatorId, asOf);
+
+    await User.findByIdAndUpdate(creatorId, {
+      totalEarnings: balance.totalEarnings,
+      availableBalance: balance.availableBalance,
+      pendingBalance: balance.pendingBalance,
+    });
+
+    return balance;
+  }
+
+  // Creators with held earnings released between `since` and `until`
+  static async findCreatorsWithReleasedEarnings(since, until) {
+    return LedgerTransaction.distinct("entries.owner", {
+      entries: {
+        $elemMatch: {
+          account: "creator_earnings",
+          availableAt: { $gt: since, $lte: until },
+        },
+      },
+    });
+  }
+
+  // List a creator's ledger transactions, newest first
+  static async getCreatorTransactions(
+    creatorId,
+    { page = 1, limit = 20, type } = {}
+  ) {
+    const query = { "entries.owner": creatorId };
+    if (type) {
+      query.type = type;
+    }
+
+    const skip = (page - 1) * limit;
+
+    const [transactions, total] = await Promise.all([
+      LedgerTransaction.find(query)
+        .populate("payer", "username firstName lastName profileImage")
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      LedgerTransaction.countDocuments(query),
+    ]);
+
+    // Only expose the creator's side of each transaction
+    const formatted = transactions.map((transaction) => {
+      const entry = transaction.entries.find(
+        (e) =>
+          e.account === "creator_earnings" &&
+          e.owner &&
+          e.owner.toString() === creatorId.toString()
+      );
+
+      return {
+        _id: transaction._id,
+        type: transaction.type,
+        description: transaction.description,
+        payer: transaction.payer,
+        grossAmount: transaction.grossAmount,
+        platformFee: transaction.platformFee,
+        netAmount: entry ? roundAmount(entry.credit - entry.debit) : 0,
+        currency: transaction.currency,
+        availableAt: entry ? entry.availableAt : null,
+        createdAt: transaction.createdAt,
+      };
+    });
+
+    return { transactions: formatted, total };
+  }
+}
+
+module.exports = LedgerService;
@@ -0,0 +1,152 @@
+const AccountService = require("./accountService");
+const NotificationService = require("./notificationService");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Progressive lockout: after too many failed logins (password or 2FA code)
+// the account is locked, each lock twice as long as the previous one.
+class LoginProtectionService {
+  static getMaxFailedAttempts() {
+    return parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS || "5");
+  }
+
+  static getBaseLockMinutes() {
+    return parseInt(process.env.LOGIN_LOCKOUT_MINUTES || "15");
+  }
+
+  static getMaxLockHours() {
+    return parseInt(process.env.LOGIN_LOCKOUT_MAX_HOURS || "24");
+  }
+
+  // Failures further apart than this start a new count
+  static getFailureWindowMs() {
+    return HOUR_MS;
+  }
+
+  // How long the next lock lasts after `lockCount` earlier ones
+  static getLockDurationMs(lockCount) {
+    return Math.min(
+      LoginProtectionService.getBaseLockMinutes() * MINUTE_MS * 2 ** lockCount,
+      LoginProtectionService.getMaxLockHours() * HOUR_MS
+    );
+  }
+
+  // When the account's lock ends, or null if it isn't locked
+  static getLockedUntil(account, now = new Date()) {
+    const lockedUntil =
+      account.loginSecurity && account.loginSecurity.lockedUntil;
+    return lockedUntil && lockedUntil > now ? lockedUntil : null;
+  }
+
+  static getLockMessage(lockedUntil, now = new Date()) {
+    const minutes = Math.ceil(
+      (lockedUntil.getTime() - now.getTime()) / MINUTE_MS
+    );
+    return `Account temporarily locked after too many failed login attempts. Try again in ${minutes} minute${
+      minutes === 1 ? "" : "s"
+    }.`;
+  }
+
+  // Count a failed attempt and lock the account once it reaches the limit.
+  // Returns the lock end if this attempt locked it, otherwise null.
+  static async recordFailure(account, now = new Date()) {
+    const Model = account.constructor;
+    const security = account.loginSecurity || {};
+    const windowStart = new Date(
+      now.getTime() - LoginProtectionService.getFailureWindowMs()
+    );
+
+    const update =
+      security.lastFailedAt && security.lastFailedAt > windowStart
+        ? { $inc: { "loginSecurity.failedAttempts": 1 } }
+        : { $set: { "loginSecurity.failedAttempts": 1 } };
+    const updated = await Model.findOneAndUpdate(
+      { _id: account._id },
+      {
+        ...update,
+        $set: { ...update.$set, "loginSecurity.lastFailedAt": now },
+      },
+      { new: true }
+    );
+    if (!updated) return null;
+
+    const { failedAttempts, lockCount = 0 } = updated.loginSecurity;
+    if (failedAttempts < LoginProtectionService.getMaxFailedAttempts()) {
+      return null;
+    }
+
+    // Only the request that reaches the limit applies the lock
+    const lockedUntil = new Date(
+      now.getTime() + LoginProtectionService.getLockDurationMs(lockCount)
+    );
+    const locked = await Model.findOneAndUpdate(
+      {
+        _id: account._id,
+        "loginSecurity.failedAttempts": failedAttempts,
+      },
+      {
+        $set: {
+          "loginSecurity.failedAttempts": 0,
+          "loginSecurity.lockedUntil": lockedUntil,
+        },
+        $inc: { "loginSecurity.lockCount": 1 },
+      },
+      { new: true }
+    );
+    if (!locked) return null;
+
+    await LoginProtectionService.notifyLocked(locked, lockedUntil);
+    return lockedUntil;
+  }
+
+  // Clear failures after a complete sign in
+  static async recordSuccess(account) {
+    const security = account.loginSecurity || {};
+    if (
+      !security.failedAttempts &&
+      !security.lockCount &&
+      !security.lockedUntil
+    ) {
+      return;
+    }
+
+    await account.constructor.updateOne(
+      { _id: account._id },
+      {
+        $set: {
+          "loginSecurity.failedAttempts": 0,
+          "loginSecurity.lockCount": 0,
+        },
+        $unset: { "loginSecurity.lockedUntil": "" },
+      }
+    );
+  }
+
+  // Tell the owner their account was locked. Users get an email with an
+  // unlock link and an in-app notification; admins have no email on file.
+  static async notifyLocked(account, lockedUntil) {
+    if (account.constructor.modelName !== "User") {
+      console.warn(
+        `Admin account ${account.username} locked until ${lockedUntil.toISOString()} after failed logins`
+      );
+      return;
+    }
+
+    try {
+      await AccountService.sendUnlockEmail(account, lockedUntil);
+    } catch (mailError) {
+      console.error("Error sending account unlock email:", mailError);
+    }
+
+    await NotificationService.createSystemNotification(
+      account._id,
+      "Account Locked",
+      "Your account was locked after several failed login attempts. If this wasn't you, reset your password.",
+      "/settings/security",
+      "urgent"
+    );
+  }
+}
+
+module.exports = LoginProtectionService;
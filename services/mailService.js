@@ -0,0 +1,74 @@
+const SmtpTransport = require("./mailTransports/smtpTransport");
+const FileTransport = require("./mailTransports/fileTransport");
+const ConsoleTransport = require("./mailTransports/consoleTransport");
+const { buildMessage, createMessageId } = require("../utils/mailMessage");
+
+// Mail transports implement:
+// - async send({ from, to, subject, text, html, messageId, raw }) returning
+//   { messageId }. `raw` is the full RFC 5322 message.
+const transports = {
+  smtp: () => new SmtpTransport(),
+  file: () => new FileTransport(),
+  console: () => new ConsoleTransport(),
+};
+
+const instances = {};
+
+class MailService {
+  // MAIL_TRANSPORT picks the transport; without it mail goes through SMTP
+  // when a server is configured and to the console otherwise. Production
+  // never falls back to the console, where mail would quietly go nowhere.
+  static getTransportName() {
+    if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+    if (process.env.SMTP_HOST) return "smtp";
+    if (process.env.NODE_ENV === "production") {
+      throw new Error("SMTP_HOST is not configured");
+    }
+    return "console";
+  }
+
+  // Make another transport available under a name
+  static registerTransport(name, factory) {
+    transports[name] = factory;
+    delete instances[name];
+  }
+
+  static getTransport(name = MailService.getTransportName()) {
+    if (!instances[name]) {
+      if (!transports[name]) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+      instances[name] = transports[name]();
+    }
+    return instances[name];
+  }
+
+  // Replace the transport behind a name (e.g. one that records messages)
+  static setTransport(name, transport) {
+    instances[name] = transport;
+  }
+
+  static getSender() {
+    return process.env.MAIL_FROM || "TunFans <no-reply@tunfans.com>";
+  }
+
+  // Send an email with a plain text body and an optional HTML version
+  static async send({ to, subject, text, html }) {
+    const from = MailService.getSender();
+    const message = {
+      from,
+      to,
+      subject,
+      text,
+      html,
+      messageId: createMessageId(from),
+    };
+
+    return MailService.getTransport().send({
+      ...message,
+      raw: buildMessage(message),
+    });
+  }
+}
+
+module.exports = MailService;
@@ -0,0 +1,20 @@
+// Prints messages to the console instead of sending them (development
+// default when no SMTP server is configured)
+class ConsoleTransport {
+  async send(message) {
+    console.log(
+      [
+        "----- Email -----",
+        `To: ${[].concat(message.to).join(", ")}`,
+        `Subject: ${message.subject}`,
+        "",
+        message.text,
+        "-----------------",
+      ].join("\n")
+    );
+
+    return { messageId: message.messageId };
+  }
+}
+
+module.exports = ConsoleTransport;
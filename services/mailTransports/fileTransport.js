@@ -0,0 +1,26 @@
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+
+// Writes every message as an .eml file instead of sending it, for local
+// development and tests. Open the files with any mail client.
+class FileTransport {
+  constructor({
+    directory = process.env.MAIL_FILE_DIR ||
+      path.join(os.tmpdir(), "tunfans-mail"),
+  } = {}) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const name = `${Date.now()}-${message.messageId.replace(/[^\w.-]/g, "")}.eml`;
+    const file = path.join(this.directory, name);
+    await fs.writeFile(file, message.raw);
+
+    return { messageId: message.messageId, file };
+  }
+}
+
+module.exports = FileTransport;
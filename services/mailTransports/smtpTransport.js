@@ -0,0 +1,204 @@
+const net = require("net");
+const os = require("os");
+const tls = require("tls");
+const { parseAddress } = require("../../utils/mailMessage");
+
+// One SMTP conversation over a socket. Replies are read in order; a reply
+// ends with a "NNN text" line (continuation lines use "NNN-text").
+class SmtpSession {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = "";
+    this.replies = [];
+    this.waiting = [];
+    this.error = null;
+    this.listeners = {
+      data: (chunk) => {
+        this.buffer += chunk;
+        this.parse();
+      },
+      error: (error) => this.fail(error),
+      close: () => this.fail(new Error("SMTP connection closed")),
+    };
+
+    socket.setEncoding("utf8");
+    socket.setTimeout(this.timeout, () =>
+      socket.destroy(new Error("SMTP connection timed out"))
+    );
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      socket.on(event, listener)
+    );
+  }
+
+  // Stop listening to the socket (before it is upgraded to TLS or closed)
+  detach() {
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      this.socket.removeListener(event, listener)
+    );
+    this.socket.setTimeout(0);
+  }
+
+  parse() {
+    const lines = this.buffer.split("\r\n");
+    const rest = lines.pop();
+
+    let start = 0;
+    lines.forEach((line, index) => {
+      if (!/^\d{3}(?: |$)/.test(line)) return;
+      const reply = lines.slice(start, index + 1);
+      this.replies.push({
+        code: parseInt(line.slice(0, 3)),
+        text: reply.map((replyLine) => replyLine.slice(4)).join("\n"),
+      });
+      start = index + 1;
+    });
+
+    this.buffer = [...lines.slice(start), rest].join("\r\n");
+    this.deliver();
+  }
+
+  deliver() {
+    while (this.waiting.length > 0 && this.replies.length > 0) {
+      this.waiting.shift().resolve(this.replies.shift());
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    while (this.waiting.length > 0) {
+      this.waiting.shift().reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({ resolve, reject });
+      this.deliver();
+      if (this.error && this.waiting.length > 0) {
+        this.fail(this.error);
+      }
+    });
+  }
+
+  // Send a line and check the reply code
+  async command(line, expected) {
+    if (line !== null) {
+      this.socket.write(`${line}\r\n`);
+    }
+    const reply = await this.read();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP error ${reply.code}: ${reply.text}`);
+    }
+    return reply;
+  }
+
+  close() {
+    this.detach();
+    this.socket.end();
+  }
+}
+
+const connect = ({ host, port, secure, socket }) =>
+  new Promise((resolve, reject) => {
+    const connection = secure
+      ? tls.connect({ host, port, socket, servername: host })
+      : net.connect({ host, port });
+    connection.once(secure ? "secureConnect" : "connect", () => {
+      connection.removeListener("error", reject);
+      resolve(connection);
+    });
+    connection.once("error", reject);
+  });
+
+// Sends mail through an SMTP relay (SMTP_HOST). Port 465 uses implicit TLS;
+// other ports upgrade with STARTTLS when the server offers it. Credentials
+// are never sent over a connection that isn't encrypted.
+class SmtpTransport {
+  constructor({
+    host = process.env.SMTP_HOST,
+    port = parseInt(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE
+      ? process.env.SMTP_SECURE === "true"
+      : port === 465,
+    user = process.env.SMTP_USER,
+    password = process.env.SMTP_PASSWORD,
+    timeout = parseInt(process.env.SMTP_TIMEOUT_MS) || 30000,
+  } = {}) {
+    this.host = host;
+    this.port = port;
+    this.secure = secure;
+    this.user = user;
+    this.password = password;
+    this.timeout = timeout;
+  }
+
+  async send(message) {
+    if (!this.host) {
+      throw new Error("SMTP_HOST is not configured");
+    }
+
+    const socket = await connect({
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+    });
+    const session = new SmtpSession(socket, this.timeout);
+    const hostname = os.hostname();
+
+    try {
+      await session.command(null, [220]);
+      const ehlo = await session.command(`EHLO ${hostname}`, [250]);
+      let encrypted = this.secure;
+
+      if (!this.secure && /^STARTTLS$/m.test(ehlo.text)) {
+        await session.command("STARTTLS", [220]);
+        session.detach();
+        session.attach(
+          await connect({ host: this.host, secure: true, socket })
+        );
+        await session.command(`EHLO ${hostname}`, [250]);
+        encrypted = true;
+      }
+
+      if (this.user) {
+        if (!encrypted) {
+          throw new Error(
+            "SMTP server does not offer STARTTLS; refusing to send credentials in plain text"
+          );
+        }
+        await session.command("AUTH LOGIN", [334]);
+        await session.command(Buffer.from(this.user).toString("base64"), [334]);
+        await session.command(
+          Buffer.from(this.password || "").toString("base64"),
+          [235]
+        );
+      }
+
+      await session.command(`MAIL FROM:<${parseAddress(message.from)}>`, [250]);
+      const recipients = Array.isArray(message.to) ? message.to : [message.to];
+      for (const recipient of recipients) {
+        await session.command(
+          `RCPT TO:<${parseAddress(recipient)}>`,
+          [250, 251]
+        );
+      }
+
+      await session.command("DATA", [354]);
+      // Lines starting with a dot are escaped so they don't end the data
+      const data = message.raw.replace(/^\./gm, "..").replace(/\r\n$/, "");
+      await session.command(`${data}\r\n.`, [250]);
+
+      await session.command("QUIT", [221]).catch(() => {});
+      return { messageId: message.messageId };
+    } finally {
+      session.close();
+    }
+  }
+}
+
+module.exports = SmtpTransport;
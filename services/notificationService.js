@@ -1,4 +1,5 @@
 const Notification = require("../models/notification_model");
+const { formatMoney } = require("../utils/currency");
 
 class NotificationService {
   // Create a new message notification
@@ -104,6 +105,258 @@ class NotificationService {
     }
   }
 
+  // Create a reminder that a subscription renews or expires soon
+  static async createSubscriptionReminderNotification(
+    subscriberId,
+    creatorId,
+    subscriptionId,
+    endDate,
+    willRenew
+  ) {
+    try {
+      const User = require("../models/user_model");
+      const creator = await User.findById(creatorId).select(
+        "username firstName lastName"
+      );
+
+      if (!creator) return null;
+
+      const creatorName = creator.firstName || creator.username;
+      const date = new Date(endDate).toDateString();
+
+      return await Notification.createNotification({
+        recipient: subscriberId,
+        sender: creatorId,
+        senderModel: "User",
+        type: "subscription_reminder",
+        title: willRenew
+          ? "Subscription Renewing Soon"
+          : "Subscription Expiring Soon",
+        message: willRenew
+          ? `Your subscription to ${creatorName} renews on ${date}`
+          : `Your subscription to ${creatorName} expires on ${date}`,
+        data: {
+          subscriptionId,
+        },
+        actionUrl: `/profile/${creator.username}`,
+        priority: willRenew ? "low" : "normal",
+      });
+    } catch (error) {
+      console.error(
+        "Error creating subscription reminder notification:",
+        error
+      );
+      return null;
+    }
+  }
+
+  // Tell a subscriber their price changes at an upcoming renewal
+  static async createPriceChangeNotification(
+    subscriberId,
+    creatorId,
+    subscriptionId,
+    oldPrice,
+    newPrice,
+    currency,
+    effectiveAt,
+    isReminder = false
+  ) {
+    try {
+      const User = require("../models/user_model");
+      const creator = await User.findById(creatorId).select(
+        "username firstName lastName"
+      );
+
+      if (!creator) return null;
+
+      const creatorName = creator.firstName || creator.username;
+      const date = new Date(effectiveAt).toDateString();
+
+      return await Notification.createNotification({
+        recipient: subscriberId,
+        sender: creatorId,
+        senderModel: "User",
+        type: "price_change",
+        title: isReminder
+          ? "Price Change Coming Up"
+          : "Subscription Price Change",
+        message: `Your subscription to ${creatorName} changes from ${formatMoney(
+          oldPrice,
+          currency
+        )} to ${formatMoney(
+          newPrice,
+          currency
+        )} at your renewal on ${date}. You can turn off auto-renewal before then.`,
+        data: {
+          subscriptionId,
+          amount: newPrice,
+          currency,
+          custom: { oldPrice, effectiveAt },
+        },
+        actionUrl: `/profile/${creator.username}`,
+        priority: "high",
+      });
+    } catch (error) {
+      console.error("Error creating price change notification:", error);
+      return null;
+    }
+  }
+
+  // Tell a fan they were gifted a subscription
+  static async createGiftReceivedNotification(
+    recipientId,
+    purchaserId,
+    creatorId,
+    subscriptionId,
+    durationMonths,
+    endDate,
+    extended = false
+  ) {
+    try {
+      const User = require("../models/user_model");
+      const [purchaser, creator] = await Promise.all([
+        User.findById(purchaserId).select("username firstName"),
+        User.findById(creatorId).select("username firstName"),
+      ]);
+
+      if (!purchaser || !creator) return null;
+
+      const period = `${durationMonths} month${durationMonths > 1 ? "s" : ""}`;
+      const until = new Date(endDate).toDateString();
+
+      return await Notification.createNotification({
+        recipient: recipientId,
+        sender: purchaserId,
+        senderModel: "User",
+        type: "gift",
+        title: "You Received a Gift!",
+        message: `${purchaser.firstName || purchaser.username} gifted you ${period} of ${
+          creator.firstName || creator.username
+        }'s content. ${
+          extended
+            ? `Your subscription now runs until ${until}.`
+            : `Enjoy until ${until}.`
+        }`,
+        data: {
+          subscriptionId,
+        },
+        actionUrl: `/profile/${creator.username}`,
+        priority: "high",
+      });
+    } catch (error) {
+      console.error("Error creating gift received notification:", error);
+      return null;
+    }
+  }
+
+  // Tell the buyer of a gift it reached its recipient
+  static async createGiftDeliveredNotification(
+    purchaserId,
+    recipientId,
+    creatorId,
+    giftId
+  ) {
+    try {
+      const User = require("../models/user_model");
+      const [recipient, creator] = await Promise.all([
+        User.findById(recipientId).select("username firstName"),
+        User.findById(creatorId).select("username firstName"),
+      ]);
+
+      if (!recipient || !creator) return null;
+
+      return await Notification.createNotification({
+        recipient: purchaserId,
+        sender: recipientId,
+        senderModel: "User",
+        type: "gift",
+        title: "Gift Delivered",
+        message: `${
+          recipient.firstName || recipient.username
+        } now has your gift subscription to ${
+          creator.firstName || creator.username
+        }`,
+        data: {
+          custom: { giftId },
+        },
+        actionUrl: "/gifts/sent",
+      });
+    } catch (error) {
+      console.error("Error creating gift delivered notification:", error);
+      return null;
+    }
+  }
+
+  // Ask a creator to join a bundle on the proposed terms
+  static async createBundleInviteNotification(
+    creatorId,
+    ownerId,
+    bundleId,
+    bundleName,
+    sharePercent
+  ) {
+    try {
+      const User = require("../models/user_model");
+      const owner = await User.findById(ownerId).select("username firstName");
+
+      if (!owner) return null;
+
+      return await Notification.createNotification({
+        recipient: creatorId,
+        sender: ownerId,
+        senderModel: "User",
+        type: "bundle",
+        title: "Bundle Invitation",
+        message: `${
+          owner.firstName || owner.username
+        } invited you to the bundle "${bundleName}" with a ${sharePercent}% revenue share`,
+        data: {
+          custom: { bundleId },
+        },
+        actionUrl: `/bundles/${bundleId}`,
+        priority: "high",
+      });
+    } catch (error) {
+      console.error("Error creating bundle invite notification:", error);
+      return null;
+    }
+  }
+
+  // Tell a bundle owner a creator accepted or declined its terms
+  static async createBundleResponseNotification(
+    ownerId,
+    creatorId,
+    bundleId,
+    bundleName,
+    accepted
+  ) {
+    try {
+      const User = require("../models/user_model");
+      const creator =
+        await User.findById(creatorId).select("username firstName");
+
+      if (!creator) return null;
+
+      return await Notification.createNotification({
+        recipient: ownerId,
+        sender: creatorId,
+        senderModel: "User",
+        type: "bundle",
+        title: accepted ? "Bundle Accepted" : "Bundle Declined",
+        message: `${creator.firstName || creator.username} ${
+          accepted ? "accepted" : "declined"
+        } the bundle "${bundleName}"`,
+        data: {
+          custom: { bundleId },
+        },
+        actionUrl: `/bundles/${bundleId}`,
+      });
+    } catch (error) {
+      console.error("Error creating bundle response notification:", error);
+      return null;
+    }
+  }
+
   // Create a post like notification
   static async createPostLikeNotification(likerId, postAuthorId, postId) {
     try {
@@ -222,7 +475,7 @@ class NotificationService {
         User.findById(creatorId).select("username firstName lastName"),
         Content.findById(contentId).select("title"),
         Subscription.find({
-          creator: creatorId,
+          $or: [{ creator: creatorId }, { bundleCreators: creatorId }],
           status: "active",
           endDate: { $gt: new Date() },
         }).select("subscriber"),
@@ -261,7 +514,8 @@ class NotificationService {
   static async createPaymentReceivedNotification(
     creatorId,
     amount,
-    subscriberId
+    subscriberId,
+    currency
   ) {
     try {
       const User = require("../models/user_model");
@@ -277,11 +531,12 @@ class NotificationService {
         senderModel: "User",
         type: "payment_received",
         title: "Payment Received",
-        message: `You received $${amount.toFixed(2)} from ${
+        message: `You received ${formatMoney(amount, currency)} from ${
           subscriber.firstName || subscriber.username
         }`,
         data: {
           amount,
+          currency,
         },
         actionUrl: `/earnings`,
         priority: "high",
@@ -292,6 +547,70 @@ class NotificationService {
     }
   }
 
+  // Create payout completed notification
+  static async createPayoutCompletedNotification(
+    creatorId,
+    adminId,
+    amount,
+    currency,
+    payoutId
+  ) {
+    try {
+      return await Notification.createNotification({
+        recipient: creatorId,
+        sender: adminId,
+        senderModel: "Admin",
+        type: "payout_completed",
+        title: "Payout Sent",
+        message: `Your payout of ${formatMoney(amount, currency)} has been sent`,
+        data: {
+          amount,
+          currency,
+          custom: { payoutId },
+        },
+        actionUrl: `/earnings/payouts`,
+        priority: "high",
+      });
+    } catch (error) {
+      console.error("Error creating payout completed notification:", error);
+      return null;
+    }
+  }
+
+  // Create payout failed notification
+  static async createPayoutFailedNotification(
+    creatorId,
+    adminId,
+    amount,
+    currency,
+    payoutId,
+    reason
+  ) {
+    try {
+      return await Notification.createNotification({
+        recipient: creatorId,
+        sender: adminId,
+        senderModel: "Admin",
+        type: "system",
+        title: "Payout Failed",
+        message: `Your payout of ${formatMoney(
+          amount,
+          currency
+        )} could not be processed: ${reason}. The amount is back in your balance.`,
+        data: {
+          amount,
+          currency,
+          custom: { payoutId },
+        },
+        actionUrl: `/earnings/payouts`,
+        priority: "high",
+      });
+    } catch (error) {
+      console.error("Error creating payout failed notification:", error);
+      return null;
+    }
+  }
+
   // Create a system notification
   static async createSystemNotification(
     recipientId,
@@ -0,0 +1,44 @@
+// Manual bank transfer to the platform's account. The fan transfers the
+// amount quoting the payment reference and an admin confirms it once it
+// shows up on the bank statement.
+class BankTransferProvider {
+  constructor({
+    bankName = process.env.BANK_TRANSFER_BANK_NAME,
+    accountHolder = process.env.BANK_TRANSFER_ACCOUNT_HOLDER,
+    rib = process.env.BANK_TRANSFER_RIB,
+    iban = process.env.BANK_TRANSFER_IBAN,
+    bic = process.env.BANK_TRANSFER_BIC,
+    expiryDays = parseInt(process.env.BANK_TRANSFER_EXPIRY_DAYS) || 7,
+  } = {}) {
+    this.account = { bankName, accountHolder, rib, iban, bic };
+    this.expiryDays = expiryDays;
+  }
+
+  // The platform account is a Tunisian dinar account
+  supportsCurrency(currency) {
+    return currency === "tnd";
+  }
+
+  async createPayment({ amount, currency, reference }) {
+    const expiresAt = new Date(
+      Date.now() + this.expiryDays * 24 * 60 * 60 * 1000
+    );
+
+    return {
+      providerPaymentId: reference,
+      instructions: {
+        ...this.account,
+        amount,
+        currency,
+        reference,
+        payBefore: expiresAt,
+        note: "Quote the reference in the transfer description. Access starts once the transfer is confirmed.",
+      },
+      expiresAt,
+    };
+  }
+
+  // No getPayment: only an admin can tell whether the money arrived
+}
+
+module.exports = BankTransferProvider;
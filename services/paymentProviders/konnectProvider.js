@@ -0,0 +1,107 @@
+const { getCurrency } = require("../../utils/currency");
+
+const DEFAULT_API_URL = "https://api.konnect.network/api/v2";
+
+// Minutes the Konnect checkout page stays valid
+const PAYMENT_LIFESPAN_MINUTES = 30;
+
+// Konnect (konnect.network) hosted checkout: the fan pays with e-DINAR, a
+// Konnect wallet or a local card, then Konnect calls our webhook. Point
+// KONNECT_API_URL at a mock server to run without the real gateway.
+class KonnectProvider {
+  constructor({
+    apiUrl = process.env.KONNECT_API_URL || DEFAULT_API_URL,
+    apiKey = process.env.KONNECT_API_KEY,
+    walletId = process.env.KONNECT_WALLET_ID,
+    webhookUrl = process.env.API_PUBLIC_URL
+      ? `${process.env.API_PUBLIC_URL}/api/webhooks/konnect`
+      : null,
+    returnUrl = process.env.CLIENT_URL || "http://localhost:3000",
+  } = {}) {
+    this.apiUrl = apiUrl.replace(/\/$/, "");
+    this.apiKey = apiKey;
+    this.walletId = walletId;
+    this.webhookUrl = webhookUrl;
+    this.returnUrl = returnUrl;
+  }
+
+  // Konnect settles in TND, EUR and USD, in the same minor units we store
+  supportsCurrency(currency) {
+    return ["tnd", "eur", "usd"].includes(currency);
+  }
+
+  async request(method, path, body) {
+    const response = await fetch(`${this.apiUrl}${path}`, {
+      method,
+      headers: {
+        "x-api-key": this.apiKey,
+        "Content-Type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const message =
+        data.errors?.[0]?.message || data.message || response.statusText;
+      throw new Error(
+        `Konnect request failed (${response.status}): ${message}`
+      );
+    }
+    return data;
+  }
+
+  // Open a checkout the fan is redirected to
+  async createPayment({ amount, currency, reference, description, payer }) {
+    const data = await this.request("POST", "/payments/init-payment", {
+      receiverWalletId: this.walletId,
+      token: getCurrency(currency).code,
+      amount,
+      type: "immediate",
+      description,
+      acceptedPaymentMethods: ["wallet", "bank_card", "e-DINAR"],
+      lifespan: PAYMENT_LIFESPAN_MINUTES,
+      checkoutForm: false,
+      addPaymentFeesToAmount: false,
+      firstName: payer.firstName,
+      lastName: payer.lastName,
+      email: payer.email,
+      orderId: reference,
+      webhook: this.webhookUrl || undefined,
+      successUrl: `${this.returnUrl}/payments/${reference}?status=success`,
+      failUrl: `${this.returnUrl}/payments/${reference}?status=failed`,
+    });
+
+    return {
+      providerPaymentId: data.paymentRef,
+      redirectUrl: data.payUrl,
+      expiresAt: new Date(Date.now() + PAYMENT_LIFESPAN_MINUTES * 60 * 1000),
+    };
+  }
+
+  // Current state of a checkout, as { status, amountPaid }
+  async getPayment(providerPaymentId) {
+    const { payment } = await this.request(
+      "GET",
+      `/payments/${encodeURIComponent(providerPaymentId)}`
+    );
+
+    if (payment.status === "completed") {
+      return { status: "succeeded", amountPaid: payment.amount };
+    }
+    if (["failed", "expired", "canceled"].includes(payment.status)) {
+      return { status: "failed", failureReason: `Payment ${payment.status}` };
+    }
+    return { status: "pending" };
+  }
+
+  // Konnect notifies with GET ?payment_ref=... and no signature, so the
+  // payment is always looked up again through the API
+  getWebhookPaymentId(req) {
+    // ?payment_ref[$ne]=x parses to an object; only a plain string is a ref
+    const paymentRef = req.query.payment_ref;
+    return typeof paymentRef === "string" && paymentRef ? paymentRef : null;
+  }
+}
+
+module.exports = KonnectProvider;
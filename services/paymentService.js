@@ -0,0 +1,303 @@
+const Payment = require("../models/payment_model");
+const Counter = require("../models/counter_model");
+const StripeService = require("./stripeService");
+const KonnectProvider = require("./paymentProviders/konnectProvider");
+const BankTransferProvider = require("./paymentProviders/bankTransferProvider");
+const { PAYMENT_METHOD_LABELS } = require("../utils/paymentMethods");
+const { getCurrency } = require("../utils/currency");
+
+// Payment providers implement:
+// - supportsCurrency(currency)
+// - async createPayment({ amount, currency, payer, reference, description,
+//   metadata }) returning { providerPaymentId, clientSecret?, redirectUrl?,
+//   instructions?, expiresAt? }
+// - async getPayment(providerPaymentId) returning { status: "pending" |
+//   "succeeded" | "failed", amountPaid?, failureReason? }. Providers settled
+//   by an admin (bank transfers) leave it out.
+// - getWebhookPaymentId(req) for gateways that notify us
+const providers = {
+  stripe: () => StripeService,
+  konnect: () => new KonnectProvider(),
+  bank_transfer: () => new BankTransferProvider(),
+};
+
+const instances = {};
+
+// How a paid or failed payment settles what it was for. Required lazily:
+// these services start their payments through this one.
+const PURPOSES = {
+  Subscription: {
+    complete: (id, payment) =>
+      require("./subscriptionService").activateSubscription(id, payment),
+    fail: (id, reason) =>
+      require("./subscriptionService").cancelPendingSubscription(id, reason),
+  },
+  Purchase: {
+    complete: (id, payment) =>
+      require("./purchaseService").completePurchase(id, payment),
+    fail: (id, reason) => require("./purchaseService").failPurchase(id, reason),
+  },
+  Tip: {
+    complete: (id, payment) => require("./tipService").completeTip(id, payment),
+    fail: (id, reason) => require("./tipService").failTip(id, reason),
+  },
+  Gift: {
+    complete: (id, payment) =>
+      require("./giftService").completeGift(id, payment),
+    fail: (id, reason) => require("./giftService").failGift(id, reason),
+  },
+};
+
+class PaymentService {
+  // Make another payment method available under a name
+  static registerProvider(name, factory) {
+    providers[name] = factory;
+    delete instances[name];
+  }
+
+  static getProvider(name) {
+    if (!instances[name]) {
+      if (!providers[name]) {
+        throw new Error(`Unknown payment provider: ${name}`);
+      }
+      instances[name] = providers[name]();
+    }
+    return instances[name];
+  }
+
+  // Replace the provider behind a method (e.g. one pointed at a mock server)
+  static setProvider(name, provider) {
+    instances[name] = provider;
+  }
+
+  // Why a method cannot take a payment in a currency, or null when it can
+  static checkMethod(method, currency) {
+    if (!providers[method]) {
+      return "Invalid payment method";
+    }
+    if (!PaymentService.getProvider(method).supportsCurrency(currency)) {
+      return `${PAYMENT_METHOD_LABELS[method] || method} is not available for ${
+        getCurrency(currency).code
+      } payments`;
+    }
+    return null;
+  }
+
+  static async nextReference() {
+    const seq = await Counter.next("payment");
+    return `TFP-${String(seq).padStart(8, "0")}`;
+  }
+
+  // Start paying for a pending subscription, purchase, tip or gift. Card payments
+  // are tracked by their Stripe payment intent; local methods get a Payment
+  // record with where (redirectUrl) or how (instructions) to pay.
+  static async startPayment(
+    method,
+    { amount, currency, payer, purposeModel, purpose, description, metadata }
+  ) {
+    const provider = PaymentService.getProvider(method);
+    if (method === "stripe") {
+      return provider.createPayment({
+        amount,
+        currency,
+        payer,
+        description,
+        metadata,
+      });
+    }
+
+    const payment = await Payment.create({
+      provider: method,
+      reference: await PaymentService.nextReference(),
+      payer: payer._id,
+      purposeModel,
+      purpose,
+      amount,
+      currency,
+    });
+
+    try {
+      const result = await provider.createPayment({
+        amount,
+        currency,
+        payer,
+        reference: payment.reference,
+        description,
+        metadata,
+      });
+
+      payment.providerPaymentId = result.providerPaymentId;
+      payment.redirectUrl = result.redirectUrl;
+      payment.instructions = result.instructions;
+      payment.expiresAt = result.expiresAt;
+      await payment.save();
+
+      return { ...result, payment };
+    } catch (error) {
+      await Payment.findByIdAndDelete(payment._id);
+      throw error;
+    }
+  }
+
+  // What the payer needs to finish a local payment
+  static describePayment(payment) {
+    return {
+      id: payment._id,
+      method: payment.provider,
+      reference: payment.reference,
+      amount: payment.amount,
+      currency: payment.currency,
+      status: payment.status,
+      redirectUrl: payment.redirectUrl,
+      instructions: payment.instructions,
+      expiresAt: payment.expiresAt,
+    };
+  }
+
+  // Mark a pending payment as paid and complete what it paid for. Safe to
+  // call from the webhook, the payer's confirmation and an admin review.
+  static async completePayment(
+    paymentId,
+    { amountPaid, paidAt = new Date(), reviewedBy, reviewNote } = {}
+  ) {
+    const update = { status: "succeeded", paidAt };
+    if (typeof amountPaid === "number") {
+      update.amountPaid = amountPaid;
+    }
+    if (reviewedBy) {
+      Object.assign(update, { reviewedBy, reviewedAt: paidAt, reviewNote });
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, status: "pending" },
+      update,
+      { new: true }
+    );
+    if (!payment) return Payment.findById(paymentId);
+
+    await PURPOSES[payment.purposeModel].complete(payment.purpose, {
+      amountPaid: payment.amountPaid ?? payment.amount,
+      paidAt,
+    });
+
+    return payment;
+  }
+
+  // Mark a pending payment as failed (or expired) and drop what it was for
+  static async failPayment(
+    paymentId,
+    {
+      reason = "Payment failed",
+      status = "failed",
+      reviewedBy,
+      reviewNote,
+    } = {}
+  ) {
+    const update = { status, failureReason: reason };
+    if (reviewedBy) {
+      Object.assign(update, { reviewedBy, reviewedAt: new Date(), reviewNote });
+    }
+
+    const payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, status: "pending" },
+      update,
+      { new: true }
+    );
+    if (!payment) return Payment.findById(paymentId);
+
+    await PURPOSES[payment.purposeModel].fail(payment.purpose, reason);
+
+    return payment;
+  }
+
+  // Fail the pending payments of checkouts that were given up
+  static async cancelForPurposes(purposeModel, purposeIds, reason) {
+    if (purposeIds.length === 0) return;
+
+    await Payment.updateMany(
+      { purposeModel, purpose: { $in: purposeIds }, status: "pending" },
+      { status: "failed", failureReason: reason }
+    );
+  }
+
+  // Ask the provider where a pending payment stands and settle it
+  static async refreshPayment(payment) {
+    if (payment.status !== "pending" || !payment.providerPaymentId) {
+      return payment;
+    }
+
+    const provider = PaymentService.getProvider(payment.provider);
+    if (typeof provider.getPayment !== "function") return payment;
+
+    const result = await provider.getPayment(payment.providerPaymentId);
+    if (result.status === "succeeded") {
+      return PaymentService.completePayment(payment._id, {
+        amountPaid: result.amountPaid,
+      });
+    }
+    if (result.status === "failed") {
+      return PaymentService.failPayment(payment._id, {
+        reason: result.failureReason,
+      });
+    }
+    return payment;
+  }
+
+  // A payer can still finish a gateway checkout after we failed or expired
+  // its payment (e.g. "Checkout abandoned"). Nothing is granted for it any
+  // more, so record the money and flag it for a refund.
+  static async flagLatePayment(payment) {
+    if (payment.refundRequired || !payment.providerPaymentId) return payment;
+
+    const provider = PaymentService.getProvider(payment.provider);
+    if (typeof provider.getPayment !== "function") return payment;
+
+    const result = await provider.getPayment(payment.providerPaymentId);
+    if (result.status !== "succeeded") return payment;
+
+    const flagged = await Payment.findOneAndUpdate(
+      {
+        _id: payment._id,
+        status: payment.status,
+        refundRequired: { $ne: true },
+      },
+      {
+        refundRequired: true,
+        amountPaid: result.amountPaid ?? payment.amount,
+        paidAt: new Date(),
+      },
+      { new: true }
+    );
+    if (!flagged) return Payment.findById(payment._id);
+
+    console.error(
+      `Payment ${payment.reference} was completed after it ${payment.status}` +
+        ` (${payment.failureReason}); flagged for refund`
+    );
+    return flagged;
+  }
+
+  // Gateway webhook. Notifications only say which payment changed; the
+  // outcome always comes from the provider's API.
+  static async handleWebhook(method, req) {
+    const provider = PaymentService.getProvider(method);
+    const providerPaymentId = provider.getWebhookPaymentId(req);
+    // Never pass request data that isn't a string into a query
+    if (!providerPaymentId || typeof providerPaymentId !== "string") {
+      return null;
+    }
+
+    const payment = await Payment.findOne({
+      provider: method,
+      providerPaymentId,
+    });
+    if (!payment) return null;
+
+    if (payment.status === "failed" || payment.status === "expired") {
+      return PaymentService.flagLatePayment(payment);
+    }
+    return PaymentService.refreshPayment(payment);
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,135 @@
+const Payout = require("../models/payout_model");
+const LedgerService = require("./ledgerService");
+const NotificationService = require("./notificationService");
+const { maskAccountDetails } = require("../utils/payoutMethods");
+const { toMinorUnits } = require("../utils/currency");
+
+class PayoutService {
+  // Smallest amount a creator can withdraw, in minor units of the payout
+  // currency. PAYOUT_MINIMUM_AMOUNT is given in whole units (e.g. 50 TND).
+  static getMinimumAmount(currency) {
+    const minimum = parseFloat(process.env.PAYOUT_MINIMUM_AMOUNT || "50");
+    return toMinorUnits(Math.max(0, minimum), currency);
+  }
+
+  // Find the creator's open (requested or approved) payout, if any
+  static async findOpenPayout(creatorId) {
+    return Payout.findOne({ creator: creatorId, isOpen: true });
+  }
+
+  // Create a payout request and reserve the amount in the ledger.
+  // Returns null when the creator already has an open request.
+  static async requestPayout(creator, amount, currency, payoutMethod, note) {
+    let payout;
+    try {
+      payout = await Payout.create({
+        creator: creator._id,
+        amount,
+        currency,
+        payoutMethod: {
+          methodId: payoutMethod._id,
+          type: payoutMethod.type,
+          accountDetails: maskAccountDetails(
+            payoutMethod.type,
+            payoutMethod.toObject().accountDetails
+          ),
+        },
+        note,
+        history: [
+          {
+            status: "requested",
+            changedBy: creator._id,
+            changedByModel: "User",
+          },
+        ],
+      });
+    } catch (error) {
+      // The partial unique index allows a single open request per creator
+      if (error.code === 11000) return null;
+      throw error;
+    }
+
+    try {
+      await LedgerService.reservePayout({ payout });
+    } catch (error) {
+      await Payout.deleteOne({ _id: payout._id });
+      throw error;
+    }
+
+    return payout;
+  }
+
+  // Cancel a request that has not been approved yet
+  static async cancelPayout(payout, creatorId) {
+    payout.transitionTo("cancelled", { id: creatorId, model: "User" });
+    payout.cancelledAt = new Date();
+    await payout.save();
+
+    await LedgerService.releasePayout({
+      payout,
+      description: "Payout request cancelled",
+    });
+
+    return payout;
+  }
+
+  // Approve a request for processing
+  static async approvePayout(payout, adminId, note) {
+    payout.transitionTo("approved", { id: adminId, model: "Admin", note });
+    payout.approvedAt = new Date();
+    payout.approvedBy = adminId;
+    await payout.save();
+
+    return payout;
+  }
+
+  // Record that the money has been sent to the creator
+  static async markPaid(payout, adminId, externalReference, note) {
+    payout.transitionTo("paid", { id: adminId, model: "Admin", note });
+    payout.paidAt = new Date();
+    payout.externalReference = externalReference;
+    await payout.save();
+
+    await LedgerService.settlePayout({ payout });
+
+    await NotificationService.createPayoutCompletedNotification(
+      payout.creator,
+      adminId,
+      payout.amount,
+      payout.currency,
+      payout._id
+    );
+
+    return payout;
+  }
+
+  // Reject or fail a payout and return the amount to the creator's balance
+  static async markFailed(payout, adminId, reason) {
+    payout.transitionTo("failed", {
+      id: adminId,
+      model: "Admin",
+      note: reason,
+    });
+    payout.failedAt = new Date();
+    payout.failureReason = reason;
+    await payout.save();
+
+    await LedgerService.releasePayout({
+      payout,
+      description: `Payout failed: ${reason}`,
+    });
+
+    await NotificationService.createPayoutFailedNotification(
+      payout.creator,
+      adminId,
+      payout.amount,
+      payout.currency,
+      payout._id,
+      reason
+    );
+
+    return payout;
+  }
+}
+
+module.exports = PayoutService;
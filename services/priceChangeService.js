@@ -0,0 +1,159 @@
+const PriceChange = require("../models/price_change_model");
+const Subscription = require("../models/subscription_model");
+const NotificationService = require("./notificationService");
+
+class PriceChangeService {
+  // Minimum notice subscribers get before a migrated price applies
+  static getNoticeDays() {
+    return Math.max(0, parseInt(process.env.PRICE_CHANGE_NOTICE_DAYS || "30"));
+  }
+
+  // First renewal of the subscription at least `noticeDays` from now
+  static getEffectiveDate(subscription, noticeDays, now = new Date()) {
+    const cutoff = new Date(now.getTime() + noticeDays * 24 * 60 * 60 * 1000);
+    const effectiveAt = new Date(subscription.endDate);
+
+    while (effectiveAt < cutoff) {
+      effectiveAt.setMonth(
+        effectiveAt.getMonth() + (subscription.durationMonths || 1)
+      );
+    }
+    return effectiveAt;
+  }
+
+  // Subscriptions paying the price that changed: a plan's, or the creator's
+  // legacy single price. Bundles have their own price. Subscriptions in
+  // another currency keep their price.
+  static affectedSubscriptionsQuery(creatorId, planId = null, currency) {
+    return {
+      creator: creatorId,
+      plan: planId || null,
+      bundle: null,
+      currency,
+      status: { $in: ["active", "past_due"] },
+    };
+  }
+
+  // Record a price change and apply the policy to existing subscribers
+  static async changePrice({
+    creatorId,
+    planId = null,
+    oldPrice,
+    newPrice,
+    currency,
+    policy = "grandfather",
+    changedBy,
+    changedByModel = "User",
+    now = new Date(),
+  }) {
+    const noticeDays =
+      policy === "migrate_at_renewal" ? PriceChangeService.getNoticeDays() : 0;
+    const query = PriceChangeService.affectedSubscriptionsQuery(
+      creatorId,
+      planId,
+      currency
+    );
+
+    const priceChange = await PriceChange.create({
+      creator: creatorId,
+      plan: planId || undefined,
+      oldPrice,
+      newPrice,
+      currency,
+      policy,
+      noticeDays,
+      affectedSubscriptions: await Subscription.countDocuments(query),
+      changedBy,
+      changedByModel,
+    });
+
+    // Grandfathered subscribers keep their price, and a later grandfathered
+    // change leaves earlier scheduled migrations in place
+    if (policy !== "migrate_at_renewal") {
+      return priceChange;
+    }
+
+    const cursor = Subscription.find(query).cursor();
+    for (
+      let subscription = await cursor.next();
+      subscription;
+      subscription = await cursor.next()
+    ) {
+      try {
+        await PriceChangeService.scheduleMigration(
+          subscription,
+          priceChange,
+          now
+        );
+      } catch (error) {
+        console.error(
+          `Error scheduling price change for subscription ${subscription._id}:`,
+          error.message
+        );
+      }
+    }
+
+    return priceChange;
+  }
+
+  // Move one subscription to the new price at its first renewal after the
+  // notice period, and tell the subscriber
+  static async scheduleMigration(subscription, priceChange, now = new Date()) {
+    // Already paying the new price, drop any older scheduled change
+    if (subscription.subscriptionPrice === priceChange.newPrice) {
+      PriceChangeService.clearPendingPrice(subscription);
+      await subscription.save();
+      return null;
+    }
+
+    const effectiveAt = PriceChangeService.getEffectiveDate(
+      subscription,
+      priceChange.noticeDays,
+      now
+    );
+
+    subscription.pendingPrice = priceChange.newPrice;
+    subscription.pendingPriceEffectiveAt = effectiveAt;
+    subscription.priceChange = priceChange._id;
+    subscription.pendingPriceSyncedAt = undefined;
+    subscription.pendingPriceReminderSentAt = undefined;
+    await subscription.save();
+
+    await NotificationService.createPriceChangeNotification(
+      subscription.subscriber,
+      subscription.creator,
+      subscription._id,
+      subscription.subscriptionPrice,
+      priceChange.newPrice,
+      subscription.currency,
+      effectiveAt
+    );
+
+    return effectiveAt;
+  }
+
+  static clearPendingPrice(subscription) {
+    subscription.pendingPrice = undefined;
+    subscription.pendingPriceEffectiveAt = undefined;
+    subscription.priceChange = undefined;
+    subscription.pendingPriceSyncedAt = undefined;
+    subscription.pendingPriceReminderSentAt = undefined;
+  }
+
+  // Price history of a creator, newest first
+  static async getHistory(creatorId, { page = 1, limit = 20 } = {}) {
+    const query = { creator: creatorId };
+    const [priceChanges, total] = await Promise.all([
+      PriceChange.find(query)
+        .populate("plan", "name durationMonths tierLevel")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PriceChange.countDocuments(query),
+    ]);
+
+    return { priceChanges, total };
+  }
+}
+
+module.exports = PriceChangeService;
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const PromoCode = require("../models/promo_code_model");
+const PromoRedemption = require("../models/promo_redemption_model");
+const StripeService = require("./stripeService");
+
+class PromoService {
+  // Look up a code a subscriber entered. Returns { promo } when it can be
+  // applied to the plan (and its currency, when given), or { error }
+  // explaining why not.
+  static async findRedeemableCode(
+    creatorId,
+    code,
+    planId = null,
+    currency = null
+  ) {
+    const promo = await PromoCode.findOne({
+      creator: creatorId,
+      code: String(code).trim().toUpperCase(),
+    });
+
+    if (!promo || !promo.isActive) {
+      return { error: "Invalid promo code" };
+    }
+    if (promo.expiresAt && promo.expiresAt <= new Date()) {
+      return { error: "This promo code has expired" };
+    }
+    if (!promo.isRedeemable()) {
+      return { error: "This promo code has reached its redemption limit" };
+    }
+    if (
+      promo.plans.length > 0 &&
+      !promo.plans.some((id) => planId && id.toString() === planId.toString())
+    ) {
+      return { error: "This promo code is not valid for the selected plan" };
+    }
+    // Fixed discounts are an amount in the code's currency
+    if (
+      promo.discountType === "fixed" &&
+      currency &&
+      promo.currency !== currency
+    ) {
+      return { error: "This promo code is not valid for the selected plan" };
+    }
+
+    return { promo };
+  }
+
+  // Count a redemption against the code for a pending subscription.
+  // Returns null when the limit was reached or the subscriber already used it.
+  static async reserveRedemption(promo, subscription, details = {}) {
+    const reserved = await PromoCode.findOneAndUpdate(
+      {
+        _id: promo._id,
+        isActive: true,
+        $or: [
+          { maxRedemptions: null },
+          { $expr: { $lt: ["$redemptionCount", "$maxRedemptions"] } },
+        ],
+      },
+      { $inc: { redemptionCount: 1 } },
+      { new: true }
+    );
+    if (!reserved) return null;
+
+    try {
+      return await PromoRedemption.create({
+        promoCode: promo._id,
+        creator: promo.creator,
+        subscriber: subscription.subscriber,
+        subscription: subscription._id,
+        code: promo.code,
+        campaign: promo.campaign,
+        discountType: promo.discountType,
+        discountAmount: details.discountAmount || 0,
+        currency: subscription.currency,
+        trialDays: details.trialDays || 0,
+      });
+    } catch (error) {
+      await PromoCode.updateOne(
+        { _id: promo._id },
+        { $inc: { redemptionCount: -1 } }
+      );
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // Give back the redemption of a checkout that was never completed
+  static async releaseRedemption(subscriptionId) {
+    const redemption = await PromoRedemption.findOneAndDelete({
+      subscription: subscriptionId,
+      status: "pending",
+    });
+    if (!redemption) return null;
+
+    await PromoCode.updateOne(
+      { _id: redemption.promoCode, redemptionCount: { $gt: 0 } },
+      { $inc: { redemptionCount: -1 } }
+    );
+    return redemption;
+  }
+
+  // Mark the redemption as used once the subscription is activated
+  static async confirmRedemption(subscriptionId, redeemedAt = new Date()) {
+    return PromoRedemption.findOneAndUpdate(
+      { subscription: subscriptionId, status: "pending" },
+      { status: "redeemed", redeemedAt },
+      { new: true }
+    );
+  }
+
+  // Stripe coupon matching a percentage/fixed code, created on first use
+  static async getStripeCouponId(promo) {
+    if (promo.discountType === "free_trial") return null;
+    if (promo.stripeCouponId) return promo.stripeCouponId;
+
+    const coupon = await StripeService.createCoupon({
+      name: promo.code,
+      percentOff:
+        promo.discountType === "percentage" ? promo.discountValue : undefined,
+      amountOff:
+        promo.discountType === "fixed" ? promo.discountValue : undefined,
+      currency: promo.currency,
+      duration: promo.firstPeriodOnly ? "once" : "forever",
+      metadata: {
+        promoCodeId: promo._id.toString(),
+        creatorId: promo.creator.toString(),
+      },
+    });
+
+    promo.stripeCouponId = coupon.id;
+    await promo.save();
+    return coupon.id;
+  }
+
+  // Redemptions per campaign with how many subscribers are still active
+  // and what they have paid so far
+  static async getCampaignReport(creatorId) {
+    return PromoRedemption.aggregate([
+      {
+        $match: {
+          creator: new mongoose.Types.ObjectId(creatorId),
+          status: "redeemed",
+        },
+      },
+      {
+        $lookup: {
+          from: "subscriptions",
+          localField: "subscription",
+          foreignField: "_id",
+          as: "subscription",
+        },
+      },
+      { $unwind: "$subscription" },
+      {
+        $group: {
+          _id: { $ifNull: ["$campaign", "$code"] },
+          codes: { $addToSet: "$code" },
+          redemptions: { $sum: 1 },
+          activeSubscribers: {
+            $sum: {
+              $cond: [{ $eq: ["$subscription.status", "active"] }, 1, 0],
+            },
+          },
+          totalDiscount: { $sum: "$discountAmount" },
+          revenue: { $sum: "$subscription.totalPaid" },
+          firstRedemption: { $min: "$redeemedAt" },
+          lastRedemption: { $max: "$redeemedAt" },
+        },
+      },
+      { $sort: { redemptions: -1 } },
+      {
+        $project: {
+          _id: 0,
+          campaign: "$_id",
+          codes: 1,
+          redemptions: 1,
+          activeSubscribers: 1,
+          totalDiscount: 1,
+          revenue: 1,
+          firstRedemption: 1,
+          lastRedemption: 1,
+        },
+      },
+    ]);
+  }
+}
+
+module.exports = PromoService;
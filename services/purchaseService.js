@@ -0,0 +1,258 @@
+const Purchase = require("../models/purchase_model");
+const Post = require("../models/post_model");
+const Content = require("../models/content_model");
+const Subscription = require("../models/subscription_model");
+const PaymentService = require("./paymentService");
+const LedgerService = require("./ledgerService");
+const NotificationService = require("./notificationService");
+
+const ITEM_MODELS = { Post, Content };
+
+class PurchaseService {
+  static getItemModel(itemType) {
+    return ITEM_MODELS[itemType];
+  }
+
+  // Highest pay-per-view price, in whole units of the item's currency
+  static getMaxPrice() {
+    return 1000;
+  }
+
+  // Whether a viewer has to buy the item to see it
+  static requiresPurchase(item, isSubscriber) {
+    return (
+      item.price > 0 && (item.priceAppliesTo === "everyone" || !isSubscriber)
+    );
+  }
+
+  static async isSubscribed(userId, creatorId) {
+    return Boolean(
+      await Subscription.findActiveSubscription(userId, creatorId)
+    );
+  }
+
+  static async hasPurchased(userId, itemType, itemId) {
+    return Boolean(
+      await Purchase.exists({
+        buyer: userId,
+        itemType,
+        item: itemId,
+        status: "completed",
+      })
+    );
+  }
+
+  // Ids (as strings) of the items of a type the user has bought,
+  // optionally limited to the given ids
+  static async getPurchasedItemIds(userId, itemType, itemIds = null) {
+    const query = { buyer: userId, itemType, status: "completed" };
+    if (itemIds) {
+      query.item = { $in: itemIds };
+    }
+
+    const purchases = await Purchase.find(query).select("item");
+    return new Set(purchases.map((purchase) => purchase.item.toString()));
+  }
+
+  // Decide whether a user (null when signed out) can see a Post or Content
+  // item. The creator may be populated.
+  static async canAccess(userId, itemType, item) {
+    const creator = itemType === "Post" ? item.author : item.creator;
+    const creatorId = creator._id || creator;
+    if (userId && creatorId.toString() === userId.toString()) return true;
+
+    const subscription = userId
+      ? await Subscription.findActiveSubscription(userId, creatorId)
+      : null;
+    const isSubscriber = Boolean(subscription);
+    if (PurchaseService.requiresPurchase(item, isSubscriber)) {
+      return (
+        Boolean(userId) &&
+        PurchaseService.hasPurchased(userId, itemType, item._id)
+      );
+    }
+
+    // Not sold to this viewer, so the usual visibility rules apply
+    if (itemType === "Post") {
+      if (item.visibility === "public") return true;
+      if (item.visibility === "private") return false;
+      // Subscriber posts may be limited to higher tiers
+      return (
+        isSubscriber &&
+        (subscription.tierLevel || 1) >= (item.minimumTierLevel || 1)
+      );
+    }
+    return isSubscriber;
+  }
+
+  // Create a pending purchase and start its payment: a payment intent the
+  // client confirms for cards, a Payment record for local methods
+  static async startPurchase(buyer, itemType, item, paymentMethod = "stripe") {
+    const creatorId = itemType === "Post" ? item.author : item.creator;
+
+    // Drop earlier checkouts for the same item that were never paid
+    const abandoned = await Purchase.find({
+      buyer: buyer._id,
+      itemType,
+      item: item._id,
+      status: "pending",
+    }).select("_id");
+    const abandonedIds = abandoned.map((purchase) => purchase._id);
+    await Purchase.updateMany(
+      { _id: { $in: abandonedIds } },
+      { status: "failed", failureReason: "Checkout abandoned" }
+    );
+    await PaymentService.cancelForPurposes(
+      "Purchase",
+      abandonedIds,
+      "Checkout abandoned"
+    );
+
+    const purchase = await Purchase.create({
+      buyer: buyer._id,
+      creator: creatorId,
+      itemType,
+      item: item._id,
+      amount: item.price,
+      currency: item.currency,
+      paymentMethod,
+    });
+
+    try {
+      const checkout = await PaymentService.startPayment(paymentMethod, {
+        amount: purchase.amount,
+        currency: purchase.currency,
+        payer: buyer,
+        purposeModel: "Purchase",
+        purpose: purchase._id,
+        description: `${itemType} purchase`,
+        metadata: {
+          type: "content_purchase",
+          purchaseId: purchase._id.toString(),
+          buyerId: buyer._id.toString(),
+          creatorId: creatorId.toString(),
+        },
+      });
+
+      if (paymentMethod === "stripe") {
+        purchase.paymentIntentId = checkout.providerPaymentId;
+        await purchase.save();
+      }
+
+      return { purchase, ...checkout };
+    } catch (error) {
+      await Purchase.findByIdAndDelete(purchase._id);
+      throw error;
+    }
+  }
+
+  // Complete a pending purchase once its payment succeeded. Safe to call
+  // from both the confirmation endpoint and the webhook.
+  static async completePurchase(purchaseId, payment = {}) {
+    const { amountPaid, paidAt = new Date() } = payment;
+
+    const purchase = await Purchase.findOneAndUpdate(
+      { _id: purchaseId, status: "pending" },
+      { status: "completed", purchasedAt: paidAt },
+      { new: true }
+    );
+    if (!purchase) return Purchase.findById(purchaseId);
+
+    const amount =
+      typeof amountPaid === "number" ? amountPaid : purchase.amount;
+
+    await LedgerService.recordCharge({
+      type: "content_purchase",
+      creatorId: purchase.creator,
+      payerId: purchase.buyer,
+      amount,
+      currency: purchase.currency,
+      externalId: purchase.paymentIntentId || `purchase:${purchase._id}`,
+      references: { purchase: purchase._id },
+      description: `${purchase.itemType} purchase`,
+      date: paidAt,
+    });
+
+    try {
+      await NotificationService.createPaymentReceivedNotification(
+        purchase.creator,
+        amount,
+        purchase.buyer,
+        purchase.currency
+      );
+    } catch (notificationError) {
+      console.error("Error creating purchase notification:", notificationError);
+    }
+
+    return purchase;
+  }
+
+  // Stripe webhook: payment_intent.succeeded
+  static async handlePaymentIntentSucceeded(paymentIntent) {
+    const purchaseId = paymentIntent.metadata?.purchaseId;
+    if (!purchaseId) return null;
+
+    return PurchaseService.completePurchase(purchaseId, {
+      amountPaid: paymentIntent.amount_received,
+    });
+  }
+
+  // Mark a pending purchase as failed
+  static async failPurchase(purchaseId, reason = "Payment failed") {
+    return Purchase.findOneAndUpdate(
+      { _id: purchaseId, status: "pending" },
+      { status: "failed", failureReason: reason },
+      { new: true }
+    );
+  }
+
+  // Stripe webhook: payment_intent.payment_failed
+  static async handlePaymentIntentFailed(paymentIntent) {
+    const purchaseId = paymentIntent.metadata?.purchaseId;
+    if (!purchaseId) return null;
+
+    return PurchaseService.failPurchase(
+      purchaseId,
+      paymentIntent.last_payment_error?.message
+    );
+  }
+
+  // Stripe webhook: charge.refunded for a purchase payment
+  static async handleChargeRefunded(charge) {
+    const paymentIntentId =
+      typeof charge.payment_intent === "string"
+        ? charge.payment_intent
+        : charge.payment_intent?.id;
+    if (!paymentIntentId) return null;
+
+    const purchase = await Purchase.findOne({ paymentIntentId });
+    if (!purchase) return null;
+
+    // amount_refunded is cumulative per charge, only apply what is new
+    const refundedNow = charge.amount_refunded - purchase.amountRefunded;
+    if (refundedNow <= 0) return purchase;
+
+    purchase.amountRefunded = charge.amount_refunded;
+    // A full refund revokes the entitlement
+    if (charge.refunded) {
+      purchase.status = "refunded";
+    }
+    await purchase.save();
+
+    await LedgerService.recordRefund({
+      creatorId: purchase.creator,
+      payerId: purchase.buyer,
+      amount: refundedNow,
+      currency: purchase.currency,
+      externalId: `${charge.id}:${charge.amount_refunded}`,
+      originalTransaction:
+        await LedgerService.findChargeByExternalId(paymentIntentId),
+      references: { purchase: purchase._id },
+      description: `${purchase.itemType} purchase refund`,
+    });
+
+    return purchase;
+  }
+}
+
+module.exports = PurchaseService;
@@ -0,0 +1,65 @@
+const MemoryStore = require("./rateLimitStores/memoryStore");
+const MongoStore = require("./rateLimitStores/mongoStore");
+
+// Rate limit stores implement:
+// - async increment(key, windowMs, now) returning { count, resetAt } for the
+//   window the request falls in
+// - async reset(key)
+const stores = {
+  memory: () => new MemoryStore(),
+  mongo: () => new MongoStore(),
+};
+
+const instances = {};
+
+class RateLimitService {
+  // RATE_LIMIT_STORE picks the store; use "mongo" when running more than
+  // one instance
+  static getStoreName() {
+    return process.env.RATE_LIMIT_STORE || "memory";
+  }
+
+  // Make another store available under a name
+  static registerStore(name, factory) {
+    stores[name] = factory;
+    delete instances[name];
+  }
+
+  static getStore(name = RateLimitService.getStoreName()) {
+    if (!instances[name]) {
+      if (!stores[name]) {
+        throw new Error(`Unknown rate limit store: ${name}`);
+      }
+      instances[name] = stores[name]();
+    }
+    return instances[name];
+  }
+
+  // Replace the store behind a name (e.g. a fresh one in tests)
+  static setStore(name, store) {
+    instances[name] = store;
+  }
+
+  // Count one request against a limit. Returns { allowed, limit, remaining,
+  // resetAt }.
+  static async hit(name, key, { windowMs, max }, now = new Date()) {
+    const { count, resetAt } = await RateLimitService.getStore().increment(
+      `${name}:${key}`,
+      windowMs,
+      now
+    );
+
+    return {
+      allowed: count <= max,
+      limit: max,
+      remaining: Math.max(0, max - count),
+      resetAt,
+    };
+  }
+
+  static reset(name, key) {
+    return RateLimitService.getStore().reset(`${name}:${key}`);
+  }
+}
+
+module.exports = RateLimitService;
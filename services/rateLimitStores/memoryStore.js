@@ -0,0 +1,36 @@
+// Keeps counters in process memory. Fine for a single instance and for
+// development; limits are per process and reset on restart.
+class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.counters = new Map();
+
+    // Drop finished windows so the map doesn't grow forever
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  sweep(now = new Date()) {
+    this.counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    });
+  }
+
+  async increment(key, windowMs, now = new Date()) {
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: new Date(now.getTime() + windowMs) };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+}
+
+module.exports = MemoryStore;
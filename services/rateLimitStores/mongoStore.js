@@ -0,0 +1,37 @@
+const RateLimitCounter = require("../../models/rate_limit_counter_model");
+
+// Keeps counters in MongoDB so every app instance shares the same limits
+class MongoStore {
+  // One atomic update: start a new window if the current one has ended,
+  // otherwise count the request in it
+  async increment(key, windowMs, now = new Date()) {
+    const windowOpen = { $gt: ["$resetAt", now] };
+
+    const counter = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      [
+        {
+          $set: {
+            count: { $cond: [windowOpen, { $add: ["$count", 1] }, 1] },
+            resetAt: {
+              $cond: [
+                windowOpen,
+                "$resetAt",
+                new Date(now.getTime() + windowMs),
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    );
+
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,245 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/session_model");
+const User = require("../models/user_model");
+const Admin = require("../models/admins_model");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Called whenever sessions end (see SessionService.onRevoke)
+const revokeListeners = new Set();
+
+class SessionService {
+  // Lifetime of access tokens (any jsonwebtoken expiresIn value)
+  static getAccessTokenTtl() {
+    return process.env.ACCESS_TOKEN_TTL || "15m";
+  }
+
+  // Days a session survives without being refreshed
+  static getRefreshTokenTtlDays() {
+    return parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || "30");
+  }
+
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+  }
+
+  static generateAccessToken(session) {
+    return jwt.sign(
+      {
+        id: session.account.toString(),
+        role: session.role,
+        sid: session._id.toString(),
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: SessionService.getAccessTokenTtl() }
+    );
+  }
+
+  static getClientInfo(req) {
+    return {
+      userAgent: req ? (req.get("user-agent") || "").slice(0, 500) : undefined,
+      ipAddress: req ? req.ip : undefined,
+    };
+  }
+
+  static getExpiry(now = new Date()) {
+    return new Date(
+      now.getTime() + SessionService.getRefreshTokenTtlDays() * DAY_MS
+    );
+  }
+
+  // Start a session for a user or admin document that just signed in.
+  // Returns the session with its access and refresh tokens.
+  static async createSession(account, req, now = new Date()) {
+    const refreshToken = crypto.randomBytes(48).toString("hex");
+
+    const session = await Session.create({
+      account: account._id,
+      accountModel: account.constructor.modelName,
+      role: account.role,
+      refreshTokenHash: SessionService.hashToken(refreshToken),
+      ...SessionService.getClientInfo(req),
+      lastUsedAt: now,
+      expiresAt: SessionService.getExpiry(now),
+    });
+
+    return {
+      session,
+      accessToken: SessionService.generateAccessToken(session),
+      refreshToken,
+    };
+  }
+
+  // Swap a refresh token for a new access and refresh token. Returns
+  // { session, accessToken, refreshToken } or { error }.
+  static async refresh(refreshToken, req, now = new Date()) {
+    const tokenHash = SessionService.hashToken(refreshToken);
+    const nextRefreshToken = crypto.randomBytes(48).toString("hex");
+
+    // Rotate atomically so a token can only be exchanged once
+    const session = await Session.findOneAndUpdate(
+      { refreshTokenHash: tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        refreshTokenHash: SessionService.hashToken(nextRefreshToken),
+        previousRefreshTokenHash: tokenHash,
+        ...SessionService.getClientInfo(req),
+        lastUsedAt: now,
+        expiresAt: SessionService.getExpiry(now),
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      // An already rotated token was replayed: end the session for everyone
+      const reused = await Session.findOneAndUpdate(
+        { previousRefreshTokenHash: tokenHash, revokedAt: null },
+        { revokedAt: now, revokedReason: "refresh_token_reuse" }
+      );
+      if (reused) {
+        console.warn(
+          `Refresh token reuse detected, session ${reused._id} revoked`
+        );
+        SessionService.notifyRevoked({
+          sessionId: reused._id,
+          reason: "refresh_token_reuse",
+        });
+      }
+      return { error: "Invalid or expired refresh token" };
+    }
+
+    const account = await SessionService.loadAccount(session);
+    if (!account || account.isActive === false) {
+      await SessionService.revokeSession(session._id, {
+        reason: "deactivated",
+        now,
+      });
+      return { error: "Invalid or expired refresh token" };
+    }
+
+    return {
+      session,
+      accessToken: SessionService.generateAccessToken(session),
+      refreshToken: nextRefreshToken,
+    };
+  }
+
+  static loadAccount(session) {
+    const Model = session.accountModel === "Admin" ? Admin : User;
+    return Model.findById(session.account).select("-password");
+  }
+
+  // Check an access token and load who it belongs to. Returns
+  // { user, role, session } or { error }.
+  static async verifyAccessToken(token, now = new Date()) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return { error: "Not authorized, token failed" };
+    }
+
+    // Tokens from before sessions existed can't be revoked
+    if (!decoded.sid) {
+      return { error: "Not authorized, token failed" };
+    }
+
+    const session = await Session.findById(decoded.sid);
+    if (
+      !session ||
+      !session.isActive(now) ||
+      session.account.toString() !== decoded.id
+    ) {
+      return { error: "Not authorized, session ended" };
+    }
+
+    const user = await SessionService.loadAccount(session);
+    if (!user) {
+      return { error: "Not authorized" };
+    }
+    if (user.isActive === false) {
+      return { error: "Not authorized, account deactivated" };
+    }
+
+    // Tokens issued before a password reset are no longer valid
+    if (
+      user.passwordChangedAt &&
+      decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000)
+    ) {
+      return { error: "Not authorized, token expired" };
+    }
+
+    return { user, role: session.role, session };
+  }
+
+  // Sessions that are still signed in, most recently used first
+  static getActiveSessions(accountId, now = new Date()) {
+    return Session.find({
+      account: accountId,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    }).sort({ lastUsedAt: -1 });
+  }
+
+  // Run `listener` with { sessionId } or { accountId, exceptSessionId },
+  // and the reason, whenever sessions end, e.g. to close their sockets.
+  // Returns a function removing the listener.
+  static onRevoke(listener) {
+    revokeListeners.add(listener);
+    return () => revokeListeners.delete(listener);
+  }
+
+  // A failing listener must not undo the revocation
+  static notifyRevoked(revoked) {
+    revokeListeners.forEach((listener) => {
+      try {
+        listener(revoked);
+      } catch (error) {
+        console.error("Session revoke listener error:", error);
+      }
+    });
+  }
+
+  // End one session. Pass accountId to only touch that account's sessions.
+  // Returns the revoked session, or null if there was no active one.
+  static async revokeSession(
+    sessionId,
+    { reason = "revoked", accountId, now = new Date() } = {}
+  ) {
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: sessionId,
+        revokedAt: null,
+        ...(accountId ? { account: accountId } : {}),
+      },
+      { revokedAt: now, revokedReason: reason },
+      { new: true }
+    );
+    if (session) {
+      SessionService.notifyRevoked({ sessionId: session._id, reason });
+    }
+    return session;
+  }
+
+  // End every session of an account, optionally keeping one (the caller's).
+  // Returns how many were revoked.
+  static async revokeAllSessions(
+    accountId,
+    { reason = "revoked_all", exceptSessionId, now = new Date() } = {}
+  ) {
+    const result = await Session.updateMany(
+      {
+        account: accountId,
+        revokedAt: null,
+        ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {}),
+      },
+      { revokedAt: now, revokedReason: reason }
+    );
+    // Sockets are matched by account, so this also covers ones whose session
+    // was already ended
+    SessionService.notifyRevoked({ accountId, exceptSessionId, reason });
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
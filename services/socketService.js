@@ -1,4 +1,4 @@
-const jwt = require("jsonwebtoken");
+const SessionService = require("./sessionService");
 const User = require("../models/user_model");
 const Admin = require("../models/admins_model");
 const Message = require("../models/message_model");
@@ -10,6 +10,12 @@ class SocketService {
     this.connectedUsers = new Map(); // Map to store userId -> socketId
     this.userSockets = new Map(); // Map to store socketId -> user info
     this.setupSocketHandlers();
+
+    // Sessions are only checked when a socket connects, so close the
+    // sockets of sessions that end afterwards
+    this.stopListening = SessionService.onRevoke((revoked) =>
+      this.disconnectSessions(revoked)
+    );
   }
 
   setupSocketHandlers() {
@@ -20,23 +26,15 @@ class SocketService {
           return next(new Error("Authentication error: No token provided"));
         }
 
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Get user info based on role
-        let user;
-        if (decoded.role === "admin") {
-          user = await Admin.findById(decoded.id).select("-password");
-        } else {
-          user = await User.findById(decoded.id).select("-password");
-        }
-
-        if (!user) {
-          return next(new Error("Authentication error: User not found"));
+        const result = await SessionService.verifyAccessToken(token);
+        if (result.error) {
+          return next(new Error(`Authentication error: ${result.error}`));
         }
 
-        socket.userId = decoded.id;
-        socket.userRole = decoded.role;
-        socket.user = user;
+        socket.userId = result.user._id.toString();
+        socket.sessionId = result.session._id.toString();
+        socket.userRole = result.role;
+        socket.user = result.user;
         next();
       } catch (error) {
         next(new Error("Authentication error: Invalid token"));
@@ -143,6 +141,11 @@ class SocketService {
     const senderRole = socket.userRole;
     const senderModel = senderRole === "admin" ? "Admin" : "User";
 
+    // Tip messages are only created once a tip has been paid
+    if (messageType === "tip") {
+      throw new Error("Tips must be sent through the tips API");
+    }
+
     // Validate receiver exists
     const ReceiverModel = receiverModel === "Admin" ? Admin : User;
     const receiver = await ReceiverModel.findById(receiverId);
@@ -258,6 +261,21 @@ class SocketService {
     });
   }
 
+  // Disconnect the sockets of a session, or of every session of an account
+  // but one (logout, revocation, deactivation, password reset)
+  disconnectSessions({ sessionId, accountId, exceptSessionId, reason }) {
+    for (const socket of this.io.of("/").sockets.values()) {
+      const ended = sessionId
+        ? socket.sessionId === sessionId.toString()
+        : socket.userId === accountId.toString() &&
+          (!exceptSessionId || socket.sessionId !== exceptSessionId.toString());
+      if (!ended) continue;
+
+      socket.emit("session_ended", { reason });
+      socket.disconnect(true);
+    }
+  }
+
   broadcastUserStatus(userId, status) {
     this.io.emit("user_status_change", {
       userId,
@@ -1,11 +1,37 @@
-const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+const Stripe = require("stripe");
+const {
+  DEFAULT_CURRENCY,
+  SUPPORTED_CURRENCIES,
+  toStripeAmount,
+} = require("../utils/currency");
+
+// Build a Stripe client. STRIPE_API_HOST/PORT/PROTOCOL let the service talk to
+// a local Stripe stand-in (e.g. stripe-mock) instead of api.stripe.com.
+const createStripeClient = () => {
+  const options = {};
+  if (process.env.STRIPE_API_HOST) {
+    options.host = process.env.STRIPE_API_HOST;
+    options.port = process.env.STRIPE_API_PORT;
+    options.protocol = process.env.STRIPE_API_PROTOCOL || "http";
+  }
+  return Stripe(process.env.STRIPE_SECRET_KEY, options);
+};
 
 class StripeService {
+  constructor(client = createStripeClient()) {
+    this.stripe = client;
+  }
+
+  // Swap the underlying Stripe client (used to plug in a stubbed client)
+  setClient(client) {
+    this.stripe = client;
+  }
+
   // Create or get Stripe customer
   async createOrGetCustomer(user) {
     try {
       // Check if customer already exists
-      const customers = await stripe.customers.list({
+      const customers = await this.stripe.customers.list({
         email: user.email,
         limit: 1,
       });
@@ -15,7 +41,7 @@ class StripeService {
       }
 
       // Create new customer
-      const customer = await stripe.customers.create({
+      const customer = await this.stripe.customers.create({
         email: user.email,
         name: user.username,
         metadata: {
@@ -29,16 +55,17 @@ class StripeService {
     }
   }
 
-  // Create payment intent for one-time payment
+  // Create payment intent for one-time payment. Amounts are in minor units
+  // of the currency, like every amount passed to this service.
   async createPaymentIntent(
     amount,
-    currency = "usd",
+    currency = DEFAULT_CURRENCY,
     customerId,
     metadata = {}
   ) {
     try {
-      const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100), // Convert to cents
+      const paymentIntent = await this.stripe.paymentIntents.create({
+        amount: toStripeAmount(amount, currency),
         currency,
         customer: customerId,
         metadata,
@@ -53,15 +80,52 @@ class StripeService {
     }
   }
 
-  // Create subscription for recurring payments
-  async createSubscription(customerId, priceData, metadata = {}) {
+  // Payment provider interface (see services/paymentService.js): one-off
+  // card payment for `payer`, confirmed client side with the secret
+  supportsCurrency(currency) {
+    return SUPPORTED_CURRENCIES.includes(currency);
+  }
+
+  async createPayment({ amount, currency, payer, metadata = {} }) {
+    const customer = await this.createOrGetCustomer(payer);
+    const paymentIntent = await this.createPaymentIntent(
+      amount,
+      currency,
+      customer.id,
+      metadata
+    );
+
+    return {
+      providerPaymentId: paymentIntent.id,
+      clientSecret: paymentIntent.client_secret,
+    };
+  }
+
+  // Current state of a payment intent, as { status, amountPaid }
+  async getPayment(paymentIntentId) {
+    const paymentIntent = await this.retrievePaymentIntent(paymentIntentId);
+
+    if (paymentIntent.status === "succeeded") {
+      return { status: "succeeded", amountPaid: paymentIntent.amount_received };
+    }
+    if (paymentIntent.status === "canceled") {
+      return { status: "failed", failureReason: "Payment canceled" };
+    }
+    return { status: "pending" };
+  }
+
+  // Create subscription for recurring payments. `options.trialDays` starts
+  // with a free trial and `options.couponId` applies a discount.
+  async createSubscription(customerId, priceData, metadata = {}, options = {}) {
     try {
       // Create a price for the subscription
-      const price = await stripe.prices.create({
-        unit_amount: Math.round(priceData.amount * 100),
-        currency: priceData.currency || "usd",
+      const currency = priceData.currency || DEFAULT_CURRENCY;
+      const price = await this.stripe.prices.create({
+        unit_amount: toStripeAmount(priceData.amount, currency),
+        currency,
         recurring: {
           interval: priceData.interval, // 'month', 'year', etc.
+          interval_count: priceData.intervalCount || 1,
         },
         product_data: {
           name: priceData.productName,
@@ -69,8 +133,7 @@ class StripeService {
         },
       });
 
-      // Create the subscription
-      const subscription = await stripe.subscriptions.create({
+      const params = {
         customer: customerId,
         items: [
           {
@@ -79,27 +142,138 @@ class StripeService {
         ],
         payment_behavior: "default_incomplete",
         payment_settings: { save_default_payment_method: "on_subscription" },
-        expand: ["latest_invoice.payment_intent"],
+        expand: [
+          "latest_invoice.confirmation_secret",
+          "latest_invoice.payments",
+          "pending_setup_intent",
+        ],
         metadata,
-      });
+      };
+
+      if (options.trialDays) {
+        params.trial_period_days = options.trialDays;
+        // End the subscription if no card was saved during the trial
+        params.trial_settings = {
+          end_behavior: { missing_payment_method: "cancel" },
+        };
+      }
+      if (options.couponId) {
+        params.discounts = [{ coupon: options.couponId }];
+      }
+
+      // Create the subscription
+      const subscription = await this.stripe.subscriptions.create(params);
+
+      const invoice = subscription.latest_invoice;
 
       return {
         subscription,
-        clientSecret: subscription.latest_invoice.payment_intent.client_secret,
+        // Payment for the first invoice, or card setup when nothing is due
+        // yet (free trial or fully discounted first period)
+        clientSecret:
+          invoice?.confirmation_secret?.client_secret ||
+          subscription.pending_setup_intent?.client_secret ||
+          null,
+        paymentIntentId: this.getInvoicePaymentIntentId(invoice),
+        amountDue: invoice ? invoice.amount_due : 0,
       };
     } catch (error) {
       throw new Error(`Subscription creation failed: ${error.message}`);
     }
   }
 
+  // End of the subscription's current period (or trial) as a Date
+  getSubscriptionPeriodEnd(subscription) {
+    const periodEnd =
+      subscription?.trial_end && subscription.status === "trialing"
+        ? subscription.trial_end
+        : subscription?.items?.data?.[0]?.current_period_end;
+    return periodEnd ? new Date(periodEnd * 1000) : undefined;
+  }
+
+  // Create a coupon for a promo code
+  async createCoupon({
+    name,
+    percentOff,
+    amountOff,
+    currency = DEFAULT_CURRENCY,
+    duration = "once",
+    metadata = {},
+  }) {
+    try {
+      const params = { name, duration, metadata };
+      if (percentOff) {
+        params.percent_off = percentOff;
+      } else {
+        params.amount_off = toStripeAmount(amountOff, currency);
+        params.currency = currency;
+      }
+
+      return await this.stripe.coupons.create(params);
+    } catch (error) {
+      throw new Error(`Coupon creation failed: ${error.message}`);
+    }
+  }
+
+  // Retrieve a subscription (optionally expanding related objects)
+  async retrieveSubscription(subscriptionId, expand = []) {
+    try {
+      const subscription = await this.stripe.subscriptions.retrieve(
+        subscriptionId,
+        { expand }
+      );
+      return subscription;
+    } catch (error) {
+      throw new Error(`Failed to retrieve subscription: ${error.message}`);
+    }
+  }
+
+  // Resolve the payment intent behind an invoice. Newer API versions expose it
+  // through invoice.payments instead of invoice.payment_intent.
+  getInvoicePaymentIntentId(invoice) {
+    if (!invoice || typeof invoice === "string") return null;
+
+    if (invoice.payment_intent) {
+      return typeof invoice.payment_intent === "string"
+        ? invoice.payment_intent
+        : invoice.payment_intent.id;
+    }
+
+    const payment = invoice.payments?.data?.find(
+      (item) => item.payment?.payment_intent
+    );
+    if (!payment) return null;
+
+    const paymentIntent = payment.payment.payment_intent;
+    return typeof paymentIntent === "string" ? paymentIntent : paymentIntent.id;
+  }
+
+  // Resolve the Stripe subscription an invoice belongs to
+  getInvoiceSubscriptionId(invoice) {
+    const subscription =
+      invoice.subscription ||
+      invoice.parent?.subscription_details?.subscription;
+    if (!subscription) return null;
+    return typeof subscription === "string" ? subscription : subscription.id;
+  }
+
+  // Verify a webhook payload against its Stripe-Signature header
+  constructWebhookEvent(payload, signature) {
+    return this.stripe.webhooks.constructEvent(
+      payload,
+      signature,
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  }
+
   // Add payment method to customer
   async attachPaymentMethod(paymentMethodId, customerId) {
     try {
-      await stripe.paymentMethods.attach(paymentMethodId, {
+      await this.stripe.paymentMethods.attach(paymentMethodId, {
         customer: customerId,
       });
 
-      const paymentMethod = await stripe.paymentMethods.retrieve(
+      const paymentMethod = await this.stripe.paymentMethods.retrieve(
         paymentMethodId
       );
       return paymentMethod;
@@ -111,7 +285,7 @@ class StripeService {
   // Get customer's payment methods
   async getCustomerPaymentMethods(customerId) {
     try {
-      const paymentMethods = await stripe.paymentMethods.list({
+      const paymentMethods = await this.stripe.paymentMethods.list({
         customer: customerId,
         type: "card",
       });
@@ -125,7 +299,7 @@ class StripeService {
   // Set default payment method
   async setDefaultPaymentMethod(customerId, paymentMethodId) {
     try {
-      const customer = await stripe.customers.update(customerId, {
+      const customer = await this.stripe.customers.update(customerId, {
         invoice_settings: {
           default_payment_method: paymentMethodId,
         },
@@ -139,20 +313,77 @@ class StripeService {
     }
   }
 
+  // Move a subscription to a new recurring amount from its next invoice on.
+  // The current period is not prorated.
+  async updateSubscriptionPrice(subscriptionId, amount) {
+    try {
+      const subscription = await this.stripe.subscriptions.retrieve(
+        subscriptionId
+      );
+      const item = subscription.items.data[0];
+
+      const price = await this.stripe.prices.create({
+        unit_amount: toStripeAmount(amount, item.price.currency),
+        currency: item.price.currency,
+        recurring: {
+          interval: item.price.recurring.interval,
+          interval_count: item.price.recurring.interval_count,
+        },
+        product: item.price.product,
+      });
+
+      return await this.stripe.subscriptions.update(subscriptionId, {
+        items: [{ id: item.id, price: price.id }],
+        proration_behavior: "none",
+      });
+    } catch (error) {
+      throw new Error(`Subscription price update failed: ${error.message}`);
+    }
+  }
+
+  // Push the next charge of a subscription back to `until` (e.g. after a
+  // gifted period was added). Stripe treats the gap as a free trial.
+  async deferBilling(subscriptionId, until) {
+    try {
+      return await this.stripe.subscriptions.update(subscriptionId, {
+        trial_end: Math.floor(new Date(until).getTime() / 1000),
+        proration_behavior: "none",
+      });
+    } catch (error) {
+      throw new Error(
+        `Deferring subscription billing failed: ${error.message}`
+      );
+    }
+  }
+
   // Cancel subscription
   async cancelSubscription(subscriptionId) {
     try {
-      const subscription = await stripe.subscriptions.cancel(subscriptionId);
+      const subscription = await this.stripe.subscriptions.cancel(
+        subscriptionId
+      );
       return subscription;
     } catch (error) {
       throw new Error(`Subscription cancellation failed: ${error.message}`);
     }
   }
 
+  // Stop (or resume) renewing a subscription. With cancelAtPeriodEnd the
+  // period already paid for runs out and Stripe charges nothing more.
+  async setCancelAtPeriodEnd(subscriptionId, cancelAtPeriodEnd) {
+    try {
+      return await this.stripe.subscriptions.update(subscriptionId, {
+        cancel_at_period_end: cancelAtPeriodEnd,
+      });
+    } catch (error) {
+      throw new Error(`Subscription renewal update failed: ${error.message}`);
+    }
+  }
+
   // Retrieve payment intent
   async retrievePaymentIntent(paymentIntentId) {
     try {
-      const paymentIntent = await stripe.paymentIntents.retrieve(
+      const paymentIntent = await this.stripe.paymentIntents.retrieve(
         paymentIntentId
       );
       return paymentIntent;
@@ -161,15 +392,20 @@ class StripeService {
     }
   }
 
-  // Create refund
-  async createRefund(paymentIntentId, amount = null) {
+  // Create refund. `amount` (minor units of `currency`) refunds part of
+  // the payment; without it the whole payment is refunded.
+  async createRefund(
+    paymentIntentId,
+    amount = null,
+    currency = DEFAULT_CURRENCY
+  ) {
     try {
       const refundData = { payment_intent: paymentIntentId };
       if (amount) {
-        refundData.amount = Math.round(amount * 100);
+        refundData.amount = toStripeAmount(amount, currency);
       }
 
-      const refund = await stripe.refunds.create(refundData);
+      const refund = await this.stripe.refunds.create(refundData);
       return refund;
     } catch (error) {
       throw new Error(`Refund creation failed: ${error.message}`);
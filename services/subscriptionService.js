@@ -0,0 +1,704 @@
+const Subscription = require("../models/subscription_model");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const PriceChange = require("../models/price_change_model");
+const SubscriptionPlan = require("../models/subscription_plan_model");
+const Bundle = require("../models/bundle_model");
+const User = require("../models/user_model");
+const NotificationService = require("./notificationService");
+const StripeService = require("./stripeService");
+const LedgerService = require("./ledgerService");
+const PromoService = require("./promoService");
+const PriceChangeService = require("./priceChangeService");
+const { formatMoney, toStripeAmount } = require("../utils/currency");
+const { LOCAL_PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+class SubscriptionService {
+  // Calculate the end of a billing period starting at the given date
+  static calculatePeriodEnd(startDate, months = 1) {
+    const endDate = new Date(startDate);
+    endDate.setMonth(endDate.getMonth() + months);
+    return endDate;
+  }
+
+  // Resolve what a new subscription to the creator is bought on: one of the
+  // creator's active plans, or the legacy single monthly price when no plan
+  // is given. Returns null when nothing can be bought.
+  static async resolvePlan(creator, planId) {
+    if (planId) {
+      const plan = await SubscriptionPlan.findOne({
+        _id: planId,
+        creator: creator._id,
+        isActive: true,
+      });
+      if (!plan) return null;
+
+      return {
+        plan,
+        name: plan.name,
+        price: plan.price,
+        currency: plan.currency,
+        durationMonths: plan.durationMonths,
+        tierLevel: plan.tierLevel,
+        trialDays: plan.trialDays || 0,
+      };
+    }
+
+    if (!creator.subscriptionPrice || creator.subscriptionPrice <= 0) {
+      return null;
+    }
+
+    return {
+      plan: null,
+      name: "Monthly",
+      price: creator.subscriptionPrice,
+      currency: creator.pricingCurrency,
+      durationMonths: 1,
+      tierLevel: 1,
+      trialDays: 0,
+    };
+  }
+
+  // Activate a pending subscription once its first payment is confirmed.
+  // Safe to call more than once: only the call that flips the status from
+  // "pending" credits the creator and sends notifications.
+  static async activateSubscription(subscriptionId, payment = {}) {
+    const {
+      amountPaid,
+      paymentIntentId,
+      periodEnd,
+      paidAt = new Date(),
+    } = payment;
+
+    const current = await Subscription.findById(subscriptionId);
+    if (!current) return null;
+
+    const amount =
+      typeof amountPaid === "number" ? amountPaid : current.subscriptionPrice;
+    // Free trials end when Stripe first bills, not after a full period
+    const endDate =
+      periodEnd ||
+      SubscriptionService.calculatePeriodEnd(paidAt, current.durationMonths);
+
+    const update = {
+      status: "active",
+      activatedAt: paidAt,
+      startDate: paidAt,
+      endDate,
+      nextBillingDate: new Date(endDate),
+    };
+    if (amount > 0) {
+      update.lastPaymentDate = paidAt;
+    }
+    if (paymentIntentId) {
+      update.paymentIntentId = paymentIntentId;
+    }
+
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: subscriptionId, status: "pending" },
+      {
+        $set: update,
+        $inc: { totalPaid: amount },
+        ...(paymentIntentId
+          ? { $addToSet: { paymentIntentIds: paymentIntentId } }
+          : {}),
+      },
+      { new: true }
+    );
+
+    // Already activated (or cancelled) by another confirmation path
+    if (!subscription) return current;
+
+    // Bundle earnings are shared between its creators
+    const bundle = subscription.bundle
+      ? await Bundle.findById(subscription.bundle)
+      : null;
+    const splits = bundle
+      ? bundle.getRevenueSplits()
+      : [{ creatorId: subscription.creator, percent: 100 }];
+
+    // Credit the creator now that the payment has gone through
+    if (amount > 0) {
+      await LedgerService.recordCharge({
+        creatorId: subscription.creator,
+        splits,
+        payerId: subscription.subscriber,
+        amount,
+        currency: subscription.currency,
+        externalId: paymentIntentId || `subscription:${subscription._id}`,
+        references: { subscription: subscription._id },
+        description: "Subscription payment",
+        date: paidAt,
+      });
+    }
+    if (subscription.promoCode) {
+      await PromoService.confirmRedemption(subscription._id, paidAt);
+    }
+    await User.updateMany(
+      { _id: { $in: subscription.getCreatorIds() } },
+      { $inc: { subscriberCount: 1 } }
+    );
+    await User.findByIdAndUpdate(subscription.subscriber, {
+      $inc: { subscriptionCount: 1 },
+    });
+
+    // Notifications should never fail the activation
+    try {
+      for (const split of splits) {
+        await NotificationService.createSubscriptionNotification(
+          subscription.subscriber,
+          split.creatorId,
+          subscription._id
+        );
+        if (amount > 0) {
+          await NotificationService.createPaymentReceivedNotification(
+            split.creatorId,
+            Math.round((amount * split.percent) / 100),
+            subscription.subscriber,
+            subscription.currency
+          );
+        }
+      }
+    } catch (notificationError) {
+      console.error(
+        "Error creating subscription activation notifications:",
+        notificationError
+      );
+    }
+
+    return subscription;
+  }
+
+  // Cancel a subscription whose checkout was never paid and free its promo
+  // code for another checkout
+  static async cancelPendingSubscription(subscriptionId, reason) {
+    const subscription = await Subscription.findOneAndUpdate(
+      { _id: subscriptionId, status: "pending" },
+      {
+        status: "cancelled",
+        cancelledAt: new Date(),
+        cancelReason: reason || "Payment failed",
+        autoRenew: false,
+      },
+      { new: true }
+    );
+    if (!subscription) return Subscription.findById(subscriptionId);
+
+    await PromoService.releaseRedemption(subscription._id);
+    return subscription;
+  }
+
+  // Extend an active subscription by one billing period after a renewal payment
+  static async renewSubscription(subscription, payment = {}) {
+    const {
+      amountPaid,
+      paymentIntentId,
+      periodEnd,
+      paidAt = new Date(),
+    } = payment;
+    // Renewals continue from the current end date, or from now if it lapsed
+    const periodStart =
+      subscription.endDate > paidAt ? subscription.endDate : paidAt;
+
+    // A scheduled price change takes over from its effective renewal on
+    const priceChangeId = subscription.priceChange;
+    const migratesPrice =
+      typeof subscription.pendingPrice === "number" &&
+      periodStart >= subscription.pendingPriceEffectiveAt;
+    if (migratesPrice) {
+      subscription.subscriptionPrice = subscription.pendingPrice;
+      PriceChangeService.clearPendingPrice(subscription);
+    }
+
+    const amount =
+      typeof amountPaid === "number"
+        ? amountPaid
+        : subscription.subscriptionPrice;
+    const endDate =
+      periodEnd ||
+      SubscriptionService.calculatePeriodEnd(
+        periodStart,
+        subscription.durationMonths
+      );
+
+    subscription.status = "active";
+    subscription.endDate = endDate;
+    subscription.nextBillingDate = new Date(endDate);
+    subscription.renewalDate = paidAt;
+    subscription.lastPaymentDate = paidAt;
+    subscription.totalPaid += amount;
+    subscription.failedPaymentCount = 0;
+    subscription.lastPaymentError = undefined;
+    if (paymentIntentId) {
+      subscription.paymentIntentId = paymentIntentId;
+      subscription.paymentIntentIds.addToSet(paymentIntentId);
+    }
+    await subscription.save();
+
+    if (migratesPrice && priceChangeId) {
+      await PriceChange.updateOne(
+        { _id: priceChangeId },
+        { $inc: { migratedSubscriptions: 1 } }
+      );
+    }
+
+    if (amount > 0) {
+      await LedgerService.recordCharge({
+        creatorId: subscription.creator,
+        payerId: subscription.subscriber,
+        amount,
+        currency: subscription.currency,
+        externalId:
+          paymentIntentId ||
+          `subscription:${subscription._id}:${endDate.toISOString()}`,
+        references: { subscription: subscription._id },
+        description: "Subscription renewal",
+        date: paidAt,
+      });
+
+      try {
+        await NotificationService.createPaymentReceivedNotification(
+          subscription.creator,
+          amount,
+          subscription.subscriber,
+          subscription.currency
+        );
+      } catch (notificationError) {
+        console.error(
+          "Error creating renewal payment notification:",
+          notificationError
+        );
+      }
+    }
+
+    return subscription;
+  }
+
+  // Try to carry an auto-renewing subscription into its next period.
+  // Stripe charges renewals itself; this reconciles the local record with the
+  // latest Stripe invoice in case the invoice.paid webhook was missed.
+  // Returns true when the subscription is active past `now`.
+  static async attemptRenewal(subscription, now = new Date()) {
+    // Only Stripe-billed subscriptions renew without the subscriber
+    if (
+      subscription.paymentMethod !== "stripe" ||
+      !subscription.stripeSubscriptionId
+    ) {
+      return false;
+    }
+
+    const stripeSubscription = await StripeService.retrieveSubscription(
+      subscription.stripeSubscriptionId,
+      ["latest_invoice.payments"]
+    );
+
+    const invoice = stripeSubscription.latest_invoice;
+    if (invoice && invoice.status === "paid") {
+      const paymentIntentId = StripeService.getInvoicePaymentIntentId(invoice);
+      if (
+        paymentIntentId &&
+        !subscription.paymentIntentIds.includes(paymentIntentId)
+      ) {
+        await SubscriptionService.handleInvoicePaid(invoice);
+      }
+    }
+
+    const refreshed = await Subscription.findById(subscription._id);
+    if (refreshed.status === "active" && refreshed.endDate > now) {
+      return true;
+    }
+
+    if (["past_due", "unpaid"].includes(stripeSubscription.status)) {
+      refreshed.status = "past_due";
+      await refreshed.save();
+    }
+
+    return false;
+  }
+
+  // Find the local subscription linked to a Stripe invoice
+  static async findByInvoice(invoice) {
+    const stripeSubscriptionId =
+      StripeService.getInvoiceSubscriptionId(invoice);
+    if (stripeSubscriptionId) {
+      const subscription = await Subscription.findOne({ stripeSubscriptionId });
+      if (subscription) return subscription;
+    }
+
+    const subscriptionId =
+      invoice.parent?.subscription_details?.metadata?.subscriptionId ||
+      invoice.subscription_details?.metadata?.subscriptionId;
+    return subscriptionId ? Subscription.findById(subscriptionId) : null;
+  }
+
+  // Stripe webhook: invoice.paid
+  static async handleInvoicePaid(invoice) {
+    const subscription = await SubscriptionService.findByInvoice(invoice);
+    if (!subscription) return null;
+
+    const payment = {
+      amountPaid: invoice.amount_paid,
+      paymentIntentId: StripeService.getInvoicePaymentIntentId(invoice),
+      paidAt: invoice.status_transitions?.paid_at
+        ? new Date(invoice.status_transitions.paid_at * 1000)
+        : new Date(),
+    };
+
+    const periodEnd = invoice.lines?.data?.[0]?.period?.end;
+    if (periodEnd) {
+      payment.periodEnd = new Date(periodEnd * 1000);
+    }
+
+    if (subscription.status === "pending") {
+      return SubscriptionService.activateSubscription(
+        subscription._id,
+        payment
+      );
+    }
+
+    // The first invoice was already handled by the checkout confirmation
+    if (invoice.billing_reason === "subscription_create") {
+      return subscription;
+    }
+
+    // Never bring back a subscription the subscriber cancelled
+    if (subscription.status === "cancelled") {
+      console.warn(
+        `Invoice ${invoice.id} paid for cancelled subscription ${subscription._id}; not renewing`
+      );
+      return subscription;
+    }
+
+    return SubscriptionService.renewSubscription(subscription, payment);
+  }
+
+  // Stripe webhook: invoice.payment_failed
+  static async handleInvoicePaymentFailed(invoice) {
+    const subscription = await SubscriptionService.findByInvoice(invoice);
+    if (!subscription) return null;
+
+    subscription.failedPaymentCount += 1;
+    subscription.lastPaymentError =
+      invoice.last_finalization_error?.message || "Payment failed";
+
+    // A failed first payment leaves the checkout pending; a failed renewal
+    // suspends access until the payment is retried successfully
+    if (subscription.status === "active") {
+      subscription.status = "past_due";
+    }
+
+    await subscription.save();
+    return subscription;
+  }
+
+  // Stripe webhook: customer.subscription.deleted
+  static async handleStripeSubscriptionDeleted(stripeSubscription) {
+    const subscription = await Subscription.findOne({
+      stripeSubscriptionId: stripeSubscription.id,
+    });
+    if (!subscription || subscription.status === "expired") {
+      return subscription;
+    }
+
+    const endedAt = stripeSubscription.ended_at
+      ? new Date(stripeSubscription.ended_at * 1000)
+      : new Date();
+
+    if (subscription.status !== "cancelled") {
+      subscription.status = "cancelled";
+      subscription.cancelledAt = endedAt;
+      subscription.cancelReason =
+        stripeSubscription.cancellation_details?.reason ||
+        "Cancelled in Stripe";
+    }
+    subscription.autoRenew = false;
+    subscription.nextBillingDate = undefined;
+    if (subscription.endDate > endedAt) {
+      subscription.endDate = endedAt;
+    }
+
+    await subscription.save();
+    return subscription;
+  }
+
+  // End access right away after a refund or dispute and stop billing
+  static revokeAccess(subscription, reason, now = new Date()) {
+    if (subscription.status !== "cancelled") {
+      subscription.status = "cancelled";
+      subscription.cancelledAt = now;
+      subscription.cancelReason = reason;
+    }
+    subscription.autoRenew = false;
+    if (subscription.endDate > now) {
+      subscription.endDate = now;
+    }
+    subscription.nextBillingDate = undefined;
+  }
+
+  // Tell Stripe whether to keep charging a subscription at the end of its
+  // period. Errors are left to the caller: the subscriber must not be told
+  // renewal stopped while Stripe still bills them.
+  static async setStripeRenewal(subscription, autoRenew) {
+    if (!subscription.stripeSubscriptionId) return;
+
+    await StripeService.setCancelAtPeriodEnd(
+      subscription.stripeSubscriptionId,
+      !autoRenew
+    );
+  }
+
+  // Stop Stripe from billing a subscription we have ended
+  static async cancelStripeBilling(subscription) {
+    if (!subscription.stripeSubscriptionId) return;
+
+    try {
+      await StripeService.cancelSubscription(subscription.stripeSubscriptionId);
+    } catch (stripeError) {
+      console.error("Error cancelling Stripe subscription:", stripeError);
+    }
+  }
+
+  // Apply the refunded total of one payment to the subscription and the
+  // ledger. Only the part not applied before is recorded, so the refund
+  // endpoints and the charge.refunded webhook can both report it.
+  static async applyRefund(
+    subscription,
+    { paymentIntentId, chargeId, refundedTotal, revokeAccess, reason }
+  ) {
+    const alreadyRefunded =
+      subscription.refundsByPayment.get(paymentIntentId) || 0;
+    const refundedNow = refundedTotal - alreadyRefunded;
+
+    if (refundedNow > 0) {
+      subscription.refundsByPayment.set(paymentIntentId, refundedTotal);
+      subscription.totalRefunded += refundedNow;
+      subscription.totalPaid = Math.max(
+        0,
+        subscription.totalPaid - refundedNow
+      );
+    }
+
+    // The webhook may have recorded the refund already, access still ends
+    if (revokeAccess && subscription.status !== "expired") {
+      SubscriptionService.revokeAccess(subscription, reason);
+    }
+
+    await subscription.save();
+    if (revokeAccess) {
+      await SubscriptionService.cancelStripeBilling(subscription);
+    }
+    if (refundedNow <= 0) return 0;
+
+    await LedgerService.recordRefund({
+      creatorId: subscription.creator,
+      payerId: subscription.subscriber,
+      amount: refundedNow,
+      currency: subscription.currency,
+      externalId: `${chargeId}:${refundedTotal}`,
+      originalTransaction:
+        await LedgerService.findChargeByExternalId(paymentIntentId),
+      references: { subscription: subscription._id },
+      description: "Subscription refund",
+    });
+
+    return refundedNow;
+  }
+
+  // Amount a refund of the latest payment would return. "prorated" only
+  // returns the unused part of the current billing period.
+  static async calculateRefund(subscription, type, now = new Date()) {
+    // Local payments are paid back by hand, outside the platform
+    if (LOCAL_PAYMENT_METHODS.includes(subscription.paymentMethod)) {
+      return { error: "Only card payments can be refunded from here" };
+    }
+
+    const paymentIntentId = subscription.paymentIntentId;
+    const charge = await LedgerService.findChargeByExternalId(paymentIntentId);
+    if (!paymentIntentId || !charge) {
+      return { error: "This subscription has no payment to refund" };
+    }
+
+    const refundable =
+      charge.grossAmount -
+      (subscription.refundsByPayment.get(paymentIntentId) || 0);
+
+    let amount = refundable;
+    if (type === "prorated") {
+      const periodStart =
+        subscription.lastPaymentDate || subscription.startDate;
+      const periodLength = subscription.endDate - periodStart;
+      const unused = Math.max(0, subscription.endDate - now);
+      const unusedShare = periodLength > 0 ? unused / periodLength : 0;
+      amount = Math.min(refundable, charge.grossAmount * unusedShare);
+    }
+
+    // Stripe only refunds what it can charge (whole 10 millimes for TND)
+    amount = Math.min(
+      refundable,
+      toStripeAmount(amount, subscription.currency)
+    );
+    if (amount <= 0) {
+      return { error: "Nothing left to refund on this subscription" };
+    }
+
+    return { amount, paymentIntentId };
+  }
+
+  // Refund the latest payment of a subscription and revoke access.
+  // Returns { error } when nothing can be refunded; Stripe errors throw.
+  static async refundSubscription(
+    subscription,
+    { type = "full", reason, initiatedBy, initiatedByModel }
+  ) {
+    const { amount, paymentIntentId, error } =
+      await SubscriptionService.calculateRefund(subscription, type);
+    if (error) return { error };
+
+    const refund = await StripeService.createRefund(
+      paymentIntentId,
+      amount,
+      subscription.currency
+    );
+    const alreadyRefunded =
+      subscription.refundsByPayment.get(paymentIntentId) || 0;
+
+    subscription.refunds.push({
+      refundId: refund.id,
+      paymentIntentId,
+      amount,
+      type,
+      reason,
+      initiatedBy,
+      initiatedByModel,
+    });
+
+    await SubscriptionService.applyRefund(subscription, {
+      paymentIntentId,
+      chargeId: refund.charge,
+      refundedTotal: alreadyRefunded + amount,
+      revokeAccess: true,
+      reason: reason ? `Refunded: ${reason}` : "Payment refunded",
+    });
+
+    await NotificationService.createSystemNotification(
+      subscription.subscriber,
+      "Subscription Refunded",
+      `You were refunded ${formatMoney(
+        amount,
+        subscription.currency
+      )} for your subscription. Your access has ended.`,
+      "/subscriptions",
+      "high"
+    );
+
+    return { subscription, refund: subscription.refunds.at(-1) };
+  }
+
+  // Stripe webhook: charge.refunded
+  static async handleChargeRefunded(charge) {
+    const paymentIntentId =
+      typeof charge.payment_intent === "string"
+        ? charge.payment_intent
+        : charge.payment_intent?.id;
+    if (!paymentIntentId) return null;
+
+    const subscription = await Subscription.findOne({
+      $or: [{ paymentIntentId }, { paymentIntentIds: paymentIntentId }],
+    });
+    if (!subscription) return null;
+
+    // amount_refunded is cumulative per charge; a fully refunded payment
+    // revokes access immediately
+    await SubscriptionService.applyRefund(subscription, {
+      paymentIntentId,
+      chargeId: charge.id,
+      refundedTotal: charge.amount_refunded,
+      revokeAccess: charge.refunded,
+      reason: "Payment refunded",
+    });
+
+    return subscription;
+  }
+
+  // Stripe webhook: charge.dispute.created. Stripe takes the disputed
+  // amount back right away, so the creator's earnings are reversed now.
+  static async handleDisputeCreated(dispute) {
+    const paymentIntentId =
+      typeof dispute.payment_intent === "string"
+        ? dispute.payment_intent
+        : dispute.payment_intent?.id;
+    if (!paymentIntentId) return null;
+
+    const subscription = await Subscription.findOne({
+      $or: [{ paymentIntentId }, { paymentIntentIds: paymentIntentId }],
+    });
+    if (!subscription) return null;
+
+    if (subscription.disputes.some((d) => d.disputeId === dispute.id)) {
+      return subscription;
+    }
+
+    subscription.disputes.push({
+      disputeId: dispute.id,
+      paymentIntentId,
+      amount: dispute.amount,
+      reason: dispute.reason,
+      status: dispute.status,
+      openedAt: dispute.created ? new Date(dispute.created * 1000) : new Date(),
+    });
+    if (subscription.status !== "expired") {
+      SubscriptionService.revokeAccess(subscription, "Payment disputed");
+    }
+    await subscription.save();
+
+    await LedgerService.recordChargeback({
+      creatorId: subscription.creator,
+      payerId: subscription.subscriber,
+      amount: dispute.amount,
+      currency: subscription.currency,
+      externalId: `dispute:${dispute.id}`,
+      originalTransaction:
+        await LedgerService.findChargeByExternalId(paymentIntentId),
+      references: { subscription: subscription._id },
+      description: `Subscription dispute (${dispute.reason})`,
+    });
+
+    await SubscriptionService.cancelStripeBilling(subscription);
+
+    return subscription;
+  }
+
+  // Stripe webhook: charge.dispute.closed. A won dispute gives the
+  // creator's earnings back; access stays revoked either way.
+  static async handleDisputeClosed(dispute) {
+    const subscription = await Subscription.findOne({
+      "disputes.disputeId": dispute.id,
+    });
+    if (!subscription) return null;
+
+    const entry = subscription.disputes.find((d) => d.disputeId === dispute.id);
+    if (entry.outcome !== "open") return subscription;
+
+    entry.status = dispute.status;
+    entry.outcome = dispute.status === "won" ? "won" : "lost";
+    entry.closedAt = new Date();
+    await subscription.save();
+
+    if (entry.outcome === "won") {
+      const chargeback = await LedgerTransaction.findOne({
+        type: "chargeback",
+        externalId: `dispute:${dispute.id}`,
+      });
+      if (chargeback) {
+        await LedgerService.recordChargebackReversal({
+          chargeback,
+          externalId: `dispute:${dispute.id}`,
+          description: "Subscription dispute won",
+        });
+      }
+    }
+
+    return subscription;
+  }
+}
+
+module.exports = SubscriptionService;
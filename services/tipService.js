@@ -0,0 +1,275 @@
+const mongoose = require("mongoose");
+const Tip = require("../models/tip_model");
+const Message = require("../models/message_model");
+const Conversation = require("../models/conversation_model");
+const PaymentService = require("./paymentService");
+const LedgerService = require("./ledgerService");
+const NotificationService = require("./notificationService");
+const { formatMoney } = require("../utils/currency");
+
+class TipService {
+  // Smallest and largest tip, in whole units of the creator's currency
+  static getAmountLimits() {
+    return { min: 1, max: 1000 };
+  }
+
+  // Create a pending tip and start its payment: a payment intent the client
+  // confirms for cards, a Payment record for local methods
+  static async startTip(
+    tipper,
+    {
+      creatorId,
+      source,
+      post,
+      conversation,
+      amount,
+      currency,
+      note,
+      paymentMethod = "stripe",
+    }
+  ) {
+    const tip = await Tip.create({
+      tipper: tipper._id,
+      creator: creatorId,
+      source,
+      post: post?._id,
+      conversation: conversation?._id,
+      amount,
+      currency,
+      note,
+      paymentMethod,
+    });
+
+    try {
+      const checkout = await PaymentService.startPayment(paymentMethod, {
+        amount,
+        currency: tip.currency,
+        payer: tipper,
+        purposeModel: "Tip",
+        purpose: tip._id,
+        description: `Tip from ${source}`,
+        metadata: {
+          type: "tip",
+          tipId: tip._id.toString(),
+          tipperId: tipper._id.toString(),
+          creatorId: creatorId.toString(),
+        },
+      });
+
+      if (paymentMethod === "stripe") {
+        tip.paymentIntentId = checkout.providerPaymentId;
+        await tip.save();
+      }
+
+      return { tip, ...checkout };
+    } catch (error) {
+      await Tip.findByIdAndDelete(tip._id);
+      throw error;
+    }
+  }
+
+  // Post the chat message that goes with a paid chat tip
+  static async postTipMessage(tip) {
+    const conversation = await Conversation.findById(tip.conversation);
+    if (!conversation) return null;
+
+    const message = await Message.create({
+      sender: tip.tipper,
+      senderModel: "User",
+      receiver: tip.creator,
+      receiverModel: "User",
+      content:
+        tip.note || `Sent a ${formatMoney(tip.amount, tip.currency)} tip`,
+      messageType: "tip",
+      tip: tip._id,
+    });
+
+    conversation.lastMessage = message._id;
+    conversation.lastActivity = new Date();
+    const receiverParticipant = conversation.participants.find(
+      (p) => p.user.toString() === tip.creator.toString()
+    );
+    if (receiverParticipant) {
+      receiverParticipant.unreadCount += 1;
+    }
+    await conversation.save();
+
+    tip.message = message._id;
+    await tip.save();
+
+    return message;
+  }
+
+  // Complete a pending tip once its payment succeeded. Safe to call from
+  // both the confirmation endpoint and the webhook.
+  static async completeTip(tipId, payment = {}) {
+    const { amountPaid, paidAt = new Date() } = payment;
+
+    const tip = await Tip.findOneAndUpdate(
+      { _id: tipId, status: "pending" },
+      { status: "completed", completedAt: paidAt },
+      { new: true }
+    );
+    if (!tip) return Tip.findById(tipId);
+
+    const amount = typeof amountPaid === "number" ? amountPaid : tip.amount;
+
+    await LedgerService.recordCharge({
+      type: "tip",
+      creatorId: tip.creator,
+      payerId: tip.tipper,
+      amount,
+      currency: tip.currency,
+      externalId: tip.paymentIntentId || `tip:${tip._id}`,
+      references: { tip: tip._id },
+      description: `Tip from ${tip.source}`,
+      date: paidAt,
+    });
+
+    if (tip.source === "chat") {
+      try {
+        await TipService.postTipMessage(tip);
+      } catch (messageError) {
+        console.error("Error posting tip message:", messageError);
+      }
+    }
+
+    try {
+      await NotificationService.createPaymentReceivedNotification(
+        tip.creator,
+        amount,
+        tip.tipper,
+        tip.currency
+      );
+    } catch (notificationError) {
+      console.error("Error creating tip notification:", notificationError);
+    }
+
+    return tip;
+  }
+
+  // Fans who tipped a creator the most in one currency, optionally since
+  // a date
+  static async getTopTippers(
+    creatorId,
+    { currency, since = null, limit = 10 } = {}
+  ) {
+    const match = {
+      creator: new mongoose.Types.ObjectId(creatorId),
+      currency,
+      status: "completed",
+    };
+    if (since) {
+      match.completedAt = { $gte: since };
+    }
+
+    return Tip.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$tipper",
+          totalAmount: {
+            $sum: { $subtract: ["$amount", "$amountRefunded"] },
+          },
+          tipCount: { $sum: 1 },
+          lastTipAt: { $max: "$completedAt" },
+        },
+      },
+      { $sort: { totalAmount: -1, lastTipAt: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from: "users",
+          localField: "_id",
+          foreignField: "_id",
+          as: "tipper",
+          pipeline: [
+            {
+              $project: {
+                username: 1,
+                firstName: 1,
+                lastName: 1,
+                profileImage: 1,
+              },
+            },
+          ],
+        },
+      },
+      { $unwind: "$tipper" },
+      {
+        $project: {
+          _id: 0,
+          tipper: 1,
+          totalAmount: 1,
+          tipCount: 1,
+          lastTipAt: 1,
+        },
+      },
+    ]);
+  }
+
+  // Stripe webhook: payment_intent.succeeded
+  static async handlePaymentIntentSucceeded(paymentIntent) {
+    const tipId = paymentIntent.metadata?.tipId;
+    if (!tipId) return null;
+
+    return TipService.completeTip(tipId, {
+      amountPaid: paymentIntent.amount_received,
+    });
+  }
+
+  // Mark a pending tip as failed
+  static async failTip(tipId, reason = "Payment failed") {
+    return Tip.findOneAndUpdate(
+      { _id: tipId, status: "pending" },
+      { status: "failed", failureReason: reason },
+      { new: true }
+    );
+  }
+
+  // Stripe webhook: payment_intent.payment_failed
+  static async handlePaymentIntentFailed(paymentIntent) {
+    const tipId = paymentIntent.metadata?.tipId;
+    if (!tipId) return null;
+
+    return TipService.failTip(tipId, paymentIntent.last_payment_error?.message);
+  }
+
+  // Stripe webhook: charge.refunded for a tip payment
+  static async handleChargeRefunded(charge) {
+    const paymentIntentId =
+      typeof charge.payment_intent === "string"
+        ? charge.payment_intent
+        : charge.payment_intent?.id;
+    if (!paymentIntentId) return null;
+
+    const tip = await Tip.findOne({ paymentIntentId });
+    if (!tip) return null;
+
+    // amount_refunded is cumulative per charge, only apply what is new
+    const refundedNow = charge.amount_refunded - tip.amountRefunded;
+    if (refundedNow <= 0) return tip;
+
+    tip.amountRefunded = charge.amount_refunded;
+    if (charge.refunded) {
+      tip.status = "refunded";
+    }
+    await tip.save();
+
+    await LedgerService.recordRefund({
+      creatorId: tip.creator,
+      payerId: tip.tipper,
+      amount: refundedNow,
+      currency: tip.currency,
+      externalId: `${charge.id}:${charge.amount_refunded}`,
+      originalTransaction:
+        await LedgerService.findChargeByExternalId(paymentIntentId),
+      references: { tip: tip._id },
+      description: "Tip refund",
+    });
+
+    return tip;
+  }
+}
+
+module.exports = TipService;
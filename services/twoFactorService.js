@@ -0,0 +1,311 @@
+const crypto = require("crypto");
+const util = require("util");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user_model");
+const Admin = require("../models/admins_model");
+const SessionService = require("./sessionService");
+const { encrypt, decrypt } = require("../utils/encryption");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+} = require("../utils/totp");
+
+const BACKUP_CODE_COUNT = 10;
+const SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+// Secrets are encrypted with their own keys (TWO_FACTOR_ENCRYPTION_KEYS)
+const KEYRING = "two_factor";
+
+const scrypt = util.promisify(crypto.scrypt);
+
+// Backup codes look like "a1b2-c3d4-e5f6-a7b8"; dashes, spaces and case are
+// ignored
+const normalizeBackupCode = (code) =>
+  String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+
+// Stored as "scrypt:<salt>:<hash>". Codes generated together share a salt,
+// so checking a code takes one hash.
+const hashBackupCode = async (code, salt) => {
+  const hash = await scrypt(normalizeBackupCode(code), salt, 32);
+  return `scrypt:${salt}:${hash.toString("hex")}`;
+};
+
+const getSalt = (codeHash) => String(codeHash).split(":")[1];
+
+class TwoFactorService {
+  static getIssuer() {
+    return process.env.TWO_FACTOR_ISSUER || "TunFans";
+  }
+
+  // How long a login challenge can be answered
+  static getChallengeTtl() {
+    return process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+  }
+
+  // Admins can't sign in or use admin routes without 2FA
+  static isRequired(account) {
+    return account.role === "admin";
+  }
+
+  static isEnabled(account) {
+    return Boolean(account.twoFactor && account.twoFactor.enabled);
+  }
+
+  static getModel(accountModel) {
+    return accountModel === "Admin" ? Admin : User;
+  }
+
+  // Reload an account with its 2FA secrets
+  static loadWithSecrets(accountModel, accountId) {
+    return TwoFactorService.getModel(accountModel)
+      .findById(accountId)
+      .select(SECRET_FIELDS);
+  }
+
+  // Short-lived token for the second login step ("login") or, for accounts
+  // that must enroll first, for enrollment ("setup"). It has no session id,
+  // so it is never accepted as an access token.
+  static createChallenge(account, purpose) {
+    return jwt.sign(
+      {
+        id: account._id.toString(),
+        accountModel: account.constructor.modelName,
+        purpose: `2fa_${purpose}`,
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: TwoFactorService.getChallengeTtl() }
+    );
+  }
+
+  // Account a challenge token was issued for, or null
+  static async verifyChallenge(token, purpose) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (decoded.purpose !== `2fa_${purpose}`) {
+      return null;
+    }
+
+    const account = await TwoFactorService.loadWithSecrets(
+      decoded.accountModel,
+      decoded.id
+    );
+    if (!account || account.isActive === false) {
+      return null;
+    }
+    return account;
+  }
+
+  // Finish a password login: either start a session or ask for a code.
+  // Returns session tokens, or { twoFactorRequired | twoFactorSetupRequired,
+  // challengeToken }.
+  static async beginLogin(account, req) {
+    if (TwoFactorService.isEnabled(account)) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallenge(account, "login"),
+      };
+    }
+
+    if (TwoFactorService.isRequired(account)) {
+      return {
+        twoFactorSetupRequired: true,
+        challengeToken: TwoFactorService.createChallenge(account, "setup"),
+      };
+    }
+
+    return SessionService.createSession(account, req);
+  }
+
+  // New backup codes; only their hashes are kept
+  static async generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () =>
+      crypto.randomBytes(8).toString("hex").match(/.{4}/g).join("-")
+    );
+    const salt = crypto.randomBytes(16).toString("hex");
+
+    return {
+      codes,
+      stored: await Promise.all(
+        codes.map(async (code) => ({
+          codeHash: await hashBackupCode(code, salt),
+        }))
+      ),
+    };
+  }
+
+  // Hash of the unused backup code matching `code`, or null
+  static async findBackupCode(account, code) {
+    const unused = (account.twoFactor.backupCodes || []).filter(
+      (backupCode) => !backupCode.usedAt
+    );
+    const salts = new Set(
+      unused.map((backupCode) => getSalt(backupCode.codeHash))
+    );
+
+    for (const salt of salts) {
+      const codeHash = await hashBackupCode(code, salt);
+      if (unused.some((backupCode) => backupCode.codeHash === codeHash)) {
+        return codeHash;
+      }
+    }
+    return null;
+  }
+
+  // Create a secret for the account to add to its authenticator app. It
+  // takes effect once confirmed with a code. Returns
+  // { secret, otpauthUri } or { error }.
+  static async startEnrollment(account) {
+    if (TwoFactorService.isEnabled(account)) {
+      return { error: "Two-factor authentication is already enabled" };
+    }
+
+    const secret = generateSecret();
+    account.twoFactor.pendingSecret = encrypt(secret, KEYRING);
+    await account.save();
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: account.email || account.username,
+        issuer: TwoFactorService.getIssuer(),
+      }),
+    };
+  }
+
+  // Turn 2FA on with the first code from the app. Returns
+  // { backupCodes } (shown once) or { error }.
+  static async confirmEnrollment(account, code, now = new Date()) {
+    if (TwoFactorService.isEnabled(account)) {
+      return { error: "Two-factor authentication is already enabled" };
+    }
+    if (!account.twoFactor.pendingSecret) {
+      return { error: "Start two-factor setup first" };
+    }
+
+    const secret = decrypt(account.twoFactor.pendingSecret, KEYRING);
+    const step = verifyCode(secret, code, { now });
+    if (step === null) {
+      return { error: "Invalid verification code" };
+    }
+
+    const { codes, stored } = await TwoFactorService.generateBackupCodes();
+    account.twoFactor.secret = account.twoFactor.pendingSecret;
+    account.twoFactor.pendingSecret = undefined;
+    account.twoFactor.enabled = true;
+    account.twoFactor.enabledAt = now;
+    account.twoFactor.lastUsedStep = step;
+    account.twoFactor.backupCodes = stored;
+    await account.save();
+
+    return { backupCodes: codes };
+  }
+
+  // Check an authenticator code or a backup code. Each is accepted once.
+  // Returns { method, backupCodesRemaining } or null.
+  static async verify(account, code, now = new Date()) {
+    if (!TwoFactorService.isEnabled(account)) {
+      return null;
+    }
+    const Model = account.constructor;
+
+    const secret = decrypt(account.twoFactor.secret, KEYRING);
+    const step = verifyCode(secret, code, { now });
+    if (step !== null) {
+      // Atomic so the same code can't be used twice in parallel
+      const updated = await Model.findOneAndUpdate(
+        {
+          _id: account._id,
+          $or: [
+            { "twoFactor.lastUsedStep": { $lt: step } },
+            { "twoFactor.lastUsedStep": null },
+          ],
+        },
+        { "twoFactor.lastUsedStep": step }
+      );
+      return updated ? { method: "totp" } : null;
+    }
+
+    const codeHash = await TwoFactorService.findBackupCode(account, code);
+    if (!codeHash) {
+      return null;
+    }
+
+    const updated = await Model.findOneAndUpdate(
+      {
+        _id: account._id,
+        "twoFactor.backupCodes": {
+          $elemMatch: { codeHash, usedAt: null },
+        },
+      },
+      { $set: { "twoFactor.backupCodes.$.usedAt": now } },
+      { new: true }
+    ).select("+twoFactor.backupCodes");
+    if (!updated) {
+      return null;
+    }
+
+    return {
+      method: "backup_code",
+      backupCodesRemaining: TwoFactorService.countBackupCodes(updated),
+    };
+  }
+
+  static countBackupCodes(account) {
+    return (account.twoFactor.backupCodes || []).filter(
+      (backupCode) => !backupCode.usedAt
+    ).length;
+  }
+
+  // Replace all backup codes after checking a current code. Returns
+  // { backupCodes } or { error }.
+  static async regenerateBackupCodes(account, code, now = new Date()) {
+    if (!(await TwoFactorService.verify(account, code, now))) {
+      return { error: "Invalid verification code" };
+    }
+
+    const { codes, stored } = await TwoFactorService.generateBackupCodes();
+    await account.constructor.updateOne(
+      { _id: account._id },
+      { "twoFactor.backupCodes": stored }
+    );
+
+    return { backupCodes: codes };
+  }
+
+  // Turn 2FA off after checking a current code. Not allowed where it is
+  // mandatory. Returns { disabled: true } or { error }.
+  static async disable(account, code, now = new Date()) {
+    if (TwoFactorService.isRequired(account)) {
+      return { error: "Two-factor authentication is required for admins" };
+    }
+    if (!(await TwoFactorService.verify(account, code, now))) {
+      return { error: "Invalid verification code" };
+    }
+
+    await account.constructor.updateOne(
+      { _id: account._id },
+      {
+        "twoFactor.enabled": false,
+        $unset: {
+          "twoFactor.enabledAt": "",
+          "twoFactor.secret": "",
+          "twoFactor.pendingSecret": "",
+          "twoFactor.backupCodes": "",
+          "twoFactor.lastUsedStep": "",
+        },
+      }
+    );
+
+    return { disabled: true };
+  }
+}
+
+module.exports = TwoFactorService;
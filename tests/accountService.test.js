@@ -0,0 +1,173 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, runHandler } = require("./helpers");
+
+const User = require("../models/user_model");
+const UserToken = require("../models/user_token_model");
+const AccountService = require("../services/accountService");
+const MailService = require("../services/mailService");
+const SessionService = require("../services/sessionService");
+const { forgotPassword } = require("../controllers/userController");
+
+const MINUTE_MS = 60 * 1000;
+
+const setup = (t) => {
+  const user = new User({
+    username: "fan",
+    email: "fan@example.com",
+    password: "old-password",
+    firstName: "Fan",
+    lastName: "Example",
+    dateOfBirth: new Date("2000-01-01"),
+    role: "user",
+  });
+  const users = memoryModel(t, User, [user]);
+  const tokens = memoryModel(t, UserToken);
+  const sent = [];
+  t.mock.method(MailService, "send", async (message) => {
+    sent.push(message);
+    return { messageId: "<1@example.com>" };
+  });
+  t.mock.method(SessionService, "revokeAllSessions", async () => null);
+  return { user, users, tokens, sent };
+};
+
+// The token in the link of an email
+const tokenFrom = (message) =>
+  new URL(message.text.match(/https?:\/\/\S+/)[0]).searchParams.get("token");
+
+describe("account tokens", () => {
+  test("only a hash of the token is stored and a new one replaces it", async (t) => {
+    const { user, tokens } = setup(t);
+
+    const first = await AccountService.issueToken(
+      user,
+      "password_reset",
+      60000
+    );
+    const second = await AccountService.issueToken(
+      user,
+      "password_reset",
+      60000
+    );
+
+    const [stored] = tokens.all();
+    assert.equal(tokens.all().length, 1);
+    assert.equal(stored.tokenHash, AccountService.hashToken(second));
+    assert.notEqual(stored.tokenHash, second);
+    assert.equal(
+      await AccountService.consumeToken(first, "password_reset"),
+      null
+    );
+  });
+
+  test("a token works once and only until it expires", async (t) => {
+    const { user } = setup(t);
+    const now = new Date("2026-01-01T00:00:00Z");
+    const later = new Date(now.getTime() + 61 * MINUTE_MS);
+
+    const expiring = await AccountService.issueToken(
+      user,
+      "email_verification",
+      60 * MINUTE_MS,
+      now
+    );
+    assert.equal(
+      await AccountService.consumeToken(expiring, "email_verification", later),
+      null
+    );
+
+    const token = await AccountService.issueToken(
+      user,
+      "password_reset",
+      60 * MINUTE_MS,
+      now
+    );
+    // Tokens are only good for the purpose they were issued for
+    assert.equal(
+      await AccountService.consumeToken(token, "account_unlock", now),
+      null
+    );
+
+    const record = await AccountService.consumeToken(
+      token,
+      "password_reset",
+      now
+    );
+    assert.equal(record.user.toString(), user._id.toString());
+    assert.deepEqual(record.usedAt, now);
+    assert.equal(
+      await AccountService.consumeToken(token, "password_reset", now),
+      null
+    );
+  });
+});
+
+describe("password reset", () => {
+  test("the emailed link sets a new password once and signs out everywhere", async (t) => {
+    const { user, users, sent } = setup(t);
+
+    await AccountService.requestPasswordReset("Fan@Example.com");
+    const [message] = sent;
+    assert.equal(message.to, "fan@example.com");
+    const token = tokenFrom(message);
+
+    const now = new Date();
+    const { user: updated } = await AccountService.resetPassword(
+      token,
+      "new-password",
+      now
+    );
+    assert.equal(updated._id.toString(), user._id.toString());
+    assert.equal(await users.get(user._id).matchPassword("new-password"), true);
+    assert.deepEqual(users.get(user._id).passwordChangedAt, now);
+    assert.equal(SessionService.revokeAllSessions.mock.callCount(), 1);
+    assert.equal(sent.at(-1).subject, "Your password was changed");
+
+    assert.deepEqual(
+      await AccountService.resetPassword(token, "another-password"),
+      { error: "This reset link is invalid or has expired" }
+    );
+    assert.equal(await users.get(user._id).matchPassword("new-password"), true);
+  });
+
+  test("an expired link is refused", async (t) => {
+    const { user, users, sent } = setup(t);
+
+    await AccountService.requestPasswordReset(user.email);
+    const expiry = new Date(
+      Date.now() + AccountService.getResetTtlMinutes() * MINUTE_MS
+    );
+
+    assert.deepEqual(
+      await AccountService.resetPassword(
+        tokenFrom(sent[0]),
+        "new-password",
+        expiry
+      ),
+      { error: "This reset link is invalid or has expired" }
+    );
+    assert.equal(users.get(user._id).password, "old-password");
+  });
+
+  test("the answer is the same for unknown addresses and mail failures", async (t) => {
+    const { tokens } = setup(t);
+    t.mock.method(console, "error", () => {});
+
+    const unknown = await runHandler(forgotPassword, {
+      body: { email: "nobody@example.com" },
+    });
+    assert.equal(tokens.all().length, 0);
+
+    MailService.send.mock.mockImplementation(async () => {
+      throw new Error("SMTP error 421: Service not available");
+    });
+    const failed = await runHandler(forgotPassword, {
+      body: { email: "fan@example.com" },
+    });
+    assert.equal(tokens.all().length, 1);
+
+    assert.equal(unknown.status, 200);
+    assert.deepEqual(failed, unknown);
+  });
+});
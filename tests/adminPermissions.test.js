@@ -0,0 +1,95 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, runHandler } = require("./helpers");
+
+const Admin = require("../models/admins_model");
+const {
+  adminOnly,
+  requirePermission,
+} = require("../middleware/authMiddleware");
+const { updateAdminRole } = require("../controllers/adminController");
+const {
+  PERMISSIONS,
+  getPermissions,
+  hasPermission,
+} = require("../utils/adminPermissions");
+
+// Run a middleware; resolves with the error it passed on, if any
+const check = (middleware, req) =>
+  new Promise((resolve) => middleware(req, {}, resolve));
+
+const newAdmin = (username, adminRole) =>
+  new Admin({
+    username,
+    password: "hashed",
+    adminRole,
+    twoFactor: { enabled: true },
+  });
+
+describe("admin roles", () => {
+  test("each role only gets the permissions it lists", () => {
+    assert.deepEqual(getPermissions("super_admin"), PERMISSIONS);
+    assert.equal(hasPermission("support", "refunds:manage"), true);
+    assert.equal(hasPermission("support", "payouts:manage"), false);
+    assert.equal(hasPermission("moderator", "invoices:view"), false);
+    assert.equal(hasPermission("finance", "admins:manage"), false);
+    // Admins without a role can do nothing
+    assert.deepEqual(getPermissions(undefined), []);
+  });
+
+  test("routes refuse admins missing the permission", async () => {
+    const manageAdmins = requirePermission("admins:manage");
+
+    const denied = await check(manageAdmins, {
+      user: newAdmin("finance", "finance"),
+    });
+    const allowed = await check(manageAdmins, {
+      user: newAdmin("root", "super_admin"),
+    });
+
+    assert.equal(denied.status, 403);
+    assert.equal(
+      denied.message,
+      "Access denied. Missing permission: admins:manage"
+    );
+    assert.equal(allowed, undefined);
+  });
+
+  test("admin routes need two-factor authentication", async () => {
+    const admin = newAdmin("root", "super_admin");
+    admin.twoFactor.enabled = false;
+
+    const error = await check(adminOnly, { user: admin, userRole: "admin" });
+
+    assert.equal(error.status, 403);
+    assert.equal(
+      error.message,
+      "Two-factor authentication must be enabled for admins."
+    );
+  });
+
+  test("the last active super admin keeps the role", async (t) => {
+    const root = newAdmin("root", "super_admin");
+    const backup = newAdmin("backup", "super_admin");
+    backup.isActive = false;
+    const admins = memoryModel(t, Admin, [root, backup]);
+    const demote = (admin) =>
+      runHandler(updateAdminRole, {
+        params: { adminId: admin._id.toString() },
+        body: { adminRole: "finance" },
+        user: root,
+      });
+
+    const { error } = await demote(root);
+    assert.equal(error.status, 400);
+    assert.equal(error.message, "At least one active super admin is required");
+
+    const restored = admins.get(backup._id);
+    restored.isActive = true;
+    await restored.save();
+    const { body } = await demote(root);
+    assert.equal(body.data.adminRole, "finance");
+    assert.deepEqual(body.data.permissions, getPermissions("finance"));
+    assert.equal(admins.get(root._id).adminRole, "finance");
+  });
+});
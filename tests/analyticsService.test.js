@@ -0,0 +1,73 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel } = require("./helpers");
+
+const mongoose = require("mongoose");
+const Subscription = require("../models/subscription_model");
+const Post = require("../models/post_model");
+const ViewEvent = require("../models/view_event_model");
+const AnalyticsService = require("../services/analyticsService");
+const LedgerService = require("../services/ledgerService");
+
+const { ObjectId } = mongoose.Types;
+
+const day = (date) =>
+  new Date(`2026-01-${String(date).padStart(2, "0")}T12:00:00Z`);
+
+describe("creator analytics overview", () => {
+  test("abandoned checkouts are neither gained nor lost subscribers", async (t) => {
+    const creator = new ObjectId();
+    const subscription = (fields) => ({
+      subscriber: new ObjectId(),
+      creator,
+      subscriptionPrice: 10000,
+      ...fields,
+    });
+    memoryModel(t, Subscription, [
+      // Subscribed before the range, cancelled and lapsed on the 20th
+      subscription({
+        status: "expired",
+        activatedAt: new Date("2025-12-20T00:00:00Z"),
+        startDate: new Date("2025-12-20T00:00:00Z"),
+        endDate: day(20),
+      }),
+      // Subscribed on the 5th, still running
+      subscription({
+        status: "active",
+        activatedAt: day(5),
+        startDate: day(5),
+        endDate: new Date("2026-02-05T12:00:00Z"),
+      }),
+      // Checkout on the 8th that was never paid
+      subscription({
+        status: "cancelled",
+        cancelReason: "Checkout abandoned",
+        startDate: day(8),
+        endDate: day(8),
+      }),
+    ]);
+    t.mock.method(LedgerService, "getCreatorEarningsSeries", async () => []);
+    t.mock.method(ViewEvent, "aggregate", async () => []);
+    t.mock.method(Post, "aggregate", async () => []);
+
+    const { summary, series } = await AnalyticsService.getOverview(
+      creator,
+      {
+        from: new Date("2026-01-01T00:00:00Z"),
+        to: new Date("2026-02-01T00:00:00Z"),
+        interval: "day",
+      },
+      new Date("2026-02-01T00:00:00Z")
+    );
+
+    assert.equal(summary.subscribersAtStart, 1);
+    assert.equal(summary.newSubscribers, 1);
+    assert.equal(summary.lostSubscribers, 1);
+    assert.equal(summary.subscribersAtEnd, 1);
+    assert.equal(summary.churnRate, 0.5);
+
+    const point = series.find((item) => item.period === "2026-01-08");
+    assert.equal(point.newSubscribers, 0);
+    assert.equal(point.lostSubscribers, 0);
+  });
+});
@@ -0,0 +1,157 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel } = require("./helpers");
+
+const express = require("express");
+const mongoose = require("mongoose");
+const Admin = require("../models/admins_model");
+const AuditLog = require("../models/audit_log_model");
+const SessionService = require("../services/sessionService");
+const AuditService = require("../services/auditService");
+const adminRouter = require("../routes/admin");
+
+const { ObjectId } = mongoose.Types;
+
+const newAdmin = (username, adminRole) =>
+  new Admin({
+    username,
+    password: "hashed",
+    adminRole,
+    twoFactor: { enabled: true },
+  });
+
+describe("audit log entries", () => {
+  test("only the fields that changed are kept", () => {
+    const req = {};
+    const payoutId = new ObjectId();
+
+    AuditService.setContext(req, {
+      action: "payout.approve",
+      targetType: "Payout",
+      targetId: payoutId,
+      before: { status: "pending", amount: 5000 },
+      after: { status: "approved", amount: 5000 },
+      metadata: { note: "checked" },
+    });
+    AuditService.setContext(req, { metadata: { batch: 1 } });
+
+    assert.equal(req.audit.action, "payout.approve");
+    assert.deepEqual(req.audit.changes, [
+      { field: "status", before: "pending", after: "approved" },
+    ]);
+    assert.deepEqual(req.audit.metadata, { note: "checked", batch: 1 });
+  });
+
+  test("entries can't be edited or deleted", async (t) => {
+    // Refused by the query middleware before anything reaches the database
+    await assert.rejects(AuditLog.updateOne({}, { action: "x" }), {
+      message: "Audit log entries cannot be modified or deleted",
+    });
+    await assert.rejects(AuditLog.deleteMany({}), {
+      message: "Audit log entries cannot be modified or deleted",
+    });
+
+    const entry = new AuditLog({ actor: new ObjectId(), action: "GET /x" });
+    const entries = memoryModel(t, AuditLog, [entry]);
+    const saved = entries.get(entry._id);
+    saved.action = "something else";
+    await assert.rejects(saved.save(), {
+      message: "Audit log entries cannot be modified",
+    });
+  });
+
+  test("a failed write doesn't fail the admin request", async (t) => {
+    t.mock.method(AuditLog, "create", async () => {
+      throw new Error("disk full");
+    });
+    t.mock.method(console, "error", () => {});
+
+    assert.equal(
+      await AuditService.record({ actor: new ObjectId(), action: "GET /x" }),
+      null
+    );
+    assert.equal(console.error.mock.callCount(), 1);
+  });
+});
+
+describe("admin request audit", () => {
+  // Serve the admin routes with `admin` signed in; resolves with `send`
+  // making requests and the entries recorded so far
+  const serve = async (t, admin) => {
+    t.mock.method(SessionService, "verifyAccessToken", async () => ({
+      user: admin,
+      role: "admin",
+      session: { _id: new ObjectId() },
+    }));
+    const entries = [];
+    t.mock.method(AuditService, "record", async (entry) => entries.push(entry));
+    const app = express();
+    app.use(express.json());
+    app.use("/api/admin", adminRouter);
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const { port } = server.address();
+    const send = async (method, path, body) => {
+      const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+        method,
+        headers: {
+          authorization: "Bearer token",
+          "content-type": "application/json",
+          "user-agent": "audit-test",
+        },
+        body: body && JSON.stringify(body),
+      });
+      await response.text();
+      // The entry is written once the response has been sent
+      await new Promise((resolve) => setImmediate(resolve));
+      return response;
+    };
+    return { send, entries };
+  };
+
+  test("changes are recorded with the action, target and fields", async (t) => {
+    const root = newAdmin("root", "super_admin");
+    const support = newAdmin("helper", "support");
+    memoryModel(t, Admin, [root, support]);
+    const { send, entries } = await serve(t, root);
+
+    const response = await send(
+      "PUT",
+      `/api/admin/admins/${support._id}/role`,
+      { adminRole: "finance" }
+    );
+
+    assert.equal(response.status, 200);
+    assert.equal(entries.length, 1);
+    const [entry] = entries;
+    assert.equal(entry.actor, root._id);
+    assert.equal(entry.actorUsername, "root");
+    assert.equal(entry.actorRole, "super_admin");
+    assert.equal(entry.action, "admin.role_update");
+    assert.equal(entry.targetType, "Admin");
+    assert.equal(entry.targetId, support._id.toString());
+    assert.deepEqual(entry.changes, [
+      { field: "adminRole", before: "support", after: "finance" },
+    ]);
+    assert.equal(entry.statusCode, 200);
+    assert.equal(entry.userAgent, "audit-test");
+  });
+
+  test("denied requests are recorded too, named after the route", async (t) => {
+    const support = newAdmin("helper", "support");
+    memoryModel(t, Admin, [support]);
+    t.mock.method(console, "error", () => {});
+    const { send, entries } = await serve(t, support);
+
+    const response = await send("GET", "/api/admin/admins?page=2");
+
+    assert.equal(response.status, 403);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].action, "GET /api/admin/admins");
+    assert.equal(entries[0].path, "/api/admin/admins");
+    assert.equal(entries[0].statusCode, 403);
+    assert.equal(entries[0].changes, undefined);
+  });
+});
@@ -0,0 +1,139 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, silence } = require("./helpers");
+
+const mongoose = require("mongoose");
+const User = require("../models/user_model");
+const Bundle = require("../models/bundle_model");
+const Subscription = require("../models/subscription_model");
+const Payment = require("../models/payment_model");
+const StripeService = require("../services/stripeService");
+const LedgerService = require("../services/ledgerService");
+const NotificationService = require("../services/notificationService");
+const BundleService = require("../services/bundleService");
+
+const { ObjectId } = mongoose.Types;
+
+const setup = (t) => {
+  const [owner, partner, guest] = ["owner", "partner", "guest"].map(
+    (username) =>
+      new User({
+        username,
+        email: `${username}@example.com`,
+        role: "creator",
+      })
+  );
+  const members = [
+    { creatorId: owner._id, sharePercent: 50 },
+    { creatorId: partner._id, sharePercent: 30 },
+    { creatorId: guest._id, sharePercent: 20 },
+  ];
+  const bundle = new Bundle({
+    owner: owner._id,
+    name: "Tunis creators",
+    price: 25000,
+    currency: "tnd",
+    durationMonths: 1,
+    members: BundleService.buildMembers(owner._id, members),
+  });
+  const users = memoryModel(t, User, [owner, partner, guest]);
+  const bundles = memoryModel(t, Bundle, [bundle]);
+  silence(t, NotificationService, [
+    "createBundleResponseNotification",
+    "createSubscriptionNotification",
+    "createPaymentReceivedNotification",
+  ]);
+  return { owner, partner, guest, members, bundle, users, bundles };
+};
+
+describe("bundles", () => {
+  test("members and shares are checked", (t) => {
+    const { owner, members } = setup(t);
+
+    assert.equal(BundleService.checkMembers(owner._id, members), null);
+    assert.equal(
+      BundleService.checkMembers(owner._id, members.slice(0, 1)),
+      "A bundle needs between 2 and 10 creators"
+    );
+    assert.equal(
+      BundleService.checkMembers(owner._id, [members[0], members[0]]),
+      "Each creator can only appear once in a bundle"
+    );
+    assert.equal(
+      BundleService.checkMembers(new ObjectId(), members),
+      "You must be one of the bundle's creators"
+    );
+    assert.equal(
+      BundleService.checkMembers(owner._id, [
+        members[0],
+        { ...members[1], sharePercent: 10 },
+      ]),
+      "Revenue shares must add up to 100%"
+    );
+  });
+
+  test("a bundle goes on sale once every creator accepted", async (t) => {
+    const { partner, guest, bundle, bundles } = setup(t);
+
+    assert.deepEqual(await BundleService.publish(bundle), {
+      error: "Every creator has to accept the bundle first",
+    });
+
+    await BundleService.respond(bundle, partner._id, true);
+    // A creator answers once
+    assert.equal(await BundleService.respond(bundle, partner._id, false), null);
+    const answered = await BundleService.respond(bundle, guest._id, true);
+    const { bundle: published } = await BundleService.publish(answered);
+
+    assert.equal(published.status, "active");
+    assert.equal(bundles.get(bundle._id).status, "active");
+  });
+
+  test("a declined invitation keeps the bundle off sale", async (t) => {
+    const { partner, guest, bundle } = setup(t);
+    await BundleService.respond(bundle, partner._id, true);
+    const declined = await BundleService.respond(bundle, guest._id, false);
+
+    assert.equal(declined.findMember(guest._id).status, "declined");
+    assert.deepEqual(await BundleService.publish(declined), {
+      error: "Every creator has to accept the bundle first",
+    });
+  });
+
+  test("a paid bundle subscription credits every creator their share", async (t) => {
+    const { owner, partner, guest, bundle, users } = setup(t);
+    const fan = { _id: new ObjectId(), email: "fan@example.com" };
+    const subscriptions = memoryModel(t, Subscription);
+    memoryModel(t, Payment);
+    t.mock.method(StripeService, "createPayment", async () => ({
+      providerPaymentId: "pi_1",
+      clientSecret: "secret",
+    }));
+    const charges = t.mock.method(LedgerService, "recordCharge", async () => ({
+      _id: "charge",
+    }));
+
+    const { subscription } = await BundleService.startSubscription(fan, bundle);
+    await BundleService.handlePaymentIntentSucceeded({
+      id: "pi_1",
+      amount_received: 25000,
+      metadata: { bundleSubscriptionId: subscription._id.toString() },
+    });
+
+    assert.equal(subscriptions.get(subscription._id).status, "active");
+    assert.equal(subscriptions.get(subscription._id).autoRenew, false);
+    assert.deepEqual(
+      charges.mock.calls[0].arguments[0].splits.map(
+        ({ creatorId, percent }) => [creatorId.toString(), percent]
+      ),
+      [
+        [owner._id.toString(), 50],
+        [partner._id.toString(), 30],
+        [guest._id.toString(), 20],
+      ]
+    );
+    for (const creator of [owner, partner, guest]) {
+      assert.equal(users.get(creator._id).subscriberCount, 1);
+    }
+  });
+});
@@ -0,0 +1,77 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { setEnv } = require("./helpers");
+
+const ExchangeRateService = require("../services/exchangeRateService");
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  toStripeAmount,
+  formatMoney,
+  checkAmount,
+  getCurrency,
+} = require("../utils/currency");
+
+describe("currencies", () => {
+  test("dinars are counted in millimes, euros in cents", () => {
+    assert.equal(toMinorUnits(12.5, "tnd"), 12500);
+    assert.equal(toMinorUnits("9.99", "EUR"), 999);
+    assert.equal(fromMinorUnits(12500, "tnd"), 12.5);
+    assert.equal(formatMoney(12500, "tnd"), "12.500 TND");
+    assert.equal(formatMoney(999, "usd"), "9.99 USD");
+    assert.throws(() => getCurrency("gbp"), {
+      message: "Unsupported currency: gbp",
+    });
+  });
+
+  test("dinar amounts go to Stripe in whole 10 millimes", () => {
+    assert.equal(toStripeAmount(12345, "tnd"), 12350);
+    assert.equal(toStripeAmount(12345, "eur"), 12345);
+
+    assert.equal(checkAmount(5000, "tnd", { min: 1, max: 1000 }), null);
+    assert.equal(
+      checkAmount(5005, "tnd", { min: 1, max: 1000, label: "Price" }),
+      "Price must be a multiple of 0.010 TND"
+    );
+    assert.equal(
+      checkAmount(50, "eur", { min: 1, max: 1000, label: "Price" }),
+      "Price must be between 1.00 EUR and 1000.00 EUR"
+    );
+  });
+});
+
+describe("exchange rates", () => {
+  // Pick the provider named `name` (the fixture by default) for test `t`
+  const useProvider = (t, name) => {
+    setEnv(t, { EXCHANGE_RATE_PROVIDER: name });
+    ExchangeRateService.setProvider(null);
+    t.after(() => ExchangeRateService.setProvider(null));
+  };
+
+  test("amounts convert between minor units at the fixture rates", async (t) => {
+    useProvider(t);
+
+    assert.equal(await ExchangeRateService.convert(1000, "eur", "tnd"), 34200);
+    assert.equal(await ExchangeRateService.convert(34200, "tnd", "eur"), 1000);
+    assert.equal(await ExchangeRateService.convert(777, "usd", "usd"), 777);
+  });
+
+  test("totals in several currencies add up in the base currency", async (t) => {
+    useProvider(t);
+    setEnv(t, { PLATFORM_BASE_CURRENCY: "tnd" });
+
+    assert.deepEqual(
+      await ExchangeRateService.toBaseCurrency({ tnd: 5000, eur: 1000 }),
+      { currency: "tnd", amount: 39200 }
+    );
+  });
+
+  test("another rate source can be plugged in", async (t) => {
+    useProvider(t, "fixed");
+    ExchangeRateService.registerProvider("fixed", () => ({
+      getRate: async () => 2,
+    }));
+
+    assert.equal(await ExchangeRateService.convert(1000, "eur", "usd"), 2000);
+  });
+});
@@ -0,0 +1,129 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { matches } = require("./helpers");
+
+const User = require("../models/user_model");
+const Subscription = require("../models/subscription_model");
+const Post = require("../models/post_model");
+const Message = require("../models/message_model");
+const DashboardService = require("../services/dashboardService");
+const LedgerService = require("../services/ledgerService");
+const {
+  bucketKey,
+  listBuckets,
+  resolveRange,
+} = require("../utils/timeBuckets");
+
+// Count `docs` per day like countByBucket's pipeline does: the date field is
+// the one the $match limits to the range
+const countPerDay = (docs) => async (pipeline) => {
+  const match = pipeline[0].$match;
+  const field = Object.keys(match).find((key) => match[key]?.$gte);
+  const counts = {};
+  for (const doc of docs.filter((item) => matches(item, match))) {
+    const key = bucketKey(doc[field], "day");
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return Object.entries(counts).map(([_id, count]) => ({ _id, count }));
+};
+
+const day = (date) => new Date(`2026-01-${date}T12:00:00Z`);
+
+describe("admin dashboard overview", () => {
+  test("abandoned checkouts count as neither new nor cancelled subscriptions", async (t) => {
+    const subscriptions = [
+      // Paid, then cancelled by the subscriber
+      {
+        status: "cancelled",
+        createdAt: day(10),
+        activatedAt: day(10),
+        totalPaid: 10000,
+        cancelledAt: day(20),
+      },
+      // Checkout given up before paying
+      {
+        status: "cancelled",
+        createdAt: day(12),
+        totalPaid: 0,
+        cancelledAt: day(12),
+        cancelReason: "Checkout abandoned",
+      },
+      // Paid before activatedAt was recorded
+      {
+        status: "active",
+        createdAt: day(15),
+        totalPaid: 10000,
+        lastPaymentDate: day(15),
+      },
+      // Started as a free trial
+      { status: "active", createdAt: day(16), activatedAt: day(16) },
+    ];
+    t.mock.method(Subscription, "aggregate", countPerDay(subscriptions));
+    for (const Model of [User, Post, Message]) {
+      t.mock.method(Model, "aggregate", async () => []);
+    }
+    t.mock.method(User, "countDocuments", async () => 0);
+    t.mock.method(LedgerService, "getRevenueSeries", async () => []);
+    t.mock.method(DashboardService, "countActiveCreators", async () => 0);
+    t.mock.method(DashboardService, "getPendingPayouts", async () => ({
+      count: 0,
+      byCurrency: [],
+    }));
+
+    const overview = await DashboardService.getOverview({
+      from: new Date("2026-01-01T00:00:00Z"),
+      to: new Date("2026-02-01T00:00:00Z"),
+      interval: "day",
+    });
+
+    assert.equal(overview.summary.newSubscriptions, 3);
+    assert.equal(overview.summary.cancelledSubscriptions, 1);
+
+    const point = (date) =>
+      overview.series.find((item) => item.period === `2026-01-${date}`);
+    assert.equal(point(12).newSubscriptions, 0);
+    assert.equal(point(12).cancelledSubscriptions, 0);
+    assert.equal(point(20).cancelledSubscriptions, 1);
+  });
+});
+
+describe("report ranges", () => {
+  test("the last 30 days by day unless asked otherwise", () => {
+    const now = new Date("2026-02-01T00:00:00Z");
+
+    assert.deepEqual(resolveRange({}, now), {
+      from: new Date("2026-01-02T00:00:00Z"),
+      to: now,
+      interval: "day",
+    });
+    assert.deepEqual(resolveRange({ from: now, to: day(10) }), {
+      error: "Start date must be before end date",
+    });
+    assert.deepEqual(
+      resolveRange({ from: new Date("2024-01-01T00:00:00Z"), to: now }),
+      { error: "Date range has too many points, use a larger interval" }
+    );
+    assert.equal(
+      resolveRange({
+        from: new Date("2024-01-01T00:00:00Z"),
+        to: now,
+        interval: "week",
+      }).error,
+      undefined
+    );
+  });
+
+  test("buckets follow calendar days, ISO weeks and months", () => {
+    const from = new Date("2025-12-30T18:00:00Z");
+    const to = new Date("2026-01-06T00:00:00Z");
+
+    assert.equal(listBuckets(from, to, "day").length, 7);
+    // 2026-01-01 is a Thursday, so its week is the year's first
+    assert.deepEqual(listBuckets(from, to, "week"), ["2026-W01", "2026-W02"]);
+    assert.deepEqual(listBuckets(from, to, "month"), ["2025-12", "2026-01"]);
+    assert.equal(
+      bucketKey(new Date("2027-01-01T00:00:00Z"), "week"),
+      "2026-W53"
+    );
+  });
+});
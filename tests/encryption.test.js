@@ -0,0 +1,109 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { memoryModel, setEnv } = require("./helpers");
+
+const User = require("../models/user_model");
+const {
+  encrypt,
+  decrypt,
+  getKeyId,
+  needsReEncryption,
+} = require("../utils/encryption");
+const {
+  decryptAccountDetails,
+  maskAccountDetails,
+} = require("../utils/payoutMethods");
+
+const key = () => crypto.randomBytes(32).toString("base64");
+
+describe("field encryption", () => {
+  test("values round-trip and are never stored in plain text", (t) => {
+    setEnv(t, {
+      PAYOUT_ENCRYPTION_KEYS: `k1:${key()}`,
+      PAYOUT_ENCRYPTION_KEY_ID: undefined,
+    });
+
+    const encrypted = encrypt("TN5901234567890123456789");
+
+    assert.match(encrypted, /^enc:v1:k1:/);
+    assert.ok(!encrypted.includes("1234567890"));
+    assert.notEqual(encrypt("TN5901234567890123456789"), encrypted);
+    assert.equal(decrypt(encrypted), "TN5901234567890123456789");
+    // Values that were never migrated still read
+    assert.equal(decrypt("1234"), "1234");
+  });
+
+  test("a tampered value fails to decrypt", (t) => {
+    setEnv(t, { PAYOUT_ENCRYPTION_KEYS: `k1:${key()}` });
+    const parts = encrypt("1234567890").split(":");
+    const ciphertext = Buffer.from(parts[5], "base64");
+    ciphertext[0] ^= 1;
+    parts[5] = ciphertext.toString("base64");
+
+    assert.throws(() => decrypt(parts.join(":")));
+  });
+
+  test("old keys still decrypt while values move to the current key", (t) => {
+    const oldKey = key();
+    setEnv(t, {
+      PAYOUT_ENCRYPTION_KEYS: `k1:${oldKey}`,
+      PAYOUT_ENCRYPTION_KEY_ID: undefined,
+    });
+    const old = encrypt("1234567890");
+    assert.equal(needsReEncryption(old), false);
+
+    process.env.PAYOUT_ENCRYPTION_KEYS = `k1:${oldKey},k2:${key()}`;
+    process.env.PAYOUT_ENCRYPTION_KEY_ID = "k2";
+
+    assert.equal(needsReEncryption(old), true);
+    assert.equal(needsReEncryption("1234567890"), true);
+    assert.equal(decrypt(old), "1234567890");
+    assert.equal(getKeyId(encrypt("1234567890")), "k2");
+
+    process.env.PAYOUT_ENCRYPTION_KEYS = `k2:${key()}`;
+    assert.throws(() => decrypt(old), {
+      message: "Unknown payout encryption key: k1",
+    });
+  });
+
+  test("bank details are encrypted when a creator saves them", async (t) => {
+    setEnv(t, { PAYOUT_ENCRYPTION_KEYS: `k1:${key()}` });
+    const creator = new User({
+      username: "creator",
+      email: "creator@example.com",
+      password: "password",
+      firstName: "Creator",
+      lastName: "Example",
+      dateOfBirth: new Date("1990-01-01"),
+      role: "creator",
+    });
+    const users = memoryModel(t, User, [creator]);
+
+    const account = users.get(creator._id);
+    account.payoutMethods.push({
+      type: "bank_account",
+      accountDetails: {
+        accountNumber: "12345678901234567890",
+        routingNumber: "08006",
+        accountHolderName: "Creator",
+      },
+    });
+    await account.save();
+
+    const [method] = users.get(creator._id).payoutMethods;
+    const stored = method.toObject().accountDetails;
+    assert.match(stored.accountNumber, /^enc:v1:k1:/);
+    assert.match(stored.routingNumber, /^enc:v1:k1:/);
+    assert.equal(stored.accountNumberLast4, "7890");
+    assert.deepEqual(maskAccountDetails("bank_account", stored), {
+      accountNumber: "***7890",
+      routingNumber: "***8006",
+      accountHolderName: "Creator",
+    });
+    assert.equal(
+      decryptAccountDetails(stored).accountNumber,
+      "12345678901234567890"
+    );
+  });
+});
@@ -0,0 +1,108 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel } = require("./helpers");
+
+const mongoose = require("mongoose");
+const User = require("../models/user_model");
+const Subscription = require("../models/subscription_model");
+const StripeService = require("../services/stripeService");
+const GiftService = require("../services/giftService");
+
+const { ObjectId } = mongoose.Types;
+
+const NOW = new Date("2026-01-15T00:00:00Z");
+
+const setup = (t, subscriptionFields) => {
+  const creator = new User({
+    username: "creator",
+    email: "creator@example.com",
+    role: "creator",
+    subscriberCount: 1,
+  });
+  const fan = new User({
+    username: "fan",
+    email: "fan@example.com",
+    role: "user",
+    subscriptionCount: 1,
+  });
+  const subscription = new Subscription({
+    subscriber: fan._id,
+    creator: creator._id,
+    subscriptionPrice: 10000,
+    currency: "tnd",
+    durationMonths: 1,
+    startDate: new Date("2026-01-01T00:00:00Z"),
+    endDate: new Date("2026-02-01T00:00:00Z"),
+    ...subscriptionFields,
+  });
+  const users = memoryModel(t, User, [creator, fan]);
+  const subscriptions = memoryModel(t, Subscription, [subscription]);
+  t.mock.method(StripeService, "deferBilling", async () => null);
+
+  const gift = {
+    _id: new ObjectId(),
+    creator: creator._id,
+    amount: 10000,
+    currency: "tnd",
+    tierLevel: 1,
+    durationMonths: 3,
+  };
+  return { creator, fan, subscription, gift, users, subscriptions };
+};
+
+describe("gift subscriptions", () => {
+  test("a cancelled subscription with time left is extended and runs again", async (t) => {
+    const { creator, fan, subscription, gift, users, subscriptions } = setup(
+      t,
+      {
+        status: "cancelled",
+        cancelledAt: new Date("2026-01-10T00:00:00Z"),
+        autoRenew: false,
+        activatedAt: new Date("2026-01-01T00:00:00Z"),
+        totalPaid: 10000,
+        paymentMethod: "stripe",
+        stripeSubscriptionId: "sub_1",
+      }
+    );
+
+    const result = await GiftService.provisionSubscription(gift, fan._id, NOW);
+
+    assert.equal(result.extended, true);
+    assert.equal(subscriptions.all().length, 1);
+    const extended = subscriptions.get(subscription._id);
+    assert.equal(extended.status, "active");
+    assert.equal(extended.autoRenew, false);
+    assert.equal(extended.nextBillingDate, undefined);
+    assert.deepEqual(extended.endDate, new Date("2026-05-01T00:00:00Z"));
+    // Stripe, set to cancel at the end of the period, stops at the new end
+    assert.deepEqual(StripeService.deferBilling.mock.calls[0].arguments, [
+      "sub_1",
+      new Date("2026-05-01T00:00:00Z"),
+    ]);
+    assert.equal(users.get(creator._id).subscriberCount, 1);
+    assert.equal(users.get(fan._id).subscriptionCount, 1);
+  });
+
+  test("an abandoned checkout is not extended", async (t) => {
+    const { creator, fan, subscription, gift, users, subscriptions } = setup(
+      t,
+      {
+        status: "cancelled",
+        cancelReason: "Checkout abandoned",
+        autoRenew: false,
+      }
+    );
+
+    const result = await GiftService.provisionSubscription(gift, fan._id, NOW);
+
+    assert.equal(result.extended, false);
+    assert.equal(subscriptions.get(subscription._id).status, "cancelled");
+    assert.equal(result.subscription.status, "active");
+    assert.deepEqual(
+      result.subscription.endDate,
+      new Date("2026-04-15T00:00:00Z")
+    );
+    assert.equal(users.get(creator._id).subscriberCount, 2);
+    assert.equal(StripeService.deferBilling.mock.callCount(), 0);
+  });
+});
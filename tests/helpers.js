@@ -0,0 +1,353 @@
+// Shared test setup. Tests run without a database: models are backed by an
+// in-memory store that understands the filters and updates the services use.
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || "sk_test_x";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+process.env.PLATFORM_FEE_PERCENT = "20";
+
+const mongoose = require("mongoose");
+
+// Anything that isn't stubbed must fail instead of waiting for a connection
+mongoose.set("bufferCommands", false);
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key.startsWith("$"));
+
+const sameValue = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) {
+    return new Date(a).getTime() === new Date(b).getTime();
+  }
+  return String(a) === String(b);
+};
+
+// Mongo equality: an array field matches when one of its items does
+const equals = (value, expected) =>
+  Array.isArray(value) && !Array.isArray(expected)
+    ? value.some((item) => sameValue(item, expected))
+    : sameValue(value, expected);
+
+const OPERATORS = {
+  $eq: (value, expected) => equals(value, expected),
+  $ne: (value, expected) => !equals(value, expected),
+  $in: (value, list) => list.some((expected) => equals(value, expected)),
+  $nin: (value, list) => !list.some((expected) => equals(value, expected)),
+  $lt: (value, limit) => value != null && value < limit,
+  $lte: (value, limit) => value != null && value <= limit,
+  $gt: (value, limit) => value != null && value > limit,
+  $gte: (value, limit) => value != null && value >= limit,
+  $exists: (value, exists) => (value !== undefined) === exists,
+  $elemMatch: (value, filter) =>
+    Array.isArray(value) && value.some((item) => matches(item, filter)),
+  $not: (value, condition) => !meets(value, condition),
+};
+
+const getPath = (doc, path) =>
+  typeof doc.get === "function"
+    ? doc.get(path)
+    : path.split(".").reduce((value, key) => value?.[key], doc);
+
+// Comparison of two fields, as in { $expr: { $lt: ["$used", "$limit"] } }
+const evaluate = (doc, expression) =>
+  Object.entries(expression).every(([operator, operands]) => {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unsupported expression operator in tests: ${operator}`);
+    }
+    const [value, operand] = operands.map((item) =>
+      typeof item === "string" && item.startsWith("$")
+        ? getPath(doc, item.slice(1))
+        : item
+    );
+    return OPERATORS[operator](value, operand);
+  });
+
+// Whether a document matches a query filter
+const matches = (doc, filter = {}) =>
+  Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((part) => matches(doc, part));
+    if (key === "$and") return condition.every((part) => matches(doc, part));
+    if (key === "$expr") return evaluate(doc, condition);
+
+    return meets(getPath(doc, key), condition);
+  });
+
+// Whether a field value meets a condition (a value or { $operator: ... })
+const meets = (value, condition) => {
+  if (!isOperatorObject(condition)) return equals(value, condition);
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unsupported query operator in tests: ${operator}`);
+    }
+    return OPERATORS[operator](value, operand);
+  });
+};
+
+// Resolve "items.$.field" to the first element of `items` the filter matched
+const resolvePositional = (doc, path, filter = {}) => {
+  if (!path.includes(".$.")) return path;
+  const [arrayPath, rest] = path.split(".$.");
+  const condition = filter[arrayPath];
+  const index = (doc.get(arrayPath) || []).findIndex((item) =>
+    condition && condition.$elemMatch
+      ? matches(item, condition.$elemMatch)
+      : equals(item, condition)
+  );
+  return `${arrayPath}.${index}.${rest}`;
+};
+
+// Apply an update document ($set, $inc, $unset, $push, $addToSet or plain
+// fields).
+// `filter` is the query that matched the document, for positional paths.
+const applyUpdate = (doc, update, filter) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === "$set") {
+      applyUpdate(doc, value, filter);
+    } else if (key === "$inc") {
+      for (const [path, amount] of Object.entries(value)) {
+        doc.set(path, (doc.get(path) || 0) + amount);
+      }
+    } else if (key === "$unset") {
+      for (const path of Object.keys(value)) doc.set(path, undefined);
+    } else if (key === "$push") {
+      for (const [path, item] of Object.entries(value)) {
+        doc.set(path, [...(doc.get(path) || []), item]);
+      }
+    } else if (key === "$addToSet") {
+      for (const [path, item] of Object.entries(value)) {
+        const items = doc.get(path) || [];
+        if (!items.some((existing) => sameValue(existing, item))) {
+          doc.set(path, [...items, item]);
+        }
+      }
+    } else if (key === "$setOnInsert") {
+      if (doc.isNew) applyUpdate(doc, value, filter);
+    } else if (key.startsWith("$")) {
+      throw new Error(`Unsupported update operator in tests: ${key}`);
+    } else {
+      doc.set(resolvePositional(doc, key, filter), value);
+    }
+  }
+};
+
+// Chainable stand-in for a mongoose query resolving to `result`
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    catch: (reject) => Promise.resolve(result).catch(reject),
+    exec: () => Promise.resolve(result),
+    lean: () =>
+      query(
+        Array.isArray(result)
+          ? result.map((doc) => doc.toObject())
+          : result && result.toObject()
+      ),
+    // Walks a list like a mongoose QueryCursor
+    cursor: () => {
+      const items = [...result];
+      return { next: async () => items.shift() || null };
+    },
+  };
+  for (const method of ["select", "sort", "limit", "skip", "populate"]) {
+    chain[method] = () => chain;
+  }
+  return chain;
+};
+
+const duplicateKeyError = () =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+// Back a model with an in-memory collection for the duration of test `t`.
+// Every read returns a fresh document, like the database would. Returns the
+// store: `all()` and `get(id)` give the saved documents.
+const memoryModel = (t, Model, docs = []) => {
+  const rows = new Map();
+  const hasTimestamps = Boolean(Model.schema.options.timestamps);
+  const uniqueIndexes = Model.schema
+    .indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields, options]) => ({
+      fields: Object.keys(fields),
+      partial: options.partialFilterExpression,
+    }));
+
+  const read = (raw) => Model.hydrate(raw);
+  const findRaw = (filter) =>
+    [...rows.values()].filter((raw) => matches(read(raw), filter));
+  const write = (doc) => rows.set(String(doc._id), doc.toObject());
+
+  const checkUnique = (doc) => {
+    for (const { fields, partial } of uniqueIndexes) {
+      if (fields.some((field) => doc.get(field) === undefined)) continue;
+      // Partial indexes only cover the documents matching their filter
+      if (partial && !matches(doc, partial)) continue;
+      const clash = [...rows.values()].some(
+        (raw) =>
+          !sameValue(raw._id, doc._id) &&
+          (!partial || matches(raw, partial)) &&
+          fields.every((field) =>
+            sameValue(getPath(raw, field), doc.get(field))
+          )
+      );
+      if (clash) throw duplicateKeyError();
+    }
+  };
+
+  const update = (doc, changes, filter) => {
+    applyUpdate(doc, changes, filter);
+    if (hasTimestamps) doc.set("updatedAt", new Date());
+    write(doc);
+    return doc;
+  };
+
+  for (const data of docs) {
+    write(data instanceof Model ? data : new Model(data));
+  }
+
+  // Runs the schema's save middleware, validation included
+  const runPreSave = (doc) =>
+    new Promise((resolve, reject) =>
+      Model.schema.s.hooks.execPre("save", doc, [{}], (error) =>
+        error ? reject(error) : resolve()
+      )
+    );
+
+  t.mock.method(Model.prototype, "save", async function () {
+    await runPreSave(this);
+    checkUnique(this);
+    if (hasTimestamps) {
+      const now = new Date();
+      if (this.isNew) this.set("createdAt", now);
+      this.set("updatedAt", now);
+    }
+    write(this);
+    this.isNew = false;
+    return this;
+  });
+  t.mock.method(Model.prototype, "populate", async function () {
+    return this;
+  });
+
+  t.mock.method(Model, "create", async (data) => {
+    const doc = new Model(data);
+    await doc.save();
+    return doc;
+  });
+  t.mock.method(Model, "find", (filter) => query(findRaw(filter).map(read)));
+  t.mock.method(Model, "findOne", (filter) => {
+    const [raw] = findRaw(filter);
+    return query(raw ? read(raw) : null);
+  });
+  t.mock.method(Model, "findById", (id) => Model.findOne({ _id: id }));
+  t.mock.method(Model, "exists", (filter) => {
+    const [raw] = findRaw(filter);
+    return query(raw ? { _id: raw._id } : null);
+  });
+  t.mock.method(Model, "countDocuments", (filter) =>
+    query(findRaw(filter).length)
+  );
+  t.mock.method(Model, "findOneAndUpdate", (filter, changes, options = {}) => {
+    const [raw] = findRaw(filter);
+    if (!raw) {
+      if (!options.upsert) return query(null);
+      const doc = new Model(
+        Object.fromEntries(
+          Object.entries(filter).filter(
+            ([key, value]) => !key.startsWith("$") && !isOperatorObject(value)
+          )
+        )
+      );
+      return query(update(doc, changes, filter));
+    }
+    const updated = update(read(raw), changes, filter);
+    return query(options.new ? updated : read(raw));
+  });
+  t.mock.method(Model, "findByIdAndUpdate", (id, changes, options) =>
+    Model.findOneAndUpdate({ _id: id }, changes, options)
+  );
+  t.mock.method(Model, "updateOne", (filter, changes) => {
+    const [raw] = findRaw(filter);
+    if (raw) update(read(raw), changes, filter);
+    return query({ modifiedCount: raw ? 1 : 0 });
+  });
+  t.mock.method(Model, "updateMany", (filter, changes) => {
+    const matched = findRaw(filter);
+    for (const raw of matched) update(read(raw), changes, filter);
+    return query({ modifiedCount: matched.length });
+  });
+  t.mock.method(Model, "findOneAndDelete", (filter) => {
+    const [raw] = findRaw(filter);
+    if (raw) rows.delete(String(raw._id));
+    return query(raw ? read(raw) : null);
+  });
+  t.mock.method(Model, "findByIdAndDelete", (id) =>
+    Model.findOneAndDelete({ _id: id })
+  );
+  t.mock.method(Model, "deleteMany", (filter) => {
+    const matched = findRaw(filter);
+    for (const raw of matched) rows.delete(String(raw._id));
+    return query({ deletedCount: matched.length });
+  });
+
+  return {
+    all: () => [...rows.values()].map(read),
+    get: (id) => {
+      const raw = rows.get(String(id));
+      return raw ? read(raw) : null;
+    },
+  };
+};
+
+// Call an Express handler; resolves with the response sent or the error
+// passed to next()
+const runHandler = (handler, req) =>
+  new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+        return this;
+      },
+    };
+    Promise.resolve(handler(req, res, (error) => resolve({ error }))).catch(
+      reject
+    );
+  });
+
+// Set environment variables for the duration of test `t` (undefined unsets)
+const setEnv = (t, values) => {
+  const apply = (entries) => {
+    for (const [key, value] of Object.entries(entries)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  };
+  const previous = Object.fromEntries(
+    Object.keys(values).map((key) => [key, process.env[key]])
+  );
+  apply(values);
+  t.after(() => apply(previous));
+};
+
+// Replace static methods with no-ops (notifications, sockets...)
+const silence = (t, target, methods) => {
+  for (const method of methods) {
+    t.mock.method(target, method, async () => null);
+  }
+};
+
+module.exports = {
+  matches,
+  query,
+  memoryModel,
+  runHandler,
+  setEnv,
+  silence,
+};
@@ -0,0 +1,231 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, runHandler } = require("./helpers");
+
+const express = require("express");
+const mongoose = require("mongoose");
+const Invoice = require("../models/invoice_model");
+const User = require("../models/user_model");
+const Tip = require("../models/tip_model");
+const Counter = require("../models/counter_model");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const LedgerService = require("../services/ledgerService");
+const InvoiceService = require("../services/invoiceService");
+const SessionService = require("../services/sessionService");
+const AuditService = require("../services/auditService");
+const invoicesRouter = require("../routes/invoices");
+const { getInvoice } = require("../controllers/invoiceController");
+
+const { ObjectId } = mongoose.Types;
+
+const setup = (t) => {
+  const buyer = { _id: new ObjectId() };
+  const creator = { _id: new ObjectId() };
+  const invoice = new Invoice({
+    number: "TF-2026-000001",
+    buyer: buyer._id,
+    creator: creator._id,
+    sourceType: "tip",
+    sourceModel: "Tip",
+    ledgerTransaction: new ObjectId(),
+    lineItems: [{ description: "Tip", unitAmount: 5000, amount: 5000 }],
+    currency: "tnd",
+    total: 5000,
+    platformFee: 1000,
+    creatorNet: 4000,
+  });
+  memoryModel(t, Invoice, [invoice]);
+  return { buyer, creator, invoice };
+};
+
+const view = (invoice, user, userRole) =>
+  runHandler(getInvoice, {
+    params: { invoiceId: invoice._id.toString() },
+    user,
+    userRole,
+  });
+
+describe("invoice access", () => {
+  test("the buyer sees what they paid and the creator the fee breakdown", async (t) => {
+    const { buyer, creator, invoice } = setup(t);
+
+    const asBuyer = await view(invoice, buyer, "user");
+    assert.equal(asBuyer.body.invoice.total, 5000);
+    assert.equal(asBuyer.body.invoice.platformFee, undefined);
+
+    const asCreator = await view(invoice, creator, "user");
+    assert.equal(asCreator.body.invoice.platformFee, 1000);
+    assert.equal(asCreator.body.invoice.creatorNet, 4000);
+
+    t.mock.method(console, "error", () => {});
+    const { error } = await view(invoice, { _id: new ObjectId() }, "user");
+    assert.equal(error.status, 404);
+  });
+
+  test("only admins allowed to look up invoices can see other users'", async (t) => {
+    const { invoice } = setup(t);
+
+    for (const adminRole of ["super_admin", "finance", "support"]) {
+      const { body } = await view(
+        invoice,
+        { _id: new ObjectId(), adminRole },
+        "admin"
+      );
+      assert.equal(body.invoice.number, "TF-2026-000001", adminRole);
+    }
+
+    t.mock.method(console, "error", () => {});
+    const { error } = await view(
+      invoice,
+      { _id: new ObjectId(), adminRole: "moderator" },
+      "admin"
+    );
+    assert.equal(error.status, 404);
+  });
+});
+
+describe("invoice audit", () => {
+  // Serve the invoice routes with `account` signed in; resolves with a
+  // function making GET requests
+  const serve = async (t, account, role) => {
+    t.mock.method(SessionService, "verifyAccessToken", async () => ({
+      user: account,
+      role,
+      session: { _id: new ObjectId() },
+    }));
+    const app = express();
+    app.use("/api/invoices", invoicesRouter);
+    const server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const { port } = server.address();
+    return async (path) => {
+      const response = await fetch(`http://127.0.0.1:${port}${path}`, {
+        headers: { authorization: "Bearer token" },
+      });
+      await response.text();
+      // The entry is written once the response has been sent
+      await new Promise((resolve) => setImmediate(resolve));
+      return response;
+    };
+  };
+
+  test("admins reading an invoice are recorded", async (t) => {
+    const { invoice } = setup(t);
+    const entries = [];
+    t.mock.method(AuditService, "record", async (entry) => entries.push(entry));
+    const admin = {
+      _id: new ObjectId(),
+      username: "finance",
+      adminRole: "finance",
+    };
+    const get = await serve(t, admin, "admin");
+
+    const response = await get(`/api/invoices/${invoice._id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].actor, admin._id);
+    assert.equal(entries[0].actorRole, "finance");
+    assert.equal(entries[0].action, "GET /api/invoices/:invoiceId");
+    assert.equal(entries[0].targetType, "Invoice");
+    assert.equal(entries[0].targetId, invoice._id.toString());
+    assert.equal(entries[0].statusCode, 200);
+  });
+
+  test("users reading their own invoices are not", async (t) => {
+    const { buyer, invoice } = setup(t);
+    t.mock.method(AuditService, "record", async () => null);
+    const get = await serve(t, buyer, "user");
+
+    const response = await get(`/api/invoices/${invoice._id}`);
+
+    assert.equal(response.status, 200);
+    assert.equal(AuditService.record.mock.callCount(), 0);
+  });
+});
+
+describe("invoice issuing", () => {
+  const issueSetup = (t) => {
+    const creator = new User({
+      username: "creator",
+      email: "creator@example.com",
+      role: "creator",
+    });
+    const tip = new Tip({
+      tipper: new ObjectId(),
+      creator: creator._id,
+      source: "post",
+      amount: 5000,
+      currency: "tnd",
+    });
+    memoryModel(t, User, [creator]);
+    memoryModel(t, Tip, [tip]);
+    memoryModel(t, Counter);
+    memoryModel(t, LedgerTransaction);
+    const invoices = memoryModel(t, Invoice);
+    t.mock.method(LedgerService, "syncCreatorBalance", async () => null);
+
+    const chargeTip = (externalId) =>
+      LedgerService.recordCharge({
+        type: "tip",
+        creatorId: creator._id,
+        payerId: tip.tipper,
+        amount: tip.amount,
+        currency: "tnd",
+        externalId,
+        references: { tip: tip._id },
+      });
+    return { tip, invoices, chargeTip };
+  };
+
+  test("every charge gets one numbered invoice with the fee breakdown", async (t) => {
+    const { tip, invoices, chargeTip } = issueSetup(t);
+
+    const first = await chargeTip("pi_1");
+    await InvoiceService.issueForCharge(first);
+    await chargeTip("pi_2");
+
+    const [invoice, second] = invoices.all();
+    assert.equal(invoices.all().length, 2);
+    assert.match(invoice.number, /^TF-\d{4}-000001$/);
+    assert.match(second.number, /^TF-\d{4}-000002$/);
+    assert.equal(invoice.buyer.toString(), tip.tipper.toString());
+    assert.equal(invoice.lineItems[0].description, "Tip to @creator on a post");
+    assert.equal(invoice.total, 5000);
+    assert.equal(invoice.platformFee, 1000);
+    assert.equal(invoice.creatorNet, 4000);
+  });
+
+  test("numbering restarts every year", async (t) => {
+    memoryModel(t, Counter);
+
+    assert.equal(
+      await InvoiceService.nextNumber(new Date("2026-12-31T23:00:00Z")),
+      "TF-2026-000001"
+    );
+    assert.equal(
+      await InvoiceService.nextNumber(new Date("2027-01-01T00:00:00Z")),
+      "TF-2027-000001"
+    );
+  });
+
+  test("refunds are shown on the original invoice once", async (t) => {
+    const { invoices, chargeTip } = issueSetup(t);
+    const charge = await chargeTip("pi_1");
+
+    const refund = await LedgerService.recordRefund({
+      creatorId: charge.creator,
+      payerId: charge.payer,
+      amount: 2000,
+      externalId: "re_1",
+      originalTransaction: charge,
+    });
+    await InvoiceService.recordReversal(charge._id, refund, 2000);
+
+    const [invoice] = invoices.all();
+    assert.equal(invoice.amountRefunded, 2000);
+    assert.deepEqual(invoice.reversals.map(String), [String(refund._id)]);
+  });
+});
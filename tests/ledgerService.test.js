@@ -0,0 +1,161 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, setEnv } = require("./helpers");
+
+const mongoose = require("mongoose");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const LedgerService = require("../services/ledgerService");
+const InvoiceService = require("../services/invoiceService");
+
+const { ObjectId } = mongoose.Types;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const setup = (t) => {
+  const transactions = memoryModel(t, LedgerTransaction);
+  const synced = t.mock.method(
+    LedgerService,
+    "syncCreatorBalance",
+    async () => null
+  );
+  t.mock.method(InvoiceService, "issueForCharge", async () => null);
+  t.mock.method(InvoiceService, "recordReversal", async () => null);
+  return { transactions, synced };
+};
+
+// Sum of an account's credits minus debits, per owner
+const balances = (transaction) => {
+  const result = {};
+  for (const entry of transaction.entries) {
+    const key = entry.owner ? entry.owner.toString() : entry.account;
+    result[key] = (result[key] || 0) + entry.credit - entry.debit;
+  }
+  return result;
+};
+
+describe("ledger", () => {
+  test("a charge pays the platform fee and holds the creator's share", async (t) => {
+    const { synced } = setup(t);
+    const creatorId = new ObjectId();
+    const date = new Date("2026-01-01T00:00:00Z");
+
+    const charge = await LedgerService.recordCharge({
+      creatorId,
+      payerId: new ObjectId(),
+      amount: 12345,
+      currency: "tnd",
+      externalId: "pi_1",
+      date,
+    });
+
+    assert.equal(charge.grossAmount, 12345);
+    assert.equal(charge.platformFee, 2469);
+    assert.deepEqual(balances(charge), {
+      processor: -12345,
+      platform_revenue: 2469,
+      [creatorId.toString()]: 9876,
+    });
+    const earnings = charge.entries.find(
+      (entry) => entry.account === "creator_earnings"
+    );
+    assert.deepEqual(
+      earnings.availableAt,
+      new Date(date.getTime() + 7 * DAY_MS)
+    );
+    assert.equal(synced.mock.calls[0].arguments[0], creatorId);
+  });
+
+  test("the same payment is only recorded once", async (t) => {
+    const { transactions } = setup(t);
+    const data = {
+      creatorId: new ObjectId(),
+      amount: 1000,
+      externalId: "pi_1",
+    };
+
+    const first = await LedgerService.recordCharge(data);
+    const second = await LedgerService.recordCharge(data);
+
+    assert.equal(second._id.toString(), first._id.toString());
+    assert.equal(transactions.all().length, 1);
+  });
+
+  test("a bundle charge shares the creator part without losing a millime", async (t) => {
+    setup(t);
+    const [first, second, third] = [
+      new ObjectId(),
+      new ObjectId(),
+      new ObjectId(),
+    ];
+
+    const charge = await LedgerService.recordCharge({
+      creatorId: first,
+      splits: [
+        { creatorId: first, percent: 40 },
+        { creatorId: second, percent: 30 },
+        { creatorId: third, percent: 30 },
+      ],
+      amount: 1001,
+    });
+
+    assert.deepEqual(balances(charge), {
+      processor: -1001,
+      platform_revenue: 200,
+      [first.toString()]: 321,
+      [second.toString()]: 240,
+      [third.toString()]: 240,
+    });
+  });
+
+  test("a refund takes back the fee at the rate of the original charge", async (t) => {
+    const { synced } = setup(t);
+    const creatorId = new ObjectId();
+    const other = new ObjectId();
+    const charge = await LedgerService.recordCharge({
+      creatorId,
+      splits: [
+        { creatorId, percent: 50 },
+        { creatorId: other, percent: 50 },
+      ],
+      amount: 10000,
+    });
+    setEnv(t, { PLATFORM_FEE_PERCENT: "10" });
+
+    const refund = await LedgerService.recordRefund({
+      creatorId,
+      amount: 5000,
+      externalId: "re_1",
+      originalTransaction: charge,
+    });
+
+    assert.equal(refund.type, "refund");
+    assert.equal(refund.platformFee, -1000);
+    assert.equal(refund.reverses.toString(), charge._id.toString());
+    assert.deepEqual(balances(refund), {
+      processor: 5000,
+      platform_revenue: -1000,
+      [creatorId.toString()]: -2000,
+      [other.toString()]: -2000,
+    });
+    assert.deepEqual(
+      synced.mock.calls.slice(-2).map((call) => call.arguments[0]),
+      [creatorId, other]
+    );
+  });
+
+  test("an unbalanced transaction is refused", async (t) => {
+    setup(t);
+
+    await assert.rejects(
+      LedgerService.createTransaction({
+        type: "adjustment",
+        grossAmount: 100,
+        entries: [
+          { account: "processor", debit: 100 },
+          { account: "platform_revenue", credit: 90 },
+        ],
+      }),
+      { message: "Ledger transaction is unbalanced" }
+    );
+  });
+});
@@ -0,0 +1,185 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, setEnv, silence } = require("./helpers");
+
+const User = require("../models/user_model");
+const AccountService = require("../services/accountService");
+const NotificationService = require("../services/notificationService");
+const LoginProtectionService = require("../services/loginProtectionService");
+const RateLimitService = require("../services/rateLimitService");
+const MemoryStore = require("../services/rateLimitStores/memoryStore");
+const { rateLimit } = require("../middleware/rateLimitMiddleware");
+
+const MINUTE_MS = 60 * 1000;
+
+describe("login lockout", () => {
+  const setup = (t) => {
+    setEnv(t, {
+      LOGIN_MAX_FAILED_ATTEMPTS: "3",
+      LOGIN_LOCKOUT_MINUTES: "15",
+      LOGIN_LOCKOUT_MAX_HOURS: "24",
+    });
+    const user = new User({
+      username: "fan",
+      email: "fan@example.com",
+      role: "user",
+    });
+    const users = memoryModel(t, User, [user]);
+    silence(t, AccountService, ["sendUnlockEmail"]);
+    silence(t, NotificationService, ["createSystemNotification"]);
+
+    // Fail `times` logins starting at `start`, a second apart
+    const fail = async (times, start) => {
+      let lockedUntil = null;
+      for (let i = 0; i < times; i += 1) {
+        lockedUntil = await LoginProtectionService.recordFailure(
+          users.get(user._id),
+          new Date(start.getTime() + i * 1000)
+        );
+      }
+      return lockedUntil;
+    };
+    return { user, users, fail };
+  };
+
+  test("too many failures lock the account, each lock twice as long", async (t) => {
+    const { user, users, fail } = setup(t);
+    const start = new Date("2026-01-01T00:00:00Z");
+
+    assert.equal(await fail(2, start), null);
+    const firstLock = await fail(1, new Date(start.getTime() + 2000));
+
+    assert.deepEqual(
+      firstLock,
+      new Date(start.getTime() + 2000 + 15 * MINUTE_MS)
+    );
+    assert.equal(
+      LoginProtectionService.getLockMessage(firstLock, start),
+      "Account temporarily locked after too many failed login attempts. Try again in 16 minutes."
+    );
+    assert.equal(AccountService.sendUnlockEmail.mock.callCount(), 1);
+
+    const later = new Date(firstLock.getTime() + MINUTE_MS);
+    const secondLock = await fail(3, later);
+    assert.deepEqual(
+      secondLock,
+      new Date(later.getTime() + 2000 + 30 * MINUTE_MS)
+    );
+    assert.equal(users.get(user._id).loginSecurity.lockCount, 2);
+  });
+
+  test("failures far apart don't add up", async (t) => {
+    const { user, users, fail } = setup(t);
+    const start = new Date("2026-01-01T00:00:00Z");
+
+    await fail(2, start);
+    const locked = await fail(
+      2,
+      new Date(start.getTime() + 2 * 60 * MINUTE_MS)
+    );
+
+    assert.equal(locked, null);
+    assert.equal(users.get(user._id).loginSecurity.failedAttempts, 2);
+  });
+
+  test("a successful sign in clears the record", async (t) => {
+    const { user, users, fail } = setup(t);
+    await fail(3, new Date("2026-01-01T00:00:00Z"));
+
+    await LoginProtectionService.recordSuccess(users.get(user._id));
+
+    const { loginSecurity } = users.get(user._id);
+    assert.equal(loginSecurity.failedAttempts, 0);
+    assert.equal(loginSecurity.lockCount, 0);
+    assert.equal(loginSecurity.lockedUntil, undefined);
+    assert.equal(
+      LoginProtectionService.getLockedUntil(users.get(user._id)),
+      null
+    );
+  });
+});
+
+describe("rate limits", () => {
+  const setup = (t) => {
+    setEnv(t, { RATE_LIMIT_STORE: undefined });
+    RateLimitService.setStore("memory", new MemoryStore());
+    t.after(() => RateLimitService.setStore("memory", new MemoryStore()));
+  };
+
+  // Run a limiter middleware; resolves with the response headers and the
+  // error it passed on, if any
+  const send = (limiter, req) =>
+    new Promise((resolve) => {
+      const headers = {};
+      const res = {
+        set(field, value) {
+          Object.assign(
+            headers,
+            typeof field === "object" ? field : { [field]: value }
+          );
+          return this;
+        },
+      };
+      limiter(req, res, (error) => resolve({ headers, error }));
+    });
+
+  test("requests over the limit are refused until the window ends", async (t) => {
+    setup(t);
+    const limiter = rateLimit({
+      name: "test",
+      windowMs: MINUTE_MS,
+      max: 2,
+      message: "Slow down",
+    });
+    const req = { ip: "10.0.0.1" };
+
+    const first = await send(limiter, req);
+    await send(limiter, req);
+    const third = await send(limiter, req);
+    const otherClient = await send(limiter, { ip: "10.0.0.2" });
+
+    assert.equal(first.error, undefined);
+    assert.equal(first.headers["RateLimit-Remaining"], "1");
+    assert.equal(third.error.status, 429);
+    assert.equal(third.error.message, "Slow down");
+    assert.equal(third.headers["Retry-After"], "60");
+    assert.equal(otherClient.error, undefined);
+  });
+
+  test("a window starts again once it has passed", async () => {
+    const store = new MemoryStore();
+    const now = new Date("2026-01-01T00:00:00Z");
+
+    await store.increment("key", MINUTE_MS, now);
+    const second = await store.increment("key", MINUTE_MS, now);
+    const next = await store.increment(
+      "key",
+      MINUTE_MS,
+      new Date(now.getTime() + MINUTE_MS)
+    );
+
+    assert.equal(second.count, 2);
+    assert.equal(next.count, 1);
+    assert.deepEqual(next.resetAt, new Date(now.getTime() + 2 * MINUTE_MS));
+  });
+
+  test("requests without a key and store outages are let through", async (t) => {
+    setup(t);
+    const byEmail = rateLimit({
+      name: "test-email",
+      windowMs: MINUTE_MS,
+      max: 0,
+      key: (req) => req.body.email,
+    });
+    assert.equal((await send(byEmail, { body: {} })).error, undefined);
+
+    RateLimitService.setStore("memory", {
+      increment: async () => {
+        throw new Error("store down");
+      },
+    });
+    t.mock.method(console, "error", () => {});
+    const { error } = await send(byEmail, { body: { email: "a@b.c" } });
+    assert.equal(error, undefined);
+  });
+});
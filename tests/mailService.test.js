@@ -0,0 +1,149 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const { setEnv } = require("./helpers");
+
+const MailService = require("../services/mailService");
+const SmtpTransport = require("../services/mailTransports/smtpTransport");
+const { buildMessage } = require("../utils/mailMessage");
+
+// SMTP server on localhost that records the commands it receives. It does
+// not offer STARTTLS.
+const startSmtpServer = async (t) => {
+  const commands = [];
+  const messages = [];
+  const replies = {
+    EHLO: "250-localhost\r\n250 AUTH LOGIN",
+    AUTH: "334 VXNlcm5hbWU6",
+    MAIL: "250 OK",
+    RCPT: "250 OK",
+    DATA: "354 End data with <CR><LF>.<CR><LF>",
+    QUIT: "221 Bye",
+  };
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let data = null;
+    socket.setEncoding("utf8");
+    socket.write("220 localhost ESMTP\r\n");
+    socket.on("data", (chunk) => {
+      buffer += chunk;
+      let end;
+      while ((end = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+
+        if (data) {
+          if (line === ".") {
+            messages.push(data.join("\r\n"));
+            data = null;
+            socket.write("250 Queued\r\n");
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+
+        commands.push(line);
+        const verb = line.split(" ")[0];
+        if (verb === "DATA") data = [];
+        socket.write(`${replies[verb] || "502 Not implemented"}\r\n`);
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { port: server.address().port, commands, messages };
+};
+
+const newMessage = () => {
+  const message = {
+    from: "TunFans <no-reply@tunfans.com>",
+    to: "fan@example.com",
+    subject: "Hello",
+    text: "Hi there",
+    messageId: "<1@tunfans.com>",
+  };
+  return { ...message, raw: buildMessage(message) };
+};
+
+describe("mail transport selection", () => {
+  test("mail goes to the console in development without an SMTP server", (t) => {
+    setEnv(t, {
+      MAIL_TRANSPORT: undefined,
+      SMTP_HOST: undefined,
+      NODE_ENV: "development",
+    });
+    assert.equal(MailService.getTransportName(), "console");
+
+    process.env.SMTP_HOST = "smtp.example.com";
+    assert.equal(MailService.getTransportName(), "smtp");
+  });
+
+  test("production refuses to fall back to the console", (t) => {
+    setEnv(t, {
+      MAIL_TRANSPORT: undefined,
+      SMTP_HOST: undefined,
+      NODE_ENV: "production",
+    });
+    assert.throws(() => MailService.getTransportName(), {
+      message: "SMTP_HOST is not configured",
+    });
+    assert.throws(() => MailService.getTransport(), {
+      message: "SMTP_HOST is not configured",
+    });
+
+    // An explicit choice is respected
+    process.env.MAIL_TRANSPORT = "file";
+    assert.equal(MailService.getTransportName(), "file");
+  });
+});
+
+describe("SMTP transport", () => {
+  test("delivers over a plain connection when no login is needed", async (t) => {
+    const server = await startSmtpServer(t);
+    const transport = new SmtpTransport({
+      host: "127.0.0.1",
+      port: server.port,
+      secure: false,
+    });
+
+    const result = await transport.send(newMessage());
+
+    assert.equal(result.messageId, "<1@tunfans.com>");
+    assert.deepEqual(
+      server.commands.filter((line) => !line.startsWith("EHLO")),
+      [
+        "MAIL FROM:<no-reply@tunfans.com>",
+        "RCPT TO:<fan@example.com>",
+        "DATA",
+        "QUIT",
+      ]
+    );
+    assert.match(server.messages[0], /^Subject: Hello$/m);
+  });
+
+  test("never sends credentials without TLS", async (t) => {
+    const server = await startSmtpServer(t);
+    const transport = new SmtpTransport({
+      host: "127.0.0.1",
+      port: server.port,
+      secure: false,
+      user: "mailer",
+      password: "secret",
+    });
+
+    await assert.rejects(transport.send(newMessage()), {
+      message:
+        "SMTP server does not offer STARTTLS; refusing to send credentials in plain text",
+    });
+    assert.ok(server.commands.every((line) => !line.startsWith("AUTH")));
+    assert.ok(
+      server.commands.every(
+        (line) => !line.includes(Buffer.from("secret").toString("base64"))
+      )
+    );
+    assert.deepEqual(server.messages, []);
+  });
+});
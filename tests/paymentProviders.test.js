@@ -0,0 +1,317 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, runHandler } = require("./helpers");
+
+const mongoose = require("mongoose");
+const Payment = require("../models/payment_model");
+const PaymentService = require("../services/paymentService");
+const SubscriptionService = require("../services/subscriptionService");
+const KonnectProvider = require("../services/paymentProviders/konnectProvider");
+const BankTransferProvider = require("../services/paymentProviders/bankTransferProvider");
+const { handleKonnectWebhook } = require("../controllers/webhookController");
+
+const { ObjectId } = mongoose.Types;
+
+const newKonnect = () =>
+  new KonnectProvider({
+    apiUrl: "https://konnect.test/api/v2/",
+    apiKey: "wallet-key",
+    walletId: "wallet-1",
+    webhookUrl: "https://api.test/api/webhooks/konnect",
+    returnUrl: "https://app.test",
+  });
+
+// Answer Konnect API calls with `respond(url, init)` -> [status, body]
+const mockKonnectApi = (t, respond) => {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    requests.push({ url, ...init, body: init.body && JSON.parse(init.body) });
+    const [status, body] = respond(url, init);
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: "Error",
+      json: async () => body,
+    };
+  });
+  return requests;
+};
+
+const payer = {
+  _id: new ObjectId(),
+  firstName: "Sami",
+  lastName: "Ben Ali",
+  email: "fan@example.com",
+};
+
+describe("konnect provider", () => {
+  test("opens a checkout for the amount in minor units", async (t) => {
+    const requests = mockKonnectApi(t, () => [
+      200,
+      { paymentRef: "ref_1", payUrl: "https://pay.konnect.test/ref_1" },
+    ]);
+
+    const result = await newKonnect().createPayment({
+      amount: 12500,
+      currency: "tnd",
+      reference: "TFP-00000001",
+      description: "1-month subscription to creator",
+      payer,
+    });
+
+    assert.equal(result.providerPaymentId, "ref_1");
+    assert.equal(result.redirectUrl, "https://pay.konnect.test/ref_1");
+    assert.ok(result.expiresAt > new Date());
+
+    const [request] = requests;
+    assert.equal(
+      request.url,
+      "https://konnect.test/api/v2/payments/init-payment"
+    );
+    assert.equal(request.method, "POST");
+    assert.equal(request.headers["x-api-key"], "wallet-key");
+    assert.equal(request.body.receiverWalletId, "wallet-1");
+    assert.equal(request.body.amount, 12500);
+    assert.equal(request.body.token, "TND");
+    assert.equal(request.body.orderId, "TFP-00000001");
+    assert.equal(request.body.webhook, "https://api.test/api/webhooks/konnect");
+    assert.equal(
+      request.body.successUrl,
+      "https://app.test/payments/TFP-00000001?status=success"
+    );
+  });
+
+  test("maps Konnect payment states to payment outcomes", async (t) => {
+    const states = {
+      ref_paid: { status: "completed", amount: 12500 },
+      ref_expired: { status: "expired" },
+      ref_open: { status: "pending" },
+    };
+    mockKonnectApi(t, (url) => [
+      200,
+      { payment: states[url.split("/").pop()] },
+    ]);
+    const konnect = newKonnect();
+
+    assert.deepEqual(await konnect.getPayment("ref_paid"), {
+      status: "succeeded",
+      amountPaid: 12500,
+    });
+    assert.deepEqual(await konnect.getPayment("ref_expired"), {
+      status: "failed",
+      failureReason: "Payment expired",
+    });
+    assert.deepEqual(await konnect.getPayment("ref_open"), {
+      status: "pending",
+    });
+  });
+
+  test("surfaces Konnect API errors", async (t) => {
+    mockKonnectApi(t, () => [
+      401,
+      { errors: [{ message: "Invalid API key" }] },
+    ]);
+
+    await assert.rejects(newKonnect().getPayment("ref_1"), {
+      message: "Konnect request failed (401): Invalid API key",
+    });
+  });
+
+  test("only accepts a plain string payment reference from the webhook", () => {
+    const konnect = newKonnect();
+
+    assert.equal(
+      konnect.getWebhookPaymentId({ query: { payment_ref: "ref_1" } }),
+      "ref_1"
+    );
+    assert.equal(
+      konnect.getWebhookPaymentId({ query: { payment_ref: { $ne: "" } } }),
+      null
+    );
+    assert.equal(konnect.getWebhookPaymentId({ query: {} }), null);
+  });
+
+  test("the webhook settles the payment from the Konnect API", async (t) => {
+    const subscriptionId = new ObjectId();
+    const payments = memoryModel(t, Payment, [
+      {
+        provider: "konnect",
+        reference: "TFP-00000001",
+        providerPaymentId: "ref_1",
+        payer: payer._id,
+        purposeModel: "Subscription",
+        purpose: subscriptionId,
+        amount: 12500,
+        currency: "tnd",
+      },
+    ]);
+    mockKonnectApi(t, () => [
+      200,
+      { payment: { status: "completed", amount: 12500 } },
+    ]);
+    PaymentService.setProvider("konnect", newKonnect());
+    t.after(() =>
+      PaymentService.registerProvider("konnect", () => new KonnectProvider())
+    );
+    const activated = t.mock.method(
+      SubscriptionService,
+      "activateSubscription",
+      async () => null
+    );
+
+    const first = await runHandler(handleKonnectWebhook, {
+      query: { payment_ref: "ref_1" },
+    });
+    // Konnect may notify more than once
+    const second = await runHandler(handleKonnectWebhook, {
+      query: { payment_ref: "ref_1" },
+    });
+
+    assert.deepEqual(first.body, { received: true, status: "succeeded" });
+    assert.deepEqual(second.body, { received: true, status: "succeeded" });
+    assert.equal(activated.mock.callCount(), 1);
+    const [id, payment] = activated.mock.calls[0].arguments;
+    assert.equal(id.toString(), subscriptionId.toString());
+    assert.equal(payment.amountPaid, 12500);
+
+    const [saved] = payments.all();
+    assert.equal(saved.status, "succeeded");
+    assert.equal(saved.amountPaid, 12500);
+  });
+
+  test("a payment completed after its checkout was abandoned is flagged for refund", async (t) => {
+    const payments = memoryModel(t, Payment, [
+      {
+        provider: "konnect",
+        reference: "TFP-00000002",
+        providerPaymentId: "ref_2",
+        payer: payer._id,
+        purposeModel: "Subscription",
+        purpose: new ObjectId(),
+        amount: 12500,
+        currency: "tnd",
+        status: "failed",
+        failureReason: "Checkout abandoned",
+      },
+    ]);
+    mockKonnectApi(t, () => [
+      200,
+      { payment: { status: "completed", amount: 12500 } },
+    ]);
+    PaymentService.setProvider("konnect", newKonnect());
+    t.after(() =>
+      PaymentService.registerProvider("konnect", () => new KonnectProvider())
+    );
+    const activated = t.mock.method(
+      SubscriptionService,
+      "activateSubscription",
+      async () => null
+    );
+    const logged = t.mock.method(console, "error", () => {});
+
+    const first = await runHandler(handleKonnectWebhook, {
+      query: { payment_ref: "ref_2" },
+    });
+    await runHandler(handleKonnectWebhook, {
+      query: { payment_ref: "ref_2" },
+    });
+
+    assert.deepEqual(first.body, { received: true, status: "failed" });
+    assert.equal(activated.mock.callCount(), 0);
+    const [saved] = payments.all();
+    assert.equal(saved.status, "failed");
+    assert.equal(saved.refundRequired, true);
+    assert.equal(saved.amountPaid, 12500);
+    assert.equal(logged.mock.callCount(), 1);
+    assert.match(
+      logged.mock.calls[0].arguments[0],
+      /TFP-00000002 .*Checkout abandoned.*flagged for refund/
+    );
+  });
+
+  test("the webhook ignores query operators instead of matching payments", async (t) => {
+    const lookup = t.mock.method(Payment, "findOne");
+    const requests = mockKonnectApi(t, () => [200, {}]);
+
+    const { error } = await runHandler(handleKonnectWebhook, {
+      query: { payment_ref: { $ne: "" } },
+    });
+
+    assert.equal(error.status, 404);
+    assert.equal(lookup.mock.callCount(), 0);
+    assert.equal(requests.length, 0);
+  });
+});
+
+describe("bank transfer provider", () => {
+  const useProvider = (t, provider) => {
+    PaymentService.setProvider("bank_transfer", provider);
+    t.after(() =>
+      PaymentService.registerProvider(
+        "bank_transfer",
+        () => new BankTransferProvider()
+      )
+    );
+  };
+
+  const account = {
+    bankName: "Test Bank",
+    accountHolder: "Platform SARL",
+    rib: "01234567890123456789",
+    iban: "TN5901234567890123456789",
+    bic: "TESTTNTT",
+  };
+
+  test("only takes payments in Tunisian dinars", () => {
+    const provider = new BankTransferProvider(account);
+
+    assert.equal(provider.supportsCurrency("tnd"), true);
+    assert.equal(provider.supportsCurrency("eur"), false);
+  });
+
+  test("gives the account and reference to quote, valid for the expiry days", async (t) => {
+    const now = new Date("2026-03-01T10:00:00Z").getTime();
+    t.mock.method(Date, "now", () => now);
+    const provider = new BankTransferProvider({ ...account, expiryDays: 3 });
+
+    const result = await provider.createPayment({
+      amount: 30000,
+      currency: "tnd",
+      reference: "TFP-00000042",
+    });
+
+    const expiresAt = new Date("2026-03-04T10:00:00Z");
+    assert.equal(result.providerPaymentId, "TFP-00000042");
+    assert.deepEqual(result.expiresAt, expiresAt);
+    assert.deepEqual(result.instructions, {
+      ...account,
+      amount: 30000,
+      currency: "tnd",
+      reference: "TFP-00000042",
+      payBefore: expiresAt,
+      note: result.instructions.note,
+    });
+    assert.match(result.instructions.note, /reference/);
+  });
+
+  test("cannot be settled by polling, only by an admin", async (t) => {
+    useProvider(t, new BankTransferProvider(account));
+    const pending = new Payment({
+      provider: "bank_transfer",
+      providerPaymentId: "TFP-00000042",
+      status: "pending",
+    });
+
+    assert.equal(await PaymentService.refreshPayment(pending), pending);
+  });
+
+  test("is refused for currencies the account can't receive", (t) => {
+    useProvider(t, new BankTransferProvider(account));
+
+    assert.equal(PaymentService.checkMethod("bank_transfer", "tnd"), null);
+    assert.match(
+      PaymentService.checkMethod("bank_transfer", "usd"),
+      /not available for USD payments/
+    );
+  });
+});
@@ -0,0 +1,128 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, silence } = require("./helpers");
+
+const mongoose = require("mongoose");
+const User = require("../models/user_model");
+const Payout = require("../models/payout_model");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const LedgerService = require("../services/ledgerService");
+const NotificationService = require("../services/notificationService");
+const PayoutService = require("../services/payoutService");
+
+const { ObjectId } = mongoose.Types;
+
+const setup = (t) => {
+  const creator = new User({
+    username: "creator",
+    email: "creator@example.com",
+    role: "creator",
+    payoutMethods: [
+      {
+        type: "paypal",
+        accountDetails: { paypalEmail: "creator@example.com" },
+      },
+    ],
+  });
+  const payouts = memoryModel(t, Payout);
+  const transactions = memoryModel(t, LedgerTransaction);
+  t.mock.method(LedgerService, "syncCreatorBalance", async () => null);
+  silence(t, NotificationService, [
+    "createPayoutCompletedNotification",
+    "createPayoutFailedNotification",
+  ]);
+
+  const request = () =>
+    PayoutService.requestPayout(
+      creator,
+      60000,
+      "tnd",
+      creator.payoutMethods[0]
+    );
+  return { creator, payouts, transactions, request };
+};
+
+// Ledger transaction types recorded for a payout, in order
+const ledgerTypes = (transactions) =>
+  transactions.all().map((transaction) => transaction.type);
+
+describe("payouts", () => {
+  test("a request reserves the amount and keeps a masked payout method", async (t) => {
+    const { creator, transactions, request } = setup(t);
+
+    const payout = await request();
+
+    assert.equal(payout.status, "requested");
+    assert.equal(
+      payout.payoutMethod.accountDetails.paypalEmail,
+      "cr***@example.com"
+    );
+    const [reservation] = transactions.all();
+    assert.equal(reservation.type, "payout");
+    assert.equal(reservation.grossAmount, 60000);
+    assert.deepEqual(
+      reservation.entries.map(({ account, owner, debit, credit }) => ({
+        account,
+        owner: owner && owner.toString(),
+        debit,
+        credit,
+      })),
+      [
+        {
+          account: "creator_earnings",
+          owner: creator._id.toString(),
+          debit: 60000,
+          credit: 0,
+        },
+        { account: "payouts", owner: undefined, debit: 0, credit: 60000 },
+      ]
+    );
+  });
+
+  test("a creator has one open request at a time", async (t) => {
+    const { creator, payouts, transactions, request } = setup(t);
+
+    const first = await request();
+    assert.equal(await request(), null);
+
+    await PayoutService.cancelPayout(first, creator._id);
+    const second = await request();
+
+    assert.ok(second);
+    assert.equal(payouts.get(first._id).status, "cancelled");
+    assert.deepEqual(ledgerTypes(transactions), [
+      "payout",
+      "payout_reversal",
+      "payout",
+    ]);
+  });
+
+  test("an approved payout is paid out or returned to the balance", async (t) => {
+    const { transactions, request } = setup(t);
+    const adminId = new ObjectId();
+
+    const paid = await request();
+    await PayoutService.approvePayout(paid, adminId);
+    assert.throws(() => paid.transitionTo("cancelled"), {
+      message: "Cannot move payout from approved to cancelled",
+    });
+    await PayoutService.markPaid(paid, adminId, "TRF-1");
+
+    const failed = await request();
+    await PayoutService.approvePayout(failed, adminId);
+    await PayoutService.markFailed(failed, adminId, "Account closed");
+
+    assert.equal(paid.status, "paid");
+    assert.equal(failed.failureReason, "Account closed");
+    assert.deepEqual(ledgerTypes(transactions), [
+      "payout",
+      "payout_settlement",
+      "payout",
+      "payout_reversal",
+    ]);
+    assert.equal(
+      NotificationService.createPayoutFailedNotification.mock.callCount(),
+      1
+    );
+  });
+});
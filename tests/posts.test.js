@@ -0,0 +1,111 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, runHandler, silence } = require("./helpers");
+
+const User = require("../models/user_model");
+const Post = require("../models/post_model");
+const Subscription = require("../models/subscription_model");
+const Purchase = require("../models/purchase_model");
+const AnalyticsService = require("../services/analyticsService");
+const { getPostsByUsername } = require("../controllers/postController");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const setup = (t) => {
+  const creator = new User({
+    username: "creator",
+    email: "creator@example.com",
+    role: "creator",
+  });
+  const fan = new User({
+    username: "fan",
+    email: "fan@example.com",
+    role: "user",
+  });
+  const post = (title, fields = {}) =>
+    new Post({
+      author: creator._id,
+      title,
+      content: title,
+      images: [{ url: `https://cdn.example.com/${title}.jpg`, key: title }],
+      publishedAt: new Date(Date.now() - HOUR_MS),
+      ...fields,
+    });
+  const posts = [
+    post("public"),
+    post("subscribers", { visibility: "subscribers" }),
+    post("vip", { visibility: "subscribers", minimumTierLevel: 2 }),
+    post("priced", { price: 500, currency: "tnd", priceAppliesTo: "everyone" }),
+  ];
+
+  memoryModel(t, User, [creator, fan]);
+  memoryModel(t, Post, posts);
+  const subscriptions = memoryModel(t, Subscription);
+  memoryModel(t, Purchase);
+  silence(t, AnalyticsService, ["recordViews"]);
+
+  return { creator, fan, posts, subscriptions };
+};
+
+// Titles of the posts whose media the viewer gets
+const unlocked = async (viewer) => {
+  const { body } = await runHandler(getPostsByUsername, {
+    params: { username: "creator" },
+    query: {},
+    user: viewer,
+  });
+  return body.posts
+    .filter((post) => !post.isLocked && post.images.length > 0)
+    .map((post) => post.title)
+    .sort();
+};
+
+describe("posts on a creator's profile", () => {
+  test("signed-out visitors only get the media of free public posts", async (t) => {
+    setup(t);
+    assert.deepEqual(await unlocked(undefined), ["public"]);
+  });
+
+  test("subscribers get media up to their tier", async (t) => {
+    const { creator, fan } = setup(t);
+    await Subscription.create({
+      subscriber: fan._id,
+      creator: creator._id,
+      subscriptionPrice: 10000,
+      status: "active",
+      tierLevel: 1,
+      startDate: new Date(Date.now() - HOUR_MS),
+      endDate: new Date(Date.now() + 30 * 24 * HOUR_MS),
+    });
+
+    assert.deepEqual(await unlocked(fan), ["public", "subscribers"]);
+
+    await Subscription.updateOne({ subscriber: fan._id }, { tierLevel: 2 });
+    assert.deepEqual(await unlocked(fan), ["public", "subscribers", "vip"]);
+  });
+
+  test("a bought post is unlocked for its buyer", async (t) => {
+    const { fan, posts } = setup(t);
+    await Purchase.create({
+      buyer: fan._id,
+      creator: posts[3].author,
+      itemType: "Post",
+      item: posts[3]._id,
+      amount: 500,
+      currency: "tnd",
+      status: "completed",
+    });
+
+    assert.deepEqual(await unlocked(fan), ["priced", "public"]);
+  });
+
+  test("the creator sees all their media", async (t) => {
+    const { creator } = setup(t);
+    assert.deepEqual(await unlocked(creator), [
+      "priced",
+      "public",
+      "subscribers",
+      "vip",
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, setEnv, silence } = require("./helpers");
+
+const mongoose = require("mongoose");
+const Subscription = require("../models/subscription_model");
+const PriceChange = require("../models/price_change_model");
+const LedgerService = require("../services/ledgerService");
+const NotificationService = require("../services/notificationService");
+const PriceChangeService = require("../services/priceChangeService");
+const SubscriptionService = require("../services/subscriptionService");
+
+const { ObjectId } = mongoose.Types;
+
+const NOW = new Date("2026-01-01T00:00:00Z");
+
+const setup = (t) => {
+  setEnv(t, { PRICE_CHANGE_NOTICE_DAYS: "30" });
+  const creatorId = new ObjectId();
+  const subscription = (endDate, fields = {}) =>
+    new Subscription({
+      subscriber: new ObjectId(),
+      creator: creatorId,
+      subscriptionPrice: 10000,
+      currency: "tnd",
+      status: "active",
+      durationMonths: 1,
+      startDate: new Date("2025-12-01T00:00:00Z"),
+      endDate: new Date(endDate),
+      ...fields,
+    });
+  const [soon, later, inEuros, atNewPrice] = [
+    subscription("2026-01-11T00:00:00Z"),
+    subscription("2026-02-10T00:00:00Z"),
+    subscription("2026-01-11T00:00:00Z", {
+      currency: "eur",
+      subscriptionPrice: 1000,
+    }),
+    subscription("2026-01-11T00:00:00Z", { subscriptionPrice: 12000 }),
+  ];
+  const subscriptions = memoryModel(t, Subscription, [
+    soon,
+    later,
+    inEuros,
+    atNewPrice,
+  ]);
+  const priceChanges = memoryModel(t, PriceChange);
+  silence(t, NotificationService, [
+    "createPriceChangeNotification",
+    "createPaymentReceivedNotification",
+  ]);
+
+  const changePrice = (policy) =>
+    PriceChangeService.changePrice({
+      creatorId,
+      oldPrice: 10000,
+      newPrice: 12000,
+      currency: "tnd",
+      policy,
+      changedBy: creatorId,
+      now: NOW,
+    });
+
+  return {
+    soon,
+    later,
+    inEuros,
+    atNewPrice,
+    subscriptions,
+    priceChanges,
+    changePrice,
+  };
+};
+
+describe("price changes", () => {
+  test("grandfathered subscribers keep their price", async (t) => {
+    const { soon, subscriptions, changePrice } = setup(t);
+
+    const priceChange = await changePrice("grandfather");
+
+    assert.equal(priceChange.affectedSubscriptions, 3);
+    assert.equal(priceChange.noticeDays, 0);
+    assert.equal(subscriptions.get(soon._id).pendingPrice, undefined);
+    assert.equal(
+      NotificationService.createPriceChangeNotification.mock.callCount(),
+      0
+    );
+  });
+
+  test("migrated subscribers move at the first renewal after the notice", async (t) => {
+    const { soon, later, inEuros, atNewPrice, subscriptions, changePrice } =
+      setup(t);
+
+    const priceChange = await changePrice("migrate_at_renewal");
+
+    assert.equal(priceChange.noticeDays, 30);
+    // Renews in 10 days: too soon, so the renewal after that
+    assert.deepEqual(
+      subscriptions.get(soon._id).pendingPriceEffectiveAt,
+      new Date("2026-02-11T00:00:00Z")
+    );
+    assert.equal(subscriptions.get(soon._id).pendingPrice, 12000);
+    assert.deepEqual(
+      subscriptions.get(later._id).pendingPriceEffectiveAt,
+      new Date("2026-02-10T00:00:00Z")
+    );
+    assert.equal(subscriptions.get(inEuros._id).pendingPrice, undefined);
+    assert.equal(subscriptions.get(atNewPrice._id).pendingPrice, undefined);
+    assert.equal(
+      NotificationService.createPriceChangeNotification.mock.callCount(),
+      2
+    );
+  });
+
+  test("the new price is charged from its effective renewal on", async (t) => {
+    const { soon, subscriptions, priceChanges, changePrice } = setup(t);
+    const charges = t.mock.method(LedgerService, "recordCharge", async () => ({
+      _id: "charge",
+    }));
+    const priceChange = await changePrice("migrate_at_renewal");
+
+    // The renewal that starts before the effective date keeps the old price
+    await SubscriptionService.renewSubscription(subscriptions.get(soon._id), {
+      paidAt: new Date("2026-01-11T00:00:00Z"),
+    });
+    assert.equal(subscriptions.get(soon._id).subscriptionPrice, 10000);
+
+    await SubscriptionService.renewSubscription(subscriptions.get(soon._id), {
+      paidAt: new Date("2026-02-11T00:00:00Z"),
+    });
+
+    const renewed = subscriptions.get(soon._id);
+    assert.equal(renewed.subscriptionPrice, 12000);
+    assert.equal(renewed.pendingPrice, undefined);
+    assert.deepEqual(
+      charges.mock.calls.map((call) => call.arguments[0].amount),
+      [10000, 12000]
+    );
+    assert.equal(priceChanges.get(priceChange._id).migratedSubscriptions, 1);
+  });
+});
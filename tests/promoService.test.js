@@ -0,0 +1,129 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel } = require("./helpers");
+
+const mongoose = require("mongoose");
+const PromoCode = require("../models/promo_code_model");
+const PromoRedemption = require("../models/promo_redemption_model");
+const PromoService = require("../services/promoService");
+
+const { ObjectId } = mongoose.Types;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const setup = (t, fields = {}) => {
+  const creatorId = new ObjectId();
+  const promo = new PromoCode({
+    creator: creatorId,
+    code: "LAUNCH",
+    campaign: "launch",
+    discountType: "percentage",
+    discountValue: 25,
+    ...fields,
+  });
+  const codes = memoryModel(t, PromoCode, [promo]);
+  const redemptions = memoryModel(t, PromoRedemption);
+  return { creatorId, promo, codes, redemptions };
+};
+
+const pendingSubscription = (subscriber = new ObjectId()) => ({
+  _id: new ObjectId(),
+  subscriber,
+  currency: "tnd",
+});
+
+describe("promo codes", () => {
+  test("a code is found whatever its case and spacing", async (t) => {
+    const { creatorId, promo } = setup(t);
+
+    const { promo: found } = await PromoService.findRedeemableCode(
+      creatorId,
+      "  launch "
+    );
+
+    assert.equal(found._id.toString(), promo._id.toString());
+    assert.equal(found.calculateDiscount(9990), 2498);
+  });
+
+  test("expired, plan-restricted and foreign-currency codes are refused", async (t) => {
+    const planId = new ObjectId();
+    const { creatorId } = setup(t, {
+      discountType: "fixed",
+      discountValue: 5000,
+      currency: "tnd",
+      plans: [planId],
+    });
+    const find = (plan, currency) =>
+      PromoService.findRedeemableCode(creatorId, "LAUNCH", plan, currency);
+
+    assert.ok((await find(planId, "tnd")).promo);
+    assert.deepEqual(await find(new ObjectId(), "tnd"), {
+      error: "This promo code is not valid for the selected plan",
+    });
+    assert.deepEqual(await find(planId, "eur"), {
+      error: "This promo code is not valid for the selected plan",
+    });
+    assert.deepEqual(
+      await PromoService.findRedeemableCode(creatorId, "OTHER"),
+      { error: "Invalid promo code" }
+    );
+
+    await PromoCode.updateOne(
+      { code: "LAUNCH" },
+      { expiresAt: new Date(Date.now() - DAY_MS) }
+    );
+    assert.deepEqual(await find(planId, "tnd"), {
+      error: "This promo code has expired",
+    });
+  });
+
+  test("redemptions stop at the limit and once per subscriber", async (t) => {
+    const { promo, codes, redemptions } = setup(t, { maxRedemptions: 2 });
+    const subscriber = new ObjectId();
+
+    const first = await PromoService.reserveRedemption(
+      promo,
+      pendingSubscription(subscriber),
+      { discountAmount: 2500 }
+    );
+    const again = await PromoService.reserveRedemption(
+      promo,
+      pendingSubscription(subscriber)
+    );
+    const second = await PromoService.reserveRedemption(
+      promo,
+      pendingSubscription()
+    );
+    const third = await PromoService.reserveRedemption(
+      promo,
+      pendingSubscription()
+    );
+
+    assert.equal(first.discountAmount, 2500);
+    assert.equal(first.currency, "tnd");
+    assert.equal(again, null);
+    assert.ok(second);
+    assert.equal(third, null);
+    assert.equal(codes.get(promo._id).redemptionCount, 2);
+    assert.equal(redemptions.all().length, 2);
+  });
+
+  test("an abandoned checkout gives its redemption back", async (t) => {
+    const { promo, codes, redemptions } = setup(t, { maxRedemptions: 1 });
+    const abandoned = pendingSubscription();
+    const completed = pendingSubscription();
+
+    await PromoService.reserveRedemption(promo, abandoned);
+    await PromoService.releaseRedemption(abandoned._id);
+    await PromoService.reserveRedemption(promo, completed);
+    const redeemed = await PromoService.confirmRedemption(completed._id);
+
+    assert.equal(redeemed.status, "redeemed");
+    assert.equal(codes.get(promo._id).redemptionCount, 1);
+    assert.deepEqual(
+      redemptions.all().map((redemption) => redemption.subscription.toString()),
+      [completed._id.toString()]
+    );
+    assert.equal(await PromoService.releaseRedemption(completed._id), null);
+  });
+});
@@ -0,0 +1,141 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, silence } = require("./helpers");
+
+const User = require("../models/user_model");
+const Post = require("../models/post_model");
+const Purchase = require("../models/purchase_model");
+const Payment = require("../models/payment_model");
+const Subscription = require("../models/subscription_model");
+const StripeService = require("../services/stripeService");
+const LedgerService = require("../services/ledgerService");
+const NotificationService = require("../services/notificationService");
+const PurchaseService = require("../services/purchaseService");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const setup = (t, postFields = {}) => {
+  const creator = new User({
+    username: "creator",
+    email: "creator@example.com",
+    role: "creator",
+  });
+  const fan = new User({
+    username: "fan",
+    email: "fan@example.com",
+    role: "user",
+  });
+  const post = new Post({
+    author: creator._id,
+    title: "Behind the scenes",
+    content: "Behind the scenes",
+    visibility: "subscribers",
+    price: 500,
+    currency: "tnd",
+    ...postFields,
+  });
+  memoryModel(t, User, [creator, fan]);
+  memoryModel(t, Subscription);
+  memoryModel(t, Payment);
+  const purchases = memoryModel(t, Purchase);
+
+  let intents = 0;
+  t.mock.method(StripeService, "createPayment", async () => {
+    intents += 1;
+    return { providerPaymentId: `pi_${intents}`, clientSecret: "secret" };
+  });
+  const charges = t.mock.method(LedgerService, "recordCharge", async () => ({
+    _id: "charge",
+  }));
+  const refunds = t.mock.method(
+    LedgerService,
+    "recordRefund",
+    async () => null
+  );
+  t.mock.method(LedgerService, "findChargeByExternalId", async () => null);
+  silence(t, NotificationService, ["createPaymentReceivedNotification"]);
+
+  return { creator, fan, post, purchases, charges, refunds };
+};
+
+const subscribe = (fan, creator) =>
+  Subscription.create({
+    subscriber: fan._id,
+    creator: creator._id,
+    subscriptionPrice: 10000,
+    status: "active",
+    startDate: new Date(Date.now() - DAY_MS),
+    endDate: new Date(Date.now() + 30 * DAY_MS),
+  });
+
+describe("pay-per-view purchases", () => {
+  test("a new checkout replaces the unpaid one for the same post", async (t) => {
+    const { fan, post, purchases } = setup(t);
+
+    const first = await PurchaseService.startPurchase(fan, "Post", post);
+    const second = await PurchaseService.startPurchase(fan, "Post", post);
+
+    assert.equal(second.clientSecret, "secret");
+    assert.equal(second.purchase.paymentIntentId, "pi_2");
+    const abandoned = purchases.get(first.purchase._id);
+    assert.equal(abandoned.status, "failed");
+    assert.equal(abandoned.failureReason, "Checkout abandoned");
+    assert.equal(purchases.get(second.purchase._id).amount, 500);
+  });
+
+  test("the payment unlocks the post once, however often Stripe reports it", async (t) => {
+    const { fan, post, charges } = setup(t);
+    const { purchase } = await PurchaseService.startPurchase(fan, "Post", post);
+    assert.equal(await PurchaseService.canAccess(fan._id, "Post", post), false);
+
+    const paymentIntent = {
+      id: "pi_1",
+      amount_received: 500,
+      metadata: { purchaseId: purchase._id.toString() },
+    };
+    await PurchaseService.handlePaymentIntentSucceeded(paymentIntent);
+    await PurchaseService.handlePaymentIntentSucceeded(paymentIntent);
+
+    assert.equal(await PurchaseService.canAccess(fan._id, "Post", post), true);
+    assert.equal(charges.mock.callCount(), 1);
+    assert.equal(charges.mock.calls[0].arguments[0].type, "content_purchase");
+    assert.equal(charges.mock.calls[0].arguments[0].externalId, "pi_1");
+  });
+
+  test("subscribers only pay for posts priced for everyone", async (t) => {
+    const { creator, fan, post } = setup(t, {
+      priceAppliesTo: "non_subscribers",
+    });
+    await subscribe(fan, creator);
+
+    assert.equal(await PurchaseService.canAccess(fan._id, "Post", post), true);
+
+    post.priceAppliesTo = "everyone";
+    assert.equal(await PurchaseService.canAccess(fan._id, "Post", post), false);
+  });
+
+  test("a full refund takes the post back", async (t) => {
+    const { fan, post, refunds } = setup(t);
+    const { purchase } = await PurchaseService.startPurchase(fan, "Post", post);
+    await PurchaseService.completePurchase(purchase._id);
+
+    const charge = { id: "ch_1", payment_intent: "pi_1" };
+    await PurchaseService.handleChargeRefunded({
+      ...charge,
+      amount_refunded: 200,
+      refunded: false,
+    });
+    assert.equal(await PurchaseService.canAccess(fan._id, "Post", post), true);
+
+    await PurchaseService.handleChargeRefunded({
+      ...charge,
+      amount_refunded: 500,
+      refunded: true,
+    });
+    assert.equal(await PurchaseService.canAccess(fan._id, "Post", post), false);
+    assert.deepEqual(
+      refunds.mock.calls.map((call) => call.arguments[0].amount),
+      [200, 300]
+    );
+  });
+});
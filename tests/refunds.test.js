@@ -0,0 +1,185 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, silence } = require("./helpers");
+
+const mongoose = require("mongoose");
+const Subscription = require("../models/subscription_model");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const StripeService = require("../services/stripeService");
+const LedgerService = require("../services/ledgerService");
+const InvoiceService = require("../services/invoiceService");
+const NotificationService = require("../services/notificationService");
+const SubscriptionService = require("../services/subscriptionService");
+
+const { ObjectId } = mongoose.Types;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const setup = async (t, subscriptionFields = {}) => {
+  const now = Date.now();
+  const subscription = new Subscription({
+    subscriber: new ObjectId(),
+    creator: new ObjectId(),
+    subscriptionPrice: 10000,
+    currency: "tnd",
+    status: "active",
+    autoRenew: true,
+    paymentMethod: "stripe",
+    paymentIntentId: "pi_1",
+    stripeSubscriptionId: "sub_1",
+    startDate: new Date(now - 15 * DAY_MS),
+    lastPaymentDate: new Date(now - 15 * DAY_MS),
+    endDate: new Date(now + 15 * DAY_MS),
+    totalPaid: 10000,
+    ...subscriptionFields,
+  });
+  const subscriptions = memoryModel(t, Subscription, [subscription]);
+  const transactions = memoryModel(t, LedgerTransaction);
+  t.mock.method(LedgerService, "syncCreatorBalance", async () => null);
+  silence(t, InvoiceService, ["issueForCharge", "recordReversal"]);
+  silence(t, NotificationService, ["createSystemNotification"]);
+  t.mock.method(StripeService, "createRefund", async (_id, amount) => ({
+    id: "re_1",
+    charge: "ch_1",
+    amount,
+  }));
+  const cancelled = t.mock.method(
+    StripeService,
+    "cancelSubscription",
+    async () => null
+  );
+
+  await LedgerService.recordCharge({
+    creatorId: subscription.creator,
+    payerId: subscription.subscriber,
+    amount: 10000,
+    currency: "tnd",
+    externalId: "pi_1",
+  });
+
+  return { subscription, subscriptions, transactions, cancelled };
+};
+
+// Ledger transactions of a type
+const ofType = (transactions, type) =>
+  transactions.all().filter((transaction) => transaction.type === type);
+
+describe("subscription refunds", () => {
+  test("a prorated refund returns the unused half and ends access", async (t) => {
+    const { subscription, subscriptions, transactions, cancelled } =
+      await setup(t);
+
+    const { refund, error } = await SubscriptionService.refundSubscription(
+      subscriptions.get(subscription._id),
+      { type: "prorated", reason: "Requested by fan" }
+    );
+
+    assert.equal(error, undefined);
+    assert.equal(refund.amount, 5000);
+    const saved = subscriptions.get(subscription._id);
+    assert.equal(saved.status, "cancelled");
+    assert.equal(saved.cancelReason, "Refunded: Requested by fan");
+    assert.equal(saved.totalRefunded, 5000);
+    assert.equal(saved.totalPaid, 5000);
+    assert.equal(cancelled.mock.calls[0].arguments[0], "sub_1");
+    const [ledgerRefund] = ofType(transactions, "refund");
+    assert.equal(ledgerRefund.grossAmount, 5000);
+    assert.equal(ledgerRefund.platformFee, -1000);
+  });
+
+  test("the webhook for a refund made here records nothing twice", async (t) => {
+    const { subscription, subscriptions, transactions } = await setup(t);
+    await SubscriptionService.refundSubscription(
+      subscriptions.get(subscription._id),
+      { type: "full" }
+    );
+
+    await SubscriptionService.handleChargeRefunded({
+      id: "ch_1",
+      payment_intent: "pi_1",
+      amount_refunded: 10000,
+      refunded: true,
+    });
+
+    assert.equal(ofType(transactions, "refund").length, 1);
+    assert.equal(subscriptions.get(subscription._id).totalRefunded, 10000);
+    assert.deepEqual(
+      await SubscriptionService.calculateRefund(
+        subscriptions.get(subscription._id),
+        "full"
+      ),
+      { error: "Nothing left to refund on this subscription" }
+    );
+  });
+
+  test("local payments can't be refunded from the platform", async (t) => {
+    const { subscription, subscriptions } = await setup(t, {
+      paymentMethod: "konnect",
+    });
+
+    assert.deepEqual(
+      await SubscriptionService.refundSubscription(
+        subscriptions.get(subscription._id),
+        { type: "full" }
+      ),
+      { error: "Only card payments can be refunded from here" }
+    );
+  });
+});
+
+describe("subscription disputes", () => {
+  const dispute = {
+    id: "dp_1",
+    payment_intent: "pi_1",
+    amount: 10000,
+    reason: "fraudulent",
+    status: "needs_response",
+  };
+
+  test("an opened dispute ends access and takes the earnings back once", async (t) => {
+    const { subscription, subscriptions, transactions } = await setup(t);
+
+    await SubscriptionService.handleDisputeCreated(dispute);
+    await SubscriptionService.handleDisputeCreated(dispute);
+
+    const saved = subscriptions.get(subscription._id);
+    assert.equal(saved.status, "cancelled");
+    assert.equal(saved.cancelReason, "Payment disputed");
+    assert.equal(saved.disputes.length, 1);
+    assert.equal(ofType(transactions, "chargeback").length, 1);
+  });
+
+  test("a won dispute gives the earnings back, a lost one doesn't", async (t) => {
+    const { subscription, subscriptions, transactions } = await setup(t);
+    await SubscriptionService.handleDisputeCreated(dispute);
+
+    await SubscriptionService.handleDisputeClosed({
+      ...dispute,
+      status: "won",
+    });
+    await SubscriptionService.handleDisputeClosed({
+      ...dispute,
+      status: "won",
+    });
+
+    const [entry] = subscriptions.get(subscription._id).disputes;
+    assert.equal(entry.outcome, "won");
+    assert.equal(subscriptions.get(subscription._id).status, "cancelled");
+    const [reversal] = ofType(transactions, "chargeback_reversal");
+    assert.equal(ofType(transactions, "chargeback_reversal").length, 1);
+    assert.equal(reversal.grossAmount, 10000);
+    assert.equal(reversal.platformFee, 2000);
+
+    await SubscriptionService.handleDisputeCreated({ ...dispute, id: "dp_2" });
+    await SubscriptionService.handleDisputeClosed({
+      ...dispute,
+      id: "dp_2",
+      status: "lost",
+    });
+    assert.equal(
+      subscriptions.get(subscription._id).disputes[1].outcome,
+      "lost"
+    );
+    assert.equal(ofType(transactions, "chargeback_reversal").length, 1);
+  });
+});
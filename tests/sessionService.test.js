@@ -0,0 +1,150 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel } = require("./helpers");
+
+const User = require("../models/user_model");
+const Session = require("../models/session_model");
+const SessionService = require("../services/sessionService");
+const SocketService = require("../services/socketService");
+
+const setup = (t) => {
+  const user = new User({
+    username: "fan",
+    email: "fan@example.com",
+    role: "user",
+  });
+  const users = memoryModel(t, User, [user]);
+  const sessions = memoryModel(t, Session);
+  return { user, users, sessions };
+};
+
+// Socket.io server with the given sockets connected
+const fakeIo = (sockets) => ({
+  use: () => {},
+  on: () => {},
+  of: () => ({
+    sockets: new Map(sockets.map((socket) => [socket.id, socket])),
+  }),
+});
+
+const fakeSocket = (id, userId, sessionId) => ({
+  id,
+  userId: userId.toString(),
+  sessionId: sessionId.toString(),
+  events: [],
+  disconnected: false,
+  emit(event, data) {
+    this.events.push([event, data]);
+  },
+  disconnect() {
+    this.disconnected = true;
+  },
+});
+
+describe("sessions", () => {
+  test("a refresh token rotates and a replayed one ends the session", async (t) => {
+    const { user } = setup(t);
+    t.mock.method(console, "warn", () => {});
+
+    const first = await SessionService.createSession(user);
+    const second = await SessionService.refresh(first.refreshToken);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(
+      (await SessionService.verifyAccessToken(second.accessToken)).user
+        .username,
+      "fan"
+    );
+
+    assert.deepEqual(await SessionService.refresh(first.refreshToken), {
+      error: "Invalid or expired refresh token",
+    });
+    assert.deepEqual(await SessionService.refresh(second.refreshToken), {
+      error: "Invalid or expired refresh token",
+    });
+    assert.deepEqual(
+      await SessionService.verifyAccessToken(second.accessToken),
+      { error: "Not authorized, session ended" }
+    );
+  });
+
+  test("a deactivated account can no longer use its tokens", async (t) => {
+    const { user, users } = setup(t);
+    const { accessToken, refreshToken } =
+      await SessionService.createSession(user);
+
+    await User.updateOne({ _id: user._id }, { isActive: false });
+
+    assert.deepEqual(await SessionService.verifyAccessToken(accessToken), {
+      error: "Not authorized, account deactivated",
+    });
+    assert.deepEqual(await SessionService.refresh(refreshToken), {
+      error: "Invalid or expired refresh token",
+    });
+    assert.equal(users.get(user._id).isActive, false);
+  });
+});
+
+describe("sockets of ended sessions", () => {
+  const connect = (t, sockets) => {
+    const service = new SocketService(fakeIo(sockets));
+    t.after(() => service.stopListening());
+    return service;
+  };
+
+  test("logging out disconnects that session's sockets only", async (t) => {
+    const { user } = setup(t);
+    const phone = await SessionService.createSession(user);
+    const laptop = await SessionService.createSession(user);
+    const phoneSocket = fakeSocket("s1", user._id, phone.session._id);
+    const laptopSocket = fakeSocket("s2", user._id, laptop.session._id);
+    connect(t, [phoneSocket, laptopSocket]);
+
+    await SessionService.revokeSession(phone.session._id, { reason: "logout" });
+
+    assert.equal(phoneSocket.disconnected, true);
+    assert.deepEqual(phoneSocket.events, [
+      ["session_ended", { reason: "logout" }],
+    ]);
+    assert.equal(laptopSocket.disconnected, false);
+  });
+
+  test("revoking every session keeps the caller's socket", async (t) => {
+    const { user } = setup(t);
+    const other = new User({ username: "other", email: "other@example.com" });
+    const current = await SessionService.createSession(user);
+    const old = await SessionService.createSession(user);
+    const currentSocket = fakeSocket("s1", user._id, current.session._id);
+    const oldSocket = fakeSocket("s2", user._id, old.session._id);
+    const otherSocket = fakeSocket("s3", other._id, current.session._id);
+    connect(t, [currentSocket, oldSocket, otherSocket]);
+
+    await SessionService.revokeAllSessions(user._id, {
+      exceptSessionId: current.session._id,
+    });
+
+    assert.equal(currentSocket.disconnected, false);
+    assert.equal(oldSocket.disconnected, true);
+    assert.equal(otherSocket.disconnected, false);
+
+    // Deactivation and password resets end every session
+    await SessionService.revokeAllSessions(user._id, { reason: "deactivated" });
+    assert.equal(currentSocket.disconnected, true);
+    assert.deepEqual(currentSocket.events, [
+      ["session_ended", { reason: "deactivated" }],
+    ]);
+  });
+
+  test("a replayed refresh token disconnects the session", async (t) => {
+    const { user } = setup(t);
+    t.mock.method(console, "warn", () => {});
+    const { session, refreshToken } = await SessionService.createSession(user);
+    const socket = fakeSocket("s1", user._id, session._id);
+    connect(t, [socket]);
+
+    await SessionService.refresh(refreshToken);
+    assert.equal(socket.disconnected, false);
+
+    await SessionService.refresh(refreshToken);
+    assert.equal(socket.disconnected, true);
+  });
+});
@@ -0,0 +1,159 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, runHandler } = require("./helpers");
+
+const WebhookEvent = require("../models/webhook_event_model");
+const StripeService = require("../services/stripeService");
+const SubscriptionService = require("../services/subscriptionService");
+const { handleStripeWebhook } = require("../controllers/webhookController");
+
+const MINUTE_MS = 60 * 1000;
+
+const invoicePaid = {
+  id: "evt_1",
+  type: "invoice.paid",
+  data: { object: { id: "in_1" } },
+};
+
+// Stripe client whose signature check accepts `event` as is
+const useEvent = (t, event) => {
+  const originalClient = StripeService.stripe;
+  StripeService.setClient({
+    webhooks: { constructEvent: () => event },
+  });
+  t.after(() => StripeService.setClient(originalClient));
+};
+
+const deliver = () =>
+  runHandler(handleStripeWebhook, {
+    headers: { "stripe-signature": "t=1,v1=signature" },
+    body: Buffer.from("{}"),
+  });
+
+describe("stripe webhook idempotency", () => {
+  test("a duplicate delivery is acknowledged without running the handler again", async (t) => {
+    const events = memoryModel(t, WebhookEvent);
+    useEvent(t, invoicePaid);
+    const handled = t.mock.method(
+      SubscriptionService,
+      "handleInvoicePaid",
+      async () => null
+    );
+
+    const first = await deliver();
+    const second = await deliver();
+
+    assert.deepEqual(first.body, { received: true });
+    assert.deepEqual(second.body, { received: true, duplicate: true });
+    assert.equal(handled.mock.callCount(), 1);
+
+    const [record] = events.all();
+    assert.equal(record.eventId, "evt_1");
+    assert.equal(record.status, "processed");
+    assert.equal(record.attempts, 1);
+  });
+
+  test("a delivery that failed is processed again on retry", async (t) => {
+    const events = memoryModel(t, WebhookEvent);
+    useEvent(t, invoicePaid);
+    t.mock.method(console, "error", () => {});
+    let calls = 0;
+    t.mock.method(SubscriptionService, "handleInvoicePaid", async () => {
+      calls += 1;
+      if (calls === 1) throw new Error("Database unavailable");
+      return null;
+    });
+
+    const first = await deliver();
+    assert.equal(first.error.message, "Database unavailable");
+    assert.equal(events.all()[0].status, "failed");
+
+    const retry = await deliver();
+    assert.deepEqual(retry.body, { received: true });
+    assert.equal(calls, 2);
+
+    const [record] = events.all();
+    assert.equal(record.status, "processed");
+    assert.equal(record.attempts, 2);
+    assert.equal(record.error, undefined);
+  });
+
+  test("an event still being processed is not picked up twice", async (t) => {
+    memoryModel(t, WebhookEvent, [
+      {
+        eventId: "evt_1",
+        type: "invoice.paid",
+        status: "processing",
+        updatedAt: new Date(Date.now() - MINUTE_MS),
+      },
+    ]);
+    useEvent(t, invoicePaid);
+    const handled = t.mock.method(
+      SubscriptionService,
+      "handleInvoicePaid",
+      async () => null
+    );
+
+    const { body } = await deliver();
+
+    assert.deepEqual(body, { received: true, duplicate: true });
+    assert.equal(handled.mock.callCount(), 0);
+  });
+
+  test("an event abandoned in processing is reclaimed after the lease", async (t) => {
+    const events = memoryModel(t, WebhookEvent, [
+      {
+        eventId: "evt_1",
+        type: "invoice.paid",
+        status: "processing",
+        // The process handling it died 10 minutes ago (lease is 5)
+        updatedAt: new Date(Date.now() - 10 * MINUTE_MS),
+      },
+    ]);
+    useEvent(t, invoicePaid);
+    const handled = t.mock.method(
+      SubscriptionService,
+      "handleInvoicePaid",
+      async () => null
+    );
+
+    const { body } = await deliver();
+
+    assert.deepEqual(body, { received: true });
+    assert.equal(handled.mock.callCount(), 1);
+    const [record] = events.all();
+    assert.equal(record.status, "processed");
+    assert.equal(record.attempts, 2);
+  });
+
+  test("events without a handler are recorded as ignored", async (t) => {
+    const events = memoryModel(t, WebhookEvent);
+    useEvent(t, { id: "evt_2", type: "customer.created", data: {} });
+
+    const { body } = await deliver();
+
+    assert.deepEqual(body, { received: true });
+    assert.equal(events.all()[0].status, "ignored");
+  });
+
+  test("a bad signature is rejected before anything is recorded", async (t) => {
+    const events = memoryModel(t, WebhookEvent);
+    const originalClient = StripeService.stripe;
+    StripeService.setClient({
+      webhooks: {
+        constructEvent: () => {
+          throw new Error(
+            "No signatures found matching the expected signature"
+          );
+        },
+      },
+    });
+    t.after(() => StripeService.setClient(originalClient));
+    t.mock.method(console, "error", () => {});
+
+    const { error } = await deliver();
+
+    assert.equal(error.status, 400);
+    assert.equal(events.all().length, 0);
+  });
+});
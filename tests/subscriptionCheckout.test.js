@@ -0,0 +1,317 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, runHandler, silence } = require("./helpers");
+
+const mongoose = require("mongoose");
+const User = require("../models/user_model");
+const Subscription = require("../models/subscription_model");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const Payment = require("../models/payment_model");
+const Counter = require("../models/counter_model");
+const PromoRedemption = require("../models/promo_redemption_model");
+const StripeService = require("../services/stripeService");
+const SubscriptionService = require("../services/subscriptionService");
+const LedgerService = require("../services/ledgerService");
+const InvoiceService = require("../services/invoiceService");
+const NotificationService = require("../services/notificationService");
+const PaymentService = require("../services/paymentService");
+const BankTransferProvider = require("../services/paymentProviders/bankTransferProvider");
+const { subscribeToCreator } = require("../controllers/subscriptionController");
+
+const { ObjectId } = mongoose.Types;
+
+const newCreator = (fields = {}) =>
+  new User({
+    username: "creator",
+    email: "creator@example.com",
+    role: "creator",
+    subscriptionPrice: 10000,
+    pricingCurrency: "tnd",
+    ...fields,
+  });
+
+const newFan = () =>
+  new User({ username: "fan", email: "fan@example.com", role: "user" });
+
+// Stripe client answering the calls a subscription checkout makes
+const fakeStripe = (calls) => ({
+  customers: {
+    list: async () => ({ data: [] }),
+    create: async (params) => ({ id: "cus_1", ...params }),
+  },
+  prices: {
+    create: async (params) => {
+      calls.price = params;
+      return { id: "price_1" };
+    },
+  },
+  subscriptions: {
+    create: async (params) => {
+      calls.subscription = params;
+      return {
+        id: "sub_1",
+        status: "incomplete",
+        latest_invoice: {
+          amount_due: params.items ? 10000 : 0,
+          confirmation_secret: { client_secret: "pi_1_secret" },
+          payment_intent: "pi_1",
+        },
+      };
+    },
+  },
+});
+
+// Ledger side effects that need more than the ledger collection
+const stubLedgerSideEffects = (t) => {
+  t.mock.method(LedgerService, "syncCreatorBalance", async () => null);
+  t.mock.method(InvoiceService, "issueForCharge", async () => null);
+};
+
+describe("subscription checkout", () => {
+  test("card checkout leaves the subscription pending until Stripe is paid", async (t) => {
+    const creator = newCreator();
+    const fan = newFan();
+    memoryModel(t, User, [creator, fan]);
+    const subscriptions = memoryModel(t, Subscription);
+    memoryModel(t, Payment);
+
+    const calls = {};
+    const originalClient = StripeService.stripe;
+    StripeService.setClient(fakeStripe(calls));
+    t.after(() => StripeService.setClient(originalClient));
+
+    const { status, body } = await runHandler(subscribeToCreator, {
+      body: { creatorId: creator._id.toString() },
+      user: fan,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.checkoutType, "payment");
+    assert.equal(body.clientSecret, "pi_1_secret");
+    assert.equal(body.subscription.status, "pending");
+    // Stripe takes the same minor units (10.000 TND in millimes)
+    assert.equal(calls.price.unit_amount, 10000);
+    assert.equal(calls.price.currency, "tnd");
+    assert.equal(
+      calls.subscription.metadata.subscriptionId,
+      body.subscription._id.toString()
+    );
+
+    const [saved] = subscriptions.all();
+    assert.equal(saved.status, "pending");
+    assert.equal(saved.stripeSubscriptionId, "sub_1");
+    assert.equal(saved.paymentIntentId, "pi_1");
+    assert.equal(saved.autoRenew, true);
+  });
+
+  test("bank transfer checkout returns the transfer instructions", async (t) => {
+    const creator = newCreator();
+    const fan = newFan();
+    memoryModel(t, User, [creator, fan]);
+    const subscriptions = memoryModel(t, Subscription);
+    const payments = memoryModel(t, Payment);
+    memoryModel(t, Counter);
+
+    PaymentService.setProvider(
+      "bank_transfer",
+      new BankTransferProvider({ bankName: "Test Bank", rib: "0123" })
+    );
+    t.after(() =>
+      PaymentService.registerProvider(
+        "bank_transfer",
+        () => new BankTransferProvider()
+      )
+    );
+
+    const { status, body } = await runHandler(subscribeToCreator, {
+      body: {
+        creatorId: creator._id.toString(),
+        paymentMethod: "bank_transfer",
+      },
+      user: fan,
+    });
+
+    assert.equal(status, 201);
+    assert.equal(body.payment.method, "bank_transfer");
+    assert.equal(body.payment.reference, "TFP-00000001");
+    assert.equal(body.payment.amount, 10000);
+    assert.equal(body.payment.instructions.bankName, "Test Bank");
+    assert.equal(body.payment.instructions.reference, "TFP-00000001");
+
+    // Local payments are paid period by period and never renew on their own
+    const [subscription] = subscriptions.all();
+    assert.equal(subscription.status, "pending");
+    assert.equal(subscription.autoRenew, false);
+
+    const [payment] = payments.all();
+    assert.equal(payment.status, "pending");
+    assert.equal(payment.providerPaymentId, "TFP-00000001");
+    assert.equal(payment.purposeModel, "Subscription");
+    assert.equal(payment.purpose.toString(), subscription._id.toString());
+  });
+
+  test("a failed Stripe checkout drops the pending subscription", async (t) => {
+    const creator = newCreator();
+    const fan = newFan();
+    memoryModel(t, User, [creator, fan]);
+    const subscriptions = memoryModel(t, Subscription);
+    memoryModel(t, Payment);
+    memoryModel(t, PromoRedemption);
+
+    const client = fakeStripe({});
+    client.subscriptions.create = async () => {
+      throw new Error("Your card was declined");
+    };
+    const originalClient = StripeService.stripe;
+    StripeService.setClient(client);
+    t.after(() => StripeService.setClient(originalClient));
+    t.mock.method(console, "error", () => {});
+
+    const { error } = await runHandler(subscribeToCreator, {
+      body: { creatorId: creator._id.toString() },
+      user: fan,
+    });
+
+    assert.equal(error.status, 502);
+    assert.equal(subscriptions.all().length, 0);
+  });
+});
+
+describe("subscription activation", () => {
+  const pendingSubscription = (creator, fan, fields = {}) =>
+    new Subscription({
+      subscriber: fan._id,
+      creator: creator._id,
+      subscriptionPrice: 10000,
+      currency: "tnd",
+      durationMonths: 1,
+      status: "pending",
+      paymentMethod: "konnect",
+      autoRenew: false,
+      endDate: new Date("2026-02-01T00:00:00Z"),
+      ...fields,
+    });
+
+  test("activating a paid subscription records a balanced ledger charge", async (t) => {
+    const creator = newCreator();
+    const fan = newFan();
+    const subscription = pendingSubscription(creator, fan);
+    const users = memoryModel(t, User, [creator, fan]);
+    const subscriptions = memoryModel(t, Subscription, [subscription]);
+    const ledger = memoryModel(t, LedgerTransaction);
+    stubLedgerSideEffects(t);
+    silence(t, NotificationService, [
+      "createSubscriptionNotification",
+      "createPaymentReceivedNotification",
+    ]);
+
+    const paidAt = new Date("2026-01-10T12:00:00Z");
+    const activated = await SubscriptionService.activateSubscription(
+      subscription._id,
+      { amountPaid: 10000, paymentIntentId: "pi_paid", paidAt }
+    );
+
+    assert.equal(activated.status, "active");
+    assert.equal(activated.totalPaid, 10000);
+    assert.deepEqual(activated.activatedAt, paidAt);
+    assert.deepEqual(activated.startDate, paidAt);
+    assert.deepEqual(activated.endDate, new Date("2026-02-10T12:00:00Z"));
+    assert.equal(subscriptions.get(subscription._id).status, "active");
+
+    const [charge] = ledger.all();
+    assert.equal(charge.type, "subscription_charge");
+    assert.equal(charge.externalId, "pi_paid");
+    assert.equal(charge.grossAmount, 10000);
+    assert.equal(charge.platformFee, 2000);
+    assert.equal(charge.currency, "tnd");
+
+    const entry = (account) =>
+      charge.entries.find((item) => item.account === account);
+    assert.equal(entry("processor").debit, 10000);
+    assert.equal(entry("platform_revenue").credit, 2000);
+    assert.equal(entry("creator_earnings").credit, 8000);
+    assert.equal(
+      entry("creator_earnings").owner.toString(),
+      creator._id.toString()
+    );
+    // Creator earnings are held before they can be paid out (7 days)
+    assert.deepEqual(
+      entry("creator_earnings").availableAt,
+      new Date("2026-01-17T12:00:00Z")
+    );
+
+    assert.equal(users.get(creator._id).subscriberCount, 1);
+    assert.equal(users.get(fan._id).subscriptionCount, 1);
+  });
+
+  test("a second confirmation of the same payment changes nothing", async (t) => {
+    const creator = newCreator();
+    const fan = newFan();
+    const subscription = pendingSubscription(creator, fan);
+    const users = memoryModel(t, User, [creator, fan]);
+    memoryModel(t, Subscription, [subscription]);
+    const ledger = memoryModel(t, LedgerTransaction);
+    stubLedgerSideEffects(t);
+    silence(t, NotificationService, [
+      "createSubscriptionNotification",
+      "createPaymentReceivedNotification",
+    ]);
+
+    const payment = { amountPaid: 10000, paymentIntentId: "pi_paid" };
+    await SubscriptionService.activateSubscription(subscription._id, payment);
+    const again = await SubscriptionService.activateSubscription(
+      subscription._id,
+      payment
+    );
+
+    assert.equal(again.status, "active");
+    assert.equal(again.totalPaid, 10000);
+    assert.equal(ledger.all().length, 1);
+    assert.equal(users.get(creator._id).subscriberCount, 1);
+  });
+
+  test("a bundle charge shares the creator part between its members", async (t) => {
+    const first = newCreator({ username: "first" });
+    const second = newCreator({ username: "second" });
+    const fan = newFan();
+    const bundleId = new ObjectId();
+    const subscription = pendingSubscription(first, fan, {
+      bundle: bundleId,
+      bundleCreators: [first._id, second._id],
+    });
+    memoryModel(t, User, [first, second, fan]);
+    memoryModel(t, Subscription, [subscription]);
+    const ledger = memoryModel(t, LedgerTransaction);
+    stubLedgerSideEffects(t);
+    silence(t, NotificationService, [
+      "createSubscriptionNotification",
+      "createPaymentReceivedNotification",
+    ]);
+
+    const Bundle = require("../models/bundle_model");
+    t.mock.method(Bundle, "findById", async () => ({
+      getRevenueSplits: () => [
+        { creatorId: first._id, percent: 50 },
+        { creatorId: second._id, percent: 50 },
+      ],
+    }));
+
+    await SubscriptionService.activateSubscription(subscription._id, {
+      amountPaid: 10001,
+      paymentIntentId: "pi_bundle",
+    });
+
+    const [charge] = ledger.all();
+    const earnings = charge.entries.filter(
+      (entry) => entry.account === "creator_earnings"
+    );
+    // 10001 - 2000 fee = 8001; the odd millime goes to the first creator
+    assert.deepEqual(
+      earnings.map((entry) => [entry.owner.toString(), entry.credit]),
+      [
+        [first._id.toString(), 4001],
+        [second._id.toString(), 4000],
+      ]
+    );
+  });
+});
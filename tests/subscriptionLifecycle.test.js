@@ -0,0 +1,283 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, silence } = require("./helpers");
+
+const User = require("../models/user_model");
+const Subscription = require("../models/subscription_model");
+const LedgerTransaction = require("../models/ledger_transaction_model");
+const StripeService = require("../services/stripeService");
+const LedgerService = require("../services/ledgerService");
+const InvoiceService = require("../services/invoiceService");
+const NotificationService = require("../services/notificationService");
+const {
+  renewDueSubscriptions,
+  expireLapsedSubscriptions,
+} = require("../jobs/subscriptionLifecycle");
+const { createManualClock } = require("../utils/clock");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const toUnix = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+// A creator and a fan with one active subscription between them
+const setup = (t, fields = {}) => {
+  const creator = new User({
+    username: "creator",
+    email: "creator@example.com",
+    role: "creator",
+    subscriberCount: 1,
+  });
+  const fan = new User({
+    username: "fan",
+    email: "fan@example.com",
+    role: "user",
+    subscriptionCount: 1,
+  });
+  const subscription = new Subscription({
+    subscriber: fan._id,
+    creator: creator._id,
+    subscriptionPrice: 10000,
+    currency: "tnd",
+    durationMonths: 1,
+    status: "active",
+    activatedAt: new Date("2026-01-01T00:00:00Z"),
+    startDate: new Date("2026-01-01T00:00:00Z"),
+    endDate: new Date("2026-02-01T00:00:00Z"),
+    totalPaid: 10000,
+    lastPaymentDate: new Date("2026-01-01T00:00:00Z"),
+    ...fields,
+  });
+
+  const users = memoryModel(t, User, [creator, fan]);
+  const subscriptions = memoryModel(t, Subscription, [subscription]);
+  silence(t, NotificationService, [
+    "createSubscriptionExpiredNotification",
+    "createPaymentReceivedNotification",
+  ]);
+
+  return { creator, fan, subscription, users, subscriptions };
+};
+
+// Stripe client for a subscription whose latest invoice is `invoice`
+const useStripe = (t, { status = "active", invoice }) => {
+  const cancelled = [];
+  const originalClient = StripeService.stripe;
+  StripeService.setClient({
+    subscriptions: {
+      retrieve: async (id) => ({ id, status, latest_invoice: invoice }),
+      cancel: async (id) => {
+        cancelled.push(id);
+        return { id, status: "canceled" };
+      },
+    },
+  });
+  t.after(() => StripeService.setClient(originalClient));
+  return cancelled;
+};
+
+describe("subscription lifecycle: expiry", () => {
+  test("a subscription that won't renew expires once its period is over", async (t) => {
+    const { creator, fan, subscription, users, subscriptions } = setup(t, {
+      paymentMethod: "konnect",
+      autoRenew: false,
+    });
+    const clock = createManualClock("2026-01-31T23:00:00Z");
+
+    assert.deepEqual(await expireLapsedSubscriptions({ clock }), {
+      expired: 0,
+      failed: 0,
+    });
+    assert.equal(subscriptions.get(subscription._id).status, "active");
+
+    clock.advance(2 * HOUR_MS);
+    assert.deepEqual(await expireLapsedSubscriptions({ clock }), {
+      expired: 1,
+      failed: 0,
+    });
+
+    const expired = subscriptions.get(subscription._id);
+    assert.equal(expired.status, "expired");
+    assert.equal(expired.autoRenew, false);
+    assert.equal(expired.nextBillingDate, null);
+    assert.equal(users.get(creator._id).subscriberCount, 0);
+    assert.equal(users.get(fan._id).subscriptionCount, 0);
+    assert.equal(
+      NotificationService.createSubscriptionExpiredNotification.mock.callCount(),
+      1
+    );
+
+    // Nothing left to do on the next run
+    assert.deepEqual(await expireLapsedSubscriptions({ clock }), {
+      expired: 0,
+      failed: 0,
+    });
+    assert.equal(users.get(creator._id).subscriberCount, 0);
+  });
+
+  test("a cancelled subscription keeps access until its end date", async (t) => {
+    const { subscription, subscriptions } = setup(t, {
+      status: "cancelled",
+      autoRenew: false,
+    });
+    const clock = createManualClock("2026-01-15T00:00:00Z");
+
+    await expireLapsedSubscriptions({ clock });
+    assert.equal(subscriptions.get(subscription._id).status, "cancelled");
+
+    clock.set("2026-02-01T00:00:00Z");
+    await expireLapsedSubscriptions({ clock });
+    assert.equal(subscriptions.get(subscription._id).status, "expired");
+  });
+
+  test("an abandoned checkout is never expired or uncounted", async (t) => {
+    const { creator, fan, subscription, users, subscriptions } = setup(t, {
+      status: "cancelled",
+      cancelReason: "Checkout abandoned",
+      autoRenew: false,
+      activatedAt: undefined,
+      totalPaid: 0,
+      lastPaymentDate: undefined,
+    });
+    const clock = createManualClock("2026-02-02T00:00:00Z");
+
+    assert.deepEqual(await expireLapsedSubscriptions({ clock }), {
+      expired: 0,
+      failed: 0,
+    });
+    assert.equal(subscriptions.get(subscription._id).status, "cancelled");
+    assert.equal(users.get(creator._id).subscriberCount, 1);
+    assert.equal(users.get(fan._id).subscriptionCount, 1);
+    assert.equal(
+      NotificationService.createSubscriptionExpiredNotification.mock.callCount(),
+      0
+    );
+  });
+
+  test("a past-due subscription gets a grace period for payment retries", async (t) => {
+    const { subscription, subscriptions } = setup(t, {
+      paymentMethod: "stripe",
+      stripeSubscriptionId: "sub_1",
+      status: "past_due",
+      autoRenew: true,
+    });
+    const clock = createManualClock("2026-02-07T00:00:00Z");
+
+    await expireLapsedSubscriptions({ clock });
+    assert.equal(subscriptions.get(subscription._id).status, "past_due");
+
+    // Seven days after the end date
+    clock.advance(DAY_MS);
+    await expireLapsedSubscriptions({ clock });
+    assert.equal(subscriptions.get(subscription._id).status, "expired");
+  });
+});
+
+describe("subscription lifecycle: renewal", () => {
+  const stripeBilled = {
+    paymentMethod: "stripe",
+    stripeSubscriptionId: "sub_1",
+    autoRenew: true,
+    paymentIntentIds: ["pi_first"],
+  };
+
+  test("a renewal Stripe charged is picked up even without its webhook", async (t) => {
+    const { creator, subscription, subscriptions } = setup(t, stripeBilled);
+    const ledger = memoryModel(t, LedgerTransaction);
+    t.mock.method(LedgerService, "syncCreatorBalance", async () => null);
+    t.mock.method(InvoiceService, "issueForCharge", async () => null);
+    useStripe(t, {
+      invoice: {
+        id: "in_2",
+        status: "paid",
+        billing_reason: "subscription_cycle",
+        subscription: "sub_1",
+        amount_paid: 10000,
+        payment_intent: "pi_renewal",
+        status_transitions: { paid_at: toUnix("2026-02-01T00:05:00Z") },
+        lines: {
+          data: [{ period: { end: toUnix("2026-03-01T00:00:00Z") } }],
+        },
+      },
+    });
+    const clock = createManualClock("2026-01-31T12:00:00Z");
+
+    // Not due yet
+    assert.deepEqual(await renewDueSubscriptions({ clock }), {
+      renewed: 0,
+      expired: 0,
+      failed: 0,
+    });
+
+    clock.set("2026-02-01T01:00:00Z");
+    assert.deepEqual(await renewDueSubscriptions({ clock }), {
+      renewed: 1,
+      expired: 0,
+      failed: 0,
+    });
+
+    const renewed = subscriptions.get(subscription._id);
+    assert.equal(renewed.status, "active");
+    assert.deepEqual(renewed.endDate, new Date("2026-03-01T00:00:00Z"));
+    assert.equal(renewed.totalPaid, 20000);
+    assert.deepEqual([...renewed.paymentIntentIds], ["pi_first", "pi_renewal"]);
+
+    const [charge] = ledger.all();
+    assert.equal(charge.externalId, "pi_renewal");
+    assert.equal(charge.creator.toString(), creator._id.toString());
+    assert.equal(charge.grossAmount, 10000);
+    assert.equal(charge.platformFee, 2000);
+
+    // Renewed into the next period: nothing to do on the next run
+    assert.deepEqual(await renewDueSubscriptions({ clock }), {
+      renewed: 0,
+      expired: 0,
+      failed: 0,
+    });
+    assert.equal(ledger.all().length, 1);
+  });
+
+  test("an unpaid Stripe renewal expires after the grace period and stops billing", async (t) => {
+    const { subscription, subscriptions } = setup(t, stripeBilled);
+    const cancelled = useStripe(t, {
+      invoice: { id: "in_2", status: "open", subscription: "sub_1" },
+    });
+    const clock = createManualClock("2026-02-01T06:00:00Z");
+
+    // Stripe may still be finalizing and charging the invoice
+    assert.deepEqual(await renewDueSubscriptions({ clock }), {
+      renewed: 0,
+      expired: 0,
+      failed: 0,
+    });
+    assert.equal(subscriptions.get(subscription._id).status, "active");
+    assert.deepEqual(cancelled, []);
+
+    // 24 hours after the end date
+    clock.set("2026-02-02T00:00:01Z");
+    assert.deepEqual(await renewDueSubscriptions({ clock }), {
+      renewed: 0,
+      expired: 1,
+      failed: 0,
+    });
+    assert.equal(subscriptions.get(subscription._id).status, "expired");
+    assert.deepEqual(cancelled, ["sub_1"]);
+  });
+
+  test("a renewal Stripe reports past due waits for the retries", async (t) => {
+    const { subscription, subscriptions } = setup(t, stripeBilled);
+    const cancelled = useStripe(t, {
+      status: "past_due",
+      invoice: { id: "in_2", status: "open", subscription: "sub_1" },
+    });
+    const clock = createManualClock("2026-02-03T00:00:00Z");
+
+    assert.deepEqual(await renewDueSubscriptions({ clock }), {
+      renewed: 0,
+      expired: 0,
+      failed: 0,
+    });
+    assert.equal(subscriptions.get(subscription._id).status, "past_due");
+    assert.deepEqual(cancelled, []);
+  });
+});
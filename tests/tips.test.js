@@ -0,0 +1,165 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryModel, silence } = require("./helpers");
+
+const mongoose = require("mongoose");
+const Tip = require("../models/tip_model");
+const Message = require("../models/message_model");
+const Conversation = require("../models/conversation_model");
+const StripeService = require("../services/stripeService");
+const LedgerService = require("../services/ledgerService");
+const NotificationService = require("../services/notificationService");
+const TipService = require("../services/tipService");
+
+const { ObjectId } = mongoose.Types;
+
+const setup = (t) => {
+  const fan = { _id: new ObjectId(), email: "fan@example.com" };
+  const creatorId = new ObjectId();
+  const conversation = new Conversation({
+    participants: [
+      { user: fan._id, userModel: "User" },
+      { user: creatorId, userModel: "User" },
+    ],
+  });
+  const tips = memoryModel(t, Tip);
+  const messages = memoryModel(t, Message);
+  const conversations = memoryModel(t, Conversation, [conversation]);
+
+  t.mock.method(StripeService, "createPayment", async () => ({
+    providerPaymentId: "pi_1",
+    clientSecret: "secret",
+  }));
+  const charges = t.mock.method(LedgerService, "recordCharge", async () => ({
+    _id: "charge",
+  }));
+  const refunds = t.mock.method(
+    LedgerService,
+    "recordRefund",
+    async () => null
+  );
+  t.mock.method(LedgerService, "findChargeByExternalId", async () => null);
+  silence(t, NotificationService, ["createPaymentReceivedNotification"]);
+
+  // Start a card tip in the chat; resolves with the pending tip
+  const startChatTip = async (note) => {
+    const { tip } = await TipService.startTip(fan, {
+      creatorId,
+      source: "chat",
+      conversation,
+      amount: 20000,
+      currency: "tnd",
+      note,
+    });
+    return tip;
+  };
+
+  return {
+    creatorId,
+    conversation,
+    tips,
+    messages,
+    conversations,
+    charges,
+    refunds,
+    startChatTip,
+  };
+};
+
+const succeeded = (tip) => ({
+  id: "pi_1",
+  amount_received: tip.amount,
+  metadata: { tipId: tip._id.toString() },
+});
+
+describe("tips", () => {
+  test("a paid chat tip is credited and posted in the conversation once", async (t) => {
+    const {
+      creatorId,
+      conversation,
+      messages,
+      conversations,
+      charges,
+      startChatTip,
+    } = setup(t);
+    const tip = await startChatTip("Thanks for the stream!");
+    assert.equal(tip.status, "pending");
+    assert.equal(tip.paymentIntentId, "pi_1");
+
+    await TipService.handlePaymentIntentSucceeded(succeeded(tip));
+    await TipService.handlePaymentIntentSucceeded(succeeded(tip));
+
+    assert.equal(charges.mock.callCount(), 1);
+    assert.equal(charges.mock.calls[0].arguments[0].type, "tip");
+    const [message] = messages.all();
+    assert.equal(messages.all().length, 1);
+    assert.equal(message.messageType, "tip");
+    assert.equal(message.content, "Thanks for the stream!");
+    const saved = conversations.get(conversation._id);
+    assert.equal(saved.lastMessage.toString(), message._id.toString());
+    assert.equal(
+      saved.participants.find(
+        (participant) => participant.user.toString() === creatorId.toString()
+      ).unreadCount,
+      1
+    );
+  });
+
+  test("a tip without a note is announced with its amount", async (t) => {
+    const { messages, startChatTip } = setup(t);
+    const tip = await startChatTip();
+
+    await TipService.completeTip(tip._id);
+
+    assert.equal(messages.all()[0].content, "Sent a 20.000 TND tip");
+  });
+
+  test("a failed payment credits nothing", async (t) => {
+    const { tips, messages, charges, startChatTip } = setup(t);
+    const tip = await startChatTip();
+
+    await TipService.handlePaymentIntentFailed({
+      metadata: { tipId: tip._id.toString() },
+      last_payment_error: { message: "Your card was declined." },
+    });
+    // A late success can't revive it
+    await TipService.handlePaymentIntentSucceeded(succeeded(tip));
+
+    const saved = tips.get(tip._id);
+    assert.equal(saved.status, "failed");
+    assert.equal(saved.failureReason, "Your card was declined.");
+    assert.equal(charges.mock.callCount(), 0);
+    assert.equal(messages.all().length, 0);
+  });
+
+  test("refunds are taken back as they come", async (t) => {
+    const { tips, refunds, startChatTip } = setup(t);
+    const tip = await startChatTip();
+    await TipService.completeTip(tip._id);
+
+    const charge = { id: "ch_1", payment_intent: "pi_1" };
+    await TipService.handleChargeRefunded({
+      ...charge,
+      amount_refunded: 5000,
+      refunded: false,
+    });
+    assert.equal(tips.get(tip._id).status, "completed");
+    // Stripe may send the same event twice
+    await TipService.handleChargeRefunded({
+      ...charge,
+      amount_refunded: 5000,
+      refunded: false,
+    });
+    await TipService.handleChargeRefunded({
+      ...charge,
+      amount_refunded: 20000,
+      refunded: true,
+    });
+
+    assert.equal(tips.get(tip._id).status, "refunded");
+    assert.deepEqual(
+      refunds.mock.calls.map((call) => call.arguments[0].amount),
+      [5000, 15000]
+    );
+  });
+});
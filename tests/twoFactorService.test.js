@@ -0,0 +1,123 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { memoryModel, setEnv } = require("./helpers");
+
+const User = require("../models/user_model");
+const TwoFactorService = require("../services/twoFactorService");
+const { getKeyId } = require("../utils/encryption");
+const { generateCode, getTimeStep } = require("../utils/totp");
+
+const key = () => crypto.randomBytes(32).toString("base64");
+
+const setup = (t) => {
+  setEnv(t, {
+    PAYOUT_ENCRYPTION_KEYS: `p1:${key()}`,
+    TWO_FACTOR_ENCRYPTION_KEYS: `t1:${key()}`,
+    TWO_FACTOR_ENCRYPTION_KEY_ID: undefined,
+  });
+  const user = new User({
+    username: "fan",
+    email: "fan@example.com",
+    password: "password",
+    firstName: "Fan",
+    lastName: "Example",
+    dateOfBirth: new Date("2000-01-01"),
+    role: "user",
+  });
+  const users = memoryModel(t, User, [user]);
+  return { user, users };
+};
+
+// Enroll `user` at `now`; resolves with the plain secret and backup codes
+const enroll = async (user, users, now) => {
+  const { secret } = await TwoFactorService.startEnrollment(user);
+  const account = users.get(user._id);
+  const { backupCodes } = await TwoFactorService.confirmEnrollment(
+    account,
+    generateCode(secret, getTimeStep(now)),
+    now
+  );
+  return { secret, backupCodes };
+};
+
+describe("two-factor authentication", () => {
+  test("secrets are encrypted with the two-factor keys", async (t) => {
+    const { user, users } = setup(t);
+
+    const { secret } = await TwoFactorService.startEnrollment(user);
+
+    const pendingSecret = users.get(user._id).twoFactor.pendingSecret;
+    assert.notEqual(pendingSecret, secret);
+    assert.equal(getKeyId(pendingSecret), "t1");
+  });
+
+  test("enrollment is refused with a clear error without two-factor keys", async (t) => {
+    const { user } = setup(t);
+    delete process.env.TWO_FACTOR_ENCRYPTION_KEYS;
+
+    await assert.rejects(TwoFactorService.startEnrollment(user), {
+      message:
+        "Two-factor encryption key is not configured (TWO_FACTOR_ENCRYPTION_KEYS)",
+    });
+  });
+
+  test("an authenticator code is accepted once", async (t) => {
+    const { user, users } = setup(t);
+    const now = new Date("2026-01-01T00:00:00Z");
+    const { secret } = await enroll(user, users, now);
+
+    const later = new Date(now.getTime() + 60 * 1000);
+    const code = generateCode(secret, getTimeStep(later));
+
+    assert.deepEqual(
+      await TwoFactorService.verify(users.get(user._id), code, later),
+      { method: "totp" }
+    );
+    assert.equal(
+      await TwoFactorService.verify(users.get(user._id), code, later),
+      null
+    );
+    assert.equal(
+      await TwoFactorService.verify(users.get(user._id), "000000", later),
+      null
+    );
+  });
+
+  test("backup codes are long, stored salted and work once", async (t) => {
+    const { user, users } = setup(t);
+    const now = new Date("2026-01-01T00:00:00Z");
+    const { backupCodes } = await enroll(user, users, now);
+
+    assert.equal(backupCodes.length, 10);
+    for (const code of backupCodes) {
+      assert.match(code, /^[0-9a-f]{4}(-[0-9a-f]{4}){3}$/);
+    }
+    const stored = users.get(user._id).twoFactor.backupCodes;
+    const unsalted = crypto
+      .createHash("sha256")
+      .update(backupCodes[0].replace(/-/g, ""))
+      .digest("hex");
+    assert.ok(stored.every(({ codeHash }) => codeHash.startsWith("scrypt:")));
+    assert.ok(stored.every(({ codeHash }) => !codeHash.includes(unsalted)));
+
+    // Dashes, spaces and case don't matter
+    const typed = ` ${backupCodes[3].replace(/-/g, "").toUpperCase()} `;
+    assert.deepEqual(
+      await TwoFactorService.verify(users.get(user._id), typed, now),
+      { method: "backup_code", backupCodesRemaining: 9 }
+    );
+    assert.equal(
+      await TwoFactorService.verify(users.get(user._id), backupCodes[3], now),
+      null
+    );
+  });
+
+  test("each set of backup codes gets its own salt", async () => {
+    const first = await TwoFactorService.generateBackupCodes();
+    const second = await TwoFactorService.generateBackupCodes();
+
+    const salt = ({ stored }) => stored[0].codeHash.split(":")[1];
+    assert.notEqual(salt(first), salt(second));
+  });
+});
@@ -0,0 +1,67 @@
+// Admin roles and what each one may do. Routes check permissions, never
+// roles, so a role can be widened here without touching the routes.
+const PERMISSIONS = [
+  "dashboard:view",
+  "users:view",
+  "users:status",
+  "payouts:view",
+  "payouts:manage",
+  "refunds:manage",
+  "disputes:view",
+  "invoices:view",
+  "bank_transfers:view",
+  "bank_transfers:manage",
+  "reports:view",
+  "notifications:broadcast",
+  "admins:manage",
+  "audit:view",
+];
+
+const ROLE_PERMISSIONS = {
+  super_admin: PERMISSIONS,
+  // Account safety and announcements
+  moderator: [
+    "dashboard:view",
+    "users:view",
+    "users:status",
+    "notifications:broadcast",
+  ],
+  // Helping users with payments, refunds and disputes
+  support: [
+    "dashboard:view",
+    "users:view",
+    "payouts:view",
+    "refunds:manage",
+    "disputes:view",
+    "invoices:view",
+    "bank_transfers:view",
+  ],
+  // Money movement and reporting
+  finance: [
+    "dashboard:view",
+    "users:view",
+    "payouts:view",
+    "payouts:manage",
+    "refunds:manage",
+    "disputes:view",
+    "invoices:view",
+    "bank_transfers:view",
+    "bank_transfers:manage",
+    "reports:view",
+  ],
+};
+
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const getPermissions = (adminRole) => ROLE_PERMISSIONS[adminRole] || [];
+
+const hasPermission = (adminRole, permission) =>
+  getPermissions(adminRole).includes(permission);
+
+module.exports = {
+  PERMISSIONS,
+  ADMIN_ROLES,
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+};
@@ -0,0 +1,27 @@
+// Clocks used by background jobs. Jobs ask the clock for the current time
+// instead of calling `new Date()` so they can be driven deterministically.
+
+// Default clock backed by the system time
+const systemClock = {
+  now: () => new Date(),
+};
+
+// Clock that only moves when told to (for tests and manual runs)
+const createManualClock = (start = new Date()) => {
+  let current = new Date(start);
+
+  return {
+    now: () => new Date(current),
+    set(date) {
+      current = new Date(date);
+    },
+    advance(ms) {
+      current = new Date(current.getTime() + ms);
+    },
+  };
+};
+
+module.exports = {
+  systemClock,
+  createManualClock,
+};
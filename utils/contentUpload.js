@@ -418,12 +418,48 @@ const getPrivateContentUrl = async (req, res) => {
     // More flexible access control - check if the key contains the user's ID
     // This handles both formats: exclusive-content/userId/ and exclusive-content_userId_
     const userIdString = userId.toString();
-    const hasAccess =
+    let hasAccess =
       key.includes(`exclusive-content_${userIdString}_`) ||
       key.includes(`exclusive-content/${userIdString}_images/`) ||
       key.includes(`content_${userIdString}_`) ||
       key.includes(`content/${userIdString}/`);
 
+    // Media that belongs to a known Post or Content item follows its
+    // entitlement rules (subscription, visibility and one-off purchases)
+    if (!hasAccess) {
+      const Content = require("../models/content_model");
+      const Post = require("../models/post_model");
+      const PurchaseService = require("../services/purchaseService");
+
+      let itemType = "Content";
+      let item = await Content.findOne({ s3Key: key });
+      if (!item) {
+        itemType = "Post";
+        item = await Post.findOne({
+          $or: [{ "images.key": key }, { "videos.key": key }],
+          isActive: true,
+        });
+      }
+
+      if (item) {
+        const canAccess = await PurchaseService.canAccess(
+          userId,
+          itemType,
+          item
+        );
+        if (!canAccess) {
+          return res.status(403).json({
+            success: false,
+            message:
+              item.price > 0
+                ? "Access denied. Purchase required to view this content."
+                : "Access denied. Subscription required to view this content.",
+          });
+        }
+        hasAccess = true;
+      }
+    }
+
     if (!hasAccess) {
       // For content that doesn't belong to the user, check subscription access
       // Extract creator ID from the key pattern
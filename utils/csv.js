@@ -0,0 +1,18 @@
+// Quote a value for CSV. Values a spreadsheet would run as a formula are
+// prefixed with a quote so exported data can't execute.
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => `${values.map(toCsvValue).join(",")}\r\n`;
+
+module.exports = {
+  toCsvValue,
+  toCsvRow,
+};
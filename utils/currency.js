@@ -0,0 +1,98 @@
+// Currencies creators can price in. Amounts are stored as integers in the
+// currency's minor unit (millimes for TND, cents for EUR/USD).
+const CURRENCIES = {
+  tnd: { code: "TND", exponent: 3, symbol: "DT" },
+  eur: { code: "EUR", exponent: 2, symbol: "€" },
+  usd: { code: "USD", exponent: 2, symbol: "$" },
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+// Currency new creators price in
+const DEFAULT_CURRENCY = "tnd";
+
+const normalizeCurrency = (currency) => String(currency || "").toLowerCase();
+
+const isSupportedCurrency = (currency) =>
+  SUPPORTED_CURRENCIES.includes(normalizeCurrency(currency));
+
+const getCurrency = (currency) => {
+  const info = CURRENCIES[normalizeCurrency(currency)];
+  if (!info) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return info;
+};
+
+// Currency totals are reported in across creators
+const getBaseCurrency = () => {
+  const base = normalizeCurrency(process.env.PLATFORM_BASE_CURRENCY || "tnd");
+  return isSupportedCurrency(base) ? base : DEFAULT_CURRENCY;
+};
+
+// 12.5 TND -> 12500
+const toMinorUnits = (amount, currency) =>
+  Math.round(Number(amount) * 10 ** getCurrency(currency).exponent);
+
+// 12500 TND -> 12.5
+const fromMinorUnits = (amount, currency) =>
+  amount / 10 ** getCurrency(currency).exponent;
+
+// Smallest chargeable step in minor units: Stripe charges three-decimal
+// currencies (TND) in multiples of 10
+const getAmountStep = (currency) =>
+  getCurrency(currency).exponent === 3 ? 10 : 1;
+
+const toStripeAmount = (amount, currency) => {
+  const step = getAmountStep(currency);
+  return Math.round(amount / step) * step;
+};
+
+// Whether an amount in minor units can be charged as is
+const isChargeableAmount = (amount, currency) =>
+  Number.isInteger(amount) &&
+  amount >= 0 &&
+  toStripeAmount(amount, currency) === amount;
+
+// 12500, "tnd" -> "12.500 TND"
+const formatMoney = (amount, currency) => {
+  const { code, exponent } = getCurrency(currency);
+  return `${fromMinorUnits(amount || 0, currency).toFixed(exponent)} ${code}`;
+};
+
+// Check an amount in minor units against a range given in whole units.
+// Returns an error message, or null when the amount can be charged.
+const checkAmount = (amount, currency, { min = 0, max, label = "Amount" }) => {
+  const low = toMinorUnits(min, currency);
+  const high = toMinorUnits(max, currency);
+  if (!Number.isInteger(amount) || amount < low || amount > high) {
+    return `${label} must be between ${formatMoney(
+      low,
+      currency
+    )} and ${formatMoney(high, currency)}`;
+  }
+  if (!isChargeableAmount(amount, currency)) {
+    return `${label} must be a multiple of ${formatMoney(
+      getAmountStep(currency),
+      currency
+    )}`;
+  }
+  return null;
+};
+
+module.exports = {
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  normalizeCurrency,
+  isSupportedCurrency,
+  getCurrency,
+  getBaseCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  getAmountStep,
+  toStripeAmount,
+  isChargeableAmount,
+  formatMoney,
+  checkAmount,
+};
@@ -0,0 +1,150 @@
+// Field-level encryption (AES-256-GCM) for sensitive values stored in MongoDB.
+//
+// Each kind of value has its own keys, set in the environment:
+//   PAYOUT_ENCRYPTION_KEYS       = "<keyId>:<base64 32-byte key>,<keyId>:<key>..."
+//   PAYOUT_ENCRYPTION_KEY_ID     = id of the key used for new values
+//                                  (defaults to the first key listed)
+//   TWO_FACTOR_ENCRYPTION_KEYS   = same, for two-factor secrets
+//   TWO_FACTOR_ENCRYPTION_KEY_ID
+//
+// Encrypted values look like "enc:v1:<keyId>:<iv>:<tag>:<ciphertext>", so
+// older keys stay usable for decryption while values are rotated to the
+// current key (see scripts/migrations/encrypt-payout-details.js, which
+// rotates both kinds; run it before retiring a key).
+const crypto = require("crypto");
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+
+const KEYRINGS = {
+  payout: {
+    name: "Payout",
+    variable: "PAYOUT_ENCRYPTION_KEYS",
+    currentVariable: "PAYOUT_ENCRYPTION_KEY_ID",
+  },
+  two_factor: {
+    name: "Two-factor",
+    variable: "TWO_FACTOR_ENCRYPTION_KEYS",
+    currentVariable: "TWO_FACTOR_ENCRYPTION_KEY_ID",
+  },
+};
+
+const getKeyring = (keyring) => {
+  if (!KEYRINGS[keyring]) {
+    throw new Error(`Unknown encryption keyring: ${keyring}`);
+  }
+  return KEYRINGS[keyring];
+};
+
+// Parse the configured keys into a Map of keyId -> Buffer
+const loadKeys = (keyring) => {
+  const { variable } = getKeyring(keyring);
+  const keys = new Map();
+  const raw = process.env[variable] || "";
+
+  raw
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .forEach((item) => {
+      const separator = item.indexOf(":");
+      const keyId = item.slice(0, separator);
+      const key = Buffer.from(item.slice(separator + 1), "base64");
+
+      if (separator < 1 || key.length !== 32) {
+        throw new Error(
+          `${variable} entries must be <keyId>:<base64 32-byte key>`
+        );
+      }
+      keys.set(keyId, key);
+    });
+
+  return keys;
+};
+
+// Id of the key new values are encrypted with
+const getCurrentKeyId = (keyring = "payout") => {
+  const { name, variable, currentVariable } = getKeyring(keyring);
+  const keys = loadKeys(keyring);
+  const keyId = process.env[currentVariable] || keys.keys().next().value;
+
+  if (!keyId || !keys.has(keyId)) {
+    throw new Error(`${name} encryption key is not configured (${variable})`);
+  }
+  return keyId;
+};
+
+const isEncrypted = (value) =>
+  typeof value === "string" && value.startsWith(PREFIX);
+
+// Key id an encrypted value was written with
+const getKeyId = (value) =>
+  isEncrypted(value) ? value.slice(PREFIX.length).split(":")[0] : null;
+
+const encrypt = (plaintext, keyring = "payout") => {
+  if (plaintext === undefined || plaintext === null || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const keyId = getCurrentKeyId(keyring);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(
+    ALGORITHM,
+    loadKeys(keyring).get(keyId),
+    iv
+  );
+  const ciphertext = Buffer.concat([
+    cipher.update(String(plaintext), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    PREFIX + keyId,
+    iv.toString("base64"),
+    cipher.getAuthTag().toString("base64"),
+    ciphertext.toString("base64"),
+  ].join(":");
+};
+
+// Plaintext values (not migrated yet) are returned unchanged
+const decrypt = (value, keyring = "payout") => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(":");
+  const key = loadKeys(keyring).get(keyId);
+  if (!key) {
+    throw new Error(
+      `Unknown ${getKeyring(keyring).name.toLowerCase()} encryption key: ${keyId}`
+    );
+  }
+
+  const decipher = crypto.createDecipheriv(
+    ALGORITHM,
+    key,
+    Buffer.from(iv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64")),
+    decipher.final(),
+  ]).toString("utf8");
+};
+
+// Whether a value is plaintext or encrypted with a key other than the current one
+const needsReEncryption = (value, keyring = "payout") =>
+  value !== undefined &&
+  value !== null &&
+  (!isEncrypted(value) || getKeyId(value) !== getCurrentKeyId(keyring));
+
+module.exports = {
+  encrypt,
+  decrypt,
+  isEncrypted,
+  getKeyId,
+  getCurrentKeyId,
+  needsReEncryption,
+};
@@ -0,0 +1,300 @@
+const { createPdf, PAGE_WIDTH, MARGIN } = require("./pdf");
+const { formatMoney } = require("./currency");
+
+const PLATFORM_NAME = "TunFans";
+const RIGHT_EDGE = PAGE_WIDTH - MARGIN;
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const displayName = (user) =>
+  user
+    ? [user.firstName, user.lastName].filter(Boolean).join(" ") ||
+      `@${user.username}`
+    : "";
+
+const STATUS_LABELS = {
+  paid: "Paid",
+  partially_refunded: "Partially refunded",
+  refunded: "Refunded",
+};
+
+const TYPE_LABELS = {
+  subscription_charge: "Subscriptions",
+  content_purchase: "Purchases",
+  tip: "Tips",
+  refund: "Refunds",
+  chargeback: "Chargebacks",
+  chargeback_reversal: "Won disputes",
+  payout: "Payouts requested",
+  payout_reversal: "Payouts returned",
+  adjustment: "Adjustments",
+};
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 720px; margin: 40px auto; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+  th, td { padding: 8px; border-bottom: 1px solid #ddd; text-align: left; }
+  td.amount, th.amount { text-align: right; }
+  .muted { color: #777; }
+  .total td { font-weight: bold; }
+</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+
+// Invoice as a standalone HTML page. The fee breakdown is only included
+// for the creator.
+const renderInvoiceHtml = (invoice, { forCreator = false } = {}) => {
+  const rows = invoice.lineItems
+    .map(
+      (item) => `<tr>
+  <td>${escapeHtml(item.description)}</td>
+  <td class="amount">${item.quantity}</td>
+  <td class="amount">${formatMoney(item.unitAmount, invoice.currency)}</td>
+  <td class="amount">${formatMoney(item.amount, invoice.currency)}</td>
+</tr>`
+    )
+    .join("\n");
+
+  const extraRows = [];
+  if (invoice.amountRefunded > 0) {
+    extraRows.push(
+      `<tr><td colspan="3">Refunded</td><td class="amount">-${formatMoney(
+        invoice.amountRefunded,
+        invoice.currency
+      )}</td></tr>`
+    );
+  }
+  if (forCreator) {
+    extraRows.push(
+      `<tr><td colspan="3">Platform fee</td><td class="amount">-${formatMoney(
+        invoice.platformFee,
+        invoice.currency
+      )}</td></tr>`,
+      `<tr><td colspan="3">Your earnings</td><td class="amount">${formatMoney(
+        invoice.creatorNet,
+        invoice.currency
+      )}</td></tr>`
+    );
+  }
+
+  return page(
+    `Invoice ${invoice.number}`,
+    `<h1>${PLATFORM_NAME} invoice</h1>
+<div class="muted">No. ${escapeHtml(invoice.number)} &middot; Issued ${formatDate(
+      invoice.issuedAt
+    )} &middot; ${STATUS_LABELS[invoice.status] || invoice.status}</div>
+<p><strong>Billed to:</strong> ${escapeHtml(displayName(invoice.buyer))}<br>
+<strong>Creator:</strong> ${escapeHtml(displayName(invoice.creator))}</p>
+<table>
+<thead><tr><th>Description</th><th class="amount">Qty</th><th class="amount">Unit price</th><th class="amount">Amount</th></tr></thead>
+<tbody>
+${rows}
+<tr class="total"><td colspan="3">Total paid</td><td class="amount">${formatMoney(
+      invoice.total,
+      invoice.currency
+    )}</td></tr>
+${extraRows.join("\n")}
+</tbody>
+</table>`
+  );
+};
+
+// Invoice as a PDF Buffer
+const renderInvoicePdf = (invoice, { forCreator = false } = {}) => {
+  const amountLine = (label, amount, bold = false) => ({
+    columns: [
+      { text: label, bold },
+      {
+        text: formatMoney(amount, invoice.currency),
+        x: RIGHT_EDGE,
+        align: "right",
+        bold,
+      },
+    ],
+  });
+
+  const lines = [
+    { text: `${PLATFORM_NAME} invoice`, size: 20, bold: true },
+    {
+      text: `No. ${invoice.number}  -  Issued ${formatDate(
+        invoice.issuedAt
+      )}  -  ${STATUS_LABELS[invoice.status] || invoice.status}`,
+      gap: 4,
+    },
+    { text: `Billed to: ${displayName(invoice.buyer)}`, gap: 12 },
+    { text: `Creator: ${displayName(invoice.creator)}` },
+    {
+      columns: [
+        { text: "Description", bold: true },
+        { text: "Amount", x: RIGHT_EDGE, align: "right", bold: true },
+      ],
+      gap: 16,
+      rule: true,
+    },
+    ...invoice.lineItems.map((item) =>
+      amountLine(
+        item.quantity > 1
+          ? `${item.description} x${item.quantity}`
+          : item.description,
+        item.amount
+      )
+    ),
+    { ...amountLine("Total paid", invoice.total, true), gap: 8 },
+  ];
+
+  if (invoice.amountRefunded > 0) {
+    lines.push(amountLine("Refunded", -invoice.amountRefunded));
+  }
+  if (forCreator) {
+    lines.push(
+      amountLine("Platform fee", -invoice.platformFee),
+      amountLine("Your earnings", invoice.creatorNet, true)
+    );
+  }
+
+  return createPdf(lines, { title: `Invoice ${invoice.number}` });
+};
+
+// Net per currency, plus the converted total when earnings are not all in
+// the base currency
+const statementTotals = (statement) => {
+  const totals = statement.totals.map((total) => ({
+    label: `Net change in earnings (${total.currency.toUpperCase()})`,
+    amount: formatMoney(total.net, total.currency),
+  }));
+
+  const { baseTotal } = statement;
+  if (
+    totals.length === 0 ||
+    statement.totals.some((total) => total.currency !== baseTotal.currency)
+  ) {
+    totals.push({
+      label:
+        totals.length === 0
+          ? "Net change in earnings"
+          : `Total in ${baseTotal.currency.toUpperCase()} (converted)`,
+      amount: formatMoney(baseTotal.net, baseTotal.currency),
+    });
+  }
+
+  return totals;
+};
+
+// Monthly earnings statement as a standalone HTML page
+const renderStatementHtml = (statement) => {
+  const rows = statement.lines
+    .map(
+      (line) => `<tr>
+  <td>${escapeHtml(TYPE_LABELS[line.type] || line.type)}</td>
+  <td class="amount">${line.count}</td>
+  <td class="amount">${formatMoney(line.grossAmount, line.currency)}</td>
+  <td class="amount">${formatMoney(line.platformFee, line.currency)}</td>
+  <td class="amount">${formatMoney(line.net, line.currency)}</td>
+</tr>`
+    )
+    .join("\n");
+  const totals = statementTotals(statement)
+    .map(
+      (total) =>
+        `<tr class="total"><td colspan="4">${escapeHtml(
+          total.label
+        )}</td><td class="amount">${total.amount}</td></tr>`
+    )
+    .join("\n");
+
+  return page(
+    `Statement ${statement.period.label}`,
+    `<h1>${PLATFORM_NAME} earnings statement</h1>
+<div class="muted">${statement.period.label} &middot; ${escapeHtml(
+      displayName(statement.creator)
+    )}</div>
+<table>
+<thead><tr><th>Type</th><th class="amount">Count</th><th class="amount">Gross</th><th class="amount">Platform fee</th><th class="amount">Net</th></tr></thead>
+<tbody>
+${rows || '<tr><td colspan="5" class="muted">No activity this month</td></tr>'}
+${totals}
+</tbody>
+</table>`
+  );
+};
+
+// Monthly earnings statement as a PDF Buffer
+const renderStatementPdf = (statement) => {
+  const lines = [
+    { text: `${PLATFORM_NAME} earnings statement`, size: 20, bold: true },
+    {
+      text: `${statement.period.label}  -  ${displayName(statement.creator)}`,
+      gap: 4,
+    },
+    {
+      columns: [
+        { text: "Type", bold: true },
+        { text: "Count", x: 260, align: "right", bold: true },
+        { text: "Gross", x: 350, align: "right", bold: true },
+        { text: "Fee", x: 440, align: "right", bold: true },
+        { text: "Net", x: RIGHT_EDGE, align: "right", bold: true },
+      ],
+      gap: 16,
+      rule: true,
+    },
+    ...statement.lines.map((line) => ({
+      columns: [
+        { text: TYPE_LABELS[line.type] || line.type },
+        { text: String(line.count), x: 260, align: "right" },
+        {
+          text: formatMoney(line.grossAmount, line.currency),
+          x: 350,
+          align: "right",
+        },
+        {
+          text: formatMoney(line.platformFee, line.currency),
+          x: 440,
+          align: "right",
+        },
+        {
+          text: formatMoney(line.net, line.currency),
+          x: RIGHT_EDGE,
+          align: "right",
+        },
+      ],
+    })),
+  ];
+
+  if (statement.lines.length === 0) {
+    lines.push({ text: "No activity this month" });
+  }
+  statementTotals(statement).forEach((total, index) => {
+    lines.push({
+      columns: [
+        { text: total.label, bold: true },
+        { text: total.amount, x: RIGHT_EDGE, align: "right", bold: true },
+      ],
+      gap: index === 0 ? 8 : 0,
+    });
+  });
+
+  return createPdf(lines, { title: `Statement ${statement.period.label}` });
+};
+
+module.exports = {
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderStatementHtml,
+  renderStatementPdf,
+};
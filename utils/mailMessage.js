@@ -0,0 +1,75 @@
+const crypto = require("crypto");
+
+// "TunFans <no-reply@tunfans.com>" -> "no-reply@tunfans.com"
+const parseAddress = (address) => {
+  const match = String(address).match(/<([^>]+)>/);
+  return (match ? match[1] : String(address)).trim();
+};
+
+// Headers can only hold ASCII; anything else is sent as an encoded word
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+// Base64 body wrapped at 76 characters per line
+const encodeBody = (content) =>
+  Buffer.from(content, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+
+const part = (contentType, content) =>
+  [
+    `Content-Type: ${contentType}; charset=utf-8`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    encodeBody(content),
+  ].join("\r\n");
+
+const createMessageId = (from) => {
+  const domain = parseAddress(from).split("@")[1] || "localhost";
+  return `<${crypto.randomUUID()}@${domain}>`;
+};
+
+// Build a RFC 5322 message with a text part and, if given, an HTML
+// alternative
+const buildMessage = ({
+  from,
+  to,
+  subject,
+  text,
+  html,
+  messageId = createMessageId(from),
+  date = new Date(),
+}) => {
+  const recipients = Array.isArray(to) ? to : [to];
+  const headers = [
+    `From: ${from}`,
+    `To: ${recipients.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+  ];
+
+  if (!html) {
+    return `${headers.join("\r\n")}\r\n${part("text/plain", text)}\r\n`;
+  }
+
+  const boundary = `tunfans-${crypto.randomBytes(12).toString("hex")}`;
+  return [
+    ...headers,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    part("text/plain", text),
+    `--${boundary}`,
+    part("text/html", html),
+    `--${boundary}--`,
+    "",
+  ].join("\r\n");
+};
+
+module.exports = {
+  parseAddress,
+  createMessageId,
+  buildMessage,
+};
@@ -0,0 +1,19 @@
+// Ways fans can pay. Stripe handles cards; the others are local Tunisian
+// options.
+const PAYMENT_METHODS = ["stripe", "konnect", "bank_transfer"];
+
+const PAYMENT_METHOD_LABELS = {
+  stripe: "Card",
+  konnect: "Konnect (e-DINAR, wallet, local card)",
+  bank_transfer: "Bank transfer",
+};
+
+// Methods settled through a Payment record. They pay once up front, so
+// subscriptions bought with them do not renew on their own.
+const LOCAL_PAYMENT_METHODS = ["konnect", "bank_transfer"];
+
+module.exports = {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  LOCAL_PAYMENT_METHODS,
+};
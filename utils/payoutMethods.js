@@ -0,0 +1,74 @@
+const { encrypt, decrypt, isEncrypted } = require("./encryption");
+
+// Bank details stored encrypted; the last four digits are kept for display
+const ENCRYPTED_FIELDS = ["accountNumber", "routingNumber"];
+
+// Encrypt plaintext bank details in place, recording their last four digits
+const encryptAccountDetails = (accountDetails) => {
+  ENCRYPTED_FIELDS.forEach((field) => {
+    const value = accountDetails[field];
+    if (!value || isEncrypted(value)) return;
+
+    accountDetails[`${field}Last4`] = String(value).slice(-4);
+    accountDetails[field] = encrypt(value);
+  });
+
+  return accountDetails;
+};
+
+// Decrypt bank details. Only the payout processing path should call this.
+const decryptAccountDetails = (accountDetails) => {
+  const decrypted = { ...accountDetails };
+
+  ENCRYPTED_FIELDS.forEach((field) => {
+    if (decrypted[field]) {
+      decrypted[field] = decrypt(decrypted[field]);
+    }
+    delete decrypted[`${field}Last4`];
+  });
+
+  return decrypted;
+};
+
+// Helper function to mask sensitive account details
+const maskAccountDetails = (type, accountDetails) => {
+  const masked = { ...accountDetails };
+
+  switch (type) {
+    case "paypal":
+      if (masked.paypalEmail) {
+        const [localPart, domain] = masked.paypalEmail.split("@");
+        masked.paypalEmail = `${localPart.substring(0, 2)}***@${domain}`;
+      }
+      break;
+    case "bank_account":
+      // Never expose ciphertext; fall back to plaintext not yet migrated
+      ENCRYPTED_FIELDS.forEach((field) => {
+        const last4 =
+          masked[`${field}Last4`] ||
+          (masked[field] && !isEncrypted(masked[field])
+            ? masked[field].slice(-4)
+            : null);
+
+        if (masked[field]) {
+          masked[field] = last4 ? `***${last4}` : "***";
+        }
+        delete masked[`${field}Last4`];
+      });
+      break;
+    case "stripe_connect":
+      if (masked.stripeAccountId) {
+        masked.stripeAccountId = `acct_***${masked.stripeAccountId.slice(-4)}`;
+      }
+      break;
+  }
+
+  return masked;
+};
+
+module.exports = {
+  ENCRYPTED_FIELDS,
+  encryptAccountDetails,
+  decryptAccountDetails,
+  maskAccountDetails,
+};
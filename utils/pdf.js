@@ -0,0 +1,126 @@
+// Minimal PDF writer for text documents (invoices, statements). Uses the
+// standard Helvetica fonts, so no font files or external packages are needed.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// Helvetica only covers Latin-1; anything else is replaced
+const toLatin1 = (text) =>
+  String(text ?? "").replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+const escapeText = (text) => toLatin1(text).replace(/([\\()])/g, "\\$1");
+
+// Rough Helvetica width, good enough to right-align amounts
+const textWidth = (text, size) => toLatin1(text).length * size * 0.5;
+
+// Lay out lines top to bottom, starting a new page when one is full.
+// A line is { text, size, bold, x, align, gap } or { columns: [line...] }
+// for several pieces of text on the same baseline.
+const layoutPages = (lines) => {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const pieces = line.columns || [line];
+    const size = Math.max(...pieces.map((piece) => piece.size || 10));
+    const height = size * 1.4 + (line.gap || 0);
+
+    if (y - height < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN;
+    }
+    y -= height;
+
+    for (const piece of pieces) {
+      if (piece.text === undefined || piece.text === "") continue;
+
+      const pieceSize = piece.size || 10;
+      let x = piece.x ?? MARGIN;
+      if (piece.align === "right") {
+        x -= textWidth(piece.text, pieceSize);
+      }
+
+      pages[pages.length - 1].push(
+        `BT /${piece.bold ? "F2" : "F1"} ${pieceSize} Tf ${x.toFixed(
+          2
+        )} ${y.toFixed(2)} Td (${escapeText(piece.text)}) Tj ET`
+      );
+    }
+
+    if (line.rule) {
+      pages[pages.length - 1].push(
+        `${MARGIN} ${(y - 4).toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${(
+          y - 4
+        ).toFixed(2)} l 0.5 w S`
+      );
+    }
+  }
+
+  return pages;
+};
+
+// Build a PDF document and return it as a Buffer
+const createPdf = (lines, { title = "Document" } = {}) => {
+  const pages = layoutPages(lines);
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+  );
+  const boldFontId = addObject(
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+  );
+  const infoId = addObject(
+    `<< /Title (${escapeText(title)}) /Producer (TunFans) >>`
+  );
+
+  const pageIds = pages.map((commands) => {
+    const stream = commands.join("\n");
+    const contentId = addObject(
+      `<< /Length ${Buffer.byteLength(
+        stream,
+        "latin1"
+      )} >>\nstream\n${stream}\nendstream`
+    );
+    return addObject(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 ${fontId} 0 R /F2 ${boldFontId} 0 R >> >> ` +
+        `/Contents ${contentId} 0 R >>`
+    );
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds
+    .map((id) => `${id} 0 R`)
+    .join(" ")}] /Count ${pageIds.length} >>`;
+
+  let output = "%PDF-1.4\n";
+  const offsets = objects.map((body, index) => {
+    const offset = Buffer.byteLength(output, "latin1");
+    output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(output, "latin1");
+  output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  output += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+  output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(output, "latin1");
+};
+
+module.exports = {
+  createPdf,
+  PAGE_WIDTH,
+  MARGIN,
+};
@@ -0,0 +1,132 @@
+// Calendar buckets (UTC) for time-series reports. Keys are strings that
+// sort chronologically: "2026-10-19" (day), "2026-W42" (ISO week) and
+// "2026-10" (month).
+const INTERVALS = ["day", "week", "month"];
+
+const FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Longest range a report may cover per interval (about 400 buckets), so a
+// long range with daily buckets can't build a huge response. Checked on the
+// dates alone, before any bucket is listed.
+const MAX_RANGE_MS = {
+  day: 400 * DAY_MS,
+  week: 400 * 7 * DAY_MS,
+  month: 400 * 30 * DAY_MS,
+};
+
+// Aggregation expression giving the bucket key of a date field
+const bucketExpression = (field, interval) => ({
+  $dateToString: { format: FORMATS[interval], date: field, timezone: "UTC" },
+});
+
+// Count a model's documents per bucket of a date field within
+// range = { from, to, interval }. Returns { [bucket key]: count }.
+const countByBucket = async (Model, field, match, range) => {
+  const results = await Model.aggregate([
+    {
+      $match: {
+        ...match,
+        [field]: { $gte: range.from, $lt: range.to },
+      },
+    },
+    {
+      $group: {
+        _id: bucketExpression(`$${field}`, range.interval),
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return Object.fromEntries(
+    results.map((result) => [result._id, result.count])
+  );
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+
+// Midnight UTC of a date's day (Date.UTC would turn years 0-99 into 19xx)
+const startOfDay = (date) => {
+  const day = new Date(date.getTime());
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// ISO 8601 week: weeks start on Monday and week 1 holds the first Thursday
+const isoWeekKey = (date) => {
+  const thursday = startOfDay(date);
+  thursday.setUTCDate(
+    thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7)
+  );
+
+  const yearStart = new Date(0);
+  yearStart.setUTCFullYear(thursday.getUTCFullYear(), 0, 1);
+  const week =
+    Math.floor((thursday.getTime() - yearStart.getTime()) / DAY_MS / 7) + 1;
+  return `${pad(thursday.getUTCFullYear(), 4)}-W${pad(week)}`;
+};
+
+const bucketKey = (date, interval) => {
+  if (interval === "week") return isoWeekKey(date);
+  const month = `${pad(date.getUTCFullYear(), 4)}-${pad(
+    date.getUTCMonth() + 1
+  )}`;
+  return interval === "month" ? month : `${month}-${pad(date.getUTCDate())}`;
+};
+
+// Buckets covering `from` up to (not including) `to`, in order, as
+// { key, start, end }. The first and last are cut to the range.
+const listBucketRanges = (from, to, interval) => {
+  const ranges = [];
+  const cursor = startOfDay(from);
+
+  while (cursor < to) {
+    const key = bucketKey(cursor, interval);
+    const last = ranges[ranges.length - 1];
+    if (!last || last.key !== key) {
+      const start = new Date(Math.max(cursor.getTime(), from.getTime()));
+      if (last) last.end = start;
+      ranges.push({ key, start, end: to });
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return ranges;
+};
+
+// Every bucket key from `from` up to (not including) `to`, in order
+const listBuckets = (from, to, interval) =>
+  listBucketRanges(from, to, interval).map((range) => range.key);
+
+// Fill in report defaults (the last 30 days, daily) and check the range.
+// Returns { from, to, interval } or { error }.
+const resolveRange = (
+  { from, to, interval = "day" } = {},
+  now = new Date()
+) => {
+  const end = to || now;
+  const start = from || new Date(end.getTime() - 30 * DAY_MS);
+
+  if (start >= end) {
+    return { error: "Start date must be before end date" };
+  }
+  if (end.getTime() - start.getTime() > MAX_RANGE_MS[interval]) {
+    return { error: "Date range has too many points, use a larger interval" };
+  }
+
+  return { from: start, to: end, interval };
+};
+
+module.exports = {
+  INTERVALS,
+  bucketExpression,
+  countByBucket,
+  bucketKey,
+  listBucketRanges,
+  listBuckets,
+  resolveRange,
+};
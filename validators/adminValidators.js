@@ -0,0 +1,100 @@
+const { body, param, query } = require("express-validator");
+const { ADMIN_ROLES } = require("../utils/adminPermissions");
+const { INTERVALS } = require("../utils/timeBuckets");
+
+const adminRoleValidation = body("adminRole")
+  .isIn(ADMIN_ROLES)
+  .withMessage(`Admin role must be one of: ${ADMIN_ROLES.join(", ")}`);
+
+const adminIdValidation = param("adminId")
+  .isMongoId()
+  .withMessage("Valid admin ID is required");
+
+const createAdminValidation = [
+  body("username")
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage("Username must be between 3 and 30 characters")
+    .matches(/^[a-zA-Z0-9._-]+$/)
+    .withMessage(
+      "Username can only contain letters, numbers, dots, dashes and underscores"
+    ),
+
+  body("password")
+    .isLength({ min: 12 })
+    .withMessage("Admin passwords must be at least 12 characters long"),
+
+  adminRoleValidation,
+];
+
+const updateAdminRoleValidation = [adminIdValidation, adminRoleValidation];
+
+const updateAdminStatusValidation = [
+  adminIdValidation,
+
+  body("isActive")
+    .isBoolean({ strict: true })
+    .withMessage("isActive must be true or false"),
+];
+
+const auditLogSearchValidation = [
+  query("actor")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid actor ID is required"),
+
+  query("action")
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("Action must not exceed 100 characters"),
+
+  query("targetType")
+    .optional()
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage("Target type must not exceed 50 characters"),
+
+  query("targetId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid target ID is required"),
+
+  query("from").optional().isISO8601().withMessage("From must be a date"),
+
+  query("to").optional().isISO8601().withMessage("To must be a date"),
+
+  query("status")
+    .optional()
+    .isIn(["success", "error"])
+    .withMessage("Status must be success or error"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage("Limit must be between 1 and 200"),
+];
+
+const dashboardValidation = [
+  query("from").optional().isISO8601().withMessage("From must be a date"),
+
+  query("to").optional().isISO8601().withMessage("To must be a date"),
+
+  query("interval")
+    .optional()
+    .isIn(INTERVALS)
+    .withMessage(`Interval must be one of: ${INTERVALS.join(", ")}`),
+];
+
+module.exports = {
+  dashboardValidation,
+  createAdminValidation,
+  updateAdminRoleValidation,
+  updateAdminStatusValidation,
+  auditLogSearchValidation,
+};
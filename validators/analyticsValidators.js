@@ -0,0 +1,42 @@
+const { query } = require("express-validator");
+const { INTERVALS } = require("../utils/timeBuckets");
+
+const fromValidation = query("from")
+  .optional()
+  .isISO8601()
+  .withMessage("From must be a date");
+
+const intervalValidation = query("interval")
+  .optional()
+  .isIn(INTERVALS)
+  .withMessage(`Interval must be one of: ${INTERVALS.join(", ")}`);
+
+const analyticsRangeValidation = [
+  fromValidation,
+
+  query("to").optional().isISO8601().withMessage("To must be a date"),
+
+  intervalValidation,
+];
+
+const topPostsValidation = [
+  ...analyticsRangeValidation,
+
+  query("sortBy")
+    .optional()
+    .isIn(["views", "likes", "comments", "engagement"])
+    .withMessage("Sort must be one of: views, likes, comments, engagement"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+];
+
+const cohortsValidation = [fromValidation, intervalValidation];
+
+module.exports = {
+  analyticsRangeValidation,
+  topPostsValidation,
+  cohortsValidation,
+};
@@ -0,0 +1,36 @@
+const { body, param } = require("express-validator");
+
+const refreshTokenValidation = [
+  body("refreshToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Refresh token is required"),
+];
+
+const sessionIdValidation = [
+  param("sessionId").isMongoId().withMessage("Valid session ID is required"),
+];
+
+const twoFactorCodeValidation = [
+  body("code")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Verification code is required"),
+];
+
+const twoFactorLoginValidation = [
+  body("challengeToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+
+  ...twoFactorCodeValidation,
+];
+
+module.exports = {
+  refreshTokenValidation,
+  sessionIdValidation,
+  twoFactorCodeValidation,
+  twoFactorLoginValidation,
+};
@@ -0,0 +1,88 @@
+const { body, param } = require("express-validator");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+const BUNDLE_DURATIONS = [1, 3, 6, 12];
+
+const bundleIdParamValidation = [
+  param("bundleId").isMongoId().withMessage("Valid bundle ID is required"),
+];
+
+const bundleFieldsValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Bundle name must be between 1 and 50 characters"),
+
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    field("price")
+      .isInt({ min: 1 })
+      .withMessage("Price must be a whole amount in minor units"),
+
+    body("durationMonths")
+      .optional()
+      .isIn(BUNDLE_DURATIONS)
+      .withMessage(
+        `Duration must be one of: ${BUNDLE_DURATIONS.join(", ")} months`
+      ),
+
+    field("members")
+      .isArray({ min: 2, max: 10 })
+      .withMessage("A bundle needs between 2 and 10 creators"),
+
+    body("members.*.creatorId")
+      .isMongoId()
+      .withMessage("Valid creator ID is required for each member"),
+
+    body("members.*.sharePercent")
+      .isInt({ min: 1, max: 99 })
+      .withMessage("Each revenue share must be between 1 and 99 percent"),
+  ];
+};
+
+const createBundleValidation = bundleFieldsValidation(false);
+
+const updateBundleValidation = [
+  ...bundleIdParamValidation,
+  ...bundleFieldsValidation(true),
+];
+
+const respondBundleValidation = [
+  ...bundleIdParamValidation,
+  body("accept").isBoolean().withMessage("Accept must be true or false"),
+];
+
+const subscribeBundleValidation = [
+  ...bundleIdParamValidation,
+  body("paymentMethod")
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage("Invalid payment method"),
+];
+
+const bundleSubscriptionIdParamValidation = [
+  param("subscriptionId")
+    .isMongoId()
+    .withMessage("Valid subscription ID is required"),
+];
+
+const creatorBundlesValidation = [
+  param("username").trim().notEmpty().withMessage("Username is required"),
+];
+
+module.exports = {
+  bundleIdParamValidation,
+  createBundleValidation,
+  updateBundleValidation,
+  respondBundleValidation,
+  subscribeBundleValidation,
+  bundleSubscriptionIdParamValidation,
+  creatorBundlesValidation,
+};
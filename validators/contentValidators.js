@@ -11,6 +11,16 @@ const createContentValidation = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage("Description must not exceed 1000 characters"),
+
+  body("price")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Price must be a whole amount in minor units"),
+
+  body("priceAppliesTo")
+    .optional()
+    .isIn(["non_subscribers", "everyone"])
+    .withMessage("priceAppliesTo must be non_subscribers or everyone"),
 ];
 
 const updateContentValidation = [
@@ -32,6 +42,16 @@ const updateContentValidation = [
     .optional()
     .isIn(["draft", "published", "archived"])
     .withMessage("Status must be draft, published, or archived"),
+
+  body("price")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Price must be a whole amount in minor units"),
+
+  body("priceAppliesTo")
+    .optional()
+    .isIn(["non_subscribers", "everyone"])
+    .withMessage("priceAppliesTo must be non_subscribers or everyone"),
 ];
 
 const contentIdValidation = [
@@ -0,0 +1,55 @@
+const { body, param, query } = require("express-validator");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+const purchaseGiftValidation = [
+  body("creatorId").isMongoId().withMessage("Valid creator ID is required"),
+
+  body("planId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid plan ID is required"),
+
+  body("recipientUsername")
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage("Recipient username cannot be empty"),
+
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Gift message cannot exceed 500 characters"),
+
+  body("paymentMethod")
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage("Invalid payment method"),
+];
+
+const giftIdParamValidation = [
+  param("giftId").isMongoId().withMessage("Valid gift ID is required"),
+];
+
+const redeemGiftValidation = [
+  body("code").trim().notEmpty().withMessage("Gift code is required"),
+];
+
+const listGiftsValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+module.exports = {
+  purchaseGiftValidation,
+  giftIdParamValidation,
+  redeemGiftValidation,
+  listGiftsValidation,
+};
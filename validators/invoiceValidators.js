@@ -0,0 +1,71 @@
+const { param, query } = require("express-validator");
+
+const listInvoicesValidation = [
+  query("role")
+    .optional()
+    .isIn(["buyer", "creator"])
+    .withMessage("Role must be buyer or creator"),
+
+  query("sourceType")
+    .optional()
+    .isIn(["subscription", "tip", "purchase", "gift"])
+    .withMessage("Source type must be subscription, tip, purchase or gift"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const invoiceIdParamValidation = [
+  param("invoiceId").isMongoId().withMessage("Valid invoice ID is required"),
+];
+
+const downloadInvoiceValidation = [
+  ...invoiceIdParamValidation,
+
+  query("format")
+    .optional()
+    .isIn(["pdf", "html"])
+    .withMessage("Format must be pdf or html"),
+];
+
+const statementValidation = [
+  param("year")
+    .isInt({ min: 2020, max: 2100 })
+    .withMessage("Valid year is required"),
+
+  param("month")
+    .isInt({ min: 1, max: 12 })
+    .withMessage("Month must be between 1 and 12"),
+
+  query("format")
+    .optional()
+    .isIn(["json", "pdf", "html"])
+    .withMessage("Format must be json, pdf or html"),
+];
+
+const revenueReportValidation = [
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("Start date must be a valid date"),
+
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("End date must be a valid date"),
+];
+
+module.exports = {
+  listInvoicesValidation,
+  invoiceIdParamValidation,
+  downloadInvoiceValidation,
+  statementValidation,
+  revenueReportValidation,
+};
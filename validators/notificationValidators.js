@@ -14,12 +14,14 @@ const createNotificationValidation = [
       "message",
       "subscription",
       "subscription_expired",
+      "subscription_reminder",
       "post_like",
       "content_like",
       "new_content",
       "new_post",
       "payment_received",
       "payout_completed",
+      "price_change",
       "system",
     ])
     .withMessage("Invalid notification type"),
@@ -0,0 +1,61 @@
+const { body, param, query } = require("express-validator");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
+
+const PAYMENT_STATUSES = ["pending", "succeeded", "failed", "expired"];
+
+const paymentIdParamValidation = [
+  param("paymentId").isMongoId().withMessage("Valid payment ID is required"),
+];
+
+const listPaymentsValidation = [
+  query("status")
+    .optional()
+    .isIn(PAYMENT_STATUSES)
+    .withMessage(`Status must be one of: ${PAYMENT_STATUSES.join(", ")}`),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const paymentMethodsValidation = [
+  query("currency")
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage("Unsupported currency"),
+];
+
+const confirmBankTransferValidation = [
+  ...paymentIdParamValidation,
+
+  body("note")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+];
+
+const rejectBankTransferValidation = [
+  ...paymentIdParamValidation,
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Rejection reason is required")
+    .isLength({ max: 300 })
+    .withMessage("Reason cannot exceed 300 characters"),
+];
+
+module.exports = {
+  paymentIdParamValidation,
+  listPaymentsValidation,
+  paymentMethodsValidation,
+  confirmBankTransferValidation,
+  rejectBankTransferValidation,
+};
@@ -0,0 +1,101 @@
+const { body, param, query } = require("express-validator");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
+
+const PAYOUT_STATUSES = [
+  "requested",
+  "approved",
+  "paid",
+  "failed",
+  "cancelled",
+];
+
+const requestPayoutValidation = [
+  body("amount")
+    .optional()
+    .isInt({ gt: 0 })
+    .withMessage("Amount must be a positive amount in minor units"),
+
+  body("currency")
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+
+  body("payoutMethodId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid payout method ID is required"),
+
+  body("note")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+];
+
+const payoutIdParamValidation = [
+  param("payoutId").isMongoId().withMessage("Valid payout ID is required"),
+];
+
+const listPayoutsValidation = [
+  query("status")
+    .optional()
+    .isIn(PAYOUT_STATUSES)
+    .withMessage(`Status must be one of: ${PAYOUT_STATUSES.join(", ")}`),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const approvePayoutValidation = [
+  ...payoutIdParamValidation,
+
+  body("note")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+];
+
+const markPayoutPaidValidation = [
+  ...payoutIdParamValidation,
+
+  body("externalReference")
+    .trim()
+    .notEmpty()
+    .withMessage("External reference (transfer ID) is required")
+    .isLength({ max: 200 })
+    .withMessage("External reference cannot exceed 200 characters"),
+
+  body("note")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot exceed 500 characters"),
+];
+
+const markPayoutFailedValidation = [
+  ...payoutIdParamValidation,
+
+  body("reason")
+    .trim()
+    .notEmpty()
+    .withMessage("Failure reason is required")
+    .isLength({ max: 300 })
+    .withMessage("Reason cannot exceed 300 characters"),
+];
+
+module.exports = {
+  requestPayoutValidation,
+  payoutIdParamValidation,
+  listPayoutsValidation,
+  approvePayoutValidation,
+  markPayoutPaidValidation,
+  markPayoutFailedValidation,
+};
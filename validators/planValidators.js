@@ -0,0 +1,75 @@
+const { body, param } = require("express-validator");
+
+const PLAN_DURATIONS = [1, 3, 6, 12];
+
+const planFieldsValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field("name")
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage("Plan name must be between 1 and 50 characters"),
+
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Description cannot exceed 500 characters"),
+
+    field("price")
+      .isInt({ min: 1 })
+      .withMessage("Price must be a whole amount in minor units"),
+
+    body("durationMonths")
+      .optional()
+      .isIn(PLAN_DURATIONS)
+      .withMessage(
+        `Duration must be one of: ${PLAN_DURATIONS.join(", ")} months`
+      ),
+
+    body("tierLevel")
+      .optional()
+      .isInt({ min: 1, max: 10 })
+      .withMessage("Tier level must be between 1 and 10"),
+
+    body("trialDays")
+      .optional()
+      .isInt({ min: 0, max: 90 })
+      .withMessage("Trial days must be between 0 and 90"),
+
+    body("benefits")
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage("Benefits must be an array of at most 20 items"),
+
+    body("benefits.*")
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Each benefit must be between 1 and 200 characters"),
+  ];
+};
+
+const planIdParamValidation = [
+  param("planId").isMongoId().withMessage("Valid plan ID is required"),
+];
+
+const createPlanValidation = planFieldsValidation(false);
+
+const updatePlanValidation = [
+  ...planIdParamValidation,
+  ...planFieldsValidation(true),
+
+  body("priceChangePolicy")
+    .optional()
+    .isIn(["grandfather", "migrate_at_renewal"])
+    .withMessage(
+      "Price change policy must be grandfather or migrate_at_renewal"
+    ),
+];
+
+module.exports = {
+  createPlanValidation,
+  updatePlanValidation,
+  planIdParamValidation,
+};
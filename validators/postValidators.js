@@ -45,6 +45,21 @@ const createPostValidation = [
     .isIn(["public", "subscribers", "private"])
     .withMessage("Visibility must be public, subscribers, or private"),
 
+  body("minimumTierLevel")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage("Minimum tier level must be between 1 and 10"),
+
+  body("price")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Price must be a whole amount in minor units"),
+
+  body("priceAppliesTo")
+    .optional()
+    .isIn(["non_subscribers", "everyone"])
+    .withMessage("priceAppliesTo must be non_subscribers or everyone"),
+
   body("tags").optional().isArray().withMessage("Tags must be an array"),
 
   body("tags.*")
@@ -95,6 +110,21 @@ const createPostWithMediaValidation = [
     .trim()
     .isLength({ min: 1, max: 2000 })
     .withMessage("Description must be between 1 and 2000 characters"),
+
+  body("minimumTierLevel")
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage("Minimum tier level must be between 1 and 10"),
+
+  body("price")
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage("Price must be a whole amount in minor units"),
+
+  body("priceAppliesTo")
+    .optional()
+    .isIn(["non_subscribers", "everyone"])
+    .withMessage("priceAppliesTo must be non_subscribers or everyone"),
 ];
 
 const addCommentValidation = [
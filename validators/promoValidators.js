@@ -0,0 +1,94 @@
+const { body, param } = require("express-validator");
+
+const createPromoCodeValidation = [
+  body("code")
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage("Code must be 3-30 letters, numbers, dashes or underscores"),
+
+  body("campaign")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Campaign name cannot exceed 100 characters"),
+
+  body("discountType")
+    .isIn(["percentage", "fixed", "free_trial"])
+    .withMessage("Discount type must be percentage, fixed or free_trial"),
+
+  body("discountValue")
+    .if(body("discountType").equals("percentage"))
+    .isFloat({ min: 1, max: 100 })
+    .withMessage("Percentage discount must be between 1 and 100"),
+
+  body("discountValue")
+    .if(body("discountType").equals("fixed"))
+    .isInt({ min: 1 })
+    .withMessage("Fixed discount must be a positive amount in minor units"),
+
+  body("discountValue")
+    .if(body("discountType").equals("free_trial"))
+    .isInt({ min: 1, max: 90 })
+    .withMessage("Free trial must be between 1 and 90 days"),
+
+  body("firstPeriodOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("firstPeriodOnly must be a boolean"),
+
+  body("plans").optional().isArray().withMessage("Plans must be an array"),
+
+  body("plans.*").isMongoId().withMessage("Each plan must be a valid ID"),
+
+  body("maxRedemptions")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Maximum redemptions must be a positive integer"),
+
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid ISO date"),
+];
+
+const promoIdParamValidation = [
+  param("promoId").isMongoId().withMessage("Valid promo code ID is required"),
+];
+
+// Only the limits and status of a code can change once it exists
+const updatePromoCodeValidation = [
+  ...promoIdParamValidation,
+
+  body("campaign")
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("Campaign name cannot exceed 100 characters"),
+
+  body("maxRedemptions")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("Maximum redemptions must be a positive integer"),
+
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Expiry date must be a valid ISO date"),
+
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean"),
+];
+
+const checkPromoCodeValidation = [
+  param("username").trim().notEmpty().withMessage("Username is required"),
+  param("code").trim().notEmpty().withMessage("Promo code is required"),
+];
+
+module.exports = {
+  createPromoCodeValidation,
+  updatePromoCodeValidation,
+  promoIdParamValidation,
+  checkPromoCodeValidation,
+};
@@ -0,0 +1,45 @@
+const { body, param, query } = require("express-validator");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+const paymentMethodValidation = body("paymentMethod")
+  .optional()
+  .isIn(PAYMENT_METHODS)
+  .withMessage("Invalid payment method");
+
+const purchasePostValidation = [
+  param("postId").isMongoId().withMessage("Valid post ID is required"),
+  paymentMethodValidation,
+];
+
+const purchaseContentValidation = [
+  param("contentId").isMongoId().withMessage("Valid content ID is required"),
+  paymentMethodValidation,
+];
+
+const purchaseIdParamValidation = [
+  param("purchaseId").isMongoId().withMessage("Valid purchase ID is required"),
+];
+
+const listPurchasesValidation = [
+  query("itemType")
+    .optional()
+    .isIn(["Post", "Content"])
+    .withMessage("Item type must be Post or Content"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+module.exports = {
+  purchasePostValidation,
+  purchaseContentValidation,
+  purchaseIdParamValidation,
+  listPurchasesValidation,
+};
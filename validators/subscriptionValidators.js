@@ -1,11 +1,23 @@
 const { body, param, query } = require("express-validator");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
 
 const subscribeToCreatorValidation = [
   body("creatorId").isMongoId().withMessage("Valid creator ID is required"),
 
+  body("planId")
+    .optional()
+    .isMongoId()
+    .withMessage("Valid plan ID is required"),
+
+  body("promoCode")
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage("Promo code must be between 3 and 30 characters"),
+
   body("paymentMethod")
     .optional()
-    .isIn(["stripe", "paypal", "bank_transfer"])
+    .isIn(PAYMENT_METHODS)
     .withMessage("Invalid payment method"),
 ];
 
@@ -19,8 +31,42 @@ const subscriptionIdParamValidation = [
     .withMessage("Valid subscription ID is required"),
 ];
 
+const refundSubscriptionValidation = [
+  ...subscriptionIdParamValidation,
+
+  body("type")
+    .optional()
+    .isIn(["full", "prorated"])
+    .withMessage("Refund type must be full or prorated"),
+
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot exceed 500 characters"),
+];
+
+const listDisputesValidation = [
+  query("outcome")
+    .optional()
+    .isIn(["open", "won", "lost"])
+    .withMessage("Outcome must be open, won or lost"),
+
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
 module.exports = {
   subscribeToCreatorValidation,
   creatorIdParamValidation,
   subscriptionIdParamValidation,
+  refundSubscriptionValidation,
+  listDisputesValidation,
 };
@@ -0,0 +1,79 @@
+const { body, param, query } = require("express-validator");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
+const { PAYMENT_METHODS } = require("../utils/paymentMethods");
+
+const tipBodyValidation = [
+  body("amount")
+    .isInt({ gt: 0 })
+    .withMessage("Tip amount must be a positive amount in minor units"),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Tip message cannot exceed 500 characters"),
+
+  body("paymentMethod")
+    .optional()
+    .isIn(PAYMENT_METHODS)
+    .withMessage("Invalid payment method"),
+];
+
+const tipPostValidation = [
+  param("postId").isMongoId().withMessage("Valid post ID is required"),
+  ...tipBodyValidation,
+];
+
+const tipProfileValidation = [
+  param("username").trim().notEmpty().withMessage("Username is required"),
+  ...tipBodyValidation,
+];
+
+const tipConversationValidation = [
+  param("conversationId")
+    .isMongoId()
+    .withMessage("Valid conversation ID is required"),
+  ...tipBodyValidation,
+];
+
+const tipIdParamValidation = [
+  param("tipId").isMongoId().withMessage("Valid tip ID is required"),
+];
+
+const listTipsValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const topTippersValidation = [
+  query("days")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Days must be between 1 and 365"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("Limit must be between 1 and 50"),
+
+  query("currency")
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+];
+
+module.exports = {
+  tipPostValidation,
+  tipProfileValidation,
+  tipConversationValidation,
+  tipIdParamValidation,
+  listTipsValidation,
+  topTippersValidation,
+};
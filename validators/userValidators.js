@@ -1,4 +1,5 @@
 const { body, query } = require("express-validator");
+const { SUPPORTED_CURRENCIES } = require("../utils/currency");
 
 const userRegistrationValidation = [
   body("username")
@@ -27,6 +28,25 @@ const userLoginValidation = [
   body("password").notEmpty().withMessage("Password is required"),
 ];
 
+const accountTokenValidation = [
+  body("token").isString().notEmpty().withMessage("Token is required"),
+];
+
+const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email address"),
+];
+
+const resetPasswordValidation = [
+  body("token").isString().notEmpty().withMessage("Token is required"),
+
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long"),
+];
+
 const userUpdateValidation = [
   body("username")
     .optional()
@@ -69,8 +89,30 @@ const userUpdateValidation = [
 
 const subscriptionPriceValidation = [
   body("price")
-    .isFloat({ min: 0 })
-    .withMessage("Price must be a positive number"),
+    .isInt({ min: 0 })
+    .withMessage("Price must be a whole amount in minor units"),
+
+  body("currency")
+    .optional()
+    .isIn(SUPPORTED_CURRENCIES)
+    .withMessage(`Currency must be one of: ${SUPPORTED_CURRENCIES.join(", ")}`),
+
+  body("policy")
+    .optional()
+    .isIn(["grandfather", "migrate_at_renewal"])
+    .withMessage("Policy must be grandfather or migrate_at_renewal"),
+];
+
+const priceHistoryValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
 ];
 
 const payoutMethodValidation = [
@@ -170,8 +212,12 @@ const trendingCreatorsValidation = [
 module.exports = {
   userRegistrationValidation,
   userLoginValidation,
+  accountTokenValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
   userUpdateValidation,
   subscriptionPriceValidation,
+  priceHistoryValidation,
   payoutMethodValidation,
   searchUsersValidation,
   featuredCreatorsValidation,